@@ -0,0 +1,116 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const { useFakeProvider, writeFiles } = require('./helpers/setup');
+const AppController = require('../src/controllers/AppController');
+const ApiServer = require('../src/server/ApiServer');
+
+const API_KEY = 'test-key';
+
+describe('ApiServer', () => {
+  let server;
+  let baseUrl;
+  let indexesDir;
+
+  // בקשה לשרת עם מפתח ה-API (אלא אם הועברו כותרות אחרות)
+  const request = (method, urlPath, headers = { authorization: `Bearer ${API_KEY}` }) =>
+    fetch(`${baseUrl}${urlPath}`, { method, headers });
+
+  beforeAll(async () => {
+    useFakeProvider({ 'query.retrievalStrategy': 'keyword' });
+    process.env.CONTEXT_EXTENDER_API_KEY = API_KEY;
+    await writeFiles({ 'docs/refunds.md': '# Refunds\n\nRefunds are issued within 14 days.\n' });
+    
+    const appController = new AppController();
+    appController._shouldCreateFullIndex = async () => true;
+    await appController.createIndex('docs', { name: 'Docs' });
+    indexesDir = appController.indexManager.indexesDir;
+    
+    server = new ApiServer(appController, { host: '127.0.0.1', port: 0 });
+    const { port } = await server.start();
+    baseUrl = `http://127.0.0.1:${port}`;
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    delete process.env.CONTEXT_EXTENDER_API_KEY;
+  });
+
+  test('requests without the API key are rejected, except the health check', async () => {
+    expect((await request('GET', '/health', {})).status).toBe(200);
+    expect((await request('GET', '/indexes', {})).status).toBe(401);
+    expect((await request('GET', '/indexes', { authorization: 'Bearer wrong' })).status).toBe(401);
+    expect((await request('GET', '/indexes', { 'x-api-key': API_KEY })).status).toBe(200);
+  });
+
+  test('an index is returned by its id', async () => {
+    const response = await request('GET', '/indexes/docs');
+    
+    expect(response.status).toBe(200);
+    expect((await response.json()).id).toBe('docs');
+  });
+
+  test('ids with a dot do not reach the companion files of an index', async () => {
+    expect((await request('GET', '/indexes/docs.vectors')).status).toBe(404);
+    expect((await request('DELETE', '/indexes/docs.bm25')).status).toBe(404);
+    
+    expect(await fs.pathExists(path.join(indexesDir, 'docs.vectors.json'))).toBe(true);
+    expect(await fs.pathExists(path.join(indexesDir, 'docs.bm25.json'))).toBe(true);
+  });
+
+  test('conversation ids that are not plain ids are rejected before reaching the conversation files', async () => {
+    const conversationsDir = path.join(process.cwd(), 'data', 'conversations');
+    const before = await fs.readdir(conversationsDir);
+    const question = encodeURIComponent('How are refunds handled?');
+    
+    const asked = await fetch(`${baseUrl}/indexes/docs/questions`, {
+      method: 'POST',
+      headers: { authorization: `Bearer ${API_KEY}`, 'content-type': 'application/json' },
+      body: JSON.stringify({ question: 'How are refunds handled?', conversationId: '../indexes/docs' })
+    });
+    const streamed = await request('GET', `/indexes/docs/questions/stream?question=${question}&conversationId=..%2Findexes%2Fdocs`);
+    
+    expect(asked.status).toBe(400);
+    expect((await asked.json()).error).toMatch(/conversationId/);
+    expect(streamed.status).toBe(400);
+    expect(streamed.headers.get('content-type')).toMatch(/^application\/json/);
+    expect(await fs.readdir(conversationsDir)).toEqual(before);
+    expect((await fs.readJson(path.join(indexesDir, 'docs.json'))).id).toBe('docs');
+  });
+
+  test('indexing is limited to paths under the allowed roots', async () => {
+    const submit = indexPath => fetch(`${baseUrl}/indexes`, {
+      method: 'POST',
+      headers: { authorization: `Bearer ${API_KEY}`, 'content-type': 'application/json' },
+      body: JSON.stringify({ path: indexPath, name: 'Allowed' })
+    });
+    await fs.ensureSymlink(path.dirname(process.cwd()), path.join(process.cwd(), 'docs', 'outside'));
+    
+    expect((await submit(path.dirname(process.cwd()))).status).toBe(403);
+    expect((await submit('../')).status).toBe(403);
+    expect((await submit('docs/outside')).status).toBe(403);
+    
+    await fs.remove(path.join(process.cwd(), 'docs', 'outside'));
+    const accepted = await submit(path.join(process.cwd(), 'docs'));
+    expect(accepted.status).toBe(202);
+    
+    // המתנה לסיום המשימה, כדי שלא תרוץ אחרי שתיקיית הבדיקה נמחקה
+    const { id } = await accepted.json();
+    let job;
+    do {
+      job = await (await request('GET', `/jobs/${id}`)).json();
+    } while (job.status === 'queued' || job.status === 'running');
+    expect(job.status).toBe('succeeded');
+  });
+
+  test('questions are streamed as server-sent events ending with the result', async () => {
+    const response = await request('GET', `/indexes/docs/questions/stream?question=${encodeURIComponent('How are refunds handled?')}`);
+    const body = await response.text();
+    
+    expect(response.headers.get('content-type')).toMatch(/^text\/event-stream/);
+    expect(body).toMatch(/^event: conversation\n/);
+    expect(body).toMatch(/event: done\n/);
+    expect(body).toMatch(/event: result\ndata: \{"answer":"Fake answer"/);
+  });
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const { useFakeProvider, writeFiles } = require('./helpers/setup');
+const AppController = require('../src/controllers/AppController');
+
+describe('AppController.answerQuestion', () => {
+  let appController;
+  let indexId;
+
+  beforeEach(async () => {
+    useFakeProvider({ 'query.retrievalStrategy': 'keyword' });
+    await fs.remove(path.join(process.cwd(), 'docs'));
+    await writeFiles({ 'docs/refunds.md': '# Refunds\n\nRefunds are issued within 14 days.\n' });
+    
+    appController = new AppController();
+    appController._shouldCreateFullIndex = async () => true;
+    indexId = await appController.createIndex('docs', { name: 'Refunds' });
+  });
+
+  test('the single-shot prompt is not built for chunk-by-chunk strategies', async () => {
+    const buildPrompt = jest.spyOn(appController.conversationManager, 'buildPrompt');
+    
+    const result = await appController.answerQuestion(indexId, 'How are refunds handled?', null, { strategy: 'refine' });
+    
+    expect(result.strategy).toBe('refine');
+    expect(buildPrompt).not.toHaveBeenCalled();
+  });
+
+  test('auto builds the single-shot prompt and uses it when it fits', async () => {
+    const buildPrompt = jest.spyOn(appController.conversationManager, 'buildPrompt');
+    
+    const result = await appController.answerQuestion(indexId, 'How are refunds handled?', null, { strategy: 'auto' });
+    
+    expect(result.strategy).toBe('stuff');
+    expect(buildPrompt).toHaveBeenCalledTimes(1);
+  });
+
+  test('an unknown strategy is rejected', async () => {
+    await expect(appController.answerQuestion(indexId, 'How are refunds handled?', null, { strategy: 'guess' }))
+      .rejects.toThrow('Unknown answer strategy: guess');
+  });
+});
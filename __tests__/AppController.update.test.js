@@ -0,0 +1,119 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const { useFakeProvider, writeFiles, FakeProvider } = require('./helpers/setup');
+const AppController = require('../src/controllers/AppController');
+
+// המקור נשמר באינדקס בנתיב מוחלט
+const sourceFile = dir => path.join(process.cwd(), 'docs', dir, 'README.md');
+
+describe('AppController.updateIndex', () => {
+  let appController;
+
+  beforeEach(async () => {
+    useFakeProvider();
+    await fs.remove(path.join(process.cwd(), 'docs'));
+    await writeFiles({
+      'docs/a/README.md': 'Alpha project readme.\n',
+      'docs/b/README.md': 'Beta project readme.\n'
+    });
+    
+    appController = new AppController();
+    appController._shouldCreateFullIndex = async () => true;
+  });
+
+  test('chunk ids are keyed by the path relative to the indexed directory', async () => {
+    const indexId = await appController.createIndex('docs', { name: 'Docs' });
+    const index = await appController.indexManager.loadIndex(indexId);
+    
+    expect(Object.keys(index.chunks).sort()).toEqual(['a/README.md_chunk_1', 'b/README.md_chunk_1']);
+  });
+
+  test('a changed file does not overwrite chunks of another file with the same name', async () => {
+    const indexId = await appController.createIndex('docs', { name: 'Docs' });
+    
+    await writeFiles({ 'docs/b/README.md': 'Beta project readme, second edition.\n' });
+    const summary = await appController.updateIndex(indexId);
+    const index = await appController.indexManager.loadIndex(indexId);
+    
+    expect(summary.modified).toEqual([sourceFile('b')]);
+    expect(index.chunks['a/README.md_chunk_1'].filePath).toBe(sourceFile('a'));
+    expect(index.chunks['b/README.md_chunk_1'].filePath).toBe(sourceFile('b'));
+    expect(index.chunkCount).toBe(2);
+  });
+
+  test('files whose enrichment failed stay out of the manifest and are retried on the next update', async () => {
+    const indexId = await appController.createIndex('docs', { name: 'Docs' });
+    const gammaPath = sourceFile('c');
+    
+    FakeProvider.respond = (request, text) => {
+      if (text.includes('Gamma')) {
+        throw new Error('provider unavailable');
+      }
+      return FakeProvider.defaultResponse(request, text);
+    };
+    await writeFiles({ 'docs/c/README.md': 'Gamma project readme.\n' });
+    
+    await appController.updateIndex(indexId);
+    let index = await appController.indexManager.loadIndex(indexId);
+    
+    expect(index.chunks['c/README.md_chunk_1'].summary).toBe('Summary generation failed');
+    expect(index.files[gammaPath]).toBeUndefined();
+    
+    FakeProvider.respond = FakeProvider.defaultResponse;
+    const summary = await appController.updateIndex(indexId);
+    index = await appController.indexManager.loadIndex(indexId);
+    
+    expect(summary.added).toEqual([gammaPath]);
+    expect(index.chunks['c/README.md_chunk_1'].summary).toBe('Summary');
+    expect(index.files[gammaPath]).toBeDefined();
+    expect(index.chunkCount).toBe(3);
+  });
+
+  test('an invalid summary response is not cached, so the next update asks again', async () => {
+    useFakeProvider({ 'cache.enabled': true });
+    FakeProvider.respond = (request, text) => FakeProvider.isSummaryPrompt(text)
+      ? { text: 'not json', usage: { input_tokens: 100, output_tokens: 10 } }
+      : FakeProvider.defaultResponse(request, text);
+    
+    const indexId = await appController.createIndex('docs', { name: 'Docs' });
+    let index = await appController.indexManager.loadIndex(indexId);
+    expect(index.chunks['a/README.md_chunk_1'].summary).toBe('Summary generation failed');
+    
+    FakeProvider.reset();
+    await appController.updateIndex(indexId);
+    index = await appController.indexManager.loadIndex(indexId);
+    
+    expect(FakeProvider.requests.some(request => FakeProvider.isSummaryPrompt(FakeProvider.promptText(request)))).toBe(true);
+    expect(index.chunks['a/README.md_chunk_1'].summary).toBe('Summary');
+  });
+
+  test('an update stopped by the spending limit keeps its enriched chunks for the next update', async () => {
+    useFakeProvider({ 'indexing.concurrency': 1 });
+    const indexId = await appController.createIndex('docs', { name: 'Docs' });
+    await writeFiles({
+      'docs/c/README.md': 'Gamma project readme.\n',
+      'docs/d/README.md': 'Delta project readme.\n',
+      'docs/e/README.md': 'Epsilon project readme.\n'
+    });
+    const log = jest.spyOn(console, 'log');
+    
+    // כל קריאה עולה $0.00012 - התקרה נחצית אחרי שני קטעים
+    await expect(appController.updateIndex(indexId, { maxCost: 0.0002 })).rejects.toThrow(/spending limit/i);
+    
+    expect((await appController.indexCheckpoint.load(indexId)).chunks.size).toBe(2);
+    expect(log.mock.calls.some(([line]) => String(line).includes(`Progress so far is saved; run "update ${indexId} --max-cost <usd>"`))).toBe(true);
+    log.mockRestore();
+    
+    FakeProvider.reset();
+    await appController.updateIndex(indexId);
+    const index = await appController.indexManager.loadIndex(indexId);
+    
+    expect(FakeProvider.requests).toHaveLength(1);
+    expect(FakeProvider.promptText(FakeProvider.requests[0])).toContain('Epsilon');
+    expect(index.chunkCount).toBe(5);
+    expect(Object.values(index.chunks).every(chunk => chunk.summary === 'Summary')).toBe(true);
+    expect(await appController.indexCheckpoint.load(indexId)).toBeNull();
+  });
+});
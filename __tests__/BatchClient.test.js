@@ -0,0 +1,149 @@
+'use strict';
+
+const fs = require('fs-extra');
+const http = require('http');
+const path = require('path');
+const usageTracker = require('../src/utils/UsageTracker');
+const { useFakeProvider, writeFiles, FakeProvider } = require('./helpers/setup');
+const BatchClient = require('../src/services/BatchClient');
+const AppController = require('../src/controllers/AppController');
+
+const BATCH_ID = 'msgbatch_test';
+
+/**
+ * תוצאה של בקשה אחת באצווה, בפורמט של Message Batches API
+ * @param {string} customId - מזהה הבקשה
+ * @param {string} [text] - טקסט התשובה (בלי טקסט - הבקשה נכשלה)
+ * @returns {Object}
+ */
+function batchResult(customId, text) {
+  if (text === undefined) {
+    return { custom_id: customId, result: { type: 'errored', error: { type: 'overloaded_error', message: 'Overloaded' } } };
+  }
+  return {
+    custom_id: customId,
+    result: {
+      type: 'succeeded',
+      message: {
+        model: 'claude-3-5-haiku-20241022',
+        content: [{ type: 'text', text }],
+        usage: { input_tokens: 200, output_tokens: 20 }
+      }
+    }
+  };
+}
+
+describe('message batches against a mock API', () => {
+  let server;
+  let baseUrl;
+  let api;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', data => { body += data; });
+      req.on('end', () => {
+        api.requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+        
+        if (req.method === 'POST' && req.url === '/v1/messages/batches') {
+          res.writeHead(200, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ id: BATCH_ID, processing_status: 'in_progress' }));
+        } else if (req.method === 'GET' && req.url === `/v1/messages/batches/${BATCH_ID}`) {
+          // העיבוד מסתיים בבדיקה השנייה
+          api.polls++;
+          const ended = api.polls >= 2;
+          res.writeHead(200, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({
+            id: BATCH_ID,
+            processing_status: ended ? 'ended' : 'in_progress',
+            request_counts: ended ? { processing: 0, succeeded: 1, errored: 1 } : { processing: 2 },
+            results_url: ended ? `${baseUrl}/v1/messages/batches/${BATCH_ID}/results` : null
+          }));
+        } else if (req.method === 'GET' && req.url === `/v1/messages/batches/${BATCH_ID}/results`) {
+          res.writeHead(200, { 'content-type': 'application/binary' });
+          res.end(api.results.map(result => JSON.stringify(result)).join('\n') + '\n');
+        } else {
+          res.writeHead(404, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ type: 'error', error: { type: 'not_found_error' } }));
+        }
+      });
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    useFakeProvider({ 'claude.baseUrl': baseUrl, 'indexing.batch.pollIntervalMs': 5 });
+    api = { requests: [], polls: 0, results: [] };
+  });
+
+  test('BatchClient submits, polls until the batch ends and parses the JSONL results', async () => {
+    api.results = [batchResult('chunk-0', 'first'), batchResult('chunk-1')];
+    const batchClient = new BatchClient();
+    const progress = [];
+    
+    const created = await batchClient.createBatch([{ custom_id: 'chunk-0', params: { max_tokens: 10 } }]);
+    const batch = await batchClient.waitForBatch(created.id, { onProgress: current => progress.push(current.processing_status) });
+    const results = await batchClient.getResults(batch);
+    
+    expect(api.requests[0].body).toEqual({ requests: [{ custom_id: 'chunk-0', params: { max_tokens: 10 } }] });
+    expect(api.requests[0].headers['anthropic-version']).toBe('2023-06-01');
+    expect(progress).toEqual(['in_progress', 'ended']);
+    expect(results.map(result => result.result.type)).toEqual(['succeeded', 'errored']);
+  });
+
+  test('BatchClient surfaces API errors with the status code', async () => {
+    await expect(new BatchClient().getBatch('missing')).rejects.toThrow('Failed to retrieve message batch: 404');
+  });
+
+  test('_collectBatch indexes the succeeded results and enriches the failed item directly', async () => {
+    await fs.remove(path.join(process.cwd(), 'docs'));
+    await writeFiles({
+      'docs/alpha.md': 'Alpha content.\n',
+      'docs/beta.md': 'Beta content.\n'
+    });
+    await fs.remove(usageTracker.ledgerPath);
+    
+    const appController = new AppController();
+    appController._shouldCreateFullIndex = async () => true;
+    
+    const sourcePath = path.join(process.cwd(), 'docs');
+    const chunks = await appController.fileProcessor.processPath(sourcePath);
+    const requests = chunks.map((chunk, i) => ({
+      customId: `chunk-${i}`,
+      chunkId: chunk.id,
+      contentHash: appController._hashContent(chunk.content)
+    }));
+    api.results = [
+      batchResult('chunk-0', JSON.stringify({ summary: 'Batch summary', keywords: ['batch'] })),
+      batchResult('chunk-1')
+    ];
+    
+    const indexId = 'batched';
+    const options = { name: 'Batched' };
+    await appController.indexCheckpoint.start(indexId, { sourcePath, options });
+    await appController.indexCheckpoint.saveBatch(indexId, { batchId: BATCH_ID, sourcePath, options, requests });
+    
+    await appController._collectBatch(indexId, { batchId: BATCH_ID, sourcePath, options, requests }, chunks);
+    const index = await appController.indexManager.loadIndex(indexId);
+    
+    // רק הבקשה שנכשלה באצווה נשלחה ישירות
+    const directPrompts = FakeProvider.requests.map(FakeProvider.promptText).filter(FakeProvider.isSummaryPrompt);
+    expect(directPrompts.some(text => text.includes(chunks[1].content.trim()))).toBe(true);
+    expect(directPrompts.some(text => text.includes(chunks[0].content.trim()))).toBe(false);
+    
+    expect(index.chunks[chunks[0].id].summary).toBe('Batch summary');
+    expect(index.chunks[chunks[1].id].summary).toBe('Summary');
+    expect(await appController.indexCheckpoint.loadBatch(indexId)).toBeNull();
+    
+    // התוצאה שהצליחה נזקפת ביומן השימוש במחיר האצווה
+    const ledger = (await fs.readFile(usageTracker.ledgerPath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(ledger.filter(entry => entry.batch)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const { useFakeProvider, writeFiles, FakeProvider } = require('./helpers/setup');
+const CitationResolver = require('../src/services/CitationResolver');
+const AppController = require('../src/controllers/AppController');
+
+const sources = [
+  { id: 'spec.pdf_chunk_2', filePath: 'docs/spec.pdf', startPosition: 4121, endPosition: 8000, pageStart: 5, pageEnd: 8, location: 'pages 5-8', relevanceScore: 2 },
+  { id: 'app.js_chunk_1', filePath: 'src/app.js', startPosition: 0, endPosition: 300, startLine: 10, endLine: 42, symbolName: 'start', relevanceScore: 1 }
+];
+
+describe('CitationResolver', () => {
+  const resolver = new CitationResolver();
+
+  test('markers follow relevance order', () => {
+    const marked = resolver.assignMarkers(sources);
+    
+    expect(marked.map(source => [source.id, source.citationMarker])).toEqual([
+      ['app.js_chunk_1', 'S1'],
+      ['spec.pdf_chunk_2', 'S2']
+    ]);
+    expect(sources[0].citationMarker).toBeUndefined();
+  });
+
+  test('combined markers are split and unknown markers are removed with their space', () => {
+    const marked = resolver.assignMarkers(sources);
+    
+    const { answer, citations } = resolver.resolve('The server starts on boot [S1, S2]. Limits apply [S7].', marked);
+    
+    expect(answer).toBe('The server starts on boot [S1][S2]. Limits apply.');
+    expect(citations.map(citation => citation.marker)).toEqual(['S1', 'S2']);
+  });
+
+  test('citations describe line ranges for code and character ranges for documents', () => {
+    const { citations } = resolver.resolve('A [S1] and B [S2]', resolver.assignMarkers(sources));
+    
+    expect(citations[0]).toMatchObject({ chunkId: 'app.js_chunk_1', startLine: 10, endLine: 42, description: 'src/app.js:10-42, start' });
+    expect(citations[1]).toMatchObject({ pageStart: 5, pageEnd: 8, description: 'docs/spec.pdf (chars 4121-8000), pages 5-8' });
+  });
+
+  test('sources the answer never cites are not listed', () => {
+    const { citations } = resolver.resolve('Only one source [S2].', resolver.assignMarkers(sources));
+    
+    expect(citations.map(citation => citation.chunkId)).toEqual(['spec.pdf_chunk_2']);
+  });
+});
+
+describe('AppController.answerQuestion in citation mode', () => {
+  let appController;
+  let indexId;
+
+  beforeAll(async () => {
+    useFakeProvider({ 'query.retrievalStrategy': 'keyword' });
+    await fs.remove(path.join(process.cwd(), 'docs'));
+    await writeFiles({ 'docs/refunds.md': '# Refunds\n\nRefunds are issued within 14 days.\n' });
+    
+    appController = new AppController();
+    appController._shouldCreateFullIndex = async () => true;
+    indexId = await appController.createIndex('docs', { name: 'Refunds' });
+  });
+
+  beforeEach(() => {
+    useFakeProvider({ 'query.retrievalStrategy': 'keyword' });
+  });
+
+  test('the prompt carries the source markers and the answer comes back with citations', async () => {
+    FakeProvider.respond = (request, text) => FakeProvider.isSummaryPrompt(text)
+      ? FakeProvider.defaultResponse(request, text)
+      : { text: 'Within 14 days [S1] [S9].', usage: { input_tokens: 100, output_tokens: 10 } };
+    
+    const result = await appController.answerQuestion(indexId, 'How long do refunds take?', null, { cite: true, strategy: 'stuff' });
+    const prompt = FakeProvider.promptText(FakeProvider.requests[FakeProvider.requests.length - 1]);
+    
+    expect(prompt).toContain('(source marker: [S1])');
+    expect(prompt).toContain('Never invent markers.');
+    expect(result.answer).toBe('Within 14 days [S1].');
+    expect(result.citations).toHaveLength(1);
+    expect(result.citations[0]).toMatchObject({ marker: 'S1', chunkId: 'refunds.md_chunk_1', headingPath: 'Refunds' });
+  });
+
+  test('without citation mode the answer is returned as is', async () => {
+    const result = await appController.answerQuestion(indexId, 'How long do refunds take?', null, { strategy: 'stuff' });
+    
+    expect(result.citations).toBeUndefined();
+    expect(FakeProvider.promptText(FakeProvider.requests[FakeProvider.requests.length - 1])).not.toContain('source marker');
+  });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const { useFakeProvider, writeFiles, FakeProvider } = require('./helpers/setup');
+const ClaudeClient = require('../src/services/ClaudeClient');
+const AppController = require('../src/controllers/AppController');
+
+const ESCALATION_MODEL = 'claude-3-5-sonnet-20241022';
+const usage = { input_tokens: 100, output_tokens: 10 };
+const modelsUsed = () => FakeProvider.requests.map(request => request.model);
+
+describe('model routing and escalation', () => {
+  beforeEach(() => {
+    useFakeProvider({
+      'models.retrieve': 'claude-3-haiku-20240307',
+      'models.escalation': { enabled: true, model: ESCALATION_MODEL, tasks: ['enrich', 'retrieve'] }
+    });
+  });
+
+  test('each task uses its configured model, and a per-query override wins', async () => {
+    const claudeClient = new ClaudeClient();
+    
+    await claudeClient.sendPrompt('Pick sections', { task: 'retrieve' });
+    await claudeClient.sendPrompt('Answer', { task: 'answer' });
+    await claudeClient.sendPrompt('Pick sections', { task: 'retrieve', models: { retrieve: 'claude-3-opus-20240229' } });
+    
+    expect(modelsUsed()).toEqual(['claude-3-haiku-20240307', 'claude-3-5-haiku-20241022', 'claude-3-opus-20240229']);
+  });
+
+  test('a response that fails validation is retried once on the escalation model', async () => {
+    FakeProvider.respond = request => ({ text: request.model === ESCALATION_MODEL ? '{"summary": "Good"}' : 'garbled', usage });
+    
+    const result = await new ClaudeClient().createSummaryAndKeywords('Refunds are issued within 14 days.');
+    
+    expect(result.summary).toBe('Good');
+    expect(modelsUsed()).toEqual(['claude-3-5-haiku-20241022', ESCALATION_MODEL]);
+  });
+
+  test('a failed call escalates only for the configured tasks', async () => {
+    FakeProvider.respond = (request, text) => {
+      if (request.model !== ESCALATION_MODEL) {
+        throw new Error('overloaded');
+      }
+      return FakeProvider.defaultResponse(request, text);
+    };
+    const claudeClient = new ClaudeClient();
+    
+    expect(await claudeClient.sendPrompt('Pick sections', { task: 'retrieve' })).toBe('Fake answer');
+    await expect(claudeClient.sendPrompt('Answer', { task: 'answer' })).rejects.toThrow('overloaded');
+  });
+
+  test('an empty selection from the retrieval step is a valid answer and is not escalated', async () => {
+    await writeFiles({ 'docs/refunds.md': 'Refunds are issued within 14 days.\n' });
+    const appController = new AppController();
+    appController._shouldCreateFullIndex = async () => true;
+    const index = await appController.indexManager.loadIndex(await appController.createIndex('docs', { name: 'Docs' }));
+    
+    FakeProvider.reset();
+    FakeProvider.respond = () => ({ text: '[]', usage });
+    
+    const chunks = await appController.indexManager.findRelevantChunks(index, 'What is the weather?');
+    
+    expect(chunks).toEqual([]);
+    expect(modelsUsed()).toEqual(['claude-3-haiku-20240307']);
+  });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const configManager = require('../src/utils/ConfigManager');
+const CodeSegmenter = require('../src/services/CodeSegmenter');
+const FileProcessor = require('../src/services/FileProcessor');
+
+const STORE_JS = [
+  "const x = require('x');",
+  '',
+  '/** Adds two numbers */',
+  'function add(a, b) {',
+  "  const brace = '}';",
+  '  return a + b;',
+  '}',
+  '',
+  'class Store {',
+  '  constructor() {',
+  '    this.items = [];',
+  '  }',
+  '',
+  '  async save(item) {',
+  '    this.items.push(item);',
+  '  }',
+  '}',
+  '',
+  'module.exports = { add, Store };',
+  ''
+].join('\n');
+
+const REPO_PY = [
+  'import os',
+  '',
+  '@cache',
+  'def load(path):',
+  '    return open(path).read()',
+  '',
+  'class Repo:',
+  '    def get(self, key):',
+  '        return key',
+  '',
+  '    def put(self, key):',
+  '        pass',
+  ''
+].join('\n');
+
+// שם, סוג והטקסט של כל סמל
+const describeSymbols = (content, symbols) => symbols.map(symbol => ({
+  kind: symbol.kind,
+  name: symbol.name,
+  text: content.slice(symbol.start, symbol.end),
+  children: (symbol.children || []).map(child => child.name)
+}));
+
+describe('CodeSegmenter', () => {
+  const segmenter = new CodeSegmenter();
+
+  test('JavaScript functions keep their doc comment and are not cut by braces inside strings', () => {
+    const [add, store] = describeSymbols(STORE_JS, segmenter.segment(STORE_JS, '.js'));
+    
+    expect(add).toEqual({
+      kind: 'function',
+      name: 'add',
+      text: "/** Adds two numbers */\nfunction add(a, b) {\n  const brace = '}';\n  return a + b;\n}\n",
+      children: []
+    });
+    expect(store.kind).toBe('class');
+    expect(store.children).toEqual(['constructor', 'save']);
+  });
+
+  test('Python definitions include their decorators and class methods are found', () => {
+    const [load, repo] = describeSymbols(REPO_PY, segmenter.segment(REPO_PY, '.py'));
+    
+    expect(load.text.startsWith('@cache\ndef load(path):')).toBe(true);
+    expect(repo).toMatchObject({ kind: 'class', name: 'Repo', children: ['get', 'put'] });
+  });
+
+  test('only JavaScript, TypeScript and Python sources are supported', () => {
+    expect(['.js', '.ts', '.tsx', '.py'].every(ext => segmenter.supports(ext))).toBe(true);
+    expect(segmenter.supports('.md')).toBe(false);
+  });
+});
+
+describe('FileProcessor code-aware chunking', () => {
+  beforeEach(() => {
+    // קטע של 40 טוקנים - מחלקה שלא נכנסת בשלמותה מתפצלת לשיטות
+    configManager.set('claude.maxTokens', 100);
+  });
+
+  test('a source file is chunked per symbol with its name, kind and line range', () => {
+    const chunks = new FileProcessor().splitIntoChunks(STORE_JS, '/src/store.js');
+    
+    expect(chunks.map(chunk => [chunk.symbolName, chunk.symbolKind, chunk.startLine, chunk.endLine])).toEqual([
+      ['store', 'module', 1, 2],
+      ['add', 'function', 3, 7],
+      ['Store', 'class', 9, 9],
+      ['Store.constructor', 'method', 10, 12],
+      ['Store.save', 'method', 14, 17],
+      ['store', 'module', 18, 19]
+    ]);
+  });
+
+  test('chunk offsets point at their text in the source', () => {
+    for (const chunk of new FileProcessor().splitIntoChunks(STORE_JS, '/src/store.js')) {
+      expect(STORE_JS.substring(chunk.startPosition, chunk.endPosition + 1)).toBe(chunk.content);
+    }
+  });
+});
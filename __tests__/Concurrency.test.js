@@ -0,0 +1,96 @@
+'use strict';
+
+const { useFakeProvider, FakeProvider } = require('./helpers/setup');
+const { mapWithConcurrency } = require('../src/utils/Concurrency');
+const AppController = require('../src/controllers/AppController');
+
+const USAGE = { input_tokens: 100, output_tokens: 10 };
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('mapWithConcurrency', () => {
+  test('results keep the item order when later items finish first', async () => {
+    const results = await mapWithConcurrency([30, 10, 20, 0], 4, async (ms, i) => {
+      await delay(ms);
+      return `item ${i}`;
+    });
+    
+    expect(results).toEqual(['item 0', 'item 1', 'item 2', 'item 3']);
+  });
+
+  test('no more than the limit run at the same time', async () => {
+    let active = 0;
+    let maxActive = 0;
+    
+    await mapWithConcurrency(Array.from({ length: 7 }), 3, async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await delay(5);
+      active--;
+    });
+    
+    expect(maxActive).toBe(3);
+  });
+
+  test('an empty list resolves without calling the function', async () => {
+    const fn = jest.fn();
+    
+    expect(await mapWithConcurrency([], 4, fn)).toEqual([]);
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
+
+describe('AppController chunk enrichment', () => {
+  const chunks = ['Alpha', 'Beta', 'Gamma', 'Delta', 'Epsilon'].map((content, i) => ({ id: `doc.md_chunk_${i + 1}`, content }));
+
+  let appController;
+  let active;
+  let maxActive;
+
+  beforeEach(() => {
+    useFakeProvider({ 'indexing.concurrency': 2 });
+    active = 0;
+    maxActive = 0;
+    FakeProvider.respond = async (request, text) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      // הקטעים הראשונים מסתיימים אחרונים
+      await delay(text.includes('Alpha') ? 30 : 5);
+      active--;
+      if (text.includes('Gamma')) {
+        throw new Error('overloaded');
+      }
+      const word = text.match(/Alpha|Beta|Delta|Epsilon/)[0];
+      return { text: JSON.stringify({ summary: `About ${word}`, keywords: [word.toLowerCase()] }), usage: USAGE };
+    };
+    appController = new AppController();
+  });
+
+  test('chunks are enriched concurrently up to indexing.concurrency and returned in order', async () => {
+    const enriched = await appController._enrichChunks(chunks);
+    
+    expect(maxActive).toBe(2);
+    expect(enriched.map(chunk => chunk.id)).toEqual(chunks.map(chunk => chunk.id));
+    expect(enriched[0]).toMatchObject({ summary: 'About Alpha', keywords: ['alpha'] });
+    expect(enriched[4]).toMatchObject({ summary: 'About Epsilon', keywords: ['epsilon'] });
+  });
+
+  test('a failed chunk is kept without enrichment and is not passed to onEnriched', async () => {
+    const onEnriched = jest.fn(async () => {});
+    
+    const enriched = await appController._enrichChunks(chunks, { onEnriched });
+    
+    expect(enriched[2]).toMatchObject({ id: 'doc.md_chunk_3', keywords: [], enrichmentFailed: true });
+    expect(onEnriched).toHaveBeenCalledTimes(4);
+    expect(onEnriched.mock.calls.map(([chunk]) => chunk.id)).not.toContain('doc.md_chunk_3');
+  });
+
+  test('progress reports the throughput and the time left', async () => {
+    const log = jest.spyOn(console, 'log');
+    
+    await appController._enrichChunks(chunks);
+    const progress = log.mock.calls.map(([message]) => message).filter(message => message.startsWith('Enriched '));
+    
+    expect(progress).toHaveLength(5);
+    expect(progress[4]).toMatch(/^Enriched 5\/5 chunks \(\d+(\.\d)? chunks\/min, ETA \w+\)$/);
+  });
+});
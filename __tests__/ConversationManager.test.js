@@ -0,0 +1,40 @@
+'use strict';
+
+const { useFakeProvider, FakeProvider } = require('./helpers/setup');
+const ConversationManager = require('../src/services/ConversationManager');
+
+/**
+ * הוספת שני חילופים לשיחה חדשה (השני ממזג את הראשון לסיכום) והחזרת אורך הסיכום המבוקש בתווים
+ * @param {string} question - השאלה בכל חילוף
+ * @param {string} answer - התשובה בכל חילוף
+ * @returns {Promise<number>}
+ */
+async function requestedSummaryChars(question, answer) {
+  const conversationManager = new ConversationManager();
+  const conversation = await conversationManager.createConversation('docs');
+  
+  FakeProvider.reset();
+  await conversationManager.addExchange(conversation.id, question, answer);
+  await conversationManager.addExchange(conversation.id, question, answer);
+  
+  const [request] = FakeProvider.requests;
+  return Number(FakeProvider.promptText(request).match(/roughly (\d+) characters/)[1]);
+}
+
+describe('ConversationManager history summary', () => {
+  beforeEach(() => {
+    useFakeProvider({
+      'conversation.maxRecentExchanges': 1,
+      'conversation.mergeFrequency': 1,
+      'conversation.maxSummaryTokens': 100
+    });
+  });
+
+  test('the summary length in characters follows the script of the conversation', async () => {
+    const english = await requestedSummaryChars('How long do refunds take?', 'Refunds are issued within fourteen days.');
+    const hebrew = await requestedSummaryChars('כמה זמן לוקח החזר?', 'החזרים ניתנים תוך ארבעה עשר ימים.');
+    
+    expect(hebrew).toBeLessThan(english);
+    expect(english).not.toBe(400);
+  });
+});
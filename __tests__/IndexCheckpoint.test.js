@@ -0,0 +1,99 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const { useFakeProvider, writeFiles, FakeProvider } = require('./helpers/setup');
+const IndexCheckpoint = require('../src/services/IndexCheckpoint');
+const AppController = require('../src/controllers/AppController');
+
+const checkpointFile = indexId => path.join(process.cwd(), 'data', 'indexes', `${indexId}.partial.jsonl`);
+
+describe('IndexCheckpoint', () => {
+  const indexCheckpoint = new IndexCheckpoint();
+
+  test('concurrent appends are all loaded with the header', async () => {
+    await indexCheckpoint.start('docs-1', { sourcePath: '/docs', options: { name: 'Docs' } });
+    await Promise.all(Array.from({ length: 20 }, (_, i) =>
+      indexCheckpoint.append('docs-1', { id: `doc.md_chunk_${i + 1}`, content: `Section ${i + 1}`, summary: 'Summary' })));
+    
+    const { header, chunks } = await indexCheckpoint.load('docs-1');
+    
+    expect(header).toMatchObject({ type: 'header', indexId: 'docs-1', sourcePath: '/docs', options: { name: 'Docs' } });
+    expect(chunks.size).toBe(20);
+    expect(chunks.get('doc.md_chunk_20').content).toBe('Section 20');
+  });
+
+  test('a line cut off by a crash is skipped', async () => {
+    await indexCheckpoint.start('docs-2', { sourcePath: '/docs', options: {} });
+    await indexCheckpoint.append('docs-2', { id: 'doc.md_chunk_1', content: 'Section 1' });
+    await fs.appendFile(checkpointFile('docs-2'), '{"type":"chunk","chunk":{"id":"doc.md_ch');
+    
+    expect([...(await indexCheckpoint.load('docs-2')).chunks.keys()]).toEqual(['doc.md_chunk_1']);
+  });
+
+  test('a removed or missing checkpoint loads as null', async () => {
+    await indexCheckpoint.start('docs-3', { sourcePath: '/docs', options: {} });
+    await indexCheckpoint.remove('docs-3');
+    
+    expect(await indexCheckpoint.load('docs-3')).toBeNull();
+    expect(await indexCheckpoint.load('never-started')).toBeNull();
+  });
+});
+
+describe('AppController.resumeIndex', () => {
+  let appController;
+
+  beforeEach(async () => {
+    useFakeProvider({ 'indexing.concurrency': 1 });
+    await fs.remove(path.join(process.cwd(), 'docs'));
+    await writeFiles({
+      'docs/refunds.md': 'Refunds are issued within 14 days.\n',
+      'docs/shipping.md': 'Shipping is free for orders over 50 dollars.\n',
+      'docs/returns.md': 'Returns need the original receipt.\n'
+    });
+    
+    appController = new AppController();
+    appController._shouldCreateFullIndex = async () => true;
+  });
+
+  test('a build with failed chunks keeps its checkpoint and resume enriches only those chunks', async () => {
+    FakeProvider.respond = (request, text) => {
+      if (text.includes('Shipping')) {
+        throw new Error('quota exceeded');
+      }
+      return FakeProvider.defaultResponse(request, text);
+    };
+    const indexId = await appController.createIndex('docs', { name: 'Docs' });
+    
+    expect((await appController.indexCheckpoint.load(indexId)).chunks.size).toBe(2);
+    
+    FakeProvider.reset();
+    await appController.resumeIndex(indexId);
+    const index = await appController.indexManager.loadIndex(indexId);
+    
+    expect(FakeProvider.requests).toHaveLength(1);
+    expect(FakeProvider.promptText(FakeProvider.requests[0])).toContain('Shipping');
+    expect(index.chunks['shipping.md_chunk_1'].summary).toBe('Summary');
+    expect(await appController.indexCheckpoint.load(indexId)).toBeNull();
+  });
+
+  test('an interrupted build resumes from the chunks it saved, and changed chunks are enriched again', async () => {
+    const chunks = await appController.fileProcessor.processPath(path.join(process.cwd(), 'docs'));
+    const byId = new Map(chunks.map(chunk => [chunk.id, chunk]));
+    await appController.indexCheckpoint.start('docs-crashed', { sourcePath: path.join(process.cwd(), 'docs'), options: { name: 'Docs' } });
+    await appController.indexCheckpoint.append('docs-crashed', { ...byId.get('refunds.md_chunk_1'), summary: 'Saved', keywords: [] });
+    await appController.indexCheckpoint.append('docs-crashed', { ...byId.get('returns.md_chunk_1'), content: 'Older text', summary: 'Stale', keywords: [] });
+    
+    await appController.resumeIndex('docs-crashed');
+    const index = await appController.indexManager.loadIndex('docs-crashed');
+    
+    expect(FakeProvider.requests).toHaveLength(2);
+    expect(index.name).toBe('Docs');
+    expect(index.chunks['refunds.md_chunk_1'].summary).toBe('Saved');
+    expect(index.chunks['returns.md_chunk_1'].summary).toBe('Summary');
+  });
+
+  test('resuming without a checkpoint fails', async () => {
+    await expect(appController.resumeIndex('missing')).rejects.toThrow('No checkpoint found for index missing');
+  });
+});
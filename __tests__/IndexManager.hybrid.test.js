@@ -0,0 +1,83 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const { useFakeProvider, writeFiles, FakeProvider } = require('./helpers/setup');
+const AppController = require('../src/controllers/AppController');
+
+const isRerankPrompt = text => text.includes('return a JSON array containing ONLY the IDs');
+
+describe('hybrid retrieval', () => {
+  let indexManager;
+  let index;
+
+  beforeAll(async () => {
+    useFakeProvider();
+    await fs.remove(path.join(process.cwd(), 'docs'));
+    await writeFiles({
+      'docs/refunds.md': 'Refunds are issued within 14 days of the return.\n',
+      'docs/shipping.md': 'Shipping is free for orders over 50 dollars.\n',
+      'docs/returns.md': 'Returns need the original receipt. Refunds for returns go to the original card.\n'
+    });
+    
+    const appController = new AppController();
+    appController._shouldCreateFullIndex = async () => true;
+    indexManager = appController.indexManager;
+    index = await indexManager.loadIndex(await appController.createIndex('docs', { name: 'Docs' }));
+  });
+
+  beforeEach(() => {
+    useFakeProvider({
+      'query.retrievalStrategy': 'hybrid',
+      'query.hybrid.rerank': { enabled: true, topK: 10 }
+    });
+  });
+
+  test('reciprocal rank fusion favours chunks that rank well in both lists', () => {
+    const fused = indexManager._reciprocalRankFusion({
+      lexical: [{ id: 'a', score: 3 }, { id: 'b', score: 2 }, { id: 'c', score: 1 }],
+      vector: [{ id: 'b', score: 0.9 }, { id: 'd', score: 0.8 }]
+    }, 60);
+    
+    expect(fused.map(result => result.id)).toEqual(['b', 'a', 'd', 'c']);
+    expect(fused[0].retrieval).toEqual({
+      fusion: { score: 1 / 62 + 1 / 61, rank: 1 },
+      lexical: { rank: 2, score: 2 },
+      vector: { rank: 1, score: 0.9 }
+    });
+  });
+
+  test('the LLM reorders the fused shortlist and ids outside it are ignored', async () => {
+    FakeProvider.respond = (request, text) => isRerankPrompt(text)
+      ? { text: '["shipping.md_chunk_1", "refunds.md_chunk_1", "unknown_chunk"]', usage: { input_tokens: 100, output_tokens: 10 } }
+      : FakeProvider.defaultResponse(request, text);
+    
+    const chunks = await indexManager.findRelevantChunks(index, 'How long do refunds take?');
+    
+    expect(chunks.map(chunk => chunk.id)).toEqual(['shipping.md_chunk_1', 'refunds.md_chunk_1']);
+    expect(chunks[1].retrieval.rerank).toEqual({ rank: 2 });
+    expect(chunks[1].retrieval.lexical.rank).toBe(1);
+    expect(chunks[1].content).toContain('14 days');
+  });
+
+  test('the fused order is kept when the reranker selects nothing', async () => {
+    FakeProvider.respond = (request, text) => isRerankPrompt(text)
+      ? { text: 'none of them', usage: { input_tokens: 100, output_tokens: 10 } }
+      : FakeProvider.defaultResponse(request, text);
+    
+    const chunks = await indexManager.findRelevantChunks(index, 'How long do refunds take?');
+    
+    expect(chunks[0].id).toBe('refunds.md_chunk_1');
+    expect(chunks[0].retrieval.rerank).toBeUndefined();
+    expect(chunks[0].retrieval.fusion.rank).toBe(1);
+  });
+
+  test('without reranking no API call is made', async () => {
+    useFakeProvider({ 'query.retrievalStrategy': 'hybrid', 'query.hybrid.rerank': { enabled: false } });
+    
+    const chunks = await indexManager.findRelevantChunks(index, 'free shipping');
+    
+    expect(chunks[0].id).toBe('shipping.md_chunk_1');
+    expect(FakeProvider.requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const usageTracker = require('../src/utils/UsageTracker');
+const { useFakeProvider, FakeProvider } = require('./helpers/setup');
+const IterativeAnswerer = require('../src/services/IterativeAnswerer');
+
+// כל קריאה לספק המדומה עולה $0.00012 (100 טוקני קלט ו-10 טוקני פלט של Haiku) - התקרה נחצית בקריאה השנייה
+const MAX_COST_USD = 0.0002;
+
+const chunks = count => Array.from({ length: count }, (_, i) => ({
+  id: `doc.md_chunk_${i + 1}`,
+  content: `Section ${i + 1} content.`,
+  relevanceScore: i
+}));
+
+/**
+ * הרצה בהקשר שימוש עם תקרת הוצאה, ואיסוף אירועי 'budget'
+ * @param {Function} fn - async (events) => תוצאה
+ * @returns {Promise<Object>} - { result, budgetEvents }
+ */
+async function withBudget(fn) {
+  const events = new EventEmitter();
+  const budgetEvents = [];
+  events.on('budget', data => budgetEvents.push(data));
+  
+  const result = await usageTracker.run({ operation: 'query', maxCostUsd: MAX_COST_USD }, () => fn(events));
+  return { result, budgetEvents };
+}
+
+const finalizeRequests = () => FakeProvider.requests.filter(request => JSON.stringify(request.system || '').includes('final, polished answer'));
+
+describe('IterativeAnswerer spending limit', () => {
+  let answerer;
+
+  beforeEach(() => {
+    useFakeProvider({ 'answer.mapReduce.concurrency': 1 });
+    FakeProvider.respond = (request, text) => {
+      const section = text.match(/SECTION CONTENT:\n(Section \d+ content)/);
+      return { text: section ? `Findings from ${section[1]}` : 'Fake answer', usage: { input_tokens: 100, output_tokens: 10 } };
+    };
+    answerer = new IterativeAnswerer();
+  });
+
+  test('refine skips the final summary when the last chunk reached the limit', async () => {
+    const { result, budgetEvents } = await withBudget(events =>
+      answerer.generateAnswer('Question?', chunks(2), '', { strategy: 'refine', events }));
+    
+    expect(result).toBe('Findings from Section 2 content');
+    expect(budgetEvents).toEqual([{ processed: 2, total: 2 }]);
+    expect(finalizeRequests()).toHaveLength(0);
+  });
+
+  test('refine stops reading chunks once the limit is reached', async () => {
+    const { result, budgetEvents } = await withBudget(events =>
+      answerer.generateAnswer('Question?', chunks(3), '', { strategy: 'refine', events }));
+    
+    expect(result).toBe('Findings from Section 2 content');
+    expect(budgetEvents).toEqual([{ processed: 2, total: 3 }]);
+    expect(FakeProvider.requests).toHaveLength(2);
+  });
+
+  test('map-reduce returns the findings so far instead of running the reduce step', async () => {
+    const { result, budgetEvents } = await withBudget(events =>
+      answerer.generateAnswer('Question?', chunks(3), '', { strategy: 'map-reduce', events }));
+    
+    expect(result).toBe('Findings from Section 1 content\n\nFindings from Section 2 content');
+    expect(budgetEvents).toEqual([{ processed: 2, total: 3 }]);
+    expect(finalizeRequests()).toHaveLength(0);
+  });
+
+  test('the single-shot answer reports the limit instead of throwing', async () => {
+    const { result, budgetEvents } = await withBudget(async events => {
+      await usageTracker.record({ model: 'claude-3-5-haiku-20241022', usage: { input_tokens: 1000, output_tokens: 100 } });
+      return answerer.generateSingleShotAnswer('All sections', { events, chunkCount: 3 });
+    });
+    
+    expect(result).toMatch(/spending limit was reached/);
+    expect(budgetEvents).toEqual([{ processed: 0, total: 3 }]);
+    expect(FakeProvider.requests).toHaveLength(0);
+  });
+});
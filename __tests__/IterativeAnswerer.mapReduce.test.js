@@ -0,0 +1,85 @@
+'use strict';
+
+const { useFakeProvider, FakeProvider } = require('./helpers/setup');
+const IterativeAnswerer = require('../src/services/IterativeAnswerer');
+
+const USAGE = { input_tokens: 100, output_tokens: 10 };
+
+const chunks = contents => contents.map((content, i) => ({
+  id: `doc.md_chunk_${i + 1}`,
+  content,
+  // הקטע האחרון הוא הרלוונטי ביותר
+  relevanceScore: contents.length - i
+}));
+
+const isReducePrompt = text => text.includes('Merge these findings');
+
+describe('IterativeAnswerer map-reduce', () => {
+  let answerer;
+
+  beforeEach(() => {
+    useFakeProvider({ 'answer.mapReduce.concurrency': 2 });
+    answerer = new IterativeAnswerer();
+  });
+
+  test('chunks are read in parallel up to the configured concurrency', async () => {
+    let active = 0;
+    let maxActive = 0;
+    FakeProvider.respond = async (request, text) => {
+      if (isReducePrompt(text)) {
+        return { text: 'Merged', usage: USAGE };
+      }
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      active--;
+      return { text: '- a fact', usage: USAGE };
+    };
+    
+    const answer = await answerer.generateAnswer('Question?', chunks(['A.', 'B.', 'C.', 'D.', 'E.']), '', { strategy: 'map-reduce' });
+    
+    expect(answer).toBe('Merged');
+    expect(maxActive).toBe(2);
+    expect(FakeProvider.requests).toHaveLength(6);
+  });
+
+  test('the reduce step gets the findings in relevance order without the empty ones', async () => {
+    FakeProvider.respond = async (request, text) => {
+      if (isReducePrompt(text)) {
+        return { text: 'Merged', usage: USAGE };
+      }
+      const section = text.match(/SECTION CONTENT:\n(\w+)/)[1];
+      return { text: section === 'Shipping' ? 'NO_RELEVANT_INFORMATION' : `- ${section} fact`, usage: USAGE };
+    };
+    
+    await answerer.generateAnswer('Question?', chunks(['Refunds', 'Shipping', 'Returns']), '', { strategy: 'map-reduce' });
+    const reducePrompt = FakeProvider.promptText(FakeProvider.requests[FakeProvider.requests.length - 1]);
+    
+    expect(reducePrompt).toContain('extracted independently from 2 sections');
+    expect(reducePrompt.indexOf('- Returns fact')).toBeLessThan(reducePrompt.indexOf('- Refunds fact'));
+    expect(reducePrompt).not.toContain('NO_RELEVANT_INFORMATION');
+  });
+
+  test('no reduce call is made when no chunk has relevant findings', async () => {
+    FakeProvider.respond = async () => ({ text: 'NO_RELEVANT_INFORMATION', usage: USAGE });
+    
+    const answer = await answerer.generateAnswer('Question?', chunks(['A.', 'B.']), '', { strategy: 'map-reduce' });
+    
+    expect(answer).toBe("I don't have information about that in the provided content.");
+    expect(FakeProvider.requests).toHaveLength(2);
+  });
+
+  test('answer.strategy selects map-reduce when the query does not', async () => {
+    useFakeProvider({ 'answer.strategy': 'map-reduce' });
+    answerer = new IterativeAnswerer();
+    
+    await answerer.generateAnswer('Question?', chunks(['A.', 'B.']), '');
+    
+    expect(FakeProvider.promptText(FakeProvider.requests[0])).toContain('List every fact in this section');
+  });
+
+  test('an unknown strategy is rejected', async () => {
+    await expect(answerer.generateAnswer('Question?', chunks(['A.']), '', { strategy: 'scatter' }))
+      .rejects.toThrow('Unknown answer strategy: scatter');
+  });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { useFakeProvider, FakeProvider } = require('./helpers/setup');
+const IterativeAnswerer = require('../src/services/IterativeAnswerer');
+
+const chunks = count => Array.from({ length: count }, (_, i) => ({
+  id: `doc.md_chunk_${i + 1}`,
+  content: `Section ${i + 1} content.`,
+  relevanceScore: i
+}));
+
+/**
+ * איסוף כל האירועים שנשלחו, לפי הסדר
+ * @returns {Object} - { events, log }
+ */
+function recordEvents() {
+  const events = new EventEmitter();
+  const log = [];
+  for (const name of ['chunk:start', 'chunk:done', 'answer:start', 'token', 'done']) {
+    events.on(name, data => log.push({ name, ...data }));
+  }
+  return { events, log };
+}
+
+describe('IterativeAnswerer streaming', () => {
+  let answerer;
+  let stream;
+
+  beforeEach(() => {
+    useFakeProvider();
+    FakeProvider.respond = (request, text) => ({
+      text: text.includes('final, refined version') ? 'Final answer' : `Pass ${FakeProvider.requests.length}`,
+      usage: { input_tokens: 100, output_tokens: 10 }
+    });
+    answerer = new IterativeAnswerer();
+    stream = jest.spyOn(answerer.claudeClient.provider, 'stream');
+  });
+
+  test('chunk passes report progress and only the final summary is streamed', async () => {
+    const { events, log } = recordEvents();
+    
+    const answer = await answerer.generateAnswer('Question?', chunks(2), '', { strategy: 'refine', events });
+    
+    expect(answer).toBe('Final answer');
+    expect(log.map(event => event.name)).toEqual(['chunk:start', 'chunk:done', 'chunk:start', 'chunk:done', 'answer:start', 'token', 'done']);
+    expect(log[3]).toMatchObject({ index: 1, total: 2, chunkId: 'doc.md_chunk_2', answerLength: 'Pass 2'.length });
+    expect(log.filter(event => event.name === 'token').map(event => event.text).join('')).toBe('Final answer');
+    expect(stream).toHaveBeenCalledTimes(1);
+  });
+
+  test('with a single chunk the chunk pass itself is streamed', async () => {
+    const { events, log } = recordEvents();
+    
+    await answerer.generateAnswer('Question?', chunks(1), '', { strategy: 'refine', events });
+    
+    expect(log.map(event => event.name)).toEqual(['chunk:start', 'answer:start', 'token', 'chunk:done', 'done']);
+    expect(FakeProvider.requests).toHaveLength(1);
+  });
+
+  test('without an event listener nothing is streamed', async () => {
+    expect(await answerer.generateAnswer('Question?', chunks(2), '', { strategy: 'refine' })).toBe('Final answer');
+    expect(stream).not.toHaveBeenCalled();
+  });
+
+  test('a stream that fails after text arrived is not retried', async () => {
+    const provider = answerer.claudeClient.provider;
+    provider.isRetryable = () => true;
+    stream.mockImplementation(async (request, onText) => {
+      onText('Partial');
+      throw new Error('connection reset');
+    });
+    const tokens = [];
+    
+    await expect(answerer.claudeClient.streamPrompt('Question?', { onText: text => tokens.push(text) }))
+      .rejects.toThrow('connection reset');
+    expect(stream).toHaveBeenCalledTimes(1);
+    expect(tokens).toEqual(['Partial']);
+  });
+});
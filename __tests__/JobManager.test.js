@@ -0,0 +1,154 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { useFakeProvider, writeFiles } = require('./helpers/setup');
+const JobManager = require('../src/server/JobManager');
+const { forwardEvents } = require('../src/utils/EventForwarder');
+const AppController = require('../src/controllers/AppController');
+const CLIManager = require('../src/cli/CLIManager');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * המתנה לסיום משימה
+ * @param {JobManager} jobManager - מנהל המשימות
+ * @param {string} jobId - מזהה המשימה
+ * @returns {Promise<Object>} - המשימה במצב הסופי
+ */
+async function waitForJob(jobManager, jobId) {
+  let job = jobManager.getJob(jobId);
+  while (job.status === 'queued' || job.status === 'running') {
+    await delay(1);
+    job = jobManager.getJob(jobId);
+  }
+  return job;
+}
+
+describe('JobManager', () => {
+  test('jobs run one at a time in the order they were submitted', async () => {
+    const jobManager = new JobManager();
+    const order = [];
+    const run = name => async () => {
+      order.push(`${name} start`);
+      await delay(10);
+      order.push(`${name} end`);
+      return name;
+    };
+    
+    const first = jobManager.submit('index', { path: 'a' }, run('a'));
+    const second = jobManager.submit('index', { path: 'b' }, run('b'));
+    
+    expect(first.status).toBe('queued');
+    expect(await waitForJob(jobManager, second.id)).toMatchObject({ status: 'succeeded', result: 'b', params: { path: 'b' } });
+    expect(order).toEqual(['a start', 'a end', 'b start', 'b end']);
+  });
+
+  test('a failed job records its error and the next job still runs', async () => {
+    const jobManager = new JobManager();
+    
+    const failed = jobManager.submit('resume', {}, async () => { throw new Error('No checkpoint found'); });
+    const next = jobManager.submit('index', {}, async () => 'docs');
+    
+    expect(await waitForJob(jobManager, failed.id)).toMatchObject({ status: 'failed', error: 'No checkpoint found', result: null });
+    expect((await waitForJob(jobManager, next.id)).status).toBe('succeeded');
+    expect(jobManager.getJob(next.id).finishedAt).not.toBeNull();
+  });
+
+  test('jobs are listed newest first and returned as copies', () => {
+    const jobManager = new JobManager();
+    const first = jobManager.submit('index', {}, async () => null);
+    const second = jobManager.submit('index', {}, async () => null);
+    
+    jobManager.getJob(first.id).status = 'changed';
+    
+    expect(jobManager.listJobs().map(job => job.id)).toEqual([second.id, first.id]);
+    expect(jobManager.getJob(first.id).status).not.toBe('changed');
+    expect(jobManager.getJob('missing')).toBeNull();
+  });
+});
+
+describe('forwardEvents', () => {
+  test('every event reaches the target and the regular listeners', () => {
+    const events = new EventEmitter();
+    const forwarded = [];
+    const listener = jest.fn();
+    events.on('token', listener);
+    
+    const stop = forwardEvents(events, (name, data) => forwarded.push([name, data]));
+    events.emit('token', { text: 'Hi' });
+    events.emit('wait', { ms: 100, reason: 'rate-limit' });
+    stop();
+    events.emit('done', { answer: 'Hi' });
+    
+    expect(forwarded).toEqual([['token', { text: 'Hi' }], ['wait', { ms: 100, reason: 'rate-limit' }]]);
+    expect(listener).toHaveBeenCalledWith({ text: 'Hi' });
+  });
+
+  test('a failing target does not break the operation that emits', () => {
+    const events = new EventEmitter();
+    const listener = jest.fn();
+    events.on('token', listener);
+    forwardEvents(events, () => { throw new Error('client disconnected'); });
+    
+    expect(() => events.emit('token', { text: 'Hi' })).not.toThrow();
+    expect(listener).toHaveBeenCalled();
+  });
+});
+
+describe('question progress events', () => {
+  let appController;
+  let indexId;
+
+  beforeAll(async () => {
+    useFakeProvider({ 'query.retrievalStrategy': 'keyword' });
+    await fs.remove(path.join(process.cwd(), 'docs'));
+    await writeFiles({ 'docs/refunds.md': '# Refunds\n\nRefunds are issued within 14 days.\n' });
+    
+    appController = new AppController();
+    appController._shouldCreateFullIndex = async () => true;
+    indexId = await appController.createIndex('docs', { name: 'Refunds' });
+  });
+
+  beforeEach(() => {
+    useFakeProvider({ 'query.retrievalStrategy': 'keyword' });
+  });
+
+  test('answerQuestion reports each stage as an event instead of printing it', async () => {
+    const events = new EventEmitter();
+    const names = [];
+    forwardEvents(events, name => names.push(name));
+    const log = jest.spyOn(console, 'log');
+    
+    await appController.answerQuestion(indexId, 'How are refunds handled?', null, { strategy: 'stuff', events });
+    
+    expect(names).toEqual(['conversation', 'retrieval:start', 'retrieval:stage', 'retrieval:done', 'strategy', 'answer:start', 'token', 'done']);
+    expect(log).not.toHaveBeenCalled();
+    log.mockRestore();
+  });
+
+  test('--json-events writes one JSON line per event and ends with the result', async () => {
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    
+    await new CLIManager(appController)._processQuestionAsJsonEvents(indexId, 'How are refunds handled?', null, { strategy: 'stuff' });
+    const lines = write.mock.calls.map(([line]) => JSON.parse(line));
+    write.mockRestore();
+    
+    expect(lines[0]).toMatchObject({ event: 'conversation', data: { isNew: true } });
+    expect(lines.find(line => line.event === 'token').data).toEqual({ text: 'Fake answer' });
+    expect(lines[lines.length - 1]).toMatchObject({ event: 'result', data: { answer: 'Fake answer', strategy: 'stuff' } });
+  });
+
+  test('--json-events reports a failure as an error line', async () => {
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    
+    await new CLIManager(appController)._processQuestionAsJsonEvents('missing-index', 'Anything?');
+    const lines = write.mock.calls.map(([line]) => JSON.parse(line));
+    write.mockRestore();
+    process.exitCode = undefined;
+    
+    expect(lines[lines.length - 1].event).toBe('error');
+    expect(lines[lines.length - 1].data.message).toMatch(/missing-index/);
+  });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const LexicalIndex = require('../src/services/LexicalIndex');
+
+const chunks = [
+  { id: 'refunds.md_chunk_1', headingPath: 'Policies > Refunds', content: 'Refunds are issued within 14 days of the return.' },
+  { id: 'shipping.md_chunk_1', headingPath: 'Policies > Shipping', content: 'Shipping is free for orders over 50 dollars. Shipping takes 3 days.' },
+  { id: 'faq.md_chunk_1', content: 'Orders can be cancelled before shipping.' },
+  { id: 'client.js_chunk_1', symbolName: 'parseSummaryResponse', content: 'function body' }
+];
+
+describe('LexicalIndex', () => {
+  let lexicalIndex;
+
+  beforeEach(async () => {
+    lexicalIndex = new LexicalIndex();
+    await lexicalIndex.build('policies', chunks);
+  });
+
+  test('stemming matches other forms of a query term', async () => {
+    const store = await lexicalIndex.load('policies');
+    
+    expect(lexicalIndex.search(store, 'refunding', 5).map(result => result.id)).toEqual(['refunds.md_chunk_1']);
+  });
+
+  test('a rare term outweighs a term that appears in many chunks', async () => {
+    const store = await lexicalIndex.load('policies');
+    const results = lexicalIndex.search(store, 'cancelled shipping', 5);
+    
+    expect(results[0].id).toBe('faq.md_chunk_1');
+    expect(results.map(result => result.id)).toContain('shipping.md_chunk_1');
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  test('heading paths and split symbol names are searchable', async () => {
+    const store = await lexicalIndex.load('policies');
+    
+    expect(lexicalIndex.search(store, 'policies', 5)).toHaveLength(2);
+    expect(lexicalIndex.search(store, 'summary response', 5).map(result => result.id)).toEqual(['client.js_chunk_1']);
+  });
+
+  test('terms that exist on Object.prototype do not break the search', async () => {
+    const store = await lexicalIndex.load('policies');
+    
+    expect(lexicalIndex.search(store, 'constructor toString', 5)).toEqual([]);
+  });
+
+  test('update removes the postings of replaced chunks and adds the new ones', async () => {
+    await lexicalIndex.update('policies', ['refunds.md_chunk_1'], [
+      { id: 'refunds.md_chunk_1', content: 'Store credit is offered instead of money back.' }
+    ]);
+    const store = await lexicalIndex.load('policies');
+    
+    expect(lexicalIndex.search(store, 'refund', 5)).toEqual([]);
+    expect(lexicalIndex.search(store, 'credit', 5).map(result => result.id)).toEqual(['refunds.md_chunk_1']);
+    expect(Object.keys(store.docLengths)).toHaveLength(chunks.length);
+  });
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+const http = require('http');
+const configManager = require('../src/utils/ConfigManager');
+const { withCachedPrefix } = require('../src/utils/PromptBlocks');
+const OpenAICompatibleProvider = require('../src/services/providers/OpenAICompatibleProvider');
+const ClaudeClient = require('../src/services/ClaudeClient');
+
+describe('OpenAI-compatible provider against a mock server', () => {
+  let server;
+  let baseUrl;
+  let api;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', data => { body += data; });
+      req.on('end', () => {
+        api.requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        
+        if (req.url !== '/v1/chat/completions') {
+          res.writeHead(404);
+          res.end('not found');
+        } else if (api.failures > 0) {
+          api.failures--;
+          res.writeHead(503, { 'retry-after-ms': '1' });
+          res.end('model is loading');
+        } else if (JSON.parse(body).stream) {
+          // אירוע אחד מפוצל בין שתי כתיבות, כמו בהזרמה אמיתית
+          res.writeHead(200, { 'content-type': 'text/event-stream' });
+          res.write('data: {"choices":[{"delta":{"content":"Refunds take "}}]}\n\ndata: {"choices":[{"del');
+          res.write('ta":{"content":"14 days."}}]}\n\n');
+          res.write('data: {"choices":[],"usage":{"prompt_tokens":40,"completion_tokens":6}}\n\n');
+          res.end('data: [DONE]\n\n');
+        } else {
+          res.writeHead(200, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({
+            choices: [{ message: { role: 'assistant', content: 'Refunds take 14 days.' } }],
+            usage: { prompt_tokens: 40, completion_tokens: 6 }
+          }));
+        }
+      });
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    api = { requests: [], failures: 0 };
+    configManager.set('cache.enabled', false);
+    configManager.set('llm.provider', 'openai-compatible');
+    configManager.set('llm.openaiCompatible', { baseUrl: `${baseUrl}/`, model: 'llama-3.1-8b', apiKeyEnv: 'TEST_LOCAL_LLM_KEY' });
+    configManager.set('claude.retry.baseDelayMs', 1);
+  });
+
+  test('prompts are sent as chat completions with the content blocks joined', async () => {
+    const client = new ClaudeClient();
+    
+    const answer = await client.sendPrompt(withCachedPrefix('USER QUESTION: Refunds?\n\n', 'Answer briefly.'), { system: 'Be precise.', maxTokens: 100 });
+    
+    expect(answer).toBe('Refunds take 14 days.');
+    expect(client.provider.name).toBe('openai-compatible');
+    expect(api.requests[0].body).toMatchObject({
+      model: 'llama-3.1-8b',
+      max_tokens: 100,
+      stream: false,
+      messages: [
+        { role: 'system', content: 'Be precise.' },
+        { role: 'user', content: 'USER QUESTION: Refunds?\n\nAnswer briefly.' }
+      ]
+    });
+    expect(api.requests[0].headers.authorization).toBeUndefined();
+  });
+
+  test('usage is reported with the Anthropic field names', async () => {
+    const response = await new OpenAICompatibleProvider({ baseUrl }).send({ model: 'm', messages: [{ role: 'user', content: 'Hi' }] });
+    
+    expect(response.usage).toEqual({ input_tokens: 40, output_tokens: 6 });
+  });
+
+  test('a streamed answer arrives piece by piece, including events split across reads', async () => {
+    const pieces = [];
+    
+    const answer = await new ClaudeClient().streamPrompt('Refunds?', { onText: text => pieces.push(text) });
+    
+    expect(pieces).toEqual(['Refunds take ', '14 days.']);
+    expect(answer).toBe('Refunds take 14 days.');
+    expect(api.requests[0].body.stream_options).toEqual({ include_usage: true });
+  });
+
+  test('a server error is retried and the API key is sent when its variable is set', async () => {
+    process.env.TEST_LOCAL_LLM_KEY = 'local-secret';
+    api.failures = 1;
+    
+    try {
+      expect(await new ClaudeClient().sendPrompt('Refunds?')).toBe('Refunds take 14 days.');
+    } finally {
+      delete process.env.TEST_LOCAL_LLM_KEY;
+    }
+    
+    expect(api.requests).toHaveLength(2);
+    expect(api.requests[1].headers.authorization).toBe('Bearer local-secret');
+  });
+
+  test('an unreachable server is reported as a retryable connection error', async () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'http://127.0.0.1:1/v1' });
+    
+    const error = await provider.send({ model: 'm', messages: [{ role: 'user', content: 'Hi' }] }).catch(e => e);
+    
+    expect(error.message).toMatch(/^Connection to http:\/\/127\.0\.0\.1:1\/v1 failed/);
+    expect(provider.isRetryable(error)).toBe(true);
+    expect(provider.isRetryable({ status: 400 })).toBe(false);
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const { useFakeProvider, writeFiles, FakeProvider } = require('./helpers/setup');
+const { withCachedPrefix, toPlainText, withoutCacheControl } = require('../src/utils/PromptBlocks');
+const logger = require('../src/utils/Logger');
+const ClaudeClient = require('../src/services/ClaudeClient');
+const IterativeAnswerer = require('../src/services/IterativeAnswerer');
+const AppController = require('../src/controllers/AppController');
+
+const cachedPrefix = request => request.messages[0].content[0];
+
+describe('PromptBlocks', () => {
+  test('only the stable prefix carries a cache breakpoint', () => {
+    expect(withCachedPrefix('Overview\n', 'Question')).toEqual([
+      { type: 'text', text: 'Overview\n', cache_control: { type: 'ephemeral' } },
+      { type: 'text', text: 'Question' }
+    ]);
+  });
+
+  test('plain text joins the blocks and leaves strings as they are', () => {
+    expect(toPlainText(withCachedPrefix('Overview\n', 'Question'))).toBe('Overview\nQuestion');
+    expect(toPlainText('Question')).toBe('Question');
+    expect(toPlainText(undefined)).toBe('');
+  });
+
+  test('cache breakpoints can be removed', () => {
+    expect(withoutCacheControl(withCachedPrefix('Overview\n', 'Question'))).toEqual([
+      { type: 'text', text: 'Overview\n' },
+      { type: 'text', text: 'Question' }
+    ]);
+    expect(withoutCacheControl('Question')).toBe('Question');
+  });
+});
+
+describe('prompt caching', () => {
+  const chunks = [1, 2].map(i => ({ id: `doc.md_chunk_${i}`, content: `Section ${i} content.`, relevanceScore: i }));
+
+  beforeEach(() => {
+    useFakeProvider();
+  });
+
+  test('the chunk selection prompt keeps the overview and summaries in a prefix that is the same for every question', async () => {
+    await fs.remove(path.join(process.cwd(), 'docs'));
+    await writeFiles({
+      'docs/refunds.md': 'Refunds are issued within 14 days.\n',
+      'docs/shipping.md': 'Shipping is free for orders over 50 dollars.\n'
+    });
+    const appController = new AppController();
+    appController._shouldCreateFullIndex = async () => true;
+    const index = await appController.indexManager.loadIndex(await appController.createIndex('docs', { name: 'Docs' }));
+    useFakeProvider({ 'query.retrievalStrategy': 'llm' });
+    
+    await appController.indexManager.findRelevantChunks(index, 'How long do refunds take?');
+    await appController.indexManager.findRelevantChunks(index, 'Is shipping free?');
+    const [first, second] = FakeProvider.requests;
+    
+    expect(cachedPrefix(first)).toEqual(cachedPrefix(second));
+    expect(cachedPrefix(first).cache_control).toEqual({ type: 'ephemeral' });
+    expect(cachedPrefix(first).text).toContain('ID: refunds.md_chunk_1');
+    expect(cachedPrefix(first).text).not.toContain('refunds take');
+    expect(first.messages[0].content[1].text).toContain('User Question: How long do refunds take?');
+  });
+
+  test('every refine pass reuses the cached question and conversation history', async () => {
+    await new IterativeAnswerer().generateAnswer('Question?', chunks, 'User: Earlier question', { strategy: 'refine' });
+    const [firstPass, secondPass] = FakeProvider.requests;
+    
+    expect(cachedPrefix(firstPass)).toEqual(cachedPrefix(secondPass));
+    expect(cachedPrefix(firstPass).text).toBe('Previous conversation:\nUser: Earlier question\n\nUSER QUESTION: Question?\n\n');
+    expect(secondPass.messages[0].content[1].text).toContain('Section 2 content.');
+  });
+
+  test('with promptCaching disabled the same blocks are sent without breakpoints', async () => {
+    useFakeProvider({ 'claude.promptCaching.enabled': false });
+    
+    await new IterativeAnswerer().generateAnswer('Question?', chunks.slice(0, 1), '', { strategy: 'refine' });
+    
+    expect(FakeProvider.requests[0].messages[0].content.every(block => !block.cache_control)).toBe(true);
+  });
+
+  test('cache hits and misses reported by the API are logged', async () => {
+    const info = jest.spyOn(logger, 'info');
+    FakeProvider.respond = () => ({
+      text: 'Answer',
+      usage: { input_tokens: 20, output_tokens: 10, cache_read_input_tokens: 1500, cache_creation_input_tokens: 0 }
+    });
+    
+    await new ClaudeClient().sendPrompt(withCachedPrefix('Overview\n', 'Question'));
+    
+    expect(info).toHaveBeenCalledWith('Prompt cache: 1500 tokens read (hit), 0 tokens written (miss)',
+      { cacheReadTokens: 1500, cacheWriteTokens: 0, uncachedInputTokens: 20 });
+    info.mockRestore();
+  });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const configManager = require('../src/utils/ConfigManager');
+const rateLimiter = require('../src/utils/RateLimiter');
+const { useFakeProvider, FakeProvider } = require('./helpers/setup');
+const ClaudeClient = require('../src/services/ClaudeClient');
+
+const userConfigPath = path.join(process.cwd(), 'config', 'user.json');
+
+describe('legacy rate limit setting', () => {
+  afterEach(async () => {
+    await fs.remove(userConfigPath);
+  });
+
+  test('claude.tokenRatePerMinute from the user config becomes the input token limit', async () => {
+    await fs.writeJson(userConfigPath, { claude: { tokenRatePerMinute: 1234 } });
+    
+    expect(new configManager.constructor().get('claude.rateLimits.inputTokensPerMinute')).toBe(1234);
+  });
+
+  test('an explicit input token limit wins over the legacy setting', async () => {
+    await fs.writeJson(userConfigPath, { claude: { tokenRatePerMinute: 1234, rateLimits: { inputTokensPerMinute: 99 } } });
+    
+    expect(new configManager.constructor().get('claude.rateLimits.inputTokensPerMinute')).toBe(99);
+  });
+});
+
+describe('RateLimiter', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('a request over the per-minute limit waits until the bucket refills', async () => {
+    jest.useFakeTimers();
+    configManager.set('claude.rateLimits', { requestsPerMinute: 2, inputTokensPerMinute: 0, outputTokensPerMinute: 0 });
+    const limiter = new rateLimiter.constructor();
+    const waits = [];
+    
+    await limiter.acquire(0, ms => waits.push(ms));
+    await limiter.acquire(0, ms => waits.push(ms));
+    let acquired = false;
+    const third = limiter.acquire(0, ms => waits.push(ms)).then(() => { acquired = true; });
+    
+    await jest.advanceTimersByTimeAsync(29000);
+    expect(acquired).toBe(false);
+    expect(waits).toEqual([30000]);
+    
+    await jest.advanceTimersByTimeAsync(1000);
+    await third;
+    expect(acquired).toBe(true);
+  });
+});
+
+describe('ClaudeClient retries', () => {
+  beforeEach(() => {
+    useFakeProvider({ 'claude.retry': { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 10 } });
+  });
+
+  // ספק מדומה שמחזיר 429 בפעמים הראשונות
+  const failingProvider = (failures, headers = {}) => {
+    const provider = new FakeProvider();
+    provider.isRetryable = error => error.status === 429;
+    
+    FakeProvider.respond = (request, text) => {
+      if (FakeProvider.requests.length <= failures) {
+        throw Object.assign(new Error('rate limited'), { status: 429, headers });
+      }
+      return FakeProvider.defaultResponse(request, text);
+    };
+    return provider;
+  };
+
+  test('a 429 is retried after the retry-after delay the server sent', async () => {
+    const waits = [];
+    const claudeClient = new ClaudeClient({ provider: failingProvider(1, { 'retry-after-ms': '5' }) });
+    
+    const response = await claudeClient.sendPrompt('Hello', { onWait: (ms, reason) => waits.push([ms, reason]) });
+    
+    expect(response).toBe('Fake answer');
+    expect(FakeProvider.requests).toHaveLength(2);
+    expect(waits).toEqual([[5, 'retry']]);
+  });
+
+  test('the request fails once the retries are used up', async () => {
+    const claudeClient = new ClaudeClient({ provider: failingProvider(3) });
+    
+    await expect(claudeClient.sendPrompt('Hello')).rejects.toThrow('rate limited');
+    expect(FakeProvider.requests).toHaveLength(3);
+  });
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const configManager = require('../src/utils/ConfigManager');
+const ResponseCache = require('../src/services/ResponseCache');
+const CLIManager = require('../src/cli/CLIManager');
+
+const request = (overrides = {}) => ({
+  model: 'claude-3-5-haiku-20241022',
+  system: 'Be brief.',
+  temperature: 0.3,
+  max_tokens: 4000,
+  messages: [{ role: 'user', content: 'How are refunds handled?' }],
+  ...overrides
+});
+
+describe('ResponseCache', () => {
+  beforeEach(() => {
+    configManager.set('cache.enabled', true);
+  });
+
+  afterEach(() => {
+    ResponseCache.bypass(false);
+  });
+
+  test('a response cached under a lower max_tokens is not reused for a higher one', async () => {
+    const cache = new ResponseCache({ provider: 'anthropic' });
+    
+    await cache.set(request({ max_tokens: 50 }), 'Truncated');
+    
+    expect(await cache.get(request({ max_tokens: 50 }))).toBe('Truncated');
+    expect(await cache.get(request({ max_tokens: 4000 }))).toBeNull();
+  });
+
+  test('responses are keyed by provider', async () => {
+    await new ResponseCache({ provider: 'anthropic' }).set(request(), 'From Anthropic');
+    
+    expect(await new ResponseCache({ provider: 'anthropic' }).get(request())).toBe('From Anthropic');
+    expect(await new ResponseCache({ provider: 'openai' }).get(request())).toBeNull();
+  });
+
+  test('responses are keyed by the provider endpoint', async () => {
+    const llamaCpp = { provider: 'openai-compatible', endpoint: 'http://localhost:8080/v1' };
+    const ollama = { provider: 'openai-compatible', endpoint: 'http://localhost:11434/v1' };
+    await new ResponseCache(llamaCpp).set(request({ model: 'local-model' }), 'From llama.cpp');
+    
+    expect(await new ResponseCache(llamaCpp).get(request({ model: 'local-model' }))).toBe('From llama.cpp');
+    expect(await new ResponseCache(ollama).get(request({ model: 'local-model' }))).toBeNull();
+  });
+
+  test('bypass skips reads and writes in every instance without changing the configuration', async () => {
+    const cache = new ResponseCache({ provider: 'anthropic' });
+    await cache.set(request(), 'Cached');
+    
+    ResponseCache.bypass();
+    await cache.set(request({ temperature: 0 }), 'Not cached');
+    
+    expect(await new ResponseCache({ provider: 'anthropic' }).get(request())).toBeNull();
+    expect(configManager.get('cache.enabled')).toBe(true);
+    
+    ResponseCache.bypass(false);
+    expect(await cache.get(request())).toBe('Cached');
+    expect(await cache.get(request({ temperature: 0 }))).toBeNull();
+  });
+
+  test('--no-cache bypasses the cache for the run instead of setting cache.enabled', async () => {
+    const cli = new CLIManager({});
+    
+    await cli.start(['node', 'cli', '--no-cache', 'config', '--view']);
+    
+    expect(new ResponseCache().isEnabled()).toBe(false);
+    expect(configManager.get('cache.enabled')).toBe(true);
+  });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const configManager = require('../src/utils/ConfigManager');
+const TextSegmenter = require('../src/services/TextSegmenter');
+const FileProcessor = require('../src/services/FileProcessor');
+
+const GUIDE = '# Guide\n\nIntro paragraph about the guide and what it covers in detail.\n\n' +
+  '## Install\n\n```sh\nnpm install --save context-extender\n\nnpm test -- --runInBand\n```\n\n' +
+  '## Usage\n\nRun the index command on a folder of documents to build an index.\n';
+
+describe('TextSegmenter', () => {
+  const segmenter = new TextSegmenter();
+  const texts = (content, ext) => segmenter.segment(content, ext).map(segment => ({
+    type: segment.type,
+    headingPath: segment.headingPath,
+    text: content.slice(segment.start, segment.end)
+  }));
+
+  test('markdown is split on headings and paragraphs, keeping fenced code whole', () => {
+    const content = '# Guide\n\nIntro.\n\n## Install\n\n```sh\nnpm install\n\nnpm test\n```\n\nAfter code.\n';
+    
+    expect(texts(content, '.md')).toEqual([
+      { type: 'heading', headingPath: ['Guide'], text: '# Guide\n' },
+      { type: 'paragraph', headingPath: ['Guide'], text: 'Intro.\n' },
+      { type: 'heading', headingPath: ['Guide', 'Install'], text: '## Install\n' },
+      { type: 'code', headingPath: ['Guide', 'Install'], text: '```sh\nnpm install\n\nnpm test\n```\n' },
+      { type: 'paragraph', headingPath: ['Guide', 'Install'], text: 'After code.\n' }
+    ]);
+  });
+
+  test('a heading closes the deeper headings before it', () => {
+    const content = '# A\n\n## B\n\n### C\n\n## D\n\nText.\n';
+    
+    expect(texts(content, '.md').pop().headingPath).toEqual(['A', 'D']);
+  });
+
+  test('html tables are kept as one unit under the current heading', () => {
+    const content = '<h1>Title</h1><p>One</p><table><tr><td>a</td></tr><tr><td>b</td></tr></table>';
+    
+    expect(texts(content, '.html')).toEqual([
+      { type: 'heading', headingPath: ['Title'], text: '<h1>Title</h1>' },
+      { type: 'paragraph', headingPath: ['Title'], text: '<p>One</p>' },
+      { type: 'code', headingPath: ['Title'], text: '<table><tr><td>a</td></tr><tr><td>b</td></tr></table>' }
+    ]);
+  });
+});
+
+describe('FileProcessor structure-aware chunking', () => {
+  beforeEach(() => {
+    // קטע של 40 טוקנים
+    configManager.set('claude.maxTokens', 100);
+    configManager.set('chunking.preserveParagraphs', true);
+  });
+
+  test('chunks end on section boundaries and carry their heading path', () => {
+    const chunks = new FileProcessor().splitIntoChunks(GUIDE, '/docs/guide.md');
+    
+    expect(chunks.map(chunk => chunk.headingPath)).toEqual(['Guide', 'Guide > Install', 'Guide > Usage']);
+    expect(chunks[1].content).toBe('## Install\n\n```sh\nnpm install --save context-extender\n\nnpm test -- --runInBand\n```\n');
+  });
+
+  test('chunk offsets point at their text in the source', () => {
+    for (const chunk of new FileProcessor().splitIntoChunks(GUIDE, '/docs/guide.md')) {
+      expect(GUIDE.substring(chunk.startPosition, chunk.endPosition + 1)).toBe(chunk.content);
+    }
+  });
+
+  test('every chunker builds its ids from the given prefix', () => {
+    const fileProcessor = new FileProcessor();
+    const ids = (content, filePath) => fileProcessor.splitIntoChunks(content, filePath, {}, 'a/b/file').map(chunk => chunk.id);
+    
+    expect(ids(GUIDE, '/docs/guide.md')).toEqual(['a/b/file_chunk_1', 'a/b/file_chunk_2', 'a/b/file_chunk_3']);
+    expect(ids('function add(a, b) {\n  return a + b;\n}\n', '/src/add.js')).toEqual(['a/b/file_chunk_1']);
+    
+    configManager.set('chunking.preserveParagraphs', false);
+    expect(ids(GUIDE, '/docs/guide.md')[0]).toBe('a/b/file_chunk_1');
+  });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const configManager = require('../src/utils/ConfigManager');
+const tokenCounter = require('../src/utils/TokenCounter');
+const FileProcessor = require('../src/services/FileProcessor');
+
+const sentences = (make) => Array.from({ length: 30 }, (_, i) => make(i)).join(' ') + '\n';
+const HEBREW = sentences(i => `משפט מספר ${i} בעברית`);
+const ENGLISH = sentences(i => `sentence number ${i} in English`);
+
+describe('TokenCounter', () => {
+  test('each script is counted with its own characters-per-token ratio', () => {
+    expect(tokenCounter.countTokens('abcdefgh')).toBe(2);
+    expect(tokenCounter.countTokens('אבגדהוזח')).toBe(4);
+    expect(tokenCounter.countTokens('日本語')).toBe(3);
+    expect(tokenCounter.countTokens('')).toBe(0);
+  });
+
+  test('the ratios can be calibrated in the configuration', () => {
+    configManager.set('tokenizer.charsPerToken', { hebrew: 4 });
+    
+    expect(tokenCounter.countTokens('אבגדהוזח')).toBe(2);
+    expect(tokenCounter.countTokens('abcdefgh')).toBe(2);
+    
+    configManager.set('tokenizer.charsPerToken', {});
+  });
+
+  test('charsWithinTokens never goes over the budget', () => {
+    for (const text of [HEBREW, ENGLISH]) {
+      for (const budget of [1, 7, 40]) {
+        const chars = tokenCounter.charsWithinTokens(text, budget);
+        
+        expect(chars).toBeGreaterThan(0);
+        expect(tokenCounter.countTokens(text.slice(0, chars))).toBeLessThanOrEqual(budget);
+      }
+    }
+    expect(tokenCounter.charsWithinTokens(ENGLISH, 10000)).toBe(ENGLISH.length);
+  });
+});
+
+describe('FileProcessor token-based chunk sizes', () => {
+  beforeEach(() => {
+    // קטע של 40 טוקנים
+    configManager.set('claude.maxTokens', 100);
+  });
+
+  test('chunks stay within the token budget whatever the script', () => {
+    const fileProcessor = new FileProcessor();
+    const hebrewChunks = fileProcessor.splitIntoChunks(HEBREW, '/docs/he.txt');
+    const englishChunks = fileProcessor.splitIntoChunks(ENGLISH, '/docs/en.txt');
+    
+    for (const chunk of [...hebrewChunks, ...englishChunks]) {
+      expect(tokenCounter.countTokens(chunk.content)).toBeLessThanOrEqual(40);
+    }
+    
+    // עברית צפופה יותר בטוקנים - פחות תווים בכל קטע
+    expect(hebrewChunks[0].content.length).toBeLessThan(englishChunks[0].content.length);
+  });
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const usageTracker = require('../src/utils/UsageTracker');
+const { useFakeProvider, writeFiles, FakeProvider } = require('./helpers/setup');
+const AppController = require('../src/controllers/AppController');
+
+const HAIKU = 'claude-3-5-haiku-20241022';
+const tokens = { inputTokens: 1000000, outputTokens: 100000, cacheWriteTokens: 0, cacheReadTokens: 0 };
+
+describe('UsageTracker', () => {
+  test('cost follows the price table, including cache tokens and the batch discount', () => {
+    expect(usageTracker.costFor(HAIKU, tokens)).toBeCloseTo(1.2);
+    expect(usageTracker.costFor(HAIKU, { inputTokens: 0, outputTokens: 0, cacheWriteTokens: 1000000, cacheReadTokens: 1000000 })).toBeCloseTo(1.08);
+    expect(usageTracker.costFor(HAIKU, tokens, true)).toBeCloseTo(0.6);
+    expect(usageTracker.costFor('local-model', tokens)).toBeNull();
+  });
+
+  test('calls are summed per operation and reported by grouping', async () => {
+    const summary = await usageTracker.run({ operation: 'query', indexId: 'docs' }, async () => {
+      await usageTracker.record({ model: HAIKU, task: 'retrieve', usage: { input_tokens: 1000, output_tokens: 100 } });
+      await usageTracker.record({ model: 'local-model', task: 'answer', usage: { input_tokens: 500, output_tokens: 50 } });
+      return usageTracker.getSummary();
+    });
+    
+    expect(summary).toMatchObject({ requests: 2, inputTokens: 1500, outputTokens: 150, unpricedRequests: 1, budgetExceeded: false });
+    expect(summary.costUsd).toBeCloseTo(0.0012);
+    
+    const report = await usageTracker.report({ groupBy: 'task', indexId: 'docs' });
+    expect(report.rows.map(row => [row.key, row.requests])).toEqual([['answer', 1], ['retrieve', 1]]);
+    expect(report.total.requests).toBe(2);
+  });
+
+  test('the budget is exceeded once the spent cost reaches the limit', async () => {
+    await usageTracker.run({ operation: 'index', maxCostUsd: 0.001 }, async () => {
+      await usageTracker.record({ model: HAIKU, usage: { input_tokens: 1000, output_tokens: 0 } });
+      expect(() => usageTracker.checkBudget()).not.toThrow();
+      
+      await usageTracker.record({ model: HAIKU, usage: { input_tokens: 1000, output_tokens: 0 } });
+      expect(() => usageTracker.checkBudget()).toThrow(/Spending limit of \$0.001 reached/);
+    });
+  });
+});
+
+describe('spending limits on models without a price', () => {
+  let appController;
+
+  beforeAll(async () => {
+    await writeFiles({ 'docs/refunds.md': 'Refunds are issued within 14 days.\n' });
+  });
+
+  beforeEach(() => {
+    useFakeProvider({ 'models.enrich': 'local-model', 'models.answer': 'local-model' });
+    appController = new AppController();
+    appController._shouldCreateFullIndex = async () => true;
+  });
+
+  test('a build with a spending limit refuses to start instead of ignoring the limit', async () => {
+    await expect(appController.createIndex('docs', { name: 'Limited', maxCost: 1 })).rejects.toThrow(/no price for local-model/);
+    
+    expect(FakeProvider.requests).toHaveLength(0);
+  });
+
+  test('a question with a spending limit refuses to start', async () => {
+    useFakeProvider({ 'models.enrich': HAIKU, 'models.answer': 'local-model' });
+    const indexId = await appController.createIndex('docs', { name: 'Docs' });
+    FakeProvider.reset();
+    
+    await expect(appController.answerQuestion(indexId, 'How are refunds handled?', null, { maxCost: 1 })).rejects.toThrow(/no price for local-model/);
+    expect(FakeProvider.requests).toHaveLength(0);
+    
+    await expect(appController.answerQuestion(indexId, 'How are refunds handled?', null, { models: { answer: HAIKU }, maxCost: 1 })).resolves.toMatchObject({ answer: 'Fake answer' });
+  });
+
+  test('without a spending limit unpriced models are used as before', async () => {
+    await appController.createIndex('docs', { name: 'Unlimited' });
+    
+    expect(FakeProvider.requests.map(request => request.model)).toContain('local-model');
+  });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const { useFakeProvider, writeFiles, FakeProvider } = require('./helpers/setup');
+const configManager = require('../src/utils/ConfigManager');
+const HashingEmbedder = require('../src/services/embedders/HashingEmbedder');
+const VectorStore = require('../src/services/VectorStore');
+const AppController = require('../src/controllers/AppController');
+
+const chunks = [
+  { id: 'refunds.md_chunk_1', content: 'Refunds are issued within 14 days of the return.' },
+  { id: 'shipping.md_chunk_1', content: 'Shipping is free for orders over 50 dollars.' },
+  { id: 'faq.md_chunk_1', content: 'Orders can be cancelled before shipping.' }
+];
+
+const norm = vector => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe('HashingEmbedder', () => {
+  const embedder = new HashingEmbedder({ dimensions: 256 });
+
+  test('vectors have the configured size and unit length', async () => {
+    const [vector] = await embedder.embed(['Refunds are issued within 14 days']);
+    
+    expect(embedder.name).toBe('hashing-256');
+    expect(vector).toHaveLength(256);
+    expect(norm(vector)).toBeCloseTo(1, 6);
+  });
+
+  test('other forms of a word are closer than unrelated words', async () => {
+    const [refunds, refunding, shipping] = await embedder.embed(['refunds', 'refunding', 'shipping']);
+    
+    expect(dot(refunds, refunding)).toBeGreaterThan(dot(refunds, shipping));
+  });
+});
+
+describe('VectorStore', () => {
+  let vectorStore;
+
+  beforeEach(async () => {
+    configManager.set('embedding', { provider: 'hashing', dimensions: 512 });
+    vectorStore = new VectorStore();
+    await vectorStore.build('policies', chunks);
+  });
+
+  test('search ranks the most similar chunk first', async () => {
+    const store = await vectorStore.load('policies');
+    const results = await vectorStore.search(store, 'How many days until refunds are issued?', 2);
+    
+    expect(results).toHaveLength(2);
+    expect(results[0].id).toBe('refunds.md_chunk_1');
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  test('update removes replaced vectors and embeds the new chunks', async () => {
+    await vectorStore.update('policies', ['refunds.md_chunk_1'], [
+      { id: 'refunds.md_chunk_2', content: 'Store credit is offered instead of money back.' }
+    ]);
+    const store = await vectorStore.load('policies');
+    
+    expect(Object.keys(store.vectors).sort()).toEqual(['faq.md_chunk_1', 'refunds.md_chunk_2', 'shipping.md_chunk_1']);
+    expect((await vectorStore.search(store, 'store credit', 1))[0].id).toBe('refunds.md_chunk_2');
+  });
+
+  test('vectors built with another embedder are not loaded', async () => {
+    configManager.set('embedding', { provider: 'hashing', dimensions: 128 });
+    
+    expect(await new VectorStore().load('policies')).toBeNull();
+  });
+});
+
+describe('vector retrieval', () => {
+  let indexManager;
+  let index;
+
+  beforeAll(async () => {
+    useFakeProvider();
+    await fs.remove(path.join(process.cwd(), 'docs'));
+    await writeFiles({
+      'docs/refunds.md': 'Refunds are issued within 14 days of the return.\n',
+      'docs/shipping.md': 'Shipping is free for orders over 50 dollars.\n'
+    });
+    
+    const appController = new AppController();
+    appController._shouldCreateFullIndex = async () => true;
+    indexManager = appController.indexManager;
+    index = await indexManager.loadIndex(await appController.createIndex('docs', { name: 'Docs' }));
+  });
+
+  beforeEach(() => {
+    useFakeProvider({ 'query.retrievalStrategy': 'vector' });
+  });
+
+  test('relevant chunks are found locally without an API call', async () => {
+    const chunks = await indexManager.findRelevantChunks(index, 'Is shipping free?');
+    
+    expect(chunks[0].id).toBe('shipping.md_chunk_1');
+    expect(chunks[0].content).toContain('50 dollars');
+    expect(FakeProvider.requests).toHaveLength(0);
+  });
+
+  test('missing vectors are rebuilt from the chunk contents', async () => {
+    await indexManager.vectorStore.delete(index.id);
+    
+    const chunks = await indexManager.findRelevantChunks(index, 'When are refunds issued?');
+    
+    expect(chunks[0].id).toBe('refunds.md_chunk_1');
+    expect(await indexManager.vectorStore.load(index.id)).not.toBeNull();
+    expect(FakeProvider.requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const JSZip = require('jszip');
+const { useFakeProvider, writeFiles } = require('./helpers/setup');
+const AppController = require('../src/controllers/AppController');
+const FileProcessor = require('../src/services/FileProcessor');
+
+/**
+ * מסמך DOCX עם פסקה אחת
+ * @param {string} text - טקסט הפסקה
+ * @returns {Promise<Buffer>}
+ */
+function docx(text) {
+  const archive = new JSZip();
+  archive.file('word/document.xml', `<w:document><w:body><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:body></w:document>`);
+  return archive.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('extractor version', () => {
+  let appController;
+  let indexManager;
+  let indexId;
+
+  beforeEach(async () => {
+    useFakeProvider();
+    await fs.remove(path.join(process.cwd(), 'docs'));
+    await writeFiles({
+      'docs/notes.md': 'Plain notes.\n',
+      'docs/report.docx': await docx('Quarterly revenue report.')
+    });
+    
+    appController = new AppController();
+    appController._shouldCreateFullIndex = async () => true;
+    indexManager = appController.indexManager;
+    
+    indexId = await appController.createIndex('docs', { name: 'Docs' });
+  });
+
+  // אינדקס מלפני שגרסת החילוץ נשמרה
+  async function makeLegacy() {
+    const index = await indexManager.loadIndex(indexId);
+    delete index.extractorVersion;
+    await indexManager._saveIndex(indexId, index);
+    return index;
+  }
+
+  test('new indexes record the current extractor version', async () => {
+    const index = await indexManager.loadIndex(indexId);
+    
+    expect(index.extractorVersion).toBe(FileProcessor.EXTRACTOR_VERSION);
+    expect(indexManager.isExtractorOutdated(index)).toBe(false);
+  });
+
+  test('chunks of extracted documents are not sliced with offsets from an older extractor', async () => {
+    const index = await makeLegacy();
+    
+    const chunks = await indexManager._loadAllChunksWithContent(index);
+    const byFile = Object.fromEntries(chunks.map(chunk => [path.basename(chunk.filePath), chunk.content]));
+    
+    expect(byFile['report.docx']).toMatch(/older extractor.*`update docs`/);
+    expect(byFile['notes.md']).toBe('Plain notes.\n');
+  });
+
+  test('update re-extracts documents of an outdated index', async () => {
+    await makeLegacy();
+    
+    const summary = await appController.updateIndex(indexId);
+    const index = await indexManager.loadIndex(indexId);
+    const chunks = await indexManager._loadAllChunksWithContent(index);
+    
+    expect(summary.modified.map(filePath => path.basename(filePath))).toEqual(['report.docx']);
+    expect(index.extractorVersion).toBe(FileProcessor.EXTRACTOR_VERSION);
+    expect(chunks.find(chunk => chunk.filePath.endsWith('report.docx')).content).toContain('Quarterly revenue report.');
+  });
+});
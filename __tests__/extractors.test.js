@@ -0,0 +1,113 @@
+'use strict';
+
+const JSZip = require('jszip');
+const { createExtractor } = require('../src/services/extractors');
+const { elements, textOf } = require('../src/services/extractors/xml');
+
+/**
+ * בניית ארכיון ZIP מתוך מיפוי של נתיב לתוכן
+ * @param {Object} entries - מיפוי מנתיב בארכיון לתוכן XML
+ * @returns {Promise<Buffer>}
+ */
+function zip(entries) {
+  const archive = new JSZip();
+  for (const [name, content] of Object.entries(entries)) {
+    archive.file(name, content);
+  }
+  return archive.generateAsync({ type: 'nodebuffer' });
+}
+
+const run = text => `<w:r><w:t>${text}</w:t></w:r>`;
+const wordCell = text => `<w:tc><w:p>${run(text)}</w:p></w:tc>`;
+
+describe('xml helpers', () => {
+  test('elements() stops a self-closing element at its own end', () => {
+    const row = '<row r="4"><c r="A4" s="1"/><c r="B4" t="s"><v>0</v></c></row>';
+    
+    expect(elements(row, 'c')).toEqual(['<c r="A4" s="1"/>', '<c r="B4" t="s"><v>0</v></c>']);
+  });
+
+  test('elements() keeps attribute values that contain a slash', () => {
+    const rels = '<Relationship Id="rId1" Target="../slides/slide1.xml"/><Relationship Id="rId2" Target="notes/n.xml"/>';
+    
+    expect(elements(rels, 'Relationship')).toHaveLength(2);
+  });
+
+  test('textOf() skips empty self-closing text elements', () => {
+    expect(textOf('<w:t xml:space="preserve"/><w:t>kept</w:t>', 'w:t')).toBe('kept');
+  });
+});
+
+describe('XlsxExtractor', () => {
+  test('an empty styled cell does not swallow the cells after it', async () => {
+    const buffer = await zip({
+      'xl/workbook.xml': '<workbook><sheets><sheet name="Budget" sheetId="1" r:id="rId1"/></sheets></workbook>',
+      'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+      'xl/sharedStrings.xml': '<sst><si><t>Revenue</t></si></sst>',
+      'xl/worksheets/sheet1.xml': '<worksheet><sheetData>' +
+        '<row r="4"><c r="A4" s="1"/><c r="B4" t="s"><v>0</v></c><c r="C4"><v>1200</v></c></row>' +
+        '</sheetData></worksheet>'
+    });
+    
+    const { content, regions } = await createExtractor('.xlsx').extract(buffer);
+    
+    expect(content).toContain('B4: Revenue | C4: 1200');
+    expect(content).not.toContain('A4:');
+    expect(regions[0]).toMatchObject({ sheet: 'Budget', firstCell: 'B4', lastCell: 'C4' });
+  });
+});
+
+describe('DocxExtractor', () => {
+  test('an empty self-closing paragraph before a table keeps the table intact', async () => {
+    const buffer = await zip({
+      'word/document.xml': '<w:document><w:body>' +
+        `<w:p>${run('A')}</w:p>` +
+        '<w:p w:rsidR="1"/>' +
+        `<w:p>${run('B')}</w:p>` +
+        `<w:tbl><w:tr>${wordCell('Name')}${wordCell('Value')}</w:tr><w:tr>${wordCell('Revenue')}${wordCell('1200')}</w:tr></w:tbl>` +
+        '</w:body></w:document>'
+    });
+    
+    const { content } = await createExtractor('.docx').extract(buffer);
+    
+    expect(content).toBe('A\n\nB\n\n| Name | Value |\n| Revenue | 1200 |\n');
+  });
+});
+
+describe('PptxExtractor', () => {
+  test('empty self-closing paragraphs do not merge slide text', async () => {
+    const shape = (type, body) => `<p:sp><p:nvSpPr><p:nvPr><p:ph type="${type}"/></p:nvPr></p:nvSpPr><p:txBody>${body}</p:txBody></p:sp>`;
+    const buffer = await zip({
+      'ppt/presentation.xml': '<p:presentation><p:sldIdLst><p:sldId id="256" r:id="rId2"/></p:sldIdLst></p:presentation>',
+      'ppt/_rels/presentation.xml.rels': '<Relationships><Relationship Id="rId2" Target="slides/slide1.xml"/></Relationships>',
+      'ppt/slides/slide1.xml': '<p:sld><p:cSld><p:spTree>' +
+        shape('title', '<a:p><a:r><a:t>Results</a:t></a:r></a:p>') +
+        shape('body', '<a:p/><a:p><a:r><a:t>Revenue grew</a:t></a:r></a:p><a:p><a:endParaRPr lang="en-US"/></a:p><a:p><a:r><a:t>Costs fell</a:t></a:r></a:p>') +
+        '</p:spTree></p:cSld></p:sld>'
+    });
+    
+    const { content } = await createExtractor('.pptx').extract(buffer);
+    
+    expect(content).toBe('# Slide 1: Results\n\nRevenue grew\nCosts fell\n\n');
+  });
+});
+
+describe('OdtExtractor', () => {
+  test('an empty self-closing paragraph before a table keeps the table intact', async () => {
+    const odtCell = text => `<table:table-cell><text:p>${text}</text:p></table:table-cell>`;
+    const buffer = await zip({
+      'content.xml': '<office:document-content><office:body><office:text>' +
+        '<text:h text:outline-level="1">Report</text:h>' +
+        '<text:p text:style-name="P1"/>' +
+        '<table:table table:name="T1">' +
+        `<table:table-row>${odtCell('Name')}${odtCell('Value')}</table:table-row>` +
+        `<table:table-row>${odtCell('Revenue')}${odtCell('1200')}</table:table-row>` +
+        '</table:table>' +
+        '</office:text></office:body></office:document-content>'
+    });
+    
+    const { content } = await createExtractor('.odt').extract(buffer);
+    
+    expect(content).toBe('# Report\n\n| Name | Value |\n| Revenue | 1200 |\n');
+  });
+});
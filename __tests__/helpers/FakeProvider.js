@@ -0,0 +1,83 @@
+// File: __tests__/helpers/FakeProvider.js
+// Location: /claude-context-extender/__tests__/helpers/FakeProvider.js
+// ספק מודל שפה מדומה לבדיקות - נטען דרך llm.provider, והתשובות נקבעות בבדיקה דרך FakeProvider.respond
+
+'use strict';
+
+const { toPlainText } = require('../../src/utils/PromptBlocks');
+
+const SUMMARY_PROMPT_MARKER = 'return a json file';
+
+class FakeProvider {
+  constructor() {
+    this.name = 'fake';
+    this.defaultModel = 'claude-3-5-haiku-20241022';
+    this.rateLimited = false;
+  }
+
+  async send(request) {
+    FakeProvider.requests.push(request);
+    return FakeProvider.respond(request, FakeProvider.promptText(request));
+  }
+
+  async stream(request, onText) {
+    const response = await this.send(request);
+    onText(response.text);
+    return response;
+  }
+
+  countTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+
+  isRetryable() {
+    return false;
+  }
+
+  /**
+   * הטקסט של ההודעה האחרונה בבקשה
+   * @param {Object} request - פרמטרי הבקשה
+   * @returns {string}
+   */
+  static promptText(request) {
+    const messages = request.messages || [];
+    return messages.length > 0 ? toPlainText(messages[messages.length - 1].content) : '';
+  }
+
+  /**
+   * האם הבקשה היא בקשת תקציר ומילות מפתח לקטע
+   * @param {string} text - טקסט הפרומפט
+   * @returns {boolean}
+   */
+  static isSummaryPrompt(text) {
+    return text.includes(SUMMARY_PROMPT_MARKER);
+  }
+
+  /**
+   * תשובת ברירת המחדל: JSON תקין לבקשות תקציר, וטקסט קבוע לכל השאר
+   * @param {Object} request - פרמטרי הבקשה
+   * @param {string} text - טקסט הפרומפט
+   * @returns {Object} - { text, usage }
+   */
+  static defaultResponse(request, text) {
+    const usage = { input_tokens: 100, output_tokens: 10 };
+    
+    if (FakeProvider.isSummaryPrompt(text)) {
+      return { text: JSON.stringify({ summary: 'Summary', keywords: ['keyword'] }), usage };
+    }
+    
+    return { text: 'Fake answer', usage };
+  }
+
+  /**
+   * איפוס התשובות והבקשות שנרשמו
+   */
+  static reset() {
+    FakeProvider.requests = [];
+    FakeProvider.respond = FakeProvider.defaultResponse;
+  }
+}
+
+FakeProvider.reset();
+
+module.exports = FakeProvider;
@@ -0,0 +1,37 @@
+// File: __tests__/helpers/setup.js
+// Location: /claude-context-extender/__tests__/helpers/setup.js
+// עזרים משותפים לבדיקות: הפעלת הספק המדומה וכתיבת קבצי מקור לתיקיית העבודה הזמנית
+
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const configManager = require('../../src/utils/ConfigManager');
+const FakeProvider = require('./FakeProvider');
+
+/**
+ * הגדרות לבדיקה: הספק המדומה ובלי מטמון תשובות
+ * @param {Object} [overrides] - הגדרות נוספות לפי מפתח ('query.retrievalStrategy': 'keyword')
+ */
+function useFakeProvider(overrides = {}) {
+  FakeProvider.reset();
+  configManager.set('llm.provider', require.resolve('./FakeProvider'));
+  configManager.set('cache.enabled', false);
+  
+  for (const [key, value] of Object.entries(overrides)) {
+    configManager.set(key, value);
+  }
+}
+
+/**
+ * כתיבת קבצים לתיקיית העבודה הנוכחית
+ * @param {Object} files - מיפוי מנתיב יחסי לתוכן
+ * @returns {Promise<void>}
+ */
+async function writeFiles(files) {
+  for (const [filePath, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(process.cwd(), filePath), content);
+  }
+}
+
+module.exports = { useFakeProvider, writeFiles, FakeProvider };
@@ -8,7 +8,6 @@
 const { execSync, spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
 
 // Colors for console output
 const colors = {
@@ -0,0 +1,24 @@
+// File: jest.setup.js
+// Location: /claude-context-extender/jest.setup.js
+// הכנת סביבת הבדיקות - כל קובץ בדיקות רץ בתיקייה זמנית משלו,
+// כי ההגדרות, האינדקסים, המטמון, יומן השימוש והלוגים נכתבים יחסית ל-process.cwd()
+
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const originalCwd = process.cwd();
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'context-extender-test-'));
+
+fs.copySync(path.join(__dirname, 'config', 'default.json'), path.join(workDir, 'config', 'default.json'));
+process.chdir(workDir);
+
+// הלוגים של winston נכתבים ישירות ל-stdout ועוקפים את silent של jest
+require('./src/utils/Logger').logger.silent = true;
+
+afterAll(() => {
+  process.chdir(originalCwd);
+  fs.removeSync(workDir);
+});
@@ -8,7 +8,6 @@
 const { execSync, spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
 
 // Colors for console output
 const colors = {
@@ -109,7 +108,8 @@ function createDefaultConfig() {
       },
       fileProcessing: {
         supportedTextExtensions: ['.txt', '.md', '.json', '.js', '.py', '.html', '.css'],
-        supportedPdfExtensions: ['.pdf']
+        supportedPdfExtensions: ['.pdf'],
+        supportedOfficeExtensions: ['.docx', '.pptx', '.xlsx', '.odt']
       },
       conversation: {
         maxRecentExchanges: 5,
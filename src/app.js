@@ -4,11 +4,21 @@
 
 'use strict';
 
+// עם --json-events רק שורות ה-JSON נכתבות ל-stdout - הודעות האתחול (שנכתבות כבר בטעינת המודולים) והלוגים מופנים ל-stderr
+const jsonEvents = process.argv.includes('--json-events');
+if (jsonEvents) {
+  console.log = console.error;
+}
+
 require('dotenv').config();
 const CLIManager = require('./cli/CLIManager');
 const AppController = require('./controllers/AppController');
 const logger = require('./utils/Logger');
 
+if (jsonEvents) {
+  logger.useStderr();
+}
+
 /**
  * פונקציית הפעלה ראשית
  */
@@ -4,11 +4,17 @@
 
 'use strict';
 
-const { Command } = require('commander');
+const { EventEmitter } = require('events');
+const { Command, InvalidArgumentError } = require('commander');
 const inquirer = require('inquirer');
+const path = require('path');
 const chalk = require('chalk');
 const logger = require('../utils/Logger');
 const configManager = require('../utils/ConfigManager');
+const usageTracker = require('../utils/UsageTracker');
+const { forwardEvents } = require('../utils/EventForwarder');
+const ApiServer = require('../server/ApiServer');
+const ResponseCache = require('../services/ResponseCache');
 
 class CLIManager {
   constructor(appController) {
@@ -29,30 +35,90 @@ class CLIManager {
     this.program
       .name('context-extender')
       .description('CLI tool for extending Claude\'s context window capabilities')
-      .version('1.0.0');
+      .version('1.0.0')
+      .option('--no-cache', 'Ignore the on-disk response cache for this run (every request goes to Claude)');
+    
+    // --no-cache חל על כל הפקודות - עוקף את מטמון התשובות לריצה הנוכחית בלבד (בלי לגעת בהגדרות,
+    // כדי ש-config set באותה ריצה לא ישמור את המטמון ככבוי)
+    this.program.hook('preAction', () => {
+      if (this.program.opts().cache === false) {
+        ResponseCache.bypass();
+      }
+    });
     
     // פקודת יצירת אינדקס
     this.program
-      .command('index <path>')
+      .command('index [path]')
       .description('Create an index from a file or directory')
       .option('-n, --name <name>', 'Name for the index')
       .option('-s, --store-content', 'Store content in the index (uses more space)')
+      .option('-r, --resume <indexId>', 'Resume an interrupted build from its checkpoint, skipping chunks that are already enriched')
+      .option('-b, --batch', 'Summarize all chunks through one Message Batch (cheaper, asynchronous); resume polling with --resume')
+      .option('--dry-run', 'Estimate chunks, tokens and cost without calling the API')
+      .option('--max-cost <usd>', 'Stop the build once it has spent this many dollars (resume later with --resume)', value => this._parseCost(value))
       .action(async (path, options) => {
         try {
-          console.log(chalk.blue(`Creating index for: ${path}`));
-          const indexId = await this.appController.createIndex(path, options);
+          let indexId;
+          
+          if (options.dryRun) {
+            if (!path) {
+              console.error(chalk.red('❌ Error: a path is required for --dry-run'));
+              return;
+            }
+            this._printIndexEstimate(await this.appController.estimateIndex(path, options));
+            return;
+          }
+          
+          if (options.resume) {
+            console.log(chalk.blue(`Resuming index: ${options.resume}`));
+            indexId = await this.appController.resumeIndex(options.resume, { maxCost: options.maxCost });
+          } else if (path) {
+            console.log(chalk.blue(`Creating index for: ${path}`));
+            indexId = await this.appController.createIndex(path, options);
+          } else {
+            console.error(chalk.red('❌ Error: a path is required unless --resume is given'));
+            return;
+          }
+          
           console.log(chalk.green(`✅ Index created successfully with ID: ${indexId}`));
         } catch (error) {
           console.error(chalk.red(`❌ Error: ${error.message}`));
         }
       });
     
+    // פקודת עדכון מצטבר של אינדקס
+    this.program
+      .command('update <indexId>')
+      .description('Update an index with changes from its source path (only changed files are re-enriched)')
+      .option('--max-cost <usd>', 'Stop the update once it has spent this many dollars', value => this._parseCost(value))
+      .action(async (indexId, options) => {
+        try {
+          console.log(chalk.blue(`Updating index: ${indexId}`));
+          const result = await this.appController.updateIndex(indexId, { maxCost: options.maxCost });
+          
+          if (result.added.length === 0 && result.modified.length === 0 && result.deleted.length === 0) {
+            console.log(chalk.green(`✅ Index ${indexId} is already up to date`));
+            return;
+          }
+          
+          console.log(chalk.green(`✅ Index ${indexId} updated successfully`));
+          console.log(`Added: ${result.added.length}, Modified: ${result.modified.length}, Deleted: ${result.deleted.length}, Unchanged: ${result.unchangedCount}`);
+        } catch (error) {
+          console.error(chalk.red(`❌ Error: ${error.message}`));
+        }
+      });
+    
     // פקודת שאילתה
     this.program
       .command('query [indexId]')
       .description('Query an index')
       .option('-q, --question <question>', 'Question to ask')
       .option('-c, --conversation <id>', 'Conversation ID to continue')
+      .option('--cite', 'Require source markers like [S1] in the answer and print where each one comes from')
+      .option('-s, --strategy <strategy>', 'Answer strategy: auto, stuff (one request with all chunks), refine (one chunk at a time) or map-reduce (chunks in parallel, then merge)')
+      .option('-m, --model <model>', 'Model override for this query: <model> for the answer and final passes, or <task>=<model> for retrieve, answer or finalize (repeatable)', (value, previous) => [...previous, value], [])
+      .option('--max-cost <usd>', 'Stop reading sections once a question has spent this many dollars and answer from what was read', value => this._parseCost(value))
+      .option('--json-events', 'Print progress events and the result as JSON lines on stdout (requires an index ID and --question)')
       .action(async (indexId, options) => {
         try {
           await this._handleQuery(indexId, options);
@@ -104,6 +170,31 @@ class CLIManager {
           console.log(`Keywords: ${indexInfo.keywords.length > 0 ? indexInfo.keywords.slice(0, 10).join(', ') + (indexInfo.keywords.length > 10 ? '...' : '') : 'None'}`);
           console.log('\nOverall Summary:');
           console.log(chalk.gray(indexInfo.overallSummary || 'No summary available'));
+          
+          // הצגת נתיבי הכותרות והמיקומים של הקטעים (אם החלוקה הייתה לפי מבנה)
+          const sections = indexInfo.chunks.filter(chunk => chunk.headingPath || chunk.location);
+          if (sections.length > 0) {
+            console.log('\nSections:');
+            sections.slice(0, 20).forEach(chunk => {
+              const location = chunk.location ? chalk.gray(` [${chunk.location}]`) : '';
+              console.log(`- ${chalk.green(chunk.id)}: ${chunk.headingPath || ''}${location}`);
+            });
+            if (sections.length > 20) {
+              console.log(chalk.gray(`... and ${sections.length - 20} more`));
+            }
+          }
+          
+          // הצגת הסמלים בקוד מקור (אם החלוקה הייתה לפי תחביר)
+          const symbols = indexInfo.chunks.filter(chunk => chunk.symbolName);
+          if (symbols.length > 0) {
+            console.log('\nSymbols:');
+            symbols.slice(0, 20).forEach(chunk => {
+              console.log(`- ${chalk.green(chunk.id)}: ${chunk.symbolKind} ${chunk.symbolName} ${chalk.gray(`(lines ${chunk.startLine}-${chunk.endLine})`)}`);
+            });
+            if (symbols.length > 20) {
+              console.log(chalk.gray(`... and ${symbols.length - 20} more`));
+            }
+          }
         } catch (error) {
           console.error(chalk.red(`❌ Error: ${error.message}`));
         }
@@ -182,6 +273,54 @@ class CLIManager {
           console.error(chalk.red(`❌ Error: ${error.message}`));
         }
       });
+    
+    // פקודת שרת HTTP
+    this.program
+      .command('serve')
+      .description('Start a local HTTP server with JSON endpoints for indexes, questions and conversations')
+      .option('-p, --port <port>', 'Port to listen on (default: server.port)', value => parseInt(value, 10))
+      .option('-H, --host <host>', 'Address to listen on (default: server.host)')
+      .action(async (options) => {
+        try {
+          const server = new ApiServer(this.appController, { host: options.host, port: options.port });
+          const { host, port } = await server.start();
+          
+          console.log(chalk.green(`✅ API server listening on http://${host}:${port}`));
+          console.log(chalk.gray('Press Ctrl+C to stop'));
+        } catch (error) {
+          console.error(chalk.red(`❌ Error: ${error.message}`));
+        }
+      });
+    
+    // פקודת דוח שימוש ועלות
+    this.program
+      .command('usage')
+      .description('Report token usage and cost from the usage ledger')
+      .option('-g, --group-by <group>', 'Group totals by index, conversation, day, model or task', 'day')
+      .option('-i, --index <indexId>', 'Only include calls made for this index')
+      .option('--since <date>', 'Only include calls from this date on (YYYY-MM-DD)')
+      .action(async (options) => {
+        try {
+          const report = await this.appController.getUsageReport({
+            groupBy: options.groupBy,
+            indexId: options.index,
+            since: options.since
+          });
+          
+          if (report.rows.length === 0) {
+            console.log('No usage recorded yet.');
+            return;
+          }
+          
+          console.log(chalk.blue(`Usage by ${report.groupBy}:`));
+          report.rows.forEach(row => {
+            console.log(`- ${chalk.green(row.key)}: ${usageTracker.formatSummary(row)}`);
+          });
+          console.log(chalk.blue(`Total: ${usageTracker.formatSummary(report.total)}`));
+        } catch (error) {
+          console.error(chalk.red(`❌ Error: ${error.message}`));
+        }
+      });
   }
 
   /**
@@ -204,6 +343,16 @@ class CLIManager {
    * @private
    */
   async _handleQuery(indexId, options) {
+    // פלט למכונות - בלי שאלות אינטראקטיביות ובלי פלט לבני אדם
+    if (options.jsonEvents) {
+      if (!indexId || !options.question) {
+        throw new Error('--json-events requires an index ID and --question');
+      }
+      
+      await this._processQuestionAsJsonEvents(indexId, options.question, options.conversation, options);
+      return;
+    }
+    
     // אם לא נמסר מזהה אינדקס, נבקש מהמשתמש לבחור
     if (!indexId) {
       const indexes = await this.appController.listIndexes();
@@ -252,7 +401,7 @@ class CLIManager {
     
     // אם יש שאלה בארגומנטים, נשתמש בה
     if (options.question) {
-      await this._processQuestion(indexId, options.question, conversationId);
+      await this._processQuestion(indexId, options.question, conversationId, options);
       return;
     }
     
@@ -280,7 +429,7 @@ class CLIManager {
       }
       
       // עיבוד השאלה
-      const result = await this._processQuestion(indexId, question, conversationId);
+      const result = await this._processQuestion(indexId, question, conversationId, options);
       
       // שמירת מזהה השיחה להמשך
       if (result && result.conversationId) {
@@ -294,28 +443,237 @@ class CLIManager {
    * @param {string} indexId - מזהה האינדקס
    * @param {string} question - השאלה לעיבוד
    * @param {string} conversationId - מזהה שיחה (אם קיים)
+   * @param {Object} [options] - אפשרויות הפקודה (cite, strategy, model, maxCost)
    * @returns {Promise<Object>} - תוצאת העיבוד
    * @private
    */
-  async _processQuestion(indexId, question, conversationId) {
+  async _processQuestion(indexId, question, conversationId, options = {}) {
     try {
       console.log(chalk.gray('Processing question...'));
       
+      // המעבר האחרון מוזרם למסך, והמעברים שלפניו מוצגים בשורת התקדמות
+      const events = new EventEmitter();
+      const streamed = this._renderAnswerStream(events);
+      
       // בקשת תשובה מהבקר
-      const result = await this.appController.answerQuestion(indexId, question, conversationId);
+      const result = await this.appController.answerQuestion(indexId, question, conversationId, {
+        cite: options.cite,
+        strategy: options.strategy,
+        models: this._parseModelOverrides(options.model),
+        maxCost: options.maxCost,
+        events
+      });
       
-      // הצגת התשובה
-      console.log(chalk.green('\nAnswer:'));
-      console.log(result.answer);
+      // הצגת התשובה - אם לא הוזרמה, או אם השתנתה אחרי ההזרמה (מזהי מקור לא ידועים הוסרו)
+      if (!streamed.started) {
+        this._clearProgressLine();
+        console.log(chalk.green('\nAnswer:'));
+        console.log(result.answer);
+      } else if (result.answer.trim() !== streamed.text.trim()) {
+        console.log(chalk.yellow('\nAnswer (after removing unknown source markers):'));
+        console.log(result.answer);
+      }
+      
+      // במצב ציטוטים - כל מזהה מקור עם הקובץ והמיקום המדויק שלו
+      if (result.citations) {
+        console.log(chalk.gray('\nSources:'));
+        if (result.citations.length === 0) {
+          console.log(chalk.yellow('No source markers found in the answer'));
+        }
+        result.citations.forEach(citation => {
+          console.log(chalk.gray(`[${citation.marker}] ${citation.description}`));
+        });
+      }
+      
+      // מקורות עם מיקום במסמך (עמודים, שקפים, תאים) - כדי שאפשר יהיה לבדוק את התשובה מול המקור
+      const locatedChunks = (result.relevantChunks || []).filter(chunk => chunk.location);
+      if (!result.citations && locatedChunks.length > 0) {
+        console.log(chalk.gray('\nSources:'));
+        locatedChunks.forEach(chunk => {
+          console.log(chalk.gray(`- ${path.basename(chunk.filePath)}, ${chunk.location}`));
+        });
+      }
+      
+      if (result.usage && result.usage.requests > 0) {
+        console.log(chalk.gray(`\nUsage: ${usageTracker.formatSummary(result.usage)}`));
+      }
+      if (result.usage && result.usage.budgetExceeded) {
+        console.log(chalk.yellow('Spending limit reached - the answer may be based on only part of the relevant sections'));
+      }
       console.log('\n');
       
       return result;
     } catch (error) {
+      this._clearProgressLine();
       console.error(chalk.red(`❌ Error: ${error.message}`));
       return null;
     }
   }
 
+  /**
+   * עיבוד שאלה עם --json-events: כל אירוע התקדמות נכתב ל-stdout כשורת JSON { event, data },
+   * ובסוף שורת 'result' עם תוצאת answerQuestion או שורת 'error' עם { message }
+   * (הלוגים והודעות האתחול מופנים ל-stderr ב-app.js, כך ש-stdout מכיל JSON בלבד)
+   * @param {string} indexId - מזהה האינדקס
+   * @param {string} question - השאלה
+   * @param {string} [conversationId] - מזהה שיחה להמשך
+   * @param {Object} [options] - אפשרויות הפקודה (cite, strategy, model, maxCost)
+   * @private
+   */
+  async _processQuestionAsJsonEvents(indexId, question, conversationId, options = {}) {
+    const writeLine = (event, data) => {
+      process.stdout.write(JSON.stringify({ event, data }) + '\n');
+    };
+    
+    const events = new EventEmitter();
+    forwardEvents(events, writeLine);
+    
+    try {
+      const result = await this.appController.answerQuestion(indexId, question, conversationId || null, {
+        cite: options.cite,
+        strategy: options.strategy,
+        models: this._parseModelOverrides(options.model),
+        maxCost: options.maxCost,
+        events
+      });
+      
+      writeLine('result', result);
+    } catch (error) {
+      writeLine('error', { message: error.message });
+      process.exitCode = 1;
+    }
+  }
+
+  /**
+   * פענוח ערך --max-cost
+   * @param {string} value - סכום בדולרים
+   * @returns {number}
+   * @private
+   */
+  _parseCost(value) {
+    const cost = Number(value);
+    if (!value || isNaN(cost) || cost < 0) {
+      throw new InvalidArgumentError('Expected a dollar amount, e.g. 2.50');
+    }
+    
+    return cost;
+  }
+
+  /**
+   * הצגת הערכת הבנייה של --dry-run
+   * @param {Object} estimate - הערכה מ-AppController.estimateIndex
+   * @private
+   */
+  _printIndexEstimate(estimate) {
+    console.log(chalk.blue(`Dry run for: ${estimate.sourcePath} (no API calls made)`));
+    console.log(`Files: ${estimate.fileCount}, chunks: ${estimate.chunkCount}${estimate.enriched ? '' : ' (small source, chunks are not enriched)'}`);
+    console.log(`Summary requests: ${estimate.requests}${estimate.model ? ` on ${estimate.model}` : ''}${estimate.batch ? ' (message batch)' : ''}`);
+    console.log(`Estimated tokens: ${estimate.inputTokens.toLocaleString()} input, ${estimate.outputTokens.toLocaleString()} output`);
+    
+    if (estimate.costUsd === null) {
+      console.log(chalk.yellow(`Estimated cost: unknown (no price configured for ${estimate.model} in usage.prices)`));
+      return;
+    }
+    
+    console.log(`Estimated cost: ${chalk.green(`$${estimate.costUsd.toFixed(4)}`)}`);
+    if (estimate.maxCostUsd && estimate.costUsd > estimate.maxCostUsd) {
+      console.log(chalk.yellow(`This exceeds the spending limit of $${estimate.maxCostUsd} - the build would stop before finishing`));
+    }
+  }
+
+  /**
+   * פענוח דריסות המודל של --model: "<task>=<model>", או שם מודל בלבד למעברי התשובה והסיכום
+   * @param {Array<string>} [values] - ערכי האפשרות
+   * @returns {Object} - { task: model }
+   * @private
+   */
+  _parseModelOverrides(values = []) {
+    const models = {};
+    
+    for (const value of values) {
+      const separator = value.indexOf('=');
+      if (separator === -1) {
+        models.answer = value;
+        models.finalize = value;
+      } else {
+        models[value.slice(0, separator).trim()] = value.slice(separator + 1).trim();
+      }
+    }
+    
+    return models;
+  }
+
+  /**
+   * הצגת אירועי יצירת התשובה: שורת התקדמות חיה לכל מעבר על קטע, והתשובה עצמה טוקן אחר טוקן
+   * @param {EventEmitter} events - אירועי IterativeAnswerer
+   * @returns {Object} - מצב ההזרמה { started, text }, מתעדכן עם הגעת האירועים
+   * @private
+   */
+  _renderAnswerStream(events) {
+    const streamed = { started: false, text: '' };
+    
+    events.on('chunk:start', ({ index, total }) => {
+      if (!streamed.started) {
+        this._writeProgressLine(`Reading section ${index + 1}/${total}...`);
+      }
+    });
+    
+    events.on('wait', ({ ms, reason }) => {
+      if (!streamed.started) {
+        const cause = reason === 'retry' ? 'before retrying' : 'for rate limit';
+        this._writeProgressLine(`Waiting ${(ms / 1000).toFixed(1)}s ${cause}...`);
+      }
+    });
+    
+    events.on('chunk:done', ({ index, total, answerLength }) => {
+      if (!streamed.started) {
+        this._writeProgressLine(`Read section ${index + 1}/${total} (draft answer: ${answerLength} chars)`);
+      }
+    });
+    
+    events.on('answer:start', () => {
+      streamed.started = true;
+      this._clearProgressLine();
+      console.log(chalk.green('\nAnswer:'));
+    });
+    
+    events.on('token', ({ text }) => {
+      streamed.text += text;
+      process.stdout.write(text);
+    });
+    
+    events.on('done', () => {
+      if (streamed.started) {
+        process.stdout.write('\n');
+      }
+    });
+    
+    return streamed;
+  }
+
+  /**
+   * כתיבת שורת התקדמות שמתעדכנת במקום (בטרמינל) או שורה רגילה (בפלט מנותב)
+   * @param {string} message - ההודעה
+   * @private
+   */
+  _writeProgressLine(message) {
+    if (process.stdout.isTTY) {
+      process.stdout.write(`\r\x1b[K${chalk.gray(message)}`);
+    } else {
+      console.log(chalk.gray(message));
+    }
+  }
+
+  /**
+   * ניקוי שורת ההתקדמות לפני הדפסה רגילה
+   * @private
+   */
+  _clearProgressLine() {
+    if (process.stdout.isTTY) {
+      process.stdout.write('\r\x1b[K');
+    }
+  }
+
   /**
    * הצגת ההגדרות הנוכחיות
    * @private
@@ -390,8 +748,6 @@ class CLIManager {
     // עדכון ההגדרות
     for (const [key, value] of Object.entries(answers)) {
       if (value) {
-        const parts = key.split('.');
-        
         // המרת ערכים מספריים
         let processedValue = value;
         if (!isNaN(value) && value !== '') {
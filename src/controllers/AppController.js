@@ -4,13 +4,29 @@
 
 'use strict';
 
+const nodePath = require('path');
+const crypto = require('crypto');
 const FileProcessor = require('../services/FileProcessor');
 const IndexManager = require('../services/IndexManager');
 const ClaudeClient = require('../services/ClaudeClient');
 const ConversationManager = require('../services/ConversationManager');
 const IterativeAnswerer = require('../services/IterativeAnswerer'); // Import the new service
+const CitationResolver = require('../services/CitationResolver');
+const IndexCheckpoint = require('../services/IndexCheckpoint');
+const BatchClient = require('../services/BatchClient');
 const configManager = require('../utils/ConfigManager');
 const logger = require('../utils/Logger');
+const usageTracker = require('../utils/UsageTracker');
+const { mapWithConcurrency } = require('../utils/Concurrency');
+
+// אסטרטגיות המענה הנתמכות - 'auto' בוחר בין 'stuff' ל-'refine' לפי גודל הפרומפט
+const ANSWER_STRATEGIES = ['auto', 'stuff', 'refine', 'map-reduce'];
+
+// משימות שאפשר לדרוס את המודל שלהן בשאילתה בודדת (השאר נקבעות רק ב-models בהגדרות)
+const QUERY_MODEL_TASKS = ['retrieve', 'answer', 'finalize'];
+
+// הערכת טוקני הפלט לתקציר ומילות מפתח של קטע אחד (בהערכת עלות לפני בנייה)
+const ESTIMATED_SUMMARY_OUTPUT_TOKENS = 300;
 
 class AppController {
   constructor() {
@@ -19,6 +35,9 @@ class AppController {
     this.claudeClient = new ClaudeClient();
     this.conversationManager = new ConversationManager();
     this.iterativeAnswerer = new IterativeAnswerer(); // Initialize the new service
+    this.citationResolver = new CitationResolver();
+    this.indexCheckpoint = new IndexCheckpoint();
+    this.batchClient = new BatchClient();
     this.config = configManager;
     
     logger.debug('AppController initialized');
@@ -28,61 +47,28 @@ class AppController {
    * יוצר אינדקס מקובץ או תיקייה
    * @param {string} path - נתיב לקובץ או תיקייה
    * @param {Object} options - אפשרויות יצירת האינדקס
+   * @param {boolean} [options.batch] - שליחת כל בקשות התקציר כ-Message Batch אחד (זול יותר, אך אסינכרוני)
+   * @param {number} [options.maxCost] - תקרת הוצאה בדולרים לבנייה (במקום indexing.maxCostUsd)
    * @returns {Promise<string>} - מזהה האינדקס החדש
    */
   async createIndex(path, options = {}) {
     try {
       logger.info(`Creating index for: ${path}`, { options });
-      const startTime = Date.now();
-      
-      console.log(`Processing path for indexing: ${path}`);
-      // בדיקה אם הקובץ קטן מספיק כדי להיכנס לחלון ההקשר
-      const shouldCreateFullIndex = await this._shouldCreateFullIndex(path);
-      
-      // עיבוד הקבצים וחלוקה לקטעים
-      console.log(`Starting to process path: ${path}`);
-      const chunks = await this.fileProcessor.processPath(path);
-      console.log(`Processed path ${path}, got ${chunks.length} chunks`);
-      logger.info(`Processed ${chunks.length} chunks from ${path}`);
-      
-      // יצירת תקצירים ומילות מפתח באמצעות קלוד
-      if (shouldCreateFullIndex) {
-        console.log(`Creating full index with enriched chunks...`);
-        const enrichedChunks = await this._enrichChunks(chunks);
-        
-        // יצירת האינדקס
-        const indexId = await this.indexManager.createIndex(enrichedChunks, options);
-        
-        const endTime = Date.now();
-        logger.logPerformance('Create index', endTime - startTime, { 
-          path, 
-          indexId,
-          chunksCount: chunks.length
-        });
-        
-        return indexId;
-      } else {
-        console.log(`Creating simplified index...`);
-        // במקרה של קובץ קטן, ניתן להשתמש בקטעים כפי שהם בלי העשרה מלאה
-        // אם יש רק קטע אחד, נוסיף לו תקציר בסיסי
-        if (chunks.length === 1) {
-          console.log(`Single chunk index, creating basic summary...`);
-          const summary = await this.claudeClient.createSummary(chunks[0].content);
-          chunks[0].summary = summary;
+      
+      // שימוש בנתיב מוחלט כדי שעדכונים עתידיים יזהו את אותם קבצים
+      const sourcePath = nodePath.resolve(path);
+      const indexId = this.indexManager.createIndexId(options);
+      
+      const maxCostUsd = this._maxCost(options.maxCost, 'indexing.maxCostUsd');
+      this._checkBudgetPricing(maxCostUsd, ['enrich']);
+      
+      return await this._withUsageSummary({ operation: 'index', indexId, maxCostUsd }, () => {
+        if (options.batch) {
+          return this._buildIndexWithBatch(sourcePath, options, indexId);
         }
         
-        // יצירת אינדקס פשוט יותר
-        const indexId = await this.indexManager.createIndex(chunks, options);
-        
-        const endTime = Date.now();
-        logger.logPerformance('Create simplified index', endTime - startTime, { 
-          path, 
-          indexId,
-          chunksCount: chunks.length
-        });
-        
-        return indexId;
-      }
+        return this._buildIndex(sourcePath, options, indexId);
+      });
     } catch (error) {
       logger.error(`Error creating index for: ${path}`, { error: error.message });
       throw new Error(`Failed to create index: ${error.message}`);
@@ -90,76 +76,635 @@ class AppController {
   }
 
   /**
-   * מענה לשאלה על אינדקס באמצעות השיטה האיטרטיבית
+   * הערכת היקף ועלות הבנייה של אינדקס (dry run) - מחלוקת הקבצים לקטעים בלבד, ללא קריאות ל-API
+   * @param {string} path - נתיב לקובץ או תיקייה
+   * @param {Object} [options] - אפשרויות הבנייה (batch, maxCost)
+   * @returns {Promise<Object>} - { sourcePath, fileCount, chunkCount, enriched, requests, model, inputTokens, outputTokens, costUsd, batch, maxCostUsd }
+   */
+  async estimateIndex(path, options = {}) {
+    try {
+      const sourcePath = nodePath.resolve(path);
+      const shouldCreateFullIndex = await this._shouldCreateFullIndex(sourcePath);
+      const chunks = await this.fileProcessor.processPath(sourcePath);
+      
+      // מקור קטן לא מועשר - לכל היותר תקציר אחד כשיש קטע יחיד
+      const requestChunks = shouldCreateFullIndex || chunks.length === 1 ? chunks : [];
+      const batch = Boolean(options.batch) && shouldCreateFullIndex;
+      
+      return {
+        sourcePath,
+        fileCount: new Set(chunks.map(chunk => chunk.filePath)).size,
+        chunkCount: chunks.length,
+        enriched: shouldCreateFullIndex,
+        ...this._estimateEnrichment(requestChunks, batch),
+        maxCostUsd: this._maxCost(options.maxCost, 'indexing.maxCostUsd')
+      };
+    } catch (error) {
+      logger.error(`Error estimating index for: ${path}`, { error: error.message });
+      throw new Error(`Failed to estimate index: ${error.message}`);
+    }
+  }
+
+  /**
+   * חידוש בנייה של אינדקס שנקטעה (קריסה, מכסת API) מנקודת השמירה שלה
+   * קטעים שכבר הועשרו ותוכנם לא השתנה לא נשלחים שוב לקלוד, ואצווה שנשלחה ממשיכה להיות מנוטרת
    * @param {string} indexId - מזהה האינדקס
-   * @param {string} question - שאלת המשתמש
-   * @param {string} conversationId - מזהה השיחה (אם ממשיכים שיחה קיימת)
-   * @returns {Promise<Object>} - תשובה ומידע נוסף
+   * @param {Object} [options] - אפשרויות
+   * @param {number} [options.maxCost] - תקרת הוצאה בדולרים להמשך הבנייה (במקום indexing.maxCostUsd)
+   * @returns {Promise<string>} - מזהה האינדקס
    */
-  async answerQuestion(indexId, question, conversationId = null) {
+  async resumeIndex(indexId, options = {}) {
+    const maxCostUsd = this._maxCost(options.maxCost, 'indexing.maxCostUsd');
+    this._checkBudgetPricing(maxCostUsd, ['enrich']);
+    
+    return this._withUsageSummary({ operation: 'index', indexId, maxCostUsd }, () => this._resumeIndex(indexId));
+  }
+
+  /**
+   * חידוש הבנייה בתוך הקשר השימוש של האינדקס
+   * @param {string} indexId - מזהה האינדקס
+   * @returns {Promise<string>} - מזהה האינדקס
+   * @private
+   */
+  async _resumeIndex(indexId) {
     try {
-      logger.info(`Answering question for index: ${indexId} using iterative approach`, { conversationId });
-      const startTime = Date.now();
+      // אצווה שנשלחה וטרם נאספה - ממשיכים לחכות לה ולא שולחים את הקטעים מחדש
+      const batchState = await this.indexCheckpoint.loadBatch(indexId);
+      if (batchState) {
+        console.log(`Resuming message batch ${batchState.batchId} for index ${indexId}`);
+        return await this._collectBatch(indexId, batchState);
+      }
       
-      // טעינת האינדקס
-      const index = await this.indexManager.loadIndex(indexId);
-      if (!index) {
-        throw new Error(`Index ${indexId} not found`);
+      const checkpoint = await this.indexCheckpoint.load(indexId);
+      if (!checkpoint) {
+        throw new Error(`No checkpoint found for index ${indexId}`);
       }
       
-      // מציאת הקטעים הרלוונטיים לשאלה
-      const relevantChunks = await this.indexManager.findRelevantChunks(index, question);
-      logger.debug(`Found ${relevantChunks.length} relevant chunks`);
+      // עדכון שנעצר ממשיך דרך update, שמשווה שוב את המקור למניפסט
+      if (checkpoint.header.operation === 'update') {
+        throw new Error(`Index ${indexId} was stopped during an update. Run "update ${indexId}" to continue it`);
+      }
       
-      // טיפול בשיחה
-      let conversation;
-      let conversationHistory = '';
+      const { sourcePath, options } = checkpoint.header;
+      logger.info(`Resuming index: ${indexId}`, { sourcePath, enrichedChunks: checkpoint.chunks.size });
+      console.log(`Resuming index ${indexId} from checkpoint (${checkpoint.chunks.size} chunks already enriched)`);
       
-      if (conversationId) {
-        // המשך שיחה קיימת
-        conversation = await this.conversationManager.getConversation(conversationId);
-        if (!conversation) {
-          throw new Error(`Conversation ${conversationId} not found`);
-        }
-        
-        // הכנת היסטורית השיחה לפרומפט
-        conversationHistory = this._prepareConversationHistory(conversation);
+      return await this._buildIndex(sourcePath, options, indexId, checkpoint.chunks);
+    } catch (error) {
+      logger.error(`Error resuming index: ${indexId}`, { error: error.message });
+      throw new Error(`Failed to resume index: ${error.message}`);
+    }
+  }
+
+  /**
+   * בניית אינדקס: חלוקה לקטעים, העשרה (עם נקודות שמירה) ושמירת האינדקס
+   * @param {string} sourcePath - נתיב מוחלט לקובץ או תיקייה
+   * @param {Object} options - אפשרויות יצירת האינדקס
+   * @param {string} indexId - מזהה האינדקס
+   * @param {Map<string, Object>} [checkpointChunks] - קטעים שכבר הועשרו (בחידוש בנייה)
+   * @returns {Promise<string>} - מזהה האינדקס
+   * @private
+   */
+  async _buildIndex(sourcePath, options, indexId, checkpointChunks = null) {
+    const startTime = Date.now();
+    
+    console.log(`Processing path for indexing: ${sourcePath}`);
+    // בדיקה אם הקובץ קטן מספיק כדי להיכנס לחלון ההקשר
+    const shouldCreateFullIndex = await this._shouldCreateFullIndex(sourcePath);
+    
+    // עיבוד הקבצים וחלוקה לקטעים
+    console.log(`Starting to process path: ${sourcePath}`);
+    const chunks = await this.fileProcessor.processPath(sourcePath);
+    console.log(`Processed path ${sourcePath}, got ${chunks.length} chunks`);
+    logger.info(`Processed ${chunks.length} chunks from ${sourcePath}`);
+    
+    // מניפסט הקבצים - לזיהוי שינויים בעדכון מצטבר
+    const files = await this.fileProcessor.getFileManifest(sourcePath);
+    const source = { sourcePath, files, enriched: shouldCreateFullIndex };
+    
+    // יצירת תקצירים ומילות מפתח באמצעות קלוד
+    if (shouldCreateFullIndex) {
+      console.log(`Creating full index with enriched chunks...`);
+      const { enrichedChunks, failedCount } = await this._enrichChunksWithCheckpoint(
+        indexId,
+        chunks,
+        { sourcePath, options },
+        checkpointChunks
+      );
+      
+      // יצירת האינדקס - קבצים שלא הועשרו במלואם לא נרשמים במניפסט, כדי שעדכון יעבד אותם שוב
+      source.files = this._withoutFailedFiles(files, enrichedChunks);
+      await this.indexManager.createIndex(enrichedChunks, options, source, indexId);
+      
+      // נקודת השמירה נשמרת כל עוד יש קטעים שההעשרה שלהם נכשלה
+      if (failedCount === 0) {
+        await this.indexCheckpoint.remove(indexId);
       } else {
-        // יצירת שיחה חדשה
-        conversation = await this.conversationManager.createConversation(indexId);
-        conversationId = conversation.id;
+        logger.warn(`${failedCount} chunks could not be enriched`, { indexId });
+        console.log(`${failedCount} chunks could not be enriched. Run "index --resume ${indexId}" to retry them.`);
       }
       
-      // באמצעות השיטה האיטרטיבית - עיבוד קטע אחר קטע
-      const answer = await this.iterativeAnswerer.generateAnswer(
-        question,
-        relevantChunks,
-        conversationHistory
-      );
+      const endTime = Date.now();
+      logger.logPerformance('Create index', endTime - startTime, { 
+        path: sourcePath, 
+        indexId,
+        chunksCount: chunks.length
+      });
       
-      // עדכון היסטוריית השיחה
-      await this.conversationManager.addExchange(
-        conversationId,
-        question,
-        answer
-      );
+      return indexId;
+    } else {
+      console.log(`Creating simplified index...`);
+      // במקרה של קובץ קטן, ניתן להשתמש בקטעים כפי שהם בלי העשרה מלאה
+      // אם יש רק קטע אחד, נוסיף לו תקציר בסיסי
+      if (chunks.length === 1) {
+        console.log(`Single chunk index, creating basic summary...`);
+        const summary = await this.claudeClient.createSummary(chunks[0].content);
+        chunks[0].summary = summary;
+      }
+      
+      // יצירת אינדקס פשוט יותר
+      await this.indexManager.createIndex(chunks, options, source, indexId);
+      await this.indexCheckpoint.remove(indexId);
       
       const endTime = Date.now();
-      logger.logPerformance('Answer question (iterative)', endTime - startTime, { 
-        indexId, 
-        conversationId,
-        relevantChunksCount: relevantChunks.length
+      logger.logPerformance('Create simplified index', endTime - startTime, { 
+        path: sourcePath, 
+        indexId,
+        chunksCount: chunks.length
       });
       
-      return {
-        answer,
-        conversationId,
-        relevantChunks: relevantChunks.map(chunk => ({ id: chunk.id, relevanceScore: chunk.relevanceScore }))
-      };
-    } catch (error) {
-      logger.error(`Error answering question for index: ${indexId}`, { error: error.message });
-      throw new Error(`Failed to answer question: ${error.message}`);
+      return indexId;
+    }
+  }
+
+  /**
+   * בניית אינדקס דרך Message Batch: כל בקשות התקציר נשלחות יחד, וההעשרה נאספת כשהאצווה מסתיימת
+   * מזהה האצווה נשמר לדיסק, כך שאם ההמתנה נקטעת אפשר להמשיך אותה עם index --resume
+   * @param {string} sourcePath - נתיב מוחלט לקובץ או תיקייה
+   * @param {Object} options - אפשרויות יצירת האינדקס
+   * @param {string} indexId - מזהה האינדקס
+   * @returns {Promise<string>} - מזהה האינדקס
+   * @private
+   */
+  async _buildIndexWithBatch(sourcePath, options, indexId) {
+    if (this.claudeClient.provider.name !== 'anthropic') {
+      throw new Error(`Message batches require the anthropic provider (current provider: ${this.claudeClient.provider.name})`);
+    }
+    
+    // מקור קטן לא מועשר כלל - אין מה לשלוח באצווה
+    if (!await this._shouldCreateFullIndex(sourcePath)) {
+      return this._buildIndex(sourcePath, options, indexId);
+    }
+    
+    console.log(`Processing path for batch indexing: ${sourcePath}`);
+    const chunks = await this.fileProcessor.processPath(sourcePath);
+    logger.info(`Processed ${chunks.length} chunks from ${sourcePath}`);
+    
+    // אצווה שנשלחה לא נעצרת באמצע, ולכן תקרת ההוצאה נבדקת מול ההערכה לפני השליחה
+    const maxCostUsd = this._maxCost(options.maxCost, 'indexing.maxCostUsd');
+    const estimate = this._estimateEnrichment(chunks, true);
+    if (maxCostUsd && estimate.costUsd !== null && estimate.costUsd > maxCostUsd) {
+      throw new Error(`Estimated batch cost $${estimate.costUsd.toFixed(4)} exceeds the spending limit of $${maxCostUsd}; nothing was submitted`);
+    }
+    
+    // מזהה הבקשה באצווה מוגבל בתווים, ולכן משתמשים במספר רץ ושומרים את המיפוי לקטע
+    const requests = chunks.map((chunk, i) => ({
+      customId: `chunk-${i}`,
+      chunkId: chunk.id,
+      contentHash: this._hashContent(chunk.content)
+    }));
+    
+    const batch = await this.batchClient.createBatch(chunks.map((chunk, i) => ({
+      custom_id: requests[i].customId,
+      params: this.claudeClient.buildRequestParams(this.claudeClient.buildSummaryPrompt(chunk.content), {
+        temperature: 0.3,
+        task: 'enrich'
+      })
+    })));
+    
+    const state = {
+      batchId: batch.id,
+      sourcePath,
+      options,
+      createdAt: new Date().toISOString(),
+      requests
+    };
+    await this.indexCheckpoint.start(indexId, { sourcePath, options });
+    await this.indexCheckpoint.saveBatch(indexId, state);
+    
+    console.log(`Submitted message batch ${batch.id} with ${chunks.length} requests. If interrupted, run "index --resume ${indexId}" to keep waiting for it.`);
+    
+    return this._collectBatch(indexId, state, chunks);
+  }
+
+  /**
+   * המתנה לסיום האצווה, שמירת התוצאות בנקודת השמירה והשלמת בניית האינדקס
+   * בקשות שנכשלו באצווה מועשרות ישירות בשלב הבנייה
+   * @param {string} indexId - מזהה האינדקס
+   * @param {Object} state - מצב האצווה השמור
+   * @param {Array} [chunks] - הקטעים שנשלחו (בהרצה אחרת - מעובדים מחדש מהמקור)
+   * @returns {Promise<string>} - מזהה האינדקס
+   * @private
+   */
+  async _collectBatch(indexId, state, chunks = null) {
+    const pollIntervalMs = this.config.get('indexing.batch.pollIntervalMs') || 30000;
+    
+    const batch = await this.batchClient.waitForBatch(state.batchId, {
+      pollIntervalMs,
+      onProgress: (current) => {
+        const counts = current.request_counts || {};
+        console.log(`Batch ${state.batchId}: ${current.processing_status} (processing ${counts.processing || 0}, succeeded ${counts.succeeded || 0}, errored ${counts.errored || 0})`);
+      }
+    });
+    
+    const results = await this.batchClient.getResults(batch);
+    
+    // התוצאות מוצמדות לקטעים הנוכחיים, ורק אם התוכן לא השתנה מאז השליחה
+    const currentChunks = chunks || await this.fileProcessor.processPath(state.sourcePath);
+    const chunksById = new Map(currentChunks.map(chunk => [chunk.id, chunk]));
+    const requestsById = new Map(state.requests.map(request => [request.customId, request]));
+    let succeededCount = 0;
+    
+    for (const { custom_id: customId, result } of results) {
+      // כל תוצאה שהצליחה מחויבת (במחיר המוזל של האצווה), גם אם הקטע השתנה מאז
+      if (result && result.type === 'succeeded') {
+        await usageTracker.record({ model: result.message.model, provider: 'anthropic', task: 'enrich', usage: result.message.usage, batch: true });
+      }
+      
+      const request = requestsById.get(customId);
+      const chunk = request && chunksById.get(request.chunkId);
+      
+      if (!chunk || this._hashContent(chunk.content) !== request.contentHash) {
+        continue;
+      }
+      
+      if (!result || result.type !== 'succeeded') {
+        logger.warn(`Batch request for ${request.chunkId} did not succeed`, { type: result && result.type });
+        continue;
+      }
+      
+      try {
+        const text = result.message.content.map(block => block.text || '').join('');
+        const { summary, keywords } = this.claudeClient.parseSummaryResponse(text);
+        await this.indexCheckpoint.append(indexId, { ...chunk, summary, keywords });
+        succeededCount++;
+      } catch (error) {
+        logger.warn(`Could not parse batch result for ${request.chunkId}`, { error: error.message });
+      }
+    }
+    
+    console.log(`Batch ${state.batchId} ended: ${succeededCount}/${state.requests.length} chunks enriched`);
+    if (succeededCount < currentChunks.length) {
+      console.log(`${currentChunks.length - succeededCount} remaining chunks will be enriched directly`);
+    }
+    
+    // מצב האצווה נמחק רק אחרי שכל התוצאות נכתבו - מכאן החידוש ממשיך מנקודת השמירה הרגילה
+    await this.indexCheckpoint.removeBatch(indexId);
+    const checkpoint = await this.indexCheckpoint.load(indexId);
+    
+    return this._buildIndex(state.sourcePath, state.options, indexId, checkpoint.chunks);
+  }
+
+  /**
+   * העשרת קטעים עם נקודות שמירה - כל קטע מועשר נכתב מיד לקובץ החלקי של האינדקס
+   * @param {string} indexId - מזהה האינדקס
+   * @param {Array} chunks - כל הקטעים של המקור
+   * @param {Object} header - פרטי הבנייה לשמירה בראש הקובץ ({ sourcePath, options }, או { sourcePath, operation: 'update' } בעדכון)
+   * @param {Map<string, Object>} [checkpointChunks] - קטעים שכבר הועשרו (בחידוש בנייה)
+   * @returns {Promise<Object>} - { enrichedChunks (לפי סדר הקטעים), failedCount }
+   * @private
+   */
+  async _enrichChunksWithCheckpoint(indexId, chunks, header, checkpointChunks) {
+    // בחידוש - משתמשים רק בקטעים שתוכנם זהה למה שהועשר (הקבצים יכלו להשתנות בינתיים)
+    const reused = new Map();
+    if (checkpointChunks) {
+      for (const chunk of chunks) {
+        const saved = checkpointChunks.get(chunk.id);
+        if (saved && saved.content === chunk.content) {
+          reused.set(chunk.id, saved);
+        }
+      }
+      console.log(`Reusing ${reused.size}/${chunks.length} enriched chunks from checkpoint`);
+    } else {
+      await this.indexCheckpoint.start(indexId, header);
+    }
+    
+    const pending = chunks.filter(chunk => !reused.has(chunk.id));
+    let enrichedCount = 0;
+    
+    const newlyEnriched = await this._enrichChunks(pending, {
+      onEnriched: async (chunk) => {
+        enrichedCount++;
+        await this.indexCheckpoint.append(indexId, chunk);
+      }
+    });
+    
+    const enrichedById = new Map(newlyEnriched.map(chunk => [chunk.id, chunk]));
+    
+    return {
+      enrichedChunks: chunks.map(chunk => reused.get(chunk.id) || enrichedById.get(chunk.id)),
+      failedCount: pending.length - enrichedCount
+    };
+  }
+
+  /**
+   * עדכון מצטבר של אינדקס - העשרה מחדש רק של קבצים שנוספו או השתנו
+   * @param {string} indexId - מזהה האינדקס
+   * @param {Object} [options] - אפשרויות
+   * @param {number} [options.maxCost] - תקרת הוצאה בדולרים לעדכון (במקום indexing.maxCostUsd)
+   * @returns {Promise<Object>} - סיכום השינויים שבוצעו
+   */
+  async updateIndex(indexId, options = {}) {
+    const maxCostUsd = this._maxCost(options.maxCost, 'indexing.maxCostUsd');
+    this._checkBudgetPricing(maxCostUsd, ['enrich']);
+    
+    return this._withUsageSummary({ operation: 'update', indexId, maxCostUsd }, async () => {
+      try {
+        logger.info(`Updating index: ${indexId}`);
+        const startTime = Date.now();
+        
+        const index = await this.indexManager.loadIndex(indexId);
+        if (!index) {
+          throw new Error(`Index ${indexId} not found`);
+        }
+        
+        // אינדקסים ישנים לא שמרו את מקור הקבצים ולכן אי אפשר לעדכן אותם
+        if (!index.sourcePath || !index.files) {
+          throw new Error(`Index ${indexId} has no source tracking information. Re-create it with the \`index\` command`);
+        }
+        
+        // השוואת עץ המקור הנוכחי למניפסט השמור
+        console.log(`Scanning source path for changes: ${index.sourcePath}`);
+        const currentFiles = await this.fileProcessor.getFileManifest(index.sourcePath);
+        // באינדקס שנבנה בגרסת חילוץ ישנה, מיקומי הקטעים של קבצי PDF ו-Office לא תואמים לטקסט המחולץ - הם מחולצים מחדש
+        const extractorOutdated = this.indexManager.isExtractorOutdated(index);
+        const { added, modified, deleted, unchanged } = this._diffFileManifests(index.files, currentFiles,
+          filePath => extractorOutdated && this.fileProcessor.isExtractedFormat(filePath));
+        
+        console.log(`Changes detected: ${added.length} added, ${modified.length} modified, ${deleted.length} deleted, ${unchanged.length} unchanged`);
+        logger.info(`Index ${indexId} changes`, {
+          added: added.length,
+          modified: modified.length,
+          deleted: deleted.length
+        });
+        
+        const summary = {
+          indexId,
+          added,
+          modified,
+          deleted,
+          unchangedCount: unchanged.length
+        };
+        
+        if (added.length === 0 && modified.length === 0 && deleted.length === 0) {
+          console.log(`Index ${indexId} is up to date`);
+          return summary;
+        }
+        
+        // עיבוד מחדש של קבצים שנוספו או השתנו בלבד
+        let newChunks = [];
+        for (const filePath of [...added, ...modified]) {
+          const fileChunks = await this.fileProcessor.processFile(filePath, index.sourcePath);
+          newChunks = [...newChunks, ...fileChunks];
+        }
+        
+        // העשרה רק אם האינדקס המקורי הועשר - עם נקודת שמירה, כדי שעדכון שנעצר (למשל בתקרת ההוצאה)
+        // ימשיך בהרצה הבאה בלי לשלוח שוב את הקטעים שכבר הועשרו
+        if (index.enriched !== false && newChunks.length > 0) {
+          const checkpoint = await this.indexCheckpoint.load(indexId);
+          ({ enrichedChunks: newChunks } = await this._enrichChunksWithCheckpoint(
+            indexId,
+            newChunks,
+            { sourcePath: index.sourcePath, operation: 'update' },
+            checkpoint && checkpoint.chunks
+          ));
+        }
+        
+        // קבצים שההעשרה שלהם נכשלה נשארים מחוץ למניפסט ויעובדו שוב בעדכון הבא
+        const files = this._withoutFailedFiles(currentFiles, newChunks);
+        const failedFiles = Object.keys(currentFiles).length - Object.keys(files).length;
+        if (failedFiles > 0) {
+          logger.warn(`${failedFiles} files could not be fully enriched`, { indexId });
+          console.log(`${failedFiles} files could not be fully enriched and will be retried on the next update`);
+        }
+        
+        // קובץ "חדש" יכול להיות קובץ שנכשל בעדכון קודם - הקטעים הישנים שלו מוחלפים
+        await this.indexManager.updateIndex(index, {
+          newChunks,
+          removedFiles: [...added, ...modified, ...deleted],
+          files
+        });
+        
+        // נקודת השמירה נשמרת כל עוד יש קבצים שיעובדו שוב בעדכון הבא
+        if (failedFiles === 0) {
+          await this.indexCheckpoint.remove(indexId);
+        }
+        
+        const endTime = Date.now();
+        logger.logPerformance('Update index', endTime - startTime, {
+          indexId,
+          newChunksCount: newChunks.length
+        });
+        
+        return summary;
+      } catch (error) {
+        logger.error(`Error updating index: ${indexId}`, { error: error.message });
+        throw new Error(`Failed to update index: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * מענה לשאלה על אינדקס באמצעות השיטה האיטרטיבית
+   * 
+   * כאשר מועבר options.events, ההתקדמות מדווחת כאירועים במקום הדפסות לקונסול, לפי הסדר:
+   * - 'conversation' { conversationId, isNew } - השיחה שהשאלה נזקפת אליה
+   * - 'retrieval:start' ו-'retrieval:stage' - שלבי האחזור (ראו IndexManager.findRelevantChunks)
+   * - 'retrieval:done' { chunks: [{ id, filePath, location, relevanceScore }] } - הקטעים שנבחרו
+   * - 'strategy' { strategy, chunkCount } - אסטרטגיית המענה שנבחרה
+   * - אירועי יצירת התשובה: 'chunk:start', 'chunk:done', 'wait', 'answer:start', 'token', 'budget', 'done'
+   *   (ראו IterativeAnswerer.generateAnswer)
+   * 
+   * @param {string} indexId - מזהה האינדקס
+   * @param {string} question - שאלת המשתמש
+   * @param {string} conversationId - מזהה השיחה (אם ממשיכים שיחה קיימת)
+   * @param {Object} [options] - אפשרויות נוספות
+   * @param {boolean} [options.cite] - מצב ציטוטים: התשובה כוללת מזהי מקור [S#] שמפוענחים ל-citations
+   * @param {EventEmitter} [options.events] - יעד לאירועי ההתקדמות וההזרמה
+   * @param {string} [options.strategy] - אסטרטגיית המענה ('auto', 'stuff', 'refine' או 'map-reduce'), במקום answer.strategy
+   * @param {Object} [options.models] - דריסת מודלים לשאילתה זו לפי משימה ({ retrieve, answer, finalize }), במקום models בהגדרות
+   * @param {number} [options.maxCost] - תקרת הוצאה בדולרים לשאלה (במקום answer.maxCostUsd)
+   * @returns {Promise<Object>} - תשובה ומידע נוסף, כולל usage - השימוש והעלות של השאלה
+   */
+  async answerQuestion(indexId, question, conversationId = null, options = {}) {
+    const maxCostUsd = this._maxCost(options.maxCost, 'answer.maxCostUsd');
+    const { events } = options;
+    const isNewConversation = !conversationId;
+    
+    return usageTracker.run({ operation: 'query', indexId, conversationId, maxCostUsd }, async () => {
+      try {
+        logger.info(`Answering question for index: ${indexId}`, { conversationId });
+        const startTime = Date.now();
+        
+        const models = options.models || {};
+        const unknownTasks = Object.keys(models).filter(task => !QUERY_MODEL_TASKS.includes(task));
+        if (unknownTasks.length > 0) {
+          throw new Error(`Unknown model task: ${unknownTasks.join(', ')} (expected one of: ${QUERY_MODEL_TASKS.join(', ')})`);
+        }
+        this._checkBudgetPricing(maxCostUsd, [...QUERY_MODEL_TASKS, 'historyMerge'], models);
+        
+        // טעינת האינדקס
+        const index = await this.indexManager.loadIndex(indexId);
+        if (!index) {
+          throw new Error(`Index ${indexId} not found`);
+        }
+        
+        // טיפול בשיחה - לפני האחזור, כדי שכל קריאות השאלה ייזקפו לשיחה
+        let conversation;
+        let conversationHistory = '';
+        
+        if (conversationId) {
+          // המשך שיחה קיימת
+          conversation = await this.conversationManager.getConversation(conversationId);
+          if (!conversation) {
+            throw new Error(`Conversation ${conversationId} not found`);
+          }
+          
+          // הכנת היסטורית השיחה לפרומפט
+          conversationHistory = this._prepareConversationHistory(conversation);
+        } else {
+          // יצירת שיחה חדשה
+          conversation = await this.conversationManager.createConversation(indexId);
+          conversationId = conversation.id;
+          usageTracker.setContext({ conversationId });
+        }
+        this._emit(events, 'conversation', { conversationId, isNew: isNewConversation });
+        
+        // מציאת הקטעים הרלוונטיים לשאלה
+        let relevantChunks = await this.indexManager.findRelevantChunks(index, question, { models, events });
+        
+        // במצב ציטוטים כל קטע מקבל מזהה מקור שהתשובה חייבת להפנות אליו
+        if (options.cite) {
+          relevantChunks = this.citationResolver.assignMarkers(relevantChunks);
+        }
+        logger.debug(`Found ${relevantChunks.length} relevant chunks`);
+        this._emit(events, 'retrieval:done', {
+          chunks: relevantChunks.map(chunk => ({
+            id: chunk.id,
+            filePath: chunk.filePath,
+            location: chunk.location || '',
+            relevanceScore: chunk.relevanceScore
+          }))
+        });
+        
+        // בחירת אסטרטגיה: פרומפט יחיד כשכל הקטעים נכנסים בחלון ההקשר, אחרת עיבוד קטע אחר קטע
+        // (הפרומפט המשולב נבנה רק כשהוא עשוי לשמש - במצב auto או stuff)
+        let strategy = this._requestedAnswerStrategy(options.strategy);
+        let singleShotPrompt = null;
+        if (strategy === 'auto' || strategy === 'stuff') {
+          singleShotPrompt = await this.conversationManager.buildPrompt(conversation, question, index, relevantChunks);
+          strategy = this._selectAnswerStrategy(strategy, singleShotPrompt);
+        }
+        this._emit(events, 'strategy', { strategy, chunkCount: relevantChunks.length });
+        
+        let answer;
+        if (strategy === 'stuff') {
+          answer = await this.iterativeAnswerer.generateSingleShotAnswer(singleShotPrompt, { events, models, chunkCount: relevantChunks.length });
+        } else {
+          answer = await this.iterativeAnswerer.generateAnswer(
+            question,
+            relevantChunks,
+            conversationHistory,
+            { events, strategy, models }
+          );
+        }
+        
+        let citations;
+        if (options.cite) {
+          ({ answer, citations } = this.citationResolver.resolve(answer, relevantChunks));
+        }
+        
+        // עדכון היסטוריית השיחה
+        await this.conversationManager.addExchange(
+          conversationId,
+          question,
+          answer
+        );
+        
+        const endTime = Date.now();
+        logger.logPerformance('Answer question', endTime - startTime, { 
+          indexId, 
+          conversationId,
+          strategy,
+          relevantChunksCount: relevantChunks.length
+        });
+        
+        return {
+          answer,
+          conversationId,
+          strategy,
+          citations,
+          usage: usageTracker.getSummary(),
+          relevantChunks: relevantChunks.map(chunk => ({
+            id: chunk.id,
+            filePath: chunk.filePath,
+            // מיקום במסמך המקורי - עמודים ב-PDF, שקפים או טווח תאים
+            pageStart: chunk.pageStart || null,
+            pageEnd: chunk.pageEnd || null,
+            location: chunk.location || '',
+            relevanceScore: chunk.relevanceScore,
+            // ציוני כל שלב באחזור ההיברידי (אם נעשה בו שימוש)
+            retrieval: chunk.retrieval
+          }))
+        };
+      } catch (error) {
+        logger.error(`Error answering question for index: ${indexId}`, { error: error.message });
+        throw new Error(`Failed to answer question: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * האסטרטגיה שהתבקשה - מהאפשרויות או מההגדרות, אחרי בדיקת תקינות
+   * @param {string} [requested] - האסטרטגיה שהתבקשה (ברירת מחדל: answer.strategy)
+   * @returns {string} - אחת מ-ANSWER_STRATEGIES
+   * @private
+   */
+  _requestedAnswerStrategy(requested) {
+    const strategy = requested || this.config.get('answer.strategy') || 'auto';
+    
+    if (!ANSWER_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown answer strategy: ${strategy} (expected one of: ${ANSWER_STRATEGIES.join(', ')})`);
+    }
+    
+    return strategy;
+  }
+
+  /**
+   * בחירת אסטרטגיית המענה כשהתבקש 'auto' או 'stuff'
+   * במצב 'auto' הקטעים נשלחים בפרומפט יחיד ('stuff') אם הם נכנסים בחלון ההקשר פחות תקציב התשובה,
+   * ואחרת משתמשים בשיפור האיטרטיבי ('refine')
+   * @param {string} strategy - 'auto' או 'stuff' (מ-_requestedAnswerStrategy)
+   * @param {string} singleShotPrompt - הפרומפט המשולב מ-ConversationManager.buildPrompt
+   * @returns {string} - האסטרטגיה שתופעל
+   * @private
+   */
+  _selectAnswerStrategy(strategy, singleShotPrompt) {
+    const contextWindow = this.config.get('claude.maxTokens') || 100000;
+    const responseBudget = this.config.get('claude.responseMaxTokens') || 4000;
+    const promptTokens = this.claudeClient.countTokens(singleShotPrompt) +
+      this.claudeClient.countTokens(this.config.get('claude.defaultSystemPrompt'));
+    const fits = promptTokens <= contextWindow - responseBudget;
+    
+    if (strategy === 'stuff') {
+      if (!fits) {
+        logger.warn(`Single-shot prompt (${promptTokens} tokens) exceeds the context window budget (${contextWindow - responseBudget} tokens)`);
+      }
+      return 'stuff';
     }
+    
+    logger.debug(`Single-shot prompt: ${promptTokens} tokens, budget: ${contextWindow - responseBudget}`, { fits });
+    return fits ? 'stuff' : 'refine';
   }
 
   /**
@@ -222,6 +767,9 @@ class AppController {
    */
   async deleteIndex(indexId) {
     try {
+      // נקודת שמירה שנשארה מבנייה שלא הושלמה נמחקת יחד עם האינדקס
+      await this.indexCheckpoint.remove(indexId);
+      await this.indexCheckpoint.removeBatch(indexId);
       return await this.indexManager.deleteIndex(indexId);
     } catch (error) {
       logger.error(`Error deleting index: ${indexId}`, { error: error.message });
@@ -257,6 +805,20 @@ class AppController {
     }
   }
 
+  /**
+   * דוח שימוש ועלות מצטבר מיומן השימוש
+   * @param {Object} [options] - groupBy ('index', 'conversation', 'day', 'model' או 'task'), indexId, since
+   * @returns {Promise<Object>} - { groupBy, rows, total }
+   */
+  async getUsageReport(options = {}) {
+    try {
+      return await usageTracker.report(options);
+    } catch (error) {
+      logger.error('Error building usage report', { error: error.message });
+      throw new Error(`Failed to build usage report: ${error.message}`);
+    }
+  }
+
   /**
    * מחיקת שיחה
    * @param {string} conversationId - מזהה השיחה
@@ -273,6 +835,91 @@ class AppController {
 
   // ------------------------ פונקציות עזר פנימיות ------------------------
   
+  /**
+   * הרצת פעולת אינדוקס בהקשר שימוש משלה והצגת סיכום השימוש והעלות בסיומה (גם אם נכשלה)
+   * @param {Object} context - { operation, indexId }
+   * @param {Function} fn - async () => תוצאת הפעולה
+   * @returns {Promise<*>} - תוצאת הפעולה
+   * @private
+   */
+  async _withUsageSummary(context, fn) {
+    return usageTracker.run(context, async () => {
+      try {
+        return await fn();
+      } finally {
+        const usage = usageTracker.getSummary();
+        if (usage && usage.requests > 0) {
+          console.log(`Usage for ${context.indexId}: ${usageTracker.formatSummary(usage)}`);
+        }
+        
+        // הקטעים שכבר הועשרו שמורים בנקודת השמירה, גם בבנייה וגם בעדכון
+        if (usage && usage.budgetExceeded) {
+          const command = context.operation === 'update' ? `update ${context.indexId}` : `index --resume ${context.indexId}`;
+          console.log(`Spending limit of $${context.maxCostUsd} reached. Progress so far is saved; run "${command} --max-cost <usd>" to continue.`);
+        }
+      }
+    });
+  }
+
+  /**
+   * תקרת ההוצאה לפעולה: הערך שהתקבל (--max-cost), או ההגדרה המתאימה
+   * @param {number} [maxCost] - תקרה מפורשת בדולרים
+   * @param {string} configKey - מפתח ההגדרה (indexing.maxCostUsd או answer.maxCostUsd)
+   * @returns {number|null} - התקרה, או null אם אין תקרה (0 או לא הוגדר)
+   * @private
+   */
+  _maxCost(maxCost, configKey) {
+    const value = maxCost !== undefined && maxCost !== null ? maxCost : this.config.get(configKey);
+    return value > 0 ? value : null;
+  }
+
+  /**
+   * סירוב להתחיל פעולה עם תקרת הוצאה כשלאחד המודלים שלה אין מחיר - העלות שלו נרשמת כ-null,
+   * והתקרה לא הייתה נאכפת לעולם (למשל מודל מקומי של openai-compatible)
+   * @param {number|null} maxCostUsd - תקרת ההוצאה של הפעולה
+   * @param {Array<string>} tasks - המשימות שהפעולה עשויה להריץ
+   * @param {Object} [models] - דריסת מודלים לפעולה לפי משימה
+   * @throws {Error} - אם הוגדרה תקרה ויש מודל בלי מחיר ב-usage.prices
+   * @private
+   */
+  _checkBudgetPricing(maxCostUsd, tasks, models = {}) {
+    if (!maxCostUsd) {
+      return;
+    }
+    
+    const unpriced = this.claudeClient.modelsForTasks(tasks, models).filter(model => !usageTracker.hasPrice(model));
+    if (unpriced.length > 0) {
+      throw new Error(`A spending limit of $${maxCostUsd} is set, but there is no price for ${unpriced.join(', ')} in usage.prices, so the limit cannot be enforced. Add a price for it or run without a spending limit`);
+    }
+  }
+
+  /**
+   * הערכת הטוקנים והעלות של בקשות התקציר לקטעים, לפי אותן בקשות שנשלחות בהעשרה
+   * @param {Array} chunks - הקטעים להעשרה
+   * @param {boolean} batch - האם הבקשות יישלחו כ-Message Batch (מחיר מוזל)
+   * @returns {Object} - { requests, model, inputTokens, outputTokens, costUsd, batch }
+   * @private
+   */
+  _estimateEnrichment(chunks, batch) {
+    let model = null;
+    let inputTokens = 0;
+    
+    for (const chunk of chunks) {
+      const params = this.claudeClient.buildRequestParams(this.claudeClient.buildSummaryPrompt(chunk.content), {
+        temperature: 0.3,
+        task: 'enrich'
+      });
+      
+      model = params.model;
+      inputTokens += this.claudeClient.countTokens(params.system) + this.claudeClient.countTokens(params.messages[0].content);
+    }
+    
+    const outputTokens = chunks.length * ESTIMATED_SUMMARY_OUTPUT_TOKENS;
+    const costUsd = chunks.length > 0 ? usageTracker.costFor(model, { inputTokens, outputTokens }, batch) : 0;
+    
+    return { requests: chunks.length, model, inputTokens: Math.round(inputTokens), outputTokens, costUsd, batch };
+  }
+  
   /**
    * בדיקה אם יש צורך ליצור אינדקס מלא
    * @param {string} path - נתיב לקובץ
@@ -290,10 +937,6 @@ class AppController {
         return true;
       }
       
-      // הערכה גסה של מספר הטוקנים - לפי יחס של 4 תווים לטוקן
-      const estimatedTokens = stats.totalSize / 4;
-      console.log(`Estimated tokens: ${estimatedTokens}`);
-      
       // גודל חלון ההקשר של קלוד
       const claudeMaxTokens = this.config.get('claude.maxTokens');
       
@@ -302,6 +945,18 @@ class AppController {
       const thresholdTokens = claudeMaxTokens * (thresholdPercentage / 100);
       
       console.log(`Threshold tokens: ${thresholdTokens}, Claude max tokens: ${claudeMaxTokens}`);
+      
+      // קובץ ענק - אין צורך לקרוא אותו כדי לדעת שהוא חורג מהסף
+      if (stats.totalSize > thresholdTokens * 8) {
+        console.log(`File size ${stats.totalSize} bytes is far above the threshold`);
+        return true;
+      }
+      
+      // ספירת טוקנים על התוכן שחולץ מהקובץ
+      const content = await this.fileProcessor.extractFileContent(path);
+      const estimatedTokens = this.claudeClient.countTokens(content);
+      console.log(`Estimated tokens: ${estimatedTokens}`);
+      
       return estimatedTokens > thresholdTokens;
     } catch (error) {
       console.error(`Error determining if full index is needed: ${error.message}`);
@@ -311,56 +966,161 @@ class AppController {
     }
   }
 
+  /**
+   * השוואה בין מניפסט קבצים שמור למניפסט נוכחי
+   * קובץ נחשב ללא שינוי אם הגודל וזמן השינוי זהים, או אם הגיבוב זהה
+   * @param {Object} previousFiles - המניפסט השמור באינדקס
+   * @param {Object} currentFiles - המניפסט הנוכחי
+   * @param {Function} [mustReprocess] - קבצים שהפונקציה מחזירה עבורם true נחשבים כמשתנים בכל מקרה
+   * @returns {Object} - רשימות קבצים: added, modified, deleted, unchanged
+   * @private
+   */
+  _diffFileManifests(previousFiles, currentFiles, mustReprocess = () => false) {
+    const added = [];
+    const modified = [];
+    const unchanged = [];
+    
+    for (const [filePath, current] of Object.entries(currentFiles)) {
+      const previous = previousFiles[filePath];
+      
+      if (!previous) {
+        added.push(filePath);
+      } else if (!mustReprocess(filePath) && (previous.hash === current.hash ||
+                 (previous.mtimeMs === current.mtimeMs && previous.size === current.size))) {
+        unchanged.push(filePath);
+      } else {
+        modified.push(filePath);
+      }
+    }
+    
+    const deleted = Object.keys(previousFiles).filter(filePath => !currentFiles[filePath]);
+    
+    return { added, modified, deleted, unchanged };
+  }
+
+  /**
+   * מניפסט בלי הקבצים שלפחות קטע אחד שלהם לא הועשר (enrichmentFailed)
+   * @param {Object} files - מניפסט הקבצים
+   * @param {Array} chunks - הקטעים אחרי ההעשרה
+   * @returns {Object} - המניפסט בלי הקבצים שנכשלו
+   * @private
+   */
+  _withoutFailedFiles(files, chunks) {
+    const failedFiles = new Set(chunks.filter(chunk => chunk.enrichmentFailed).map(chunk => chunk.filePath));
+    return Object.fromEntries(Object.entries(files).filter(([filePath]) => !failedFiles.has(filePath)));
+  }
+
   /**
    * העשרת הקטעים באמצעות קלוד (תקצירים ומילות מפתח)
+   * הקריאות רצות במקביל עד indexing.concurrency, בכפוף למגבלת הקצב המשותפת של ClaudeClient,
+   * והקטעים המועשרים מוחזרים לפי הסדר המקורי
    * @param {Array} chunks - מערך של קטעים
-   * @returns {Promise<Array>} - קטעים מועשרים
+   * @param {Object} [options] - אפשרויות נוספות
+   * @param {Function} [options.onEnriched] - async (chunk) => void, נקרא לכל קטע שהועשר בהצלחה
+   * @returns {Promise<Array>} - קטעים מועשרים (קטע שההעשרה שלו נכשלה מסומן ב-enrichmentFailed)
    * @private
    */
-  async _enrichChunks(chunks) {
-    logger.info(`Enriching ${chunks.length} chunks with summaries and keywords`);
-    console.log(`Enriching ${chunks.length} chunks with summaries and keywords...`);
+  async _enrichChunks(chunks, options = {}) {
+    const concurrency = this.config.get('indexing.concurrency') || 4;
+    logger.info(`Enriching ${chunks.length} chunks with summaries and keywords`, { concurrency });
+    console.log(`Enriching ${chunks.length} chunks with summaries and keywords (concurrency: ${concurrency})...`);
     
-    const enrichedChunks = [];
+    const startTime = Date.now();
+    let completed = 0;
     
-    // מעבר על כל הקטעים
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i];
+    const enrichedChunks = await mapWithConcurrency(chunks, concurrency, async (chunk, i) => {
       logger.debug(`Enriching chunk ${i+1}/${chunks.length}: ${chunk.id}`);
-      console.log(`Enriching chunk ${i+1}/${chunks.length}: ${chunk.id}`);
+      let enrichedChunk;
       
       try {
         // יצירת תקציר ומילות מפתח לקטע
-        console.log(`Sending chunk to Claude for summarization...`);
         const { summary, keywords } = await this.claudeClient.createSummaryAndKeywords(chunk.content);
-        console.log(`Received summary (${summary.length} chars) and ${keywords.length} keywords`);
+        logger.debug(`Received summary (${summary.length} chars) and ${keywords.length} keywords for ${chunk.id}`);
         
         // הוספת המידע לקטע
-        enrichedChunks.push({
+        enrichedChunk = {
           ...chunk,
           summary,
           keywords
-        });
+        };
         
-        console.log(`Chunk ${i+1}/${chunks.length} enriched successfully`);
+        if (options.onEnriched) {
+          await options.onEnriched(enrichedChunk);
+        }
       } catch (error) {
+        // תקרת ההוצאה עוצרת את כל הבנייה - הקטעים שהועשרו עד כאן כבר בנקודת השמירה
+        if (usageTracker.isBudgetExceeded()) {
+          throw error;
+        }
+        
         console.error(`Error enriching chunk ${chunk.id}: ${error.message}`);
         logger.warn(`Error enriching chunk ${chunk.id}`, { error: error.message });
         // במקרה של שגיאה, נוסיף את הקטע בלי העשרה
-        enrichedChunks.push({
+        enrichedChunk = {
           ...chunk,
           summary: 'Summary generation failed',
-          keywords: []
-        });
-        console.log(`Added chunk without enrichment due to error`);
+          keywords: [],
+          enrichmentFailed: true
+        };
       }
-      const calculateWaitTime = (inputString, tokenRatePerMinute) => Math.ceil(((inputString.length / 4) / tokenRatePerMinute) * 60 * 1000);
-      await new Promise(resolve => setTimeout(resolve, calculateWaitTime(chunk.content, 50000)));
-    }
+      
+      // דיווח התקדמות - קצב וזמן משוער לסיום
+      completed++;
+      const elapsedMs = Date.now() - startTime;
+      const perMinute = completed / (elapsedMs / 60000);
+      const etaMs = (chunks.length - completed) * (elapsedMs / completed);
+      console.log(`Enriched ${completed}/${chunks.length} chunks (${perMinute.toFixed(1)} chunks/min, ETA ${this._formatDuration(etaMs)})`);
+      
+      return enrichedChunk;
+    });
     
-    console.log(`Enrichment complete. Enriched ${enrichedChunks.length} chunks.`);
+    console.log(`Enrichment complete. Enriched ${enrichedChunks.length} chunks in ${this._formatDuration(Date.now() - startTime)}.`);
     return enrichedChunks;
   }
+
+  /**
+   * טביעת אצבע לתוכן קטע - לזיהוי קטעים שהשתנו בין שליחת האצווה לאיסוף התוצאות
+   * @param {string} content - תוכן הקטע
+   * @returns {string} - hash הקסדצימלי
+   * @private
+   */
+  _hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * שליחת אירוע התקדמות, אם הוגדר יעד לאירועים
+   * @param {EventEmitter} [events] - יעד האירועים
+   * @param {string} name - שם האירוע
+   * @param {Object} data - נתוני האירוע
+   * @private
+   */
+  _emit(events, name, data) {
+    if (events) {
+      events.emit(name, data);
+    }
+  }
+
+  /**
+   * הצגת משך זמן בפורמט קריא, למשל "1h 05m", "3m 20s" או "12s"
+   * @param {number} ms - משך במילישניות
+   * @returns {string} - המשך בפורמט קריא
+   * @private
+   */
+  _formatDuration(ms) {
+    const totalSeconds = Math.round(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    
+    if (hours > 0) {
+      return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    }
+    if (minutes > 0) {
+      return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+    }
+    return `${seconds}s`;
+  }
 }
 
 module.exports = AppController;
\ No newline at end of file
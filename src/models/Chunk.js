@@ -4,6 +4,8 @@
 
 'use strict';
 
+const tokenCounter = require('../utils/TokenCounter');
+
 /**
  * מייצג קטע תוכן מקובץ
  */
@@ -16,15 +18,31 @@ class Chunk {
    * @param {string} params.filePath - נתיב לקובץ המקור
    * @param {number} params.startPosition - מיקום התחלה בקובץ המקור
    * @param {number} params.endPosition - מיקום סיום בקובץ המקור
+   * @param {string} [params.headingPath] - נתיב הכותרות של הקטע, למשל "Install > Linux" (אופציונלי)
+   * @param {string} [params.symbolName] - שם הסמל בקוד מקור, למשל "IndexManager.loadIndex" (אופציונלי)
+   * @param {string} [params.symbolKind] - סוג הסמל: function, class, method או module (אופציונלי)
+   * @param {number} [params.startLine] - שורת ההתחלה בקובץ המקור, מ-1 (אופציונלי)
+   * @param {number} [params.endLine] - שורת הסיום בקובץ המקור (אופציונלי)
+   * @param {number} [params.pageStart] - העמוד הראשון של הקטע במסמך PDF (אופציונלי)
+   * @param {number} [params.pageEnd] - העמוד האחרון של הקטע במסמך PDF (אופציונלי)
+   * @param {string} [params.location] - מיקום במסמך המקורי לציטוט, למשל "slide 12" או "Sheet Budget!B4" (אופציונלי)
    * @param {string} [params.summary] - תקציר הקטע (אופציונלי)
    * @param {Array<string>} [params.keywords] - מילות מפתח (אופציונלי)
    */
-  constructor({ id, content, filePath, startPosition, endPosition, summary = '', keywords = [] }) {
+  constructor({ id, content, filePath, startPosition, endPosition, headingPath = '', symbolName = null, symbolKind = null, startLine = null, endLine = null, pageStart = null, pageEnd = null, location = '', summary = '', keywords = [] }) {
     this.id = id;
     this.content = content;
     this.filePath = filePath;
     this.startPosition = startPosition;
     this.endPosition = endPosition;
+    this.headingPath = headingPath;
+    this.symbolName = symbolName;
+    this.symbolKind = symbolKind;
+    this.startLine = startLine;
+    this.endLine = endLine;
+    this.pageStart = pageStart;
+    this.pageEnd = pageEnd;
+    this.location = location;
     this.summary = summary;
     this.keywords = keywords;
   }
@@ -38,12 +56,11 @@ class Chunk {
   }
 
   /**
-   * הערכה גסה של מספר הטוקנים בקטע
+   * הערכת מספר הטוקנים בקטע
    * @returns {number} - הערכת מספר הטוקנים
    */
   get estimatedTokens() {
-    // הערכה גסה: 1 טוקן ≈ 4 תווים
-    return Math.ceil(this.content.length / 4);
+    return tokenCounter.countTokens(this.content);
   }
 
   /**
@@ -56,6 +73,14 @@ class Chunk {
       filePath: this.filePath,
       startPosition: this.startPosition,
       endPosition: this.endPosition,
+      headingPath: this.headingPath,
+      symbolName: this.symbolName,
+      symbolKind: this.symbolKind,
+      startLine: this.startLine,
+      endLine: this.endLine,
+      pageStart: this.pageStart,
+      pageEnd: this.pageEnd,
+      location: this.location,
       length: this.length,
       estimatedTokens: this.estimatedTokens,
       summary: this.summary,
@@ -0,0 +1,492 @@
+// File: src/server/ApiServer.js
+// Location: /claude-context-extender/src/server/ApiServer.js
+// שרת HTTP מקומי עם נקודות קצה JSON לפעולות של AppController (פקודת serve)
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const configManager = require('../utils/ConfigManager');
+const logger = require('../utils/Logger');
+const { forwardEvents } = require('../utils/EventForwarder');
+const JobManager = require('./JobManager');
+
+// מזהה בנתיב: אותיות, ספרות, מקף וקו תחתון - בלי נקודה, כמו מזהי האינדקסים (ראו IndexManager._normalizeIndexName),
+// כדי שנתיב כמו /indexes/<id>.vectors לא יגיע לקבצים הנלווים או יצא מתיקיית הנתונים
+const ID = '([A-Za-z0-9_-]+)';
+const ID_PATTERN = new RegExp(`^${ID}$`);
+
+class ApiServer {
+  /**
+   * @param {AppController} appController - הבקר שהשרת חושף
+   * @param {Object} [options] - אפשרויות (במקום server בהגדרות)
+   * @param {string} [options.host] - הכתובת להאזנה
+   * @param {number} [options.port] - הפורט להאזנה
+   */
+  constructor(appController, options = {}) {
+    this.appController = appController;
+    this.config = configManager;
+    this.jobManager = new JobManager();
+    
+    this.host = options.host || this.config.get('server.host', '127.0.0.1');
+    this.port = options.port !== undefined ? options.port : this.config.get('server.port', 3000);
+    this.apiKey = process.env[this.config.get('server.apiKeyEnv', 'CONTEXT_EXTENDER_API_KEY')];
+    this.maxBodyBytes = this.config.get('server.maxBodyKb', 1024) * 1024;
+    
+    // POST /indexes קורא רק מתחת לתיקיות האלה; נתיב יחסי נפתר מתיקיית העבודה של השרת
+    this.allowedRoots = this.config.get('server.allowedRoots', ['.']).map(root => path.resolve(root));
+    
+    this.routes = this._buildRoutes();
+    this.server = null;
+    
+    logger.debug('ApiServer initialized');
+  }
+
+  /**
+   * הפעלת השרת
+   * @returns {Promise<Object>} - { host, port } שעליהם השרת מאזין
+   */
+  async start() {
+    if (!this.apiKey) {
+      throw new Error(`No API key configured. Set the ${this.config.get('server.apiKeyEnv', 'CONTEXT_EXTENDER_API_KEY')} environment variable before starting the server`);
+    }
+    
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    
+    const { port } = this.server.address();
+    logger.info(`API server listening on http://${this.host}:${port}`);
+    return { host: this.host, port };
+  }
+
+  /**
+   * עצירת השרת (משימות שכבר רצות ממשיכות עד סופן)
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * טבלת הנתיבים: שיטה, ביטוי לנתיב ומטפל שמקבל את קבוצות הביטוי, גוף הבקשה ופרמטרי השאילתה
+   * נתיב עם stream מקבל גם את התשובה וכותב אליה בעצמו (Server-Sent Events)
+   * @returns {Array<Object>} - [{ method, pattern, handler, public, stream }]
+   * @private
+   */
+  _buildRoutes() {
+    return [
+      { method: 'GET', pattern: /^\/health$/, public: true, handler: () => ({ status: 'ok' }) },
+      
+      // אינדקסים - הבנייה רצה כמשימה ברקע, והלקוח בודק את מצבה ב-/jobs/:id
+      { method: 'POST', pattern: /^\/indexes$/, handler: (params, body) => this._createIndex(body) },
+      { method: 'GET', pattern: /^\/indexes$/, handler: () => this.appController.listIndexes() },
+      { method: 'GET', pattern: new RegExp(`^/indexes/${ID}$`), handler: ([indexId]) => this._getIndex(indexId) },
+      { method: 'DELETE', pattern: new RegExp(`^/indexes/${ID}$`), handler: ([indexId]) => this._deleted(this.appController.deleteIndex(indexId), `Index ${indexId}`) },
+      { method: 'POST', pattern: new RegExp(`^/indexes/${ID}/resume$`), handler: ([indexId], body) => this._resumeIndex(indexId, body) },
+      { method: 'POST', pattern: new RegExp(`^/indexes/${ID}/questions$`), handler: ([indexId], body) => this._askQuestion(indexId, body) },
+      { method: 'POST', pattern: new RegExp(`^/indexes/${ID}/questions/stream$`), stream: true, handler: ([indexId], body, query, res) => this._streamQuestion(indexId, body, res) },
+      { method: 'GET', pattern: new RegExp(`^/indexes/${ID}/questions/stream$`), stream: true, handler: ([indexId], body, query, res) => this._streamQuestion(indexId, this._questionFromQuery(query), res) },
+      
+      // שיחות
+      { method: 'GET', pattern: /^\/conversations$/, handler: (params, body, query) => this.appController.listConversations(query.get('indexId')) },
+      { method: 'GET', pattern: new RegExp(`^/conversations/${ID}$`), handler: ([conversationId]) => this._found(this.appController.getConversationInfo(conversationId), `Conversation ${conversationId}`) },
+      { method: 'DELETE', pattern: new RegExp(`^/conversations/${ID}$`), handler: ([conversationId]) => this._deleted(this.appController.deleteConversation(conversationId), `Conversation ${conversationId}`) },
+      
+      // משימות
+      { method: 'GET', pattern: /^\/jobs$/, handler: () => this.jobManager.listJobs() },
+      { method: 'GET', pattern: new RegExp(`^/jobs/${ID}$`), handler: ([jobId]) => this._found(Promise.resolve(this.jobManager.getJob(jobId)), `Job ${jobId}`) }
+    ];
+  }
+
+  /**
+   * טיפול בבקשה: ניתוב, אימות, קריאת הגוף והחזרת התשובה כ-JSON
+   * @param {http.IncomingMessage} req - הבקשה
+   * @param {http.ServerResponse} res - התשובה
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    
+    try {
+      const matches = this.routes
+        .map(route => ({ route, match: url.pathname.match(route.pattern) }))
+        .filter(({ match }) => match);
+      
+      if (matches.length === 0) {
+        throw this._httpError(404, `Not found: ${url.pathname}`);
+      }
+      
+      const matched = matches.find(({ route }) => route.method === req.method);
+      if (!matched) {
+        res.setHeader('allow', matches.map(({ route }) => route.method).join(', '));
+        throw this._httpError(405, `Method ${req.method} not allowed on ${url.pathname}`);
+      }
+      
+      if (!matched.route.public && !this._isAuthorized(req)) {
+        throw this._httpError(401, 'Missing or invalid API key');
+      }
+      
+      const body = req.method === 'POST' ? await this._readBody(req) : {};
+      const result = await matched.route.handler(matched.match.slice(1), body, url.searchParams, res);
+      if (matched.route.stream) {
+        return;
+      }
+      
+      this._send(res, result && result.statusCode ? result.statusCode : 200, result && result.statusCode ? result.body : result);
+    } catch (error) {
+      // שגיאות של AppController עוטפות את המקור, ולכן "not found" בהודעה מתורגם ל-404
+      const statusCode = error.statusCode || (/not found/i.test(error.message) ? 404 : 500);
+      if (statusCode >= 500) {
+        logger.error(`API request failed: ${req.method} ${url.pathname}`, { error: error.message });
+      }
+      
+      // זרם שכבר התחיל - אי אפשר לשנות את הסטטוס, רק לסגור
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      
+      this._send(res, statusCode, { error: error.message });
+    }
+  }
+
+  /**
+   * בדיקת מפתח ה-API - בכותרת Authorization: Bearer <key> או x-api-key
+   * @param {http.IncomingMessage} req - הבקשה
+   * @returns {boolean}
+   * @private
+   */
+  _isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : req.headers['x-api-key'];
+    if (!provided) {
+      return false;
+    }
+    
+    // השוואה בזמן קבוע, כדי שזמן התגובה לא יחשוף את המפתח
+    const expected = crypto.createHash('sha256').update(this.apiKey).digest();
+    const actual = crypto.createHash('sha256').update(provided).digest();
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * הגשת בניית אינדקס כמשימה
+   * @param {Object} body - { path, name, storeContent, batch, maxCost }
+   * @returns {Promise<Object>} - 202 עם המשימה
+   * @private
+   */
+  async _createIndex(body) {
+    if (typeof body.path !== 'string' || !body.path) {
+      throw this._httpError(400, 'Field "path" is required');
+    }
+    if (!await this._isAllowedPath(body.path)) {
+      throw this._httpError(403, `Path is outside the directories the server may index (server.allowedRoots): ${body.path}`);
+    }
+    if (!await fs.pathExists(body.path)) {
+      throw this._httpError(400, `Path not found on the server: ${body.path}`);
+    }
+    
+    const options = {
+      name: body.name,
+      storeContent: Boolean(body.storeContent),
+      batch: Boolean(body.batch),
+      maxCost: this._optionalCost(body.maxCost)
+    };
+    
+    const job = this.jobManager.submit('index', { path: body.path, ...options }, async () => ({
+      indexId: await this.appController.createIndex(body.path, options)
+    }));
+    
+    return { statusCode: 202, body: job };
+  }
+
+  /**
+   * האם הנתיב נמצא מתחת לאחת מתיקיות server.allowedRoots
+   * קישורים סימבוליים נפתרים לפני הבדיקה, כדי שקישור בתוך תיקייה מותרת לא יוביל אל מחוצה לה
+   * @param {string} requestedPath - הנתיב מגוף הבקשה
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _isAllowedPath(requestedPath) {
+    const realPath = async target => fs.realpath(target).catch(() => target);
+    const target = await realPath(path.resolve(requestedPath));
+    
+    for (const root of this.allowedRoots) {
+      const relative = path.relative(await realPath(root), target);
+      if (relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative))) {
+        return true;
+      }
+    }
+    
+    return false;
+  }
+
+  /**
+   * הגשת חידוש בנייה כמשימה
+   * @param {string} indexId - מזהה האינדקס
+   * @param {Object} body - { maxCost }
+   * @returns {Promise<Object>} - 202 עם המשימה
+   * @private
+   */
+  async _resumeIndex(indexId, body) {
+    const options = { maxCost: this._optionalCost(body.maxCost) };
+    
+    const job = this.jobManager.submit('resume', { indexId, ...options }, async () => ({
+      indexId: await this.appController.resumeIndex(indexId, options)
+    }));
+    
+    return { statusCode: 202, body: job };
+  }
+
+  /**
+   * מידע על אינדקס, בלי תוכן הקטעים (שעלול להיות גדול מאוד)
+   * @param {string} indexId - מזהה האינדקס
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _getIndex(indexId) {
+    const info = await this._found(this.appController.getIndexInfo(indexId), `Index ${indexId}`);
+    
+    return {
+      ...info,
+      chunks: (info.chunks || []).map(({ content, ...chunk }) => chunk)
+    };
+  }
+
+  /**
+   * מענה לשאלה (סינכרוני - התשובה מוחזרת בגוף התגובה)
+   * @param {string} indexId - מזהה האינדקס
+   * @param {Object} body - { question, conversationId, cite, strategy, models, maxCost }
+   * @returns {Promise<Object>} - תוצאת AppController.answerQuestion
+   * @private
+   */
+  async _askQuestion(indexId, body) {
+    const options = this._questionOptions(body);
+    
+    return this.appController.answerQuestion(indexId, body.question, this._conversationId(body.conversationId), options);
+  }
+
+  /**
+   * מענה לשאלה כזרם Server-Sent Events: כל אירוע התקדמות של AppController.answerQuestion נשלח
+   * כ-event עם ה-data שלו ב-JSON, ובסוף אירוע 'result' עם התוצאה המלאה או 'error' עם { message }
+   * שגיאות קלט ואינדקס שלא קיים מוחזרים כ-JSON רגיל לפני שהזרם נפתח
+   * @param {string} indexId - מזהה האינדקס
+   * @param {Object} body - { question, conversationId, cite, strategy, models, maxCost }
+   * @param {http.ServerResponse} res - התשובה
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _streamQuestion(indexId, body, res) {
+    const options = this._questionOptions(body);
+    const conversationId = this._conversationId(body.conversationId);
+    await this._found(this.appController.getIndexInfo(indexId), `Index ${indexId}`);
+    
+    res.writeHead(200, {
+      'content-type': 'text/event-stream; charset=utf-8',
+      'cache-control': 'no-cache',
+      connection: 'keep-alive'
+    });
+    
+    // לקוח שהתנתק לא עוצר את השאלה, אבל לא כותבים אליו יותר
+    const writeEvent = (event, data) => {
+      if (!res.destroyed && !res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data === undefined ? null : data)}\n\n`);
+      }
+    };
+    
+    const events = new EventEmitter();
+    forwardEvents(events, writeEvent);
+    
+    try {
+      const result = await this.appController.answerQuestion(indexId, body.question, conversationId, { ...options, events });
+      writeEvent('result', result);
+    } catch (error) {
+      logger.error(`Streamed question failed for index: ${indexId}`, { error: error.message });
+      writeEvent('error', { message: error.message });
+    }
+    
+    res.end();
+  }
+
+  /**
+   * אפשרויות השאלה מגוף הבקשה, אחרי בדיקת תקינות
+   * @param {Object} body - { question, cite, strategy, models, maxCost }
+   * @returns {Object} - אפשרויות ל-AppController.answerQuestion
+   * @private
+   */
+  _questionOptions(body) {
+    if (typeof body.question !== 'string' || !body.question.trim()) {
+      throw this._httpError(400, 'Field "question" is required');
+    }
+    
+    return {
+      cite: Boolean(body.cite),
+      strategy: body.strategy,
+      models: body.models,
+      maxCost: this._optionalCost(body.maxCost)
+    };
+  }
+
+  /**
+   * מזהה השיחה מגוף הבקשה או מפרמטרי השאילתה - באותה תבנית כמו מזהים בנתיב,
+   * כי הוא הופך לשם קובץ בתיקיית השיחות (ראו ConversationManager)
+   * @param {*} value - הערך שהתקבל
+   * @returns {string|null} - המזהה, או null לשיחה חדשה
+   * @private
+   */
+  _conversationId(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (typeof value !== 'string' || !ID_PATTERN.test(value)) {
+      throw this._httpError(400, 'Field "conversationId" may contain only letters, digits, "-" and "_"');
+    }
+    
+    return value;
+  }
+
+  /**
+   * גוף שאלה מפרמטרי השאילתה של בקשת GET לזרם (עבור EventSource, ששולח GET בלבד)
+   * @param {URLSearchParams} query - פרמטרי השאילתה: question, conversationId, cite, strategy, maxCost
+   * @returns {Object} - גוף בפורמט של POST
+   * @private
+   */
+  _questionFromQuery(query) {
+    return {
+      question: query.get('question'),
+      conversationId: query.get('conversationId'),
+      cite: query.get('cite') === 'true',
+      strategy: query.get('strategy') || undefined,
+      maxCost: query.has('maxCost') ? Number(query.get('maxCost')) : undefined
+    };
+  }
+
+  /**
+   * תוצאה שחייבת להתקיים - null מתורגם ל-404
+   * @param {Promise<Object|null>} promise - הקריאה לבקר
+   * @param {string} description - תיאור המשאב להודעת השגיאה
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _found(promise, description) {
+    const result = await promise;
+    if (!result) {
+      throw this._httpError(404, `${description} not found`);
+    }
+    
+    return result;
+  }
+
+  /**
+   * תוצאת מחיקה - false (לא היה מה למחוק) מתורגם ל-404
+   * @param {Promise<boolean>} promise - הקריאה לבקר
+   * @param {string} description - תיאור המשאב להודעת השגיאה
+   * @returns {Promise<Object>} - { deleted: true }
+   * @private
+   */
+  async _deleted(promise, description) {
+    if (!await promise) {
+      throw this._httpError(404, `${description} not found`);
+    }
+    
+    return { deleted: true };
+  }
+
+  /**
+   * פענוח maxCost מגוף הבקשה
+   * @param {*} value - הערך שהתקבל
+   * @returns {number|undefined}
+   * @private
+   */
+  _optionalCost(value) {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw this._httpError(400, 'Field "maxCost" must be a non-negative number of dollars');
+    }
+    
+    return value;
+  }
+
+  /**
+   * קריאת גוף הבקשה כ-JSON, עם מגבלת גודל
+   * @param {http.IncomingMessage} req - הבקשה
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _readBody(req) {
+    const parts = [];
+    let size = 0;
+    
+    for await (const part of req) {
+      size += part.length;
+      if (size > this.maxBodyBytes) {
+        throw this._httpError(413, `Request body exceeds ${this.maxBodyBytes} bytes`);
+      }
+      parts.push(part);
+    }
+    
+    const text = Buffer.concat(parts).toString('utf8');
+    if (!text.trim()) {
+      return {};
+    }
+    
+    try {
+      const body = JSON.parse(text);
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new Error('expected an object');
+      }
+      return body;
+    } catch (error) {
+      throw this._httpError(400, `Invalid JSON body: ${error.message}`);
+    }
+  }
+
+  /**
+   * שליחת תשובת JSON
+   * @param {http.ServerResponse} res - התשובה
+   * @param {number} statusCode - קוד הסטטוס
+   * @param {*} body - גוף התשובה
+   * @private
+   */
+  _send(res, statusCode, body) {
+    const data = JSON.stringify(body === undefined ? null : body);
+    
+    res.writeHead(statusCode, {
+      'content-type': 'application/json; charset=utf-8',
+      'content-length': Buffer.byteLength(data)
+    });
+    res.end(data);
+  }
+
+  /**
+   * שגיאה עם קוד סטטוס HTTP
+   * @param {number} statusCode - קוד הסטטוס
+   * @param {string} message - הודעת השגיאה
+   * @returns {Error}
+   * @private
+   */
+  _httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = ApiServer;
@@ -0,0 +1,101 @@
+// File: src/server/JobManager.js
+// Location: /claude-context-extender/src/server/JobManager.js
+// ניהול משימות ארוכות (בניית אינדקס) בשרת - תור שמריץ משימה אחת בכל פעם, עם מצב לבדיקה חוזרת
+
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/Logger');
+
+class JobManager {
+  constructor() {
+    // כל המשימות מאז הפעלת השרת (בזיכרון בלבד - בנייה שנקטעה ממשיכה עם resume)
+    this.jobs = new Map();
+    
+    // המשימות רצות לפי סדר ההגשה, אחת בכל פעם, כדי לא להתחרות על מגבלות הקצב
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * הגשת משימה לתור
+   * @param {string} type - סוג המשימה (למשל 'index' או 'resume')
+   * @param {Object} params - פרמטרי המשימה (לתצוגה בלבד)
+   * @param {Function} run - async () => תוצאת המשימה
+   * @returns {Object} - המשימה במצב queued
+   */
+  submit(type, params, run) {
+    const job = {
+      id: uuidv4(),
+      type,
+      status: 'queued',
+      params,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null
+    };
+    this.jobs.set(job.id, job);
+    
+    this.queue = this.queue.then(() => this._runJob(job, run));
+    
+    logger.info(`Job queued: ${job.id}`, { type });
+    return this._toJSON(job);
+  }
+
+  /**
+   * מצב משימה
+   * @param {string} jobId - מזהה המשימה
+   * @returns {Object|null} - המשימה, או null אם לא קיימת
+   */
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this._toJSON(job) : null;
+  }
+
+  /**
+   * רשימת כל המשימות, מהחדשה לישנה
+   * @returns {Array<Object>}
+   */
+  listJobs() {
+    return [...this.jobs.values()].reverse().map(job => this._toJSON(job));
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * הרצת משימה ועדכון המצב שלה - כשל במשימה לא עוצר את התור
+   * @param {Object} job - המשימה
+   * @param {Function} run - async () => תוצאת המשימה
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _runJob(job, run) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    logger.info(`Job started: ${job.id}`, { type: job.type });
+    
+    try {
+      job.result = await run();
+      job.status = 'succeeded';
+    } catch (error) {
+      job.error = error.message;
+      job.status = 'failed';
+      logger.error(`Job failed: ${job.id}`, { type: job.type, error: error.message });
+    }
+    
+    job.finishedAt = new Date().toISOString();
+  }
+
+  /**
+   * עותק של המשימה להחזרה ללקוח (כדי שלא ישתנה מבחוץ)
+   * @param {Object} job - המשימה
+   * @returns {Object}
+   * @private
+   */
+  _toJSON(job) {
+    return { ...job };
+  }
+}
+
+module.exports = JobManager;
@@ -0,0 +1,133 @@
+// File: src/services/BatchClient.js
+// Location: /claude-context-extender/src/services/BatchClient.js
+// לקוח ל-Message Batches API - שליחת בקשות רבות כאצווה אחת, מעקב אחר מצבה ושליפת התוצאות
+
+'use strict';
+
+const configManager = require('../utils/ConfigManager');
+const logger = require('../utils/Logger');
+
+const API_VERSION = '2023-06-01';
+
+class BatchClient {
+  constructor() {
+    this.config = configManager;
+    
+    // כתובת בסיס הניתנת להגדרה - מאפשרת עבודה מול שרת מדומה מקומי
+    this.baseUrl = (this.config.get('claude.baseUrl') || 'https://api.anthropic.com').replace(/\/+$/, '');
+    
+    logger.debug('BatchClient initialized', { baseUrl: this.baseUrl });
+  }
+
+  /**
+   * יצירת אצווה חדשה
+   * @param {Array<Object>} requests - [{ custom_id, params }] כאשר params הם פרמטרי messages.create
+   * @returns {Promise<Object>} - אובייקט האצווה (id, processing_status, request_counts...)
+   */
+  async createBatch(requests) {
+    try {
+      const batch = await this._request('POST', '/v1/messages/batches', { requests });
+      logger.info(`Created message batch: ${batch.id}`, { requests: requests.length });
+      return batch;
+    } catch (error) {
+      logger.error('Error creating message batch', { error: error.message });
+      throw new Error(`Failed to create message batch: ${error.message}`);
+    }
+  }
+
+  /**
+   * קבלת מצב אצווה
+   * @param {string} batchId - מזהה האצווה
+   * @returns {Promise<Object>} - אובייקט האצווה
+   */
+  async getBatch(batchId) {
+    try {
+      return await this._request('GET', `/v1/messages/batches/${encodeURIComponent(batchId)}`);
+    } catch (error) {
+      logger.error(`Error retrieving message batch: ${batchId}`, { error: error.message });
+      throw new Error(`Failed to retrieve message batch: ${error.message}`);
+    }
+  }
+
+  /**
+   * המתנה לסיום עיבוד האצווה
+   * @param {string} batchId - מזהה האצווה
+   * @param {Object} [options] - אפשרויות נוספות
+   * @param {number} [options.pollIntervalMs] - זמן בין בדיקות (ברירת מחדל: indexing.batch.pollIntervalMs)
+   * @param {Function} [options.onProgress] - נקרא עם אובייקט האצווה אחרי כל בדיקה
+   * @returns {Promise<Object>} - אובייקט האצווה שהסתיימה
+   */
+  async waitForBatch(batchId, options = {}) {
+    const pollIntervalMs = options.pollIntervalMs || this.config.get('indexing.batch.pollIntervalMs') || 30000;
+    
+    for (;;) {
+      const batch = await this.getBatch(batchId);
+      
+      if (options.onProgress) {
+        options.onProgress(batch);
+      }
+      
+      if (batch.processing_status === 'ended') {
+        return batch;
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+    }
+  }
+
+  /**
+   * שליפת התוצאות של אצווה שהסתיימה
+   * @param {Object} batch - אובייקט האצווה (עם results_url)
+   * @returns {Promise<Array<Object>>} - [{ custom_id, result: { type, message | error } }]
+   */
+  async getResults(batch) {
+    try {
+      const resultsUrl = batch.results_url || `/v1/messages/batches/${encodeURIComponent(batch.id)}/results`;
+      const text = await this._request('GET', resultsUrl, null, { raw: true });
+      
+      // התוצאות מגיעות כ-JSONL - שורה לכל בקשה
+      return text
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    } catch (error) {
+      logger.error(`Error retrieving results of message batch: ${batch.id}`, { error: error.message });
+      throw new Error(`Failed to retrieve batch results: ${error.message}`);
+    }
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * בקשת HTTP ל-API
+   * @param {string} method - שיטת HTTP
+   * @param {string} urlOrPath - נתיב יחסי לכתובת הבסיס או כתובת מלאה
+   * @param {Object} [body] - גוף הבקשה (JSON)
+   * @param {Object} [options] - raw: להחזיר את הטקסט כמו שהוא במקום JSON
+   * @returns {Promise<Object|string>} - גוף התשובה
+   * @private
+   */
+  async _request(method, urlOrPath, body = null, options = {}) {
+    const url = /^https?:\/\//.test(urlOrPath) ? urlOrPath : `${this.baseUrl}${urlOrPath}`;
+    
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'x-api-key': process.env.CLAUDE_API_KEY || '',
+        'anthropic-version': API_VERSION,
+        'content-type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    
+    const text = await response.text();
+    
+    if (!response.ok) {
+      throw new Error(`${response.status} ${text.slice(0, 500)}`);
+    }
+    
+    return options.raw ? text : JSON.parse(text);
+  }
+}
+
+module.exports = BatchClient;
@@ -0,0 +1,120 @@
+// File: src/services/CitationResolver.js
+// Location: /claude-context-extender/src/services/CitationResolver.js
+// מצב ציטוטים - סימון כל קטע במזהה מקור [S#] ופענוח המזהים בתשובה למיקום בקובץ המקור
+
+'use strict';
+
+const logger = require('../utils/Logger');
+
+// מזהה מקור בודד או כמה מזהים באותם סוגריים, למשל [S2] או [S1, S3], כולל הרווח שלפניהם
+const MARKER_GROUP_PATTERN = /(\s*)\[\s*(S\d+(?:\s*[,;]\s*S\d+)*)\s*\]/g;
+
+class CitationResolver {
+  /**
+   * הקצאת מזהי מקור לקטעים לפי סדר הרלוונטיות - S1 הוא הרלוונטי ביותר
+   * @param {Array<Object>} chunks - הקטעים שישמשו לתשובה
+   * @returns {Array<Object>} - עותקים של הקטעים עם שדה citationMarker
+   */
+  assignMarkers(chunks) {
+    const sorted = [...chunks].sort((a, b) => {
+      if (a.relevanceScore !== undefined && b.relevanceScore !== undefined) {
+        return a.relevanceScore - b.relevanceScore;
+      }
+      return 0;
+    });
+    
+    return sorted.map((chunk, i) => ({ ...chunk, citationMarker: `S${i + 1}` }));
+  }
+
+  /**
+   * פענוח מזהי המקור בתשובה
+   * מזהים משולבים ([S1, S3]) מפוצלים לסוגריים נפרדים, ומזהים שאינם שייכים לאף קטע מוסרים
+   * @param {string} answer - התשובה עם מזהי מקור
+   * @param {Array<Object>} sources - הקטעים עם citationMarker (מ-assignMarkers)
+   * @returns {Object} - { answer, citations } כאשר citations ממוינים לפי מספר המזהה
+   */
+  resolve(answer, sources) {
+    const byMarker = new Map(sources.map(source => [source.citationMarker, source]));
+    const used = new Set();
+    const unknown = new Set();
+    
+    const resolvedAnswer = answer.replace(MARKER_GROUP_PATTERN, (match, leadingSpace, group) => {
+      const markers = group.split(/[,;]/).map(marker => marker.trim());
+      
+      const resolved = markers.map(marker => {
+        if (!byMarker.has(marker)) {
+          unknown.add(marker);
+          return '';
+        }
+        used.add(marker);
+        return `[${marker}]`;
+      }).join('');
+      
+      // כשכל המזהים הוסרו, מסירים גם את הרווח שלפניהם
+      return resolved ? leadingSpace + resolved : '';
+    });
+    
+    if (unknown.size > 0) {
+      logger.warn(`Removed citation markers that match no source: ${[...unknown].join(', ')}`);
+    }
+    
+    const citations = sources
+      .filter(source => used.has(source.citationMarker))
+      .map(source => this._toCitation(source));
+    
+    logger.debug(`Resolved ${citations.length} citations`, { sources: sources.length });
+    return { answer: resolvedAnswer, citations };
+  }
+
+  /**
+   * תיאור קריא של מיקום ציטוט, למשל "docs/spec.pdf (chars 0-4120), pages 1-4" או "src/app.js:10-42"
+   * @param {Object} citation - ציטוט (מ-resolve)
+   * @returns {string} - תיאור המיקום
+   */
+  describe(citation) {
+    let description = citation.filePath;
+    
+    if (citation.startLine) {
+      description += `:${citation.startLine}-${citation.endLine}`;
+    } else {
+      description += ` (chars ${citation.startPosition}-${citation.endPosition})`;
+    }
+    
+    const details = [citation.location, citation.headingPath, citation.symbolName].filter(Boolean);
+    if (details.length > 0) {
+      description += `, ${details.join(', ')}`;
+    }
+    
+    return description;
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * המרת קטע לרשומת ציטוט עם כל פרטי המיקום הידועים
+   * @param {Object} source - קטע עם citationMarker
+   * @returns {Object} - רשומת הציטוט
+   * @private
+   */
+  _toCitation(source) {
+    const citation = {
+      marker: source.citationMarker,
+      chunkId: source.id,
+      filePath: source.filePath,
+      startPosition: source.startPosition,
+      endPosition: source.endPosition,
+      startLine: source.startLine || null,
+      endLine: source.endLine || null,
+      pageStart: source.pageStart || null,
+      pageEnd: source.pageEnd || null,
+      headingPath: source.headingPath || '',
+      symbolName: source.symbolName || null,
+      location: source.location || ''
+    };
+    
+    citation.description = this.describe(citation);
+    return citation;
+  }
+}
+
+module.exports = CitationResolver;
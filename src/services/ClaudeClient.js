@@ -1,58 +1,153 @@
 // File: src/services/ClaudeClient.js
 // Location: /claude-context-extender/src/services/ClaudeClient.js
-// שירות להתקשרות עם API של Claude
+// שירות להתקשרות עם מודל השפה - חזית אחידה מעל ספק מוגדר (Anthropic או שרת תואם OpenAI)
 
 'use strict';
 
-const Anthropic = require('@anthropic-ai/sdk');
 const configManager = require('../utils/ConfigManager');
 const logger = require('../utils/Logger');
+const rateLimiter = require('../utils/RateLimiter');
+const usageTracker = require('../utils/UsageTracker');
+const { toPlainText, withoutCacheControl } = require('../utils/PromptBlocks');
+const ResponseCache = require('./ResponseCache');
+const { createProvider } = require('./providers');
 
 class ClaudeClient {
-  constructor() {
+  /**
+   * @param {Object} [options] - אפשרויות נוספות
+   * @param {Object} [options.provider] - מופע ספק מוכן (ברירת מחדל: לפי llm.provider)
+   */
+  constructor(options = {}) {
     this.config = configManager;
     
-    // יצירת מופע של הלקוח של Anthropic
-    this.anthropic = new Anthropic({
-      apiKey: process.env.CLAUDE_API_KEY,
-    });
+    // הספק מבצע את הקריאות עצמן; מגבלות הקצב, הניסיונות החוזרים והמטמון מנוהלים כאן
+    this.provider = options.provider || createProvider(this.config.get('llm') || {});
     
-    // קבלת מודל ברירת המחדל מההגדרות
-    this.defaultModel = this.config.get('claude.model') || 'claude-3-5-haiku-20241022';
+    // קבלת מודל ברירת המחדל מהספק
+    this.defaultModel = this.provider.defaultModel;
     
-    logger.debug('ClaudeClient initialized');
+    // מטמון תשובות על הדיסק - בקשה זהה מקבלת את התשובה השמורה בלי קריאה ל-API
+    this.responseCache = new ResponseCache({ provider: this.provider.name, endpoint: this.provider.baseUrl });
+    
+    logger.debug(`ClaudeClient initialized with provider: ${this.provider.name}`);
   }
 
   /**
    * שליחת פרומפט לקלוד וקבלת תשובה
-   * @param {string} prompt - הפרומפט לשליחה
+   * @param {string|Array<Object>} prompt - הפרומפט לשליחה, או בלוקי תוכן עם נקודות מטמון (ראו PromptBlocks)
    * @param {Object} [options] - אפשרויות נוספות
+   * @param {string|Array<Object>} [options.system] - הנחיית מערכת, כמחרוזת או כבלוקים
+   * @param {Function} [options.onWait] - נקרא עם (ms, reason) כשהבקשה ממתינה למגבלת הקצב או לניסיון חוזר
+   * @param {string} [options.task] - סוג המשימה לבחירת המודל (enrich, retrieve, answer, finalize, historyMerge)
+   * @param {Object} [options.models] - דריסת מודלים לפי משימה לקריאה הנוכחית ({ answer: '...' })
+   * @param {Function} [options.validate] - בדיקת התשובה; תשובה שנכשלה בבדיקה מועברת למודל ההסלמה
    * @returns {Promise<string>} - תשובת קלוד
    */
   async sendPrompt(prompt, options = {}) {
     try {
-      const defaultMaxTokens = this.config.get('claude.responseMaxTokens') || 4000;
+      let response;
+      try {
+        response = await this._sendOnce(prompt, options);
+      } catch (error) {
+        // כשל אחרי כל הניסיונות החוזרים - ניסיון אחרון על המודל החזק יותר, אם הוגדר
+        // עצירה בגלל תקרת ההוצאה לא עוברת למודל יקר יותר
+        const escalationModel = this._escalationModel(options);
+        if (!escalationModel || error.budgetExceeded) {
+          throw error;
+        }
+        
+        logger.warn(`${options.task} step failed (${error.message}), escalating to ${escalationModel}`);
+        return await this._sendOnce(prompt, { ...options, model: escalationModel });
+      }
       
-      const response = await this.anthropic.messages.create({
-        model: options.model || this.defaultModel,
-        max_tokens: options.maxTokens || defaultMaxTokens,
-        temperature: options.temperature || 0.7,
-        system: options.system || this.config.get('claude.defaultSystemPrompt'),
-        messages: [
-          { role: 'user', content: prompt }
-        ]
-      });
+      // תשובה בביטחון נמוך (למשל JSON שלא ניתן לפענח) - ניסיון נוסף על המודל החזק יותר
+      if (!this._passesValidation(response, options)) {
+        const escalationModel = this._escalationModel(options);
+        if (escalationModel) {
+          logger.warn(`${options.task} step returned a low-confidence response, escalating to ${escalationModel}`);
+          return await this._sendOnce(prompt, { ...options, model: escalationModel });
+        }
+      }
       
-      logger.debug('Received response from Claude', { promptLength: prompt.length });
-      
-      // חילוץ התוכן מהתשובה
-      return response.content[0].text;
+      return response;
     } catch (error) {
       logger.error('Error sending prompt to Claude', { error: error.message });
       throw new Error(`Failed to get response from Claude: ${error.message}`);
     }
   }
 
+  /**
+   * שליחת פרומפט לקלוד וקבלת התשובה בהזרמה, חלק אחר חלק
+   * @param {string|Array<Object>} prompt - הפרומפט לשליחה (כמו ב-sendPrompt)
+   * @param {Object} [options] - אפשרויות נוספות (כמו ב-sendPrompt)
+   * @param {Function} [options.onText] - נקרא עם כל חלק טקסט שמגיע מהמודל
+   * @returns {Promise<string>} - התשובה המלאה בסיום ההזרמה
+   */
+  async streamPrompt(prompt, options = {}) {
+    try {
+      const request = this._buildRequest(prompt, options);
+      
+      // תשובה מהמטמון נמסרת כחלק טקסט אחד
+      const cached = await this.responseCache.get(request);
+      if (cached !== null) {
+        if (options.onText) {
+          options.onText(cached);
+        }
+        return cached;
+      }
+      
+      // אחרי שהתחיל להגיע טקסט אי אפשר לנסות שוב בלי לשכפל את מה שכבר הוצג
+      let started = false;
+      const response = await this._callWithLimits(request, { ...options, canRetry: () => !started }, () =>
+        this.provider.stream(request, text => {
+          started = true;
+          if (options.onText) {
+            options.onText(text);
+          }
+        })
+      );
+      
+      logger.debug('Received streamed response from Claude', { promptLength: toPlainText(prompt).length });
+      
+      await this.responseCache.set(request, response.text);
+      
+      return response.text;
+    } catch (error) {
+      logger.error('Error streaming prompt to Claude', { error: error.message });
+      throw new Error(`Failed to get response from Claude: ${error.message}`);
+    }
+  }
+
+  /**
+   * הערכת מספר הטוקנים בטקסט לפי הספק הפעיל
+   * @param {string|Array<Object>} text - טקסט או בלוקי תוכן
+   * @returns {number} - מספר הטוקנים המשוער
+   */
+  countTokens(text) {
+    return this.provider.countTokens(toPlainText(text));
+  }
+
+  /**
+   * המודלים שמשימות עשויות להשתמש בהם, כולל מודל ההסלמה אם חל עליהן
+   * @param {Array<string>} tasks - המשימות (enrich, retrieve, answer, finalize, historyMerge)
+   * @param {Object} [models] - דריסת מודלים לפי משימה (כמו ב-sendPrompt)
+   * @returns {Array<string>} - שמות המודלים, בלי כפילויות
+   */
+  modelsForTasks(tasks, models = {}) {
+    const resolved = new Set();
+    
+    for (const task of tasks) {
+      resolved.add(this._resolveModel({ task, models }));
+      
+      const escalationModel = this._escalationModel({ task, models });
+      if (escalationModel) {
+        resolved.add(escalationModel);
+      }
+    }
+    
+    return [...resolved];
+  }
+
   /**
    * יצירת תקציר ומילות מפתח לקטע
    * @param {string} content - תוכן הקטע
@@ -60,31 +155,58 @@ class ClaudeClient {
    */
   async createSummaryAndKeywords(content) {
     try {
-      const topSummaryLength = content.length <= 100 ? 20 : (content.length <= 1000 ? 200 : Math.floor(content.length / 10 ));
-      const promptTemplate = this.config.get('prompts.summarizeTemplate') || `return a json file (nothing more) with the following entries: 
-summary: should enable one to know whether the content is relevant given some general or specific question. it should be distinctive as to the part  this content may have in a wider context content.
-keywords: also, must be distinctive but cover most topics included
-
-This is the content: {{CONTENT}}. return json only, with no additional text.`;
-      
-      // מילוי תבנית הפרומפט
-      const prompt = promptTemplate.replace('{{CONTENT}}', content);
-      
       // שליחה לקלוד
-      const response = await this.sendPrompt(prompt, {
+      const response = await this.sendPrompt(this.buildSummaryPrompt(content), {
         temperature: 0.3, // טמפרטורה נמוכה לתוצאות יותר דטרמיניסטיות
+        task: 'enrich',
+        validate: text => this._isValidSummaryResponse(text)
       });
       console.log(response);
 
-      const responseJSON = JSON.parse(response.substring(response.indexOf('{'), response.lastIndexOf('}') + 1));
-
-      return { summary: responseJSON.summary, keywords: responseJSON.keywords };
+      return this.parseSummaryResponse(response);
     } catch (error) {
       logger.error('Error creating summary and keywords', { error: error.message });
       throw new Error(`Failed to create summary and keywords: ${error.message}`);
     }
   }
 
+  /**
+   * בניית פרומפט התקציר ומילות המפתח לקטע
+   * @param {string} content - תוכן הקטע
+   * @returns {string} - הפרומפט
+   */
+  buildSummaryPrompt(content) {
+    const promptTemplate = this.config.get('prompts.summarizeTemplate') || `return a json file (nothing more) with the following entries: 
+summary: should enable one to know whether the content is relevant given some general or specific question. it should be distinctive as to the part  this content may have in a wider context content.
+keywords: also, must be distinctive but cover most topics included
+
+This is the content: {{CONTENT}}. return json only, with no additional text.`;
+    
+    // מילוי תבנית הפרומפט
+    return promptTemplate.replace('{{CONTENT}}', content);
+  }
+
+  /**
+   * פענוח תשובת התקציר (JSON בתוך הטקסט) לתקציר ומילות מפתח
+   * @param {string} response - תשובת קלוד
+   * @returns {Object} - { summary, keywords }
+   */
+  parseSummaryResponse(response) {
+    const responseJSON = JSON.parse(response.substring(response.indexOf('{'), response.lastIndexOf('}') + 1));
+
+    return { summary: responseJSON.summary, keywords: responseJSON.keywords };
+  }
+
+  /**
+   * פרמטרי בקשה מלאים (מודל, מערכת, טמפרטורה) לשליחה מחוץ ל-sendPrompt, למשל ב-Message Batch
+   * @param {string} prompt - הפרומפט
+   * @param {Object} [options] - אפשרויות (כמו ב-sendPrompt)
+   * @returns {Object} - פרמטרי הבקשה
+   */
+  buildRequestParams(prompt, options = {}) {
+    return this._buildRequest(prompt, options);
+  }
+
   /**
    * יצירת תקציר לתוכן
    * @param {string} content - התוכן לתקצור
@@ -110,6 +232,7 @@ This is the content: {{CONTENT}}. return json only, with no additional text.`;
       // שליחה לקלוד עם הגדרות מותאמות לסיכום
       const response = await this.sendPrompt(prompt, {
         temperature: 0.3,
+        task: 'historyMerge',
         system: "You are an expert assistant that creates concise, accurate summaries of conversations. Focus on capturing the key points, questions, and information from the conversation."
       });
       
@@ -119,6 +242,254 @@ This is the content: {{CONTENT}}. return json only, with no additional text.`;
       throw new Error(`Failed to create conversation summary: ${error.message}`);
     }
   }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * האם תשובת התקציר ניתנת לפענוח וכוללת תקציר
+   * @param {string} response - תשובת קלוד
+   * @returns {boolean}
+   * @private
+   */
+  _isValidSummaryResponse(response) {
+    try {
+      return Boolean(this.parseSummaryResponse(response).summary);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * ביצוע קריאה ל-API דרך מגביל הקצב המשותף, עם ניסיונות חוזרים על 429 ו-5xx
+   * ההמתנה בין ניסיונות היא אקספוננציאלית עם רעש אקראי, או לפי retry-after אם השרת שלח אותו
+   * קריאה שהצליחה נרשמת ביומן השימוש תחת המשימה שלה
+   * @param {Object} request - פרמטרי הבקשה
+   * @param {Object} options - onWait, task, ו-canRetry לבדיקה אם עדיין אפשר לנסות שוב
+   * @param {Function} call - async () => תשובת הספק ({ text, usage })
+   * @returns {Promise<Object>} - תשובת הספק
+   * @private
+   */
+  async _callWithLimits(request, options, call) {
+    const maxRetries = this.config.get('claude.retry.maxRetries', 5);
+    const estimatedTokens = this.countTokens(request.system) +
+      request.messages.reduce((sum, message) => sum + this.countTokens(message.content), 0);
+    const onWait = options.onWait || (() => {});
+    
+    // פעולה שהגיעה לתקרת ההוצאה שלה (--max-cost) לא שולחת בקשות נוספות
+    usageTracker.checkBudget();
+    
+    for (let attempt = 0; ; attempt++) {
+      // ספק מקומי לא כפוף למגבלות הקצב של ה-API
+      const reservation = this.provider.rateLimited
+        ? await rateLimiter.acquire(estimatedTokens, ms => onWait(ms, 'rate-limit'))
+        : null;
+      
+      try {
+        const response = await call();
+        if (reservation) {
+          rateLimiter.record(reservation, response.usage);
+        }
+        this._logCacheUsage(response.usage);
+        await usageTracker.record({ model: request.model, provider: this.provider.name, task: options.task, usage: response.usage });
+        return response;
+      } catch (error) {
+        const canRetry = !options.canRetry || options.canRetry();
+        if (!this.provider.isRetryable(error) || !canRetry || attempt >= maxRetries) {
+          throw error;
+        }
+        
+        const delay = this._retryDelay(error, attempt);
+        logger.warn(`${this.provider.name} request failed (${error.message}), retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`);
+        onWait(delay, 'retry');
+        
+        // על 429 כל הקוראים צריכים להאט, לא רק הבקשה שנכשלה
+        if (error.status === 429 && this.provider.rateLimited) {
+          rateLimiter.pause(delay);
+        }
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * רישום פגיעות והחטאות המטמון לפי השימוש שדווח בתשובה
+   * @param {Object} [usage] - usage מתשובת ה-API
+   * @private
+   */
+  _logCacheUsage(usage) {
+    if (!usage) {
+      return;
+    }
+    
+    const cacheRead = usage.cache_read_input_tokens || 0;
+    const cacheWrite = usage.cache_creation_input_tokens || 0;
+    const cacheUsage = { cacheReadTokens: cacheRead, cacheWriteTokens: cacheWrite, uncachedInputTokens: usage.input_tokens };
+    
+    if (cacheRead > 0 || cacheWrite > 0) {
+      logger.info(`Prompt cache: ${cacheRead} tokens read (hit), ${cacheWrite} tokens written (miss)`, cacheUsage);
+    } else {
+      logger.debug('Prompt cache not used', cacheUsage);
+    }
+  }
+
+  /**
+   * זמן ההמתנה לפני ניסיון חוזר
+   * @param {Error} error - השגיאה (עם כותרות התשובה, אם יש)
+   * @param {number} attempt - מספר הניסיון (מ-0)
+   * @returns {number} - מילישניות
+   * @private
+   */
+  _retryDelay(error, attempt) {
+    const retryAfter = this._parseRetryAfter(error.headers);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+    
+    const baseDelay = this.config.get('claude.retry.baseDelayMs', 1000);
+    const maxDelay = this.config.get('claude.retry.maxDelayMs', 60000);
+    const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+    
+    // חצי קבוע וחצי אקראי - כדי שקוראים מקבילים לא ינסו שוב באותו רגע
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  /**
+   * פענוח כותרת retry-after (שניות או תאריך HTTP)
+   * @param {Object} [headers] - כותרות התשובה
+   * @returns {number|null} - מילישניות, או null אם אין כותרת תקינה
+   * @private
+   */
+  _parseRetryAfter(headers) {
+    if (!headers) {
+      return null;
+    }
+    
+    const getHeader = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+    
+    const retryAfterMs = parseFloat(getHeader('retry-after-ms'));
+    if (!isNaN(retryAfterMs)) {
+      return Math.max(0, Math.ceil(retryAfterMs));
+    }
+    
+    const retryAfter = getHeader('retry-after');
+    if (!retryAfter) {
+      return null;
+    }
+    
+    const seconds = parseFloat(retryAfter);
+    if (!isNaN(seconds)) {
+      return Math.max(0, Math.ceil(seconds * 1000));
+    }
+    
+    const date = Date.parse(retryAfter);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * שליחה בודדת (דרך המטמון, מגבלות הקצב והניסיונות החוזרים) על המודל שנבחר למשימה
+   * רק תשובה שעוברת את options.validate נשמרת במטמון או נלקחת ממנו
+   * @param {string|Array<Object>} prompt - הפרומפט לשליחה
+   * @param {Object} options - אפשרויות (כמו ב-sendPrompt)
+   * @returns {Promise<string>} - תשובת קלוד
+   * @private
+   */
+  async _sendOnce(prompt, options) {
+    const request = this._buildRequest(prompt, options);
+    
+    const cached = await this.responseCache.get(request);
+    if (cached !== null && this._passesValidation(cached, options)) {
+      return cached;
+    }
+    
+    const response = await this._callWithLimits(request, options, () => this.provider.send(request));
+    
+    logger.debug('Received response from Claude', { model: request.model, promptLength: toPlainText(prompt).length });
+    
+    // תשובה שנכשלה בבדיקה לא נשמרת - אחרת ניסיון חוזר, המשך בנייה או הסלמה היו מקבלים אותה שוב מהמטמון
+    if (this._passesValidation(response.text, options)) {
+      await this.responseCache.set(request, response.text);
+    }
+    
+    return response.text;
+  }
+
+  /**
+   * האם התשובה עוברת את בדיקת התשובה של הקורא (options.validate), אם הוגדרה
+   * @param {string} text - טקסט התשובה
+   * @param {Object} options - אפשרויות הבקשה
+   * @returns {boolean}
+   * @private
+   */
+  _passesValidation(text, options) {
+    return !options.validate || Boolean(options.validate(text));
+  }
+
+  /**
+   * בחירת המודל לבקשה: מודל מפורש, דריסה לשאילתה, models.<task> מההגדרות, ואז מודל ברירת המחדל של הספק
+   * @param {Object} options - אפשרויות (model, task, models)
+   * @returns {string} - שם המודל
+   * @private
+   */
+  _resolveModel(options) {
+    if (options.model) {
+      return options.model;
+    }
+    
+    if (options.task) {
+      const override = options.models && options.models[options.task];
+      return override || this.config.get(`models.${options.task}`) || this.defaultModel;
+    }
+    
+    return this.defaultModel;
+  }
+
+  /**
+   * מודל ההסלמה למשימה, אם מדיניות ההסלמה חלה עליה
+   * @param {Object} options - אפשרויות הבקשה שנכשלה
+   * @returns {string|null} - שם המודל, או null אם אין הסלמה (כבויה, משימה אחרת או אותו מודל)
+   * @private
+   */
+  _escalationModel(options) {
+    const escalation = this.config.get('models.escalation') || {};
+    if (!escalation.enabled || !escalation.model || !options.task) {
+      return null;
+    }
+    
+    if (!(escalation.tasks || []).includes(options.task)) {
+      return null;
+    }
+    
+    return escalation.model === this._resolveModel(options) ? null : escalation.model;
+  }
+
+  /**
+   * בניית גוף הבקשה ל-API
+   * @param {string|Array<Object>} prompt - הפרומפט לשליחה (מחרוזת או בלוקי תוכן)
+   * @param {Object} options - אפשרויות (model או task ו-models, maxTokens, temperature, system)
+   * @returns {Object} - פרמטרי הבקשה
+   * @private
+   */
+  _buildRequest(prompt, options) {
+    const defaultMaxTokens = this.config.get('claude.responseMaxTokens') || 4000;
+    let system = options.system || this.config.get('claude.defaultSystemPrompt');
+    let content = prompt;
+    
+    // כשהמטמון מבוטל נשלחים אותם בלוקים, רק בלי נקודות המטמון
+    if (this.config.get('claude.promptCaching.enabled') === false) {
+      system = withoutCacheControl(system);
+      content = withoutCacheControl(content);
+    }
+    
+    return {
+      model: this._resolveModel(options),
+      max_tokens: options.maxTokens || defaultMaxTokens,
+      temperature: options.temperature || 0.7,
+      system,
+      messages: [
+        { role: 'user', content }
+      ]
+    };
+  }
 }
 
 module.exports = ClaudeClient;
@@ -0,0 +1,543 @@
+// File: src/services/CodeSegmenter.js
+// Location: /claude-context-extender/src/services/CodeSegmenter.js
+// זיהוי גבולות תחביריים בקוד מקור - פונקציות, מחלקות ומתודות ב-JavaScript וב-Python
+
+'use strict';
+
+const logger = require('../utils/Logger');
+
+const JAVASCRIPT_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx'];
+const PYTHON_EXTENSIONS = ['.py'];
+
+// הצהרות ברמה העליונה של קובץ JavaScript
+const JS_TOP_LEVEL_PATTERNS = [
+  { kind: 'function', pattern: /^(?:export\s+(?:default\s+)?)?(?:async\s+)?function\s*\*?\s*([\w$]+)/ },
+  { kind: 'class', pattern: /^(?:export\s+(?:default\s+)?)?(?:abstract\s+)?class\s+([\w$]+)/ },
+  { kind: 'class', pattern: /^(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*=\s*class\b/ },
+  { kind: 'function', pattern: /^(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[\w$]+\s*=>)/ },
+  { kind: 'function', pattern: /^(?:module\.)?exports\.([\w$]+)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/ }
+];
+
+// מתודות ושדות-פונקציה בגוף מחלקה
+const JS_METHOD_PATTERNS = [
+  /^(?:(?:public|private|protected|static|async|override|readonly)\s+)*(?:get\s+|set\s+)?\*?\s*(#?[\w$]+)\s*(?:<[^>]*>)?\(/,
+  /^(?:(?:public|private|protected|static|readonly)\s+)*(#?[\w$]+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:\([^)]*\)|[\w$]+)\s*(?::[^=]+)?=>/
+];
+
+// מילים שמורות שנראות כמו קריאה למתודה אך אינן הגדרה
+const JS_CONTROL_KEYWORDS = ['if', 'for', 'while', 'switch', 'catch', 'with', 'return', 'function', 'super', 'await', 'new', 'typeof'];
+
+// תווים שאחריהם / מתחיל ביטוי רגולרי ולא פעולת חילוק
+const REGEX_PRECEDERS = '(,=:[!&|?{};+-*%<>~^';
+
+class CodeSegmenter {
+  /**
+   * האם יש תמיכה בפירוק תחבירי לסוג הקובץ
+   * @param {string} ext - סיומת הקובץ (באותיות קטנות)
+   * @returns {boolean} - האם הקובץ הוא קוד מקור נתמך
+   */
+  supports(ext) {
+    return JAVASCRIPT_EXTENSIONS.includes(ext) || PYTHON_EXTENSIONS.includes(ext);
+  }
+
+  /**
+   * זיהוי הסמלים ברמה העליונה של קובץ קוד, כולל המתודות של כל מחלקה
+   * הערות ודקורטורים שצמודים להגדרה נכללים בטווח שלה
+   * @param {string} content - תוכן הקובץ
+   * @param {string} ext - סיומת הקובץ (באותיות קטנות)
+   * @returns {Array<Object>} - מערך של { start, end, kind, name, children } ממוין לפי מיקום
+   */
+  segment(content, ext) {
+    const symbols = PYTHON_EXTENSIONS.includes(ext)
+      ? this._segmentPython(content)
+      : this._segmentJavaScript(content);
+    
+    logger.debug(`Found ${symbols.length} top-level symbols in source file`, { ext });
+    return symbols;
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * פירוק JavaScript/TypeScript לפי עומק סוגריים מסולסלים
+   * @param {string} content - תוכן הקובץ
+   * @returns {Array<Object>} - סמלים ברמה העליונה
+   * @private
+   */
+  _segmentJavaScript(content) {
+    const lines = this._scanJavaScript(content);
+    const symbols = [];
+    
+    const matchTopLevel = (line) => {
+      if (!line.inCode || line.depth !== 0 || line.paren !== 0) {
+        return null;
+      }
+      const text = line.text.trim();
+      for (const { kind, pattern } of JS_TOP_LEVEL_PATTERNS) {
+        const match = text.match(pattern);
+        if (match) {
+          return { kind, name: match[1] };
+        }
+      }
+      return null;
+    };
+    
+    const matchMethod = (line, depth) => {
+      if (!line.inCode || line.depth !== depth || line.paren !== 0) {
+        return null;
+      }
+      const text = line.text.trim();
+      for (const pattern of JS_METHOD_PATTERNS) {
+        const match = text.match(pattern);
+        if (match && !JS_CONTROL_KEYWORDS.includes(match[1])) {
+          return { kind: 'method', name: match[1] };
+        }
+      }
+      return null;
+    };
+    
+    let i = 0;
+    while (i < lines.length) {
+      const declaration = matchTopLevel(lines[i]);
+      if (!declaration) {
+        i++;
+        continue;
+      }
+      
+      const first = this._leadingCommentStart(lines, i, /^(\/\/|\/\*|\*|@)/);
+      const last = this._findBlockEnd(lines, i, 0, matchTopLevel);
+      const symbol = { ...declaration, start: lines[first].start, end: lines[last].end, children: [] };
+      
+      if (declaration.kind === 'class') {
+        let j = i + 1;
+        while (j < last) {
+          const method = matchMethod(lines[j], 1);
+          if (!method) {
+            j++;
+            continue;
+          }
+          const methodFirst = Math.max(this._leadingCommentStart(lines, j, /^(\/\/|\/\*|\*|@)/), i + 1);
+          const methodLast = Math.min(this._findBlockEnd(lines, j, 1, line => matchMethod(line, 1)), last);
+          symbol.children.push({ ...method, start: lines[methodFirst].start, end: lines[methodLast].end });
+          j = methodLast + 1;
+        }
+      }
+      
+      symbols.push(symbol);
+      i = last + 1;
+    }
+    
+    return symbols;
+  }
+
+  /**
+   * סריקה לקסיקלית של JavaScript - מדלגת על מחרוזות, הערות, תבניות וביטויים רגולריים
+   * ומחזירה לכל שורה את עומק הסוגריים בתחילתה ובסופה
+   * @param {string} content - תוכן הקובץ
+   * @returns {Array<Object>} - מערך של { text, start, end, inCode, depth, paren, depthEnd, parenEnd, maxDepth, lastChar }
+   * @private
+   */
+  _scanJavaScript(content) {
+    const lines = [];
+    const templateStack = [];
+    let mode = 'code';
+    let depth = 0;
+    let paren = 0;
+    let lastSignificant = '';
+    let lastWord = '';
+    let line = null;
+    const wordPattern = /[\w$]+/y;
+    
+    const openLine = (start) => {
+      line = { start, inCode: mode === 'code', depth, paren, maxDepth: depth, lastChar: '' };
+    };
+    
+    const closeLine = (end) => {
+      line.end = end;
+      line.text = content.substring(line.start, end).replace(/\r?\n$/, '');
+      line.depthEnd = depth;
+      line.parenEnd = paren;
+      lines.push(line);
+    };
+    
+    openLine(0);
+    
+    for (let i = 0; i < content.length; i++) {
+      const ch = content[i];
+      const next = content[i + 1];
+      
+      if (ch === '\n') {
+        closeLine(i + 1);
+        openLine(i + 1);
+        continue;
+      }
+      
+      if (mode === 'blockComment') {
+        if (ch === '*' && next === '/') {
+          mode = 'code';
+          i++;
+        }
+        continue;
+      }
+      
+      if (mode === 'template') {
+        if (ch === '\\') {
+          i++;
+        } else if (ch === '`') {
+          mode = 'code';
+          lastSignificant = '`';
+        } else if (ch === '$' && next === '{') {
+          templateStack.push(depth);
+          depth++;
+          mode = 'code';
+          i++;
+        }
+        continue;
+      }
+      
+      if (/\s/.test(ch)) {
+        continue;
+      }
+      
+      if (ch === '/' && next === '/') {
+        const newline = content.indexOf('\n', i);
+        i = (newline === -1 ? content.length : newline) - 1;
+        continue;
+      }
+      
+      if (ch === '/' && next === '*') {
+        mode = 'blockComment';
+        i++;
+        continue;
+      }
+      
+      if (ch === '"' || ch === '\'') {
+        i = this._skipQuoted(content, i, ch);
+        lastSignificant = ch;
+        line.lastChar = ch;
+        continue;
+      }
+      
+      if (ch === '`') {
+        mode = 'template';
+        continue;
+      }
+      
+      if (ch === '/' && (lastSignificant === '' || REGEX_PRECEDERS.includes(lastSignificant) ||
+          ['return', 'typeof', 'case', 'yield', 'await'].includes(lastWord))) {
+        i = this._skipRegex(content, i);
+        lastSignificant = '/';
+        line.lastChar = '/';
+        continue;
+      }
+      
+      if (ch === '{') {
+        depth++;
+        line.maxDepth = Math.max(line.maxDepth, depth);
+      } else if (ch === '}') {
+        // סגירה של ${ ... } בתוך תבנית מחזירה למצב תבנית
+        if (templateStack.length > 0 && templateStack[templateStack.length - 1] === depth - 1) {
+          templateStack.pop();
+          depth--;
+          mode = 'template';
+          continue;
+        }
+        depth = Math.max(0, depth - 1);
+      } else if (ch === '(' || ch === '[') {
+        paren++;
+      } else if (ch === ')' || ch === ']') {
+        paren = Math.max(0, paren - 1);
+      }
+      
+      if (/[\w$]/.test(ch)) {
+        wordPattern.lastIndex = i;
+        lastWord = wordPattern.exec(content)[0];
+        i += lastWord.length - 1;
+      } else {
+        lastWord = '';
+      }
+      
+      lastSignificant = ch;
+      line.lastChar = content[i];
+    }
+    
+    closeLine(content.length);
+    
+    // שורה אחרונה ריקה אחרי תו שורה חדשה אינה שורה אמיתית
+    if (lines.length > 1 && lines[lines.length - 1].start === content.length) {
+      lines.pop();
+    }
+    
+    return lines;
+  }
+
+  /**
+   * דילוג על מחרוזת במרכאות
+   * @param {string} content - תוכן הקובץ
+   * @param {number} i - מיקום המרכאה הפותחת
+   * @param {string} quote - תו המרכאה
+   * @returns {number} - מיקום המרכאה הסוגרת (או סוף השורה)
+   * @private
+   */
+  _skipQuoted(content, i, quote) {
+    for (let j = i + 1; j < content.length; j++) {
+      if (content[j] === '\\') {
+        j++;
+      } else if (content[j] === quote) {
+        return j;
+      } else if (content[j] === '\n') {
+        return j - 1;
+      }
+    }
+    return content.length;
+  }
+
+  /**
+   * דילוג על ביטוי רגולרי, כולל מחלקות תווים ודגלים
+   * @param {string} content - תוכן הקובץ
+   * @param {number} i - מיקום הלוכסן הפותח
+   * @returns {number} - מיקום התו האחרון של הביטוי
+   * @private
+   */
+  _skipRegex(content, i) {
+    let inClass = false;
+    
+    for (let j = i + 1; j < content.length; j++) {
+      const ch = content[j];
+      if (ch === '\\') {
+        j++;
+      } else if (ch === '\n') {
+        return j - 1;
+      } else if (ch === '[') {
+        inClass = true;
+      } else if (ch === ']') {
+        inClass = false;
+      } else if (ch === '/' && !inClass) {
+        while (/[a-z]/i.test(content[j + 1] || '')) {
+          j++;
+        }
+        return j;
+      }
+    }
+    return content.length;
+  }
+
+  /**
+   * מציאת השורה האחרונה של בלוק שמתחיל בשורה נתונה
+   * הבלוק נגמר כשהעומק חוזר לעומק ההתחלה אחרי שנפתח גוף, או בנקודה-פסיק בסוף הצהרה קצרה
+   * @param {Array<Object>} lines - שורות סרוקות
+   * @param {number} from - שורת ההתחלה
+   * @param {number} depth - עומק הסוגריים בתחילת הבלוק
+   * @param {Function} isDeclaration - בדיקה אם שורה פותחת הצהרה חדשה באותו עומק
+   * @returns {number} - אינדקס השורה האחרונה
+   * @private
+   */
+  _findBlockEnd(lines, from, depth, isDeclaration) {
+    const paren = lines[from].paren;
+    let opened = false;
+    
+    for (let j = from; j < lines.length; j++) {
+      const line = lines[j];
+      
+      // הצהרה חדשה באותו עומק - הבלוק הקודם הסתיים בשורה הלא-ריקה האחרונה
+      if (j > from && !opened && isDeclaration(line)) {
+        return this._lastNonBlank(lines, from, j - 1);
+      }
+      
+      if (line.depthEnd < depth) {
+        return Math.max(from, this._lastNonBlank(lines, from, j - 1));
+      }
+      
+      if (line.maxDepth > depth) {
+        opened = true;
+      }
+      
+      if (line.depthEnd === depth && line.parenEnd <= paren && (opened || line.lastChar === ';')) {
+        return j;
+      }
+    }
+    
+    return this._lastNonBlank(lines, from, lines.length - 1);
+  }
+
+  /**
+   * פירוק Python לפי הזחה
+   * @param {string} content - תוכן הקובץ
+   * @returns {Array<Object>} - סמלים ברמה העליונה
+   * @private
+   */
+  _segmentPython(content) {
+    const lines = this._scanPython(content);
+    const symbols = [];
+    
+    const matchDefinition = (line) => {
+      if (!line.logical) {
+        return null;
+      }
+      const defMatch = line.text.match(/^\s*(?:async\s+)?def\s+(\w+)/);
+      if (defMatch) {
+        return { kind: 'function', name: defMatch[1] };
+      }
+      const classMatch = line.text.match(/^\s*class\s+(\w+)/);
+      return classMatch ? { kind: 'class', name: classMatch[1] } : null;
+    };
+    
+    let i = 0;
+    while (i < lines.length) {
+      const definition = lines[i].indent === 0 ? matchDefinition(lines[i]) : null;
+      if (!definition) {
+        i++;
+        continue;
+      }
+      
+      const first = this._leadingCommentStart(lines, i, /^(#|@)/);
+      const last = this._findIndentedBlockEnd(lines, i);
+      const symbol = { ...definition, start: lines[first].start, end: lines[last].end, children: [] };
+      
+      if (definition.kind === 'class') {
+        const bodyLine = lines.slice(i + 1, last + 1).find(line => line.logical && line.text.trim() !== '');
+        const bodyIndent = bodyLine ? bodyLine.indent : -1;
+        
+        let j = i + 1;
+        while (j <= last) {
+          const method = lines[j].indent === bodyIndent ? matchDefinition(lines[j]) : null;
+          if (!method || method.kind !== 'function') {
+            j++;
+            continue;
+          }
+          const methodFirst = Math.max(this._leadingCommentStart(lines, j, /^(#|@)/), i + 1);
+          const methodLast = this._findIndentedBlockEnd(lines, j);
+          symbol.children.push({ kind: 'method', name: method.name, start: lines[methodFirst].start, end: lines[methodLast].end });
+          j = methodLast + 1;
+        }
+      }
+      
+      symbols.push(symbol);
+      i = last + 1;
+    }
+    
+    return symbols;
+  }
+
+  /**
+   * סריקה לקסיקלית של Python - מזהה שורות לוגיות (לא בתוך מחרוזת משולשת או סוגריים פתוחים)
+   * @param {string} content - תוכן הקובץ
+   * @returns {Array<Object>} - מערך של { text, start, end, indent, logical }
+   * @private
+   */
+  _scanPython(content) {
+    const lines = [];
+    let tripleQuote = null;
+    let paren = 0;
+    let start = 0;
+    
+    while (start < content.length) {
+      const newline = content.indexOf('\n', start);
+      const end = newline === -1 ? content.length : newline + 1;
+      const text = content.substring(start, newline === -1 ? end : newline).replace(/\r$/, '');
+      
+      lines.push({
+        text,
+        start,
+        end,
+        indent: text.length - text.trimStart().length,
+        logical: tripleQuote === null && paren === 0
+      });
+      
+      // מעקב אחר מחרוזות משולשות וסוגריים שנמשכים לשורה הבאה
+      for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (tripleQuote) {
+          if (text.startsWith(tripleQuote, i)) {
+            tripleQuote = null;
+            i += 2;
+          } else if (ch === '\\') {
+            i++;
+          }
+        } else if (ch === '#') {
+          break;
+        } else if (text.startsWith('"""', i) || text.startsWith('\'\'\'', i)) {
+          tripleQuote = text.substr(i, 3);
+          i += 2;
+        } else if (ch === '"' || ch === '\'') {
+          const close = this._skipQuoted(text, i, ch);
+          i = close;
+        } else if ('([{'.includes(ch)) {
+          paren++;
+        } else if (')]}'.includes(ch)) {
+          paren = Math.max(0, paren - 1);
+        }
+      }
+      
+      start = end;
+    }
+    
+    return lines;
+  }
+
+  /**
+   * מציאת השורה האחרונה של בלוק מוזח - עד השורה הלוגית הבאה שהזחתה קטנה או שווה
+   * @param {Array<Object>} lines - שורות סרוקות
+   * @param {number} from - שורת ההגדרה
+   * @returns {number} - אינדקס השורה האחרונה
+   * @private
+   */
+  _findIndentedBlockEnd(lines, from) {
+    const indent = lines[from].indent;
+    
+    for (let j = from + 1; j < lines.length; j++) {
+      const trimmed = lines[j].text.trim();
+      if (!lines[j].logical || trimmed === '' || trimmed.startsWith('#')) {
+        continue;
+      }
+      if (lines[j].indent <= indent) {
+        return this._lastNonBlank(lines, from, j - 1);
+      }
+    }
+    
+    return this._lastNonBlank(lines, from, lines.length - 1);
+  }
+
+  /**
+   * הרחבת תחילת הגדרה אחורה על הערות ודקורטורים שצמודים אליה (ללא שורה ריקה ביניהם)
+   * @param {Array<Object>} lines - שורות סרוקות
+   * @param {number} index - שורת ההגדרה
+   * @param {RegExp} commentPattern - תבנית לזיהוי שורת הערה או דקורטור
+   * @returns {number} - אינדקס השורה הראשונה של ההגדרה
+   * @private
+   */
+  _leadingCommentStart(lines, index, commentPattern) {
+    let first = index;
+    
+    while (first > 0) {
+      const previous = lines[first - 1];
+      const trimmed = previous.text.trim();
+      // שורה בתוך הערת בלוק מרובת שורות נחשבת חלק מההערה
+      const inComment = previous.inCode === false;
+      if (trimmed === '' || !(inComment || commentPattern.test(trimmed))) {
+        break;
+      }
+      first--;
+    }
+    
+    return first;
+  }
+
+  /**
+   * השורה הלא-ריקה האחרונה בטווח
+   * @param {Array<Object>} lines - שורות סרוקות
+   * @param {number} from - תחילת הטווח
+   * @param {number} to - סוף הטווח
+   * @returns {number} - אינדקס השורה
+   * @private
+   */
+  _lastNonBlank(lines, from, to) {
+    let last = to;
+    while (last > from && lines[last].text.trim() === '') {
+      last--;
+    }
+    return last;
+  }
+}
+
+module.exports = CodeSegmenter;
@@ -9,6 +9,7 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const configManager = require('../utils/ConfigManager');
 const logger = require('../utils/Logger');
+const tokenCounter = require('../utils/TokenCounter');
 const ClaudeClient = require('./ClaudeClient');
 
 class ConversationManager {
@@ -194,7 +195,7 @@ class ConversationManager {
    * @param {Object} conversation - אובייקט השיחה
    * @param {string} question - שאלה נוכחית
    * @param {Object} index - אובייקט האינדקס
-   * @param {Array} relevantChunks - קטעים רלוונטיים לשאלה
+   * @param {Array} relevantChunks - קטעים רלוונטיים לשאלה (עם citationMarker במצב ציטוטים)
    * @returns {Promise<string>} - פרומפט מוכן
    */
   async buildPrompt(conversation, question, index, relevantChunks) {
@@ -230,7 +231,17 @@ class ConversationManager {
       
       for (let i = 0; i < relevantChunks.length; i++) {
         const chunk = relevantChunks[i];
-        relevantInfoSection += `#### Section ${i + 1}: ${chunk.filePath}\n${chunk.content}\n\n`;
+        let heading = chunk.headingPath ? ` (${chunk.headingPath})` : '';
+        if (chunk.symbolName) {
+          heading = ` (${chunk.symbolKind} ${chunk.symbolName}, lines ${chunk.startLine}-${chunk.endLine})`;
+        }
+        if (chunk.location) {
+          heading += ` [${chunk.location}]`;
+        }
+        if (chunk.citationMarker) {
+          heading += ` (source marker: [${chunk.citationMarker}])`;
+        }
+        relevantInfoSection += `#### Section ${i + 1}: ${chunk.filePath}${heading}\n${chunk.content}\n\n`;
       }
       
       // מילוי התבנית
@@ -239,6 +250,13 @@ class ConversationManager {
         .replace('{{RELEVANT_INFO}}', relevantInfoSection)
         .replace('{{QUESTION}}', question);
       
+      // הנחיות הפניה למקורות - כמו בעיבוד האיטרטיבי
+      if (relevantChunks.some(chunk => chunk.citationMarker)) {
+        promptTemplate += `\nEvery statement in your answer must end with the bracketed source marker of the section it comes from, e.g. [S1]; a statement supported by several sections gets each marker, e.g. [S1][S2]. Never invent markers.`;
+      } else if (relevantChunks.some(chunk => chunk.location)) {
+        promptTemplate += `\nWhen you use information from a section, reference its source location in parentheses, e.g. (page 47) or (slide 12).`;
+      }
+      
       return promptTemplate;
     } catch (error) {
       logger.error('Error building prompt', { error: error.message });
@@ -297,6 +315,10 @@ class ConversationManager {
         exchangesText += `User: ${exchange.question}\n\nAssistant: ${exchange.answer}\n\n`;
       }
       
+      // אורך הסיכום בתווים לפי כתב השיחה - בעברית נכנסים פחות תווים בכל טוקן מאשר באנגלית
+      const charsPerToken = exchangesText.length / Math.max(1, tokenCounter.countTokens(exchangesText));
+      const maxSummaryChars = Math.round(maxSummaryTokens * charsPerToken);
+      
       // בניית פרומפט למיזוג
       const summaryPrompt = `
       Here is the existing conversation summary:
@@ -307,7 +329,7 @@ class ConversationManager {
       
       Please merge these new exchanges into the existing summary to create an updated summary.
       Focus on the most important and relevant information.
-      Keep the summary concise, within approximately ${maxSummaryTokens} tokens (roughly ${maxSummaryTokens * 4} characters).
+      Keep the summary concise, within approximately ${maxSummaryTokens} tokens (roughly ${maxSummaryChars} characters).
       `;
       
       // שליחה לקלוד ליצירת סיכום מעודכן
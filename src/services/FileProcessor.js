@@ -6,14 +6,25 @@
 
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const pdfParse = require('pdf-parse');
 const Chunk = require('../models/Chunk');
+const TextSegmenter = require('./TextSegmenter');
+const CodeSegmenter = require('./CodeSegmenter');
+const { createExtractor } = require('./extractors');
 const configManager = require('../utils/ConfigManager');
 const logger = require('../utils/Logger');
+const tokenCounter = require('../utils/TokenCounter');
+
+// גרסת החילוץ של PDF ומסמכי Office - יש להעלות אותה בכל שינוי בטקסט המחולץ,
+// כי מיקומי הקטעים באינדקס מתייחסים לטקסט הזה ולא לבתים בקובץ
+const EXTRACTOR_VERSION = 2;
 
 class FileProcessor {
   constructor() {
     this.config = configManager;
+    this.textSegmenter = new TextSegmenter();
+    this.codeSegmenter = new CodeSegmenter();
     logger.debug('FileProcessor initialized');
   }
 
@@ -27,7 +38,7 @@ class FileProcessor {
       const stats = await fs.stat(filePath);
       
       if (stats.isDirectory()) {
-        return this.processDirectory(filePath);
+        return this.processDirectory(filePath, filePath);
       } else if (stats.isFile()) {
         return this.processFile(filePath);
       } else {
@@ -43,9 +54,10 @@ class FileProcessor {
   /**
    * מעבד תיקייה שלמה
    * @param {string} dirPath - נתיב לתיקייה 
+   * @param {string} [rootPath] - שורש האינדקס (מזהי הקטעים יחסיים אליו, ברירת מחדל: התיקייה עצמה)
    * @returns {Promise<Array<Chunk>>} - מערך של קטעים מכל הקבצים
    */
-  async processDirectory(dirPath) {
+  async processDirectory(dirPath, rootPath = dirPath) {
     try {
       const files = await fs.readdir(dirPath);
       logger.info(`Processing directory with ${files.length} files/subdirectories`, { dirPath });
@@ -58,12 +70,12 @@ class FileProcessor {
         
         if (stats.isDirectory()) {
           // עיבוד רקורסיבי של תת-תיקיות
-          const subDirChunks = await this.processDirectory(fullPath);
+          const subDirChunks = await this.processDirectory(fullPath, rootPath);
           allChunks = [...allChunks, ...subDirChunks];
         } else if (stats.isFile()) {
           // בדיקה אם סוג הקובץ נתמך
           if (this.isSupportedFileType(fullPath)) {
-            const fileChunks = await this.processFile(fullPath);
+            const fileChunks = await this.processFile(fullPath, rootPath);
             allChunks = [...allChunks, ...fileChunks];
           } else {
             logger.debug(`Skipping unsupported file: ${fullPath}`);
@@ -81,27 +93,20 @@ class FileProcessor {
   /**
    * מעבד קובץ יחיד
    * @param {string} filePath - נתיב לקובץ
+   * @param {string} [rootPath] - שורש האינדקס - מזהי הקטעים מבוססים על הנתיב היחסי אליו,
+   *   כדי שקבצים באותו שם בתיקיות שונות (a/README.md, b/README.md) לא ידרסו זה את זה
    * @returns {Promise<Array<Chunk>>} - מערך של קטעים
    */
-  async processFile(filePath) {
-    const ext = path.extname(filePath).toLowerCase();
-    const supportedPdfExts = this.config.get('fileProcessing.supportedPdfExtensions');
-    
+  async processFile(filePath, rootPath = null) {
     logger.info(`Processing file: ${filePath}`);
     const startTime = Date.now();
     
     try {
-      let content;
-      
       // חילוץ תוכן בהתבסס על סוג הקובץ
-      if (supportedPdfExts.includes(ext)) {
-        content = await this.extractPdfContent(filePath);
-      } else {
-        content = await this.extractTextContent(filePath);
-      }
+      const document = await this.extractDocument(filePath);
       
-      // חלוקה לקטעים
-      const chunks = this.splitIntoChunks(content, filePath);
+      // חלוקה לקטעים - המזהים מבוססים על הנתיב היחסי לשורש
+      const chunks = this.splitIntoChunks(document.content, filePath, document, this.chunkIdPrefix(filePath, rootPath));
       
       const endTime = Date.now();
       logger.logPerformance(`Process file ${path.basename(filePath)}`, endTime - startTime, { 
@@ -116,6 +121,17 @@ class FileProcessor {
     }
   }
 
+  /**
+   * קידומת מזהי הקטעים של קובץ - הנתיב היחסי לשורש האינדקס (עם /), או שם הקובץ אם אין שורש
+   * @param {string} filePath - נתיב לקובץ
+   * @param {string} [rootPath] - שורש האינדקס (תיקייה או הקובץ עצמו)
+   * @returns {string}
+   */
+  chunkIdPrefix(filePath, rootPath = null) {
+    const relativePath = rootPath ? path.relative(rootPath, filePath) : '';
+    return relativePath ? relativePath.split(path.sep).join('/') : path.basename(filePath);
+  }
+
   /**
    * בדיקה אם סוג הקובץ נתמך
    * @param {string} filePath - נתיב לקובץ
@@ -125,8 +141,9 @@ class FileProcessor {
     const ext = path.extname(filePath).toLowerCase();
     const supportedTextExts = this.config.get('fileProcessing.supportedTextExtensions');
     const supportedPdfExts = this.config.get('fileProcessing.supportedPdfExtensions');
+    const supportedOfficeExts = this.config.get('fileProcessing.supportedOfficeExtensions') || [];
     
-    return supportedTextExts.includes(ext) || supportedPdfExts.includes(ext);
+    return supportedTextExts.includes(ext) || supportedPdfExts.includes(ext) || supportedOfficeExts.includes(ext);
   }
 
   /**
@@ -184,10 +201,40 @@ class FileProcessor {
    * @returns {Promise<string>} - טקסט מחולץ
    */
   async extractPdfContent(filePath) {
+    const document = await this.extractPdfDocument(filePath);
+    return document.content;
+  }
+
+  /**
+   * חילוץ PDF עם שמירה על גבולות העמודים - כל עמוד מסומן באזור משלו
+   * @param {string} filePath - נתיב לקובץ PDF
+   * @returns {Promise<Object>} - { content, format: 'text', regions } כאשר לכל אזור יש page
+   */
+  async extractPdfDocument(filePath) {
     try {
       const dataBuffer = await fs.readFile(filePath);
-      const pdfData = await pdfParse(dataBuffer);
-      return pdfData.text;
+      const pages = [];
+      
+      await pdfParse(dataBuffer, {
+        pagerender: async (pageData) => {
+          const text = await this._renderPdfPage(pageData);
+          pages[pageData.pageIndex] = text;
+          return text;
+        }
+      });
+      
+      let content = '';
+      const regions = [];
+      
+      for (let i = 0; i < pages.length; i++) {
+        // עמוד שנכשל בעיבוד נשאר ריק אבל שומר על המספור
+        const pageText = `${(pages[i] || '').trim()}\n\n`;
+        regions.push({ start: content.length, end: content.length + pageText.length, page: i + 1 });
+        content += pageText;
+      }
+      
+      logger.debug(`Extracted ${pages.length} PDF pages`, { filePath });
+      return { content, format: 'text', regions };
     } catch (error) {
       logger.error(`Error extracting PDF content from: ${filePath}`, { error: error.message });
       throw error;
@@ -195,51 +242,550 @@ class FileProcessor {
   }
 
   /**
-   * פונקציה מאוחדת לחילוץ תוכן קובץ בלי קשר לסוג
+   * חילוץ תוכן ממסמך Office או OpenDocument (DOCX, PPTX, XLSX, ODT)
    * @param {string} filePath - נתיב לקובץ
-   * @returns {Promise<string>} - תוכן הקובץ
+   * @returns {Promise<Object>} - { content, format, regions }
    */
-  async extractFileContent(filePath) {
+  async extractOfficeContent(filePath) {
+    try {
+      const extractor = createExtractor(path.extname(filePath).toLowerCase());
+      if (!extractor) {
+        throw new Error(`No extractor for file type: ${path.extname(filePath)}`);
+      }
+      
+      const dataBuffer = await fs.readFile(filePath);
+      return await extractor.extract(dataBuffer);
+    } catch (error) {
+      logger.error(`Error extracting document content from: ${filePath}`, { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * חילוץ מסמך בלי קשר לסוג - התוכן, הפורמט שלו (text או markdown) ואזורים עם מיקום במקור
+   * @param {string} filePath - נתיב לקובץ
+   * @returns {Promise<Object>} - { content, format, regions }
+   */
+  async extractDocument(filePath) {
     const ext = path.extname(filePath).toLowerCase();
     const supportedPdfExts = this.config.get('fileProcessing.supportedPdfExtensions');
+    const supportedOfficeExts = this.config.get('fileProcessing.supportedOfficeExtensions') || [];
     
-    if (supportedPdfExts.includes(ext)) {
-      return this.extractPdfContent(filePath);
+    if (supportedOfficeExts.includes(ext)) {
+      return this.extractOfficeContent(filePath);
+    } else if (supportedPdfExts.includes(ext)) {
+      return this.extractPdfDocument(filePath);
     } else {
-      return this.extractTextContent(filePath);
+      return { content: await this.extractTextContent(filePath), format: 'text', regions: [] };
     }
   }
 
+  /**
+   * בדיקה אם תוכן הקובץ מחולץ (PDF או Office) ולא נקרא כמו שהוא
+   * @param {string} filePath - נתיב לקובץ
+   * @returns {boolean} - האם הקובץ עובר חילוץ
+   */
+  isExtractedFormat(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    const supportedPdfExts = this.config.get('fileProcessing.supportedPdfExtensions');
+    const supportedOfficeExts = this.config.get('fileProcessing.supportedOfficeExtensions') || [];
+    
+    return supportedPdfExts.includes(ext) || supportedOfficeExts.includes(ext);
+  }
+
+  /**
+   * המרת עמוד PDF לטקסט - שורה חדשה בכל שינוי בגובה השורה, כמו ברירת המחדל של pdf-parse
+   * @param {Object} pageData - עמוד מ-pdf.js
+   * @returns {Promise<string>} - טקסט העמוד
+   * @private
+   */
+  async _renderPdfPage(pageData) {
+    const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    let lastY;
+    let text = '';
+    
+    for (const item of textContent.items) {
+      text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    }
+    
+    return text;
+  }
+
+  /**
+   * פונקציה מאוחדת לחילוץ תוכן קובץ בלי קשר לסוג
+   * @param {string} filePath - נתיב לקובץ
+   * @returns {Promise<string>} - תוכן הקובץ
+   */
+  async extractFileContent(filePath) {
+    const document = await this.extractDocument(filePath);
+    return document.content;
+  }
+
   /**
    * חלוקת תוכן לקטעים מתאימים
+   * קבצי קוד מקור מחולקים לפי פונקציות, מחלקות ומתודות (כאשר codeAware מופעל)
+   * כאשר preserveParagraphs מופעל, החלוקה מכבדת את מבנה המסמך (כותרות, פסקאות, בלוקי קוד)
+   * ונופלת לחיתוך לפי גודל רק כשיחידה בודדת גדולה מדי
    * @param {string} content - תוכן מלא לחלוקה
    * @param {string} filePath - נתיב לקובץ המקור
+   * @param {Object} [document] - פרטי המסמך המחולץ (מ-extractDocument)
+   * @param {string} [document.format] - פורמט התוכן: text (לפי סיומת הקובץ) או markdown
+   * @param {Array<Object>} [document.regions] - אזורים בתוכן עם מיקום במסמך המקורי
+   * @param {string} [idPrefix] - קידומת מזהי הקטעים (ראו chunkIdPrefix; ברירת מחדל: שם הקובץ)
    * @returns {Array<Chunk>} - מערך של קטעי תוכן
    */
-  splitIntoChunks(content, filePath) {
+  splitIntoChunks(content, filePath, document = {}, idPrefix = path.basename(filePath)) {
     // קבלת הגדרות חלוקה
     const chunkSizePercentage = this.config.get('chunking.chunkSizePercentage');
     const overlapPercentage = this.config.get('chunking.overlapPercentage');
     const preserveParagraphs = this.config.get('chunking.preserveParagraphs');
+    const codeAware = this.config.get('chunking.codeAware') !== false;
+    // מסמכים שחולצו ל-Markdown (למשל DOCX) מפורקים לפי מבנה Markdown
+    const ext = document.format === 'markdown' ? '.md' : path.extname(filePath).toLowerCase();
 
-    // חישוב גודל קטע מתאים
+    // חישוב גודל קטע מתאים בטוקנים
     // ברירת מחדל: 40% מחלון ההקשר של קלוד
     const claudeMaxTokens = this.config.get('claude.maxTokens');
-    // קירוב גס: 1 טוקן ≈ 4 תווים
-    const tokensToCharsRatio = 4;  
-    const maxChunkSize = Math.floor((claudeMaxTokens * chunkSizePercentage / 100) * tokensToCharsRatio);
+    const maxChunkTokens = Math.floor(claudeMaxTokens * chunkSizePercentage / 100);
+    const overlapTokens = Math.floor(maxChunkTokens * overlapPercentage / 200);
     logger.debug('Splitting content into chunks', { 
       filePath, 
       contentLength: content.length,
-      maxChunkSize
+      maxChunkTokens,
+      preserveParagraphs
+    });
+
+    let chunks;
+    if (codeAware && this.codeSegmenter.supports(ext)) {
+      chunks = this._splitByCode(content, filePath, idPrefix, maxChunkTokens);
+    } else if (preserveParagraphs) {
+      chunks = this._splitByStructure(content, filePath, idPrefix, maxChunkTokens, overlapTokens, ext);
+    } else {
+      chunks = this._splitBySize(content, filePath, idPrefix, maxChunkTokens, overlapTokens);
+    }
+    
+    if (document.regions && document.regions.length > 0) {
+      this._applyRegions(chunks, document.regions);
+    } else if (document.format !== 'markdown') {
+      // קובץ טקסט שנקרא כמו שהוא - מספרי השורות בתוכן הם מספרי השורות בקובץ
+      this._applyLineNumbers(chunks, content);
+    }
+    
+    logger.info(`Created ${chunks.length} chunks from ${filePath}`);
+    return chunks;
+  }
+
+  /**
+   * חלוקה לפי מבנה המסמך - אריזת יחידות מבניות שלמות לקטעים עד הגודל המקסימלי
+   * @param {string} content - תוכן מלא לחלוקה
+   * @param {string} filePath - נתיב לקובץ המקור
+   * @param {string} idPrefix - קידומת מזהי הקטעים
+   * @param {number} maxChunkTokens - גודל קטע מקסימלי בטוקנים
+   * @param {number} overlapTokens - גודל החפיפה בטוקנים
+   * @param {string} ext - הסיומת שלפיה מפרקים את המבנה
+   * @returns {Array<Chunk>} - מערך של קטעי תוכן
+   * @private
+   */
+  _splitByStructure(content, filePath, idPrefix, maxChunkTokens, overlapTokens, ext) {
+    const segments = [];
+    
+    // ספירת טוקנים לכל יחידה ופיצול יחידות שגדולות מקטע שלם
+    // (משאירים מקום לכותרת האחרונה כדי שהיא לא תישאר לבד בקטע)
+    let headingTokens = 0;
+    for (const segment of this.textSegmenter.segment(content, ext)) {
+      const tokens = tokenCounter.countTokens(content.substring(segment.start, segment.end));
+      if (segment.type === 'heading') {
+        headingTokens = tokens < maxChunkTokens / 2 ? tokens : 0;
+      }
+      
+      if (tokens > maxChunkTokens) {
+        segments.push(...this._splitOversizedSegment(content, segment, maxChunkTokens - headingTokens));
+      } else {
+        segments.push({ ...segment, tokens });
+      }
+    }
+    
+    const chunks = [];
+    let current = [];
+    
+    const sizeOf = (list) => list.reduce((sum, segment) => sum + segment.tokens, 0);
+    
+    const flush = () => {
+      // כותרת לא תסיים קטע - היא עוברת לקטע הבא יחד עם התוכן שלה
+      const carried = [];
+      while (current.length > 1 && current[current.length - 1].type === 'heading') {
+        carried.unshift(current.pop());
+      }
+      
+      if (current.length > 0) {
+        chunks.push(this._createStructuredChunk(content, filePath, idPrefix, current, chunks.length + 1));
+      }
+      
+      // חפיפה - יחידות שלמות מסוף הקטע הקודם, עד גודל החפיפה
+      const overlap = [];
+      let overlapSize = 0;
+      for (let i = current.length - 1; i > 0 && carried.length === 0; i--) {
+        if (overlapSize + current[i].tokens > overlapTokens || current[i].type === 'heading') {
+          break;
+        }
+        overlap.unshift(current[i]);
+        overlapSize += current[i].tokens;
+      }
+      
+      current = [...overlap, ...carried];
+    };
+    
+    for (const segment of segments) {
+      const currentSize = sizeOf(current);
+      
+      // מעבר לקטע חדש אם היחידה לא נכנסת, או בכותרת כשהקטע הנוכחי כבר מלא למחצה
+      const startsNewSection = segment.type === 'heading' && currentSize > maxChunkTokens / 2;
+      
+      if (current.length > 0 && (currentSize + segment.tokens > maxChunkTokens || startsNewSection)) {
+        flush();
+        // אם גם עם החפיפה היחידה לא נכנסת - מוותרים על החפיפה ומשאירים רק כותרות
+        if (current.length > 0 && sizeOf(current) + segment.tokens > maxChunkTokens) {
+          current = current.filter(s => s.type === 'heading');
+          if (sizeOf(current) + segment.tokens > maxChunkTokens) {
+            current = [];
+          }
+        }
+      }
+      
+      current.push(segment);
+    }
+    
+    if (current.length > 0) {
+      chunks.push(this._createStructuredChunk(content, filePath, idPrefix, current, chunks.length + 1));
+    }
+    
+    // תוכן ריק - קטע יחיד ריק כמו בחלוקה לפי גודל
+    if (chunks.length === 0) {
+      return this._splitBySize(content, filePath, idPrefix, maxChunkTokens, overlapTokens);
+    }
+    
+    return chunks;
+  }
+
+  /**
+   * פיצול יחידה מבנית גדולה מדי - בגבולות שורות או משפטים, ובחיתוך קשיח כמוצא אחרון
+   * @param {string} content - תוכן המסמך
+   * @param {Object} segment - היחידה לפיצול
+   * @param {number} maxChunkTokens - גודל קטע מקסימלי בטוקנים
+   * @returns {Array<Object>} - יחידות קטנות יותר עם אותו סוג ונתיב כותרות
+   * @private
+   */
+  _splitOversizedSegment(content, segment, maxChunkTokens) {
+    const parts = [];
+    let start = segment.start;
+    
+    while (start < segment.end) {
+      const remaining = content.substring(start, segment.end);
+      const fitChars = tokenCounter.charsWithinTokens(remaining, maxChunkTokens);
+      let end = start + fitChars;
+      
+      if (end < segment.end) {
+        const window = remaining.substring(0, fitChars);
+        // בקוד מעדיפים סוף שורה; בטקסט - סוף משפט ואז סוף שורה
+        const candidates = segment.type === 'code'
+          ? [window.lastIndexOf('\n')]
+          : [Math.max(window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('! ')), window.lastIndexOf('\n')];
+        
+        const breakAt = candidates.find(index => index > fitChars / 2);
+        if (breakAt !== undefined) {
+          end = start + breakAt + 1;
+        }
+      }
+      
+      parts.push({ ...segment, start, end, tokens: tokenCounter.countTokens(content.substring(start, end)) });
+      start = end;
+    }
+    
+    return parts;
+  }
+
+  /**
+   * יצירת קטע מרצף יחידות מבניות
+   * @param {string} content - תוכן המסמך
+   * @param {string} filePath - נתיב לקובץ המקור
+   * @param {string} idPrefix - קידומת מזהי הקטעים
+   * @param {Array<Object>} segments - היחידות בקטע
+   * @param {number} chunkIndex - מספר הקטע בקובץ
+   * @returns {Chunk} - הקטע
+   * @private
+   */
+  _createStructuredChunk(content, filePath, idPrefix, segments, chunkIndex) {
+    const startPosition = segments[0].start;
+    const endPosition = segments[segments.length - 1].end;
+    // נתיב הכותרות של היחידה הראשונה שנמצאת תחת כותרת מייצג את הקטע
+    const representative = segments.find(segment => segment.type !== 'heading' && segment.headingPath.length > 0) ||
+      segments.find(segment => segment.headingPath.length > 0) ||
+      segments[0];
+    
+    return new Chunk({
+      id: `${idPrefix}_chunk_${chunkIndex}`,
+      content: content.substring(startPosition, endPosition),
+      filePath: filePath,
+      startPosition,
+      endPosition: endPosition - 1,
+      headingPath: representative.headingPath.join(' > ')
     });
+  }
+
+  /**
+   * חלוקת קוד מקור לפי גבולות תחביריים - כל פונקציה, מחלקה או מתודה בקטע משלה
+   * מחלקה שגדולה מקטע שלם מפוצלת למתודות; קוד ברמת המודול (ייבוא, קבועים) נאסף לקטעים משלו
+   * @param {string} content - תוכן הקובץ
+   * @param {string} filePath - נתיב לקובץ המקור
+   * @param {string} idPrefix - קידומת מזהי הקטעים
+   * @param {number} maxChunkTokens - גודל קטע מקסימלי בטוקנים
+   * @returns {Array<Chunk>} - מערך של קטעי תוכן עם שם הסמל, סוגו וטווח השורות
+   * @private
+   */
+  _splitByCode(content, filePath, idPrefix, maxChunkTokens) {
+    const ext = path.extname(filePath).toLowerCase();
+    const moduleName = path.basename(filePath, ext);
+    const units = [];
+    
+    // קוד שאינו חלק מהגדרה - רק אם יש בו משהו מלבד רווחים
+    const addGap = (start, end, kind, name) => {
+      if (end > start && content.substring(start, end).trim() !== '') {
+        units.push({ start, end, kind, name });
+      }
+    };
+    
+    let position = 0;
+    for (const symbol of this.codeSegmenter.segment(content, ext)) {
+      addGap(position, symbol.start, 'module', moduleName);
+      
+      const symbolTokens = tokenCounter.countTokens(content.substring(symbol.start, symbol.end));
+      if (symbolTokens <= maxChunkTokens || symbol.children.length === 0) {
+        units.push({ start: symbol.start, end: symbol.end, kind: symbol.kind, name: symbol.name });
+      } else {
+        // כותרת המחלקה עד המתודה הראשונה, ואז כל מתודה עם הקוד שלפניה
+        let classPosition = symbol.start;
+        symbol.children.forEach((method, i) => {
+          if (i === 0) {
+            addGap(classPosition, method.start, symbol.kind, symbol.name);
+            classPosition = method.start;
+          }
+          const start = content.substring(classPosition, method.start).trim() === '' ? method.start : classPosition;
+          const end = i === symbol.children.length - 1 ? symbol.end : method.end;
+          units.push({ start, end, kind: 'method', name: `${symbol.name}.${method.name}` });
+          classPosition = end;
+        });
+      }
+      
+      position = symbol.end;
+    }
+    addGap(position, content.length, 'module', moduleName);
+    
+    // קובץ ריק או ללא קוד - חלוקה רגילה
+    if (units.length === 0) {
+      return this._splitBySize(content, filePath, idPrefix, maxChunkTokens, 0);
+    }
+    
+    const lineStarts = this._lineStarts(content);
+    const chunks = [];
+    
+    for (const unit of units) {
+      const tokens = tokenCounter.countTokens(content.substring(unit.start, unit.end));
+      const parts = tokens > maxChunkTokens
+        ? this._splitOversizedSegment(content, { ...unit, type: 'code' }, maxChunkTokens)
+        : [unit];
+      
+      for (const part of parts) {
+        const chunkIndex = chunks.length + 1;
+        chunks.push(new Chunk({
+          id: `${idPrefix}_chunk_${chunkIndex}`,
+          content: content.substring(part.start, part.end),
+          filePath: filePath,
+          startPosition: part.start,
+          endPosition: part.end - 1,
+          symbolName: unit.name,
+          symbolKind: unit.kind,
+          startLine: this._lineNumberAt(lineStarts, part.start),
+          endLine: this._lineNumberAt(lineStarts, part.end - 1)
+        }));
+      }
+    }
+    
+    return chunks;
+  }
+
+  /**
+   * קביעת טווח השורות לכל קטע שעדיין אין לו
+   * @param {Array<Chunk>} chunks - הקטעים
+   * @param {string} content - התוכן שממנו נוצרו הקטעים
+   * @private
+   */
+  _applyLineNumbers(chunks, content) {
+    const lineStarts = this._lineStarts(content);
+    
+    for (const chunk of chunks) {
+      if (chunk.startLine === null && chunk.endPosition >= chunk.startPosition) {
+        chunk.startLine = this._lineNumberAt(lineStarts, chunk.startPosition);
+        chunk.endLine = this._lineNumberAt(lineStarts, chunk.endPosition);
+      }
+    }
+  }
+
+  /**
+   * מיקומי תחילת השורות בתוכן
+   * @param {string} content - תוכן הקובץ
+   * @returns {Array<number>} - מיקום התו הראשון של כל שורה
+   * @private
+   */
+  _lineStarts(content) {
+    const starts = [0];
+    for (let i = 0; i < content.length; i++) {
+      if (content[i] === '\n') {
+        starts.push(i + 1);
+      }
+    }
+    return starts;
+  }
+
+  /**
+   * מספר השורה (מ-1) של מיקום בתוכן
+   * @param {Array<number>} lineStarts - מיקומי תחילת השורות
+   * @param {number} position - מיקום בתוכן
+   * @returns {number} - מספר השורה
+   * @private
+   */
+  _lineNumberAt(lineStarts, position) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= position) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    
+    return low + 1;
+  }
+
+  /**
+   * קביעת המיקום במסמך המקורי לכל קטע לפי האזורים שהוא חופף
+   * @param {Array<Chunk>} chunks - הקטעים
+   * @param {Array<Object>} regions - אזורים ממוינים עם { start, end } ושדות מיקום
+   * @private
+   */
+  _applyRegions(chunks, regions) {
+    for (const chunk of chunks) {
+      const overlapping = regions.filter(region => region.start <= chunk.endPosition && region.end > chunk.startPosition);
+      chunk.location = this._describeRegions(overlapping);
+      
+      const pages = overlapping.filter(region => region.page).map(region => region.page);
+      if (pages.length > 0) {
+        chunk.pageStart = Math.min(...pages);
+        chunk.pageEnd = Math.max(...pages);
+      }
+    }
+  }
+
+  /**
+   * תיאור קריא של מיקום לציטוט, למשל "pages 3-5", "slides 3-4" או "Sheet Budget!B4:D9"
+   * @param {Array<Object>} regions - האזורים שהקטע חופף
+   * @returns {string} - תיאור המיקום, או מחרוזת ריקה
+   * @private
+   */
+  _describeRegions(regions) {
+    const parts = [];
+    
+    const pages = regions.filter(region => region.page).map(region => region.page);
+    if (pages.length > 0) {
+      const first = Math.min(...pages);
+      const last = Math.max(...pages);
+      parts.push(first === last ? `page ${first}` : `pages ${first}-${last}`);
+    }
+    
+    const slides = regions.filter(region => region.slide).map(region => region.slide);
+    if (slides.length > 0) {
+      const first = Math.min(...slides);
+      const last = Math.max(...slides);
+      parts.push(first === last ? `slide ${first}` : `slides ${first}-${last}`);
+    }
+    
+    // טווח תאים מאוחד לכל גיליון
+    const sheets = new Map();
+    for (const region of regions.filter(r => r.sheet)) {
+      const cells = [this._parseCellRef(region.firstCell), this._parseCellRef(region.lastCell)];
+      const range = sheets.get(region.sheet) || { minRow: Infinity, maxRow: 0, minColumn: Infinity, maxColumn: 0 };
+      for (const cell of cells) {
+        range.minRow = Math.min(range.minRow, cell.row);
+        range.maxRow = Math.max(range.maxRow, cell.row);
+        range.minColumn = Math.min(range.minColumn, cell.column);
+        range.maxColumn = Math.max(range.maxColumn, cell.column);
+      }
+      sheets.set(region.sheet, range);
+    }
+    
+    for (const [sheet, range] of sheets) {
+      const from = `${this._columnName(range.minColumn)}${range.minRow}`;
+      const to = `${this._columnName(range.maxColumn)}${range.maxRow}`;
+      // שמות גיליון עם רווחים או סימנים מוקפים בגרשיים כמו בנוסחאות Excel
+      const sheetName = /^[\p{L}\p{N}_]+$/u.test(sheet) ? sheet : `'${sheet.replace(/'/g, "''")}'`;
+      parts.push(`Sheet ${sheetName}!${from === to ? from : `${from}:${to}`}`);
+    }
+    
+    return parts.join('; ');
+  }
 
+  /**
+   * פירוק כתובת תא (למשל B4) לעמודה ושורה
+   * @param {string} ref - כתובת התא
+   * @returns {Object} - { column, row } (עמודה מ-1)
+   * @private
+   */
+  _parseCellRef(ref) {
+    const match = ref.match(/^([A-Z]+)(\d+)$/i);
+    const letters = match[1].toUpperCase();
+    let column = 0;
+    for (const letter of letters) {
+      column = column * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return { column, row: Number(match[2]) };
+  }
+
+  /**
+   * שם עמודה בסגנון Excel ממספר עמודה (1 -> A, 28 -> AB)
+   * @param {number} column - מספר העמודה (מ-1)
+   * @returns {string} - שם העמודה
+   * @private
+   */
+  _columnName(column) {
+    let name = '';
+    while (column > 0) {
+      const remainder = (column - 1) % 26;
+      name = String.fromCharCode(65 + remainder) + name;
+      column = Math.floor((column - 1) / 26);
+    }
+    return name;
+  }
+
+  /**
+   * חלוקה לפי גודל קבוע עם חפיפה, ללא התחשבות במבנה המסמך
+   * @param {string} content - תוכן מלא לחלוקה
+   * @param {string} filePath - נתיב לקובץ המקור
+   * @param {string} idPrefix - קידומת מזהי הקטעים
+   * @param {number} maxChunkTokens - גודל קטע מקסימלי בטוקנים
+   * @param {number} overlapTokens - גודל החפיפה בטוקנים
+   * @returns {Array<Chunk>} - מערך של קטעי תוכן
+   * @private
+   */
+  _splitBySize(content, filePath, idPrefix, maxChunkTokens, overlapTokens) {
     const chunks = [];
     
     // אם התוכן נכנס בקטע אחד, להחזיר אותו כמו שהוא
-    if (content.length <= maxChunkSize) {
+    if (tokenCounter.countTokens(content) <= maxChunkTokens) {
       chunks.push(new Chunk({
-        id: `${path.basename(filePath)}_chunk_1`,
+        id: `${idPrefix}_chunk_1`,
         content: content,
         filePath: filePath,
         startPosition: 0,
@@ -251,14 +797,16 @@ class FileProcessor {
     // חלוקה למספר קטעים
     let currentStartingPosition = 0;
     let chunkIndex = 1;
-    const chunkPadding = Math.floor(maxChunkSize * overlapPercentage / 200);
     
     while (currentStartingPosition < content.length) {
-      let currentEndingPosition = Math.min(currentStartingPosition + maxChunkSize, content.length); 
+      const stepSize = tokenCounter.charsWithinTokens(content.substring(currentStartingPosition), maxChunkTokens);
+      let currentEndingPosition = Math.min(currentStartingPosition + stepSize, content.length); 
+      // גודל החפיפה בתווים לפי יחס התווים לטוקן בקטע הנוכחי
+      const chunkPadding = Math.floor(stepSize * overlapTokens / maxChunkTokens);
       let paddedStartingPos = Math.max(0,currentStartingPosition - chunkPadding), paddedEndingPos = Math.min(currentEndingPosition + chunkPadding,content.length);
       const chunkContent = content.substring(paddedStartingPos, paddedEndingPos);
       chunks.push(new Chunk({
-        id: `${path.basename(filePath)}_chunk_${chunkIndex}`,
+        id: `${idPrefix}_chunk_${chunkIndex}`,
         content: chunkContent,
         filePath: filePath,
         startPosition: paddedStartingPos,
@@ -266,14 +814,89 @@ class FileProcessor {
       }));
       
       // התקדמות למיקום הבא, בהתחשב בחפיפה
-      currentStartingPosition += maxChunkSize;
+      currentStartingPosition = currentEndingPosition;
       chunkIndex++;
     }
     
-    logger.info(`Created ${chunks.length} chunks from ${filePath}`);
     return chunks;
   }
 
+  /**
+   * רשימת כל הקבצים שיעובדו עבור נתיב נתון (קובץ בודד או תיקייה)
+   * @param {string} filePath - נתיב לקובץ או תיקייה
+   * @returns {Promise<Array<string>>} - מערך נתיבי קבצים
+   */
+  async listFiles(filePath) {
+    const stats = await fs.stat(filePath);
+    
+    if (stats.isFile()) {
+      return [filePath];
+    }
+    
+    if (!stats.isDirectory()) {
+      return [];
+    }
+    
+    let allFiles = [];
+    const files = await fs.readdir(filePath);
+    
+    for (const file of files) {
+      const fullPath = path.join(filePath, file);
+      const fileStats = await fs.stat(fullPath);
+      
+      if (fileStats.isDirectory()) {
+        allFiles = [...allFiles, ...await this.listFiles(fullPath)];
+      } else if (fileStats.isFile() && this.isSupportedFileType(fullPath)) {
+        allFiles.push(fullPath);
+      }
+    }
+    
+    return allFiles;
+  }
+
+  /**
+   * בניית מניפסט קבצים - גיבוב תוכן, זמן שינוי וגודל לכל קובץ
+   * משמש לזיהוי קבצים שנוספו, השתנו או נמחקו בעדכון אינדקס
+   * @param {string} filePath - נתיב לקובץ או תיקייה
+   * @returns {Promise<Object>} - מיפוי מנתיב קובץ ל-{ hash, mtimeMs, size }
+   */
+  async getFileManifest(filePath) {
+    try {
+      const files = await this.listFiles(filePath);
+      const manifest = {};
+      
+      for (const file of files) {
+        const stats = await fs.stat(file);
+        manifest[file] = {
+          hash: await this.hashFile(file),
+          mtimeMs: stats.mtimeMs,
+          size: stats.size
+        };
+      }
+      
+      return manifest;
+    } catch (error) {
+      logger.error(`Error building file manifest for: ${filePath}`, { error: error.message });
+      throw new Error(`Failed to build file manifest: ${error.message}`);
+    }
+  }
+
+  /**
+   * חישוב גיבוב SHA-256 לתוכן קובץ
+   * @param {string} filePath - נתיב לקובץ
+   * @returns {Promise<string>} - גיבוב הקובץ בהקסדצימלי
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      const stream = fs.createReadStream(filePath);
+      
+      stream.on('data', (data) => hash.update(data));
+      stream.on('end', () => resolve(hash.digest('hex')));
+      stream.on('error', reject);
+    });
+  }
+
   /**
    * קבלת מידע סטטיסטי על קובץ או תיקייה
    * @param {string} filePath - נתיב לקובץ או תיקייה
@@ -336,4 +959,6 @@ class FileProcessor {
   }
 }
 
+FileProcessor.EXTRACTOR_VERSION = EXTRACTOR_VERSION;
+
 module.exports = FileProcessor;
\ No newline at end of file
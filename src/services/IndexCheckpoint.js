@@ -0,0 +1,174 @@
+// File: src/services/IndexCheckpoint.js
+// Location: /claude-context-extender/src/services/IndexCheckpoint.js
+// נקודות שמירה לבניית אינדקס - כל קטע מועשר נכתב לקובץ חלקי מיד כשהוא מוכן, כדי שאפשר יהיה לחדש בנייה שנקטעה
+// (כולל מצב Message Batch שנשלח וטרם נאסף)
+
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/Logger');
+
+class IndexCheckpoint {
+  constructor() {
+    this.indexesDir = path.join(process.cwd(), 'data', 'indexes');
+    
+    // כתיבות לכל קובץ מתבצעות בתור, כדי ששורות של עובדים מקבילים לא יתערבבו
+    this.writeQueues = new Map();
+    
+    fs.ensureDirSync(this.indexesDir);
+    
+    logger.debug('IndexCheckpoint initialized');
+  }
+
+  /**
+   * פתיחת קובץ נקודת שמירה חדש (דורס קובץ קודם של אותו אינדקס)
+   * @param {string} indexId - מזהה האינדקס
+   * @param {Object} header - פרטי הבנייה הדרושים לחידוש (נתיב המקור ואפשרויות האינדקס, או operation: 'update' לעדכון)
+   * @returns {Promise<void>}
+   */
+  async start(indexId, header) {
+    const line = JSON.stringify({ type: 'header', indexId, startedAt: new Date().toISOString(), ...header });
+    await this._enqueue(indexId, () => fs.writeFile(this._checkpointPath(indexId), `${line}\n`));
+    logger.debug(`Started index checkpoint: ${indexId}`);
+  }
+
+  /**
+   * הוספת קטע מועשר לנקודת השמירה
+   * @param {string} indexId - מזהה האינדקס
+   * @param {Object} chunk - הקטע המועשר (כולל התוכן, לזיהוי שינויים בחידוש)
+   * @returns {Promise<void>}
+   */
+  async append(indexId, chunk) {
+    const line = JSON.stringify({ type: 'chunk', chunk });
+    await this._enqueue(indexId, () => fs.appendFile(this._checkpointPath(indexId), `${line}\n`));
+  }
+
+  /**
+   * טעינת נקודת שמירה
+   * שורה אחרונה חתוכה (קריסה באמצע כתיבה) מדולגת
+   * @param {string} indexId - מזהה האינדקס
+   * @returns {Promise<Object|null>} - { header, chunks: Map<chunkId, chunk> } או null אם אין נקודת שמירה
+   */
+  async load(indexId) {
+    const checkpointPath = this._checkpointPath(indexId);
+    
+    if (!await fs.pathExists(checkpointPath)) {
+      return null;
+    }
+    
+    const lines = (await fs.readFile(checkpointPath, 'utf8')).split('\n');
+    let header = null;
+    const chunks = new Map();
+    
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        logger.warn(`Skipping unreadable line in checkpoint: ${indexId}`);
+        continue;
+      }
+      
+      if (record.type === 'header') {
+        header = record;
+      } else if (record.type === 'chunk') {
+        chunks.set(record.chunk.id, record.chunk);
+      }
+    }
+    
+    if (!header) {
+      throw new Error(`Checkpoint for ${indexId} has no header`);
+    }
+    
+    logger.debug(`Loaded index checkpoint: ${indexId}`, { chunks: chunks.size });
+    return { header, chunks };
+  }
+
+  /**
+   * מחיקת נקודת השמירה (אחרי שהאינדקס נבנה במלואו)
+   * @param {string} indexId - מזהה האינדקס
+   * @returns {Promise<void>}
+   */
+  async remove(indexId) {
+    await this._enqueue(indexId, () => fs.remove(this._checkpointPath(indexId)));
+    this.writeQueues.delete(indexId);
+  }
+
+  /**
+   * שמירת מצב Message Batch שנשלח עבור האינדקס, כדי שאפשר יהיה להמשיך לחכות לו בהרצה אחרת
+   * @param {string} indexId - מזהה האינדקס
+   * @param {Object} state - { batchId, sourcePath, options, requests: [{ customId, chunkId, contentHash }] }
+   * @returns {Promise<void>}
+   */
+  async saveBatch(indexId, state) {
+    await fs.writeJson(this._batchPath(indexId), state, { spaces: 2 });
+    logger.debug(`Saved batch state: ${indexId}`, { batchId: state.batchId });
+  }
+  
+  /**
+   * טעינת מצב ה-Message Batch של האינדקס
+   * @param {string} indexId - מזהה האינדקס
+   * @returns {Promise<Object|null>} - המצב השמור או null אם אין אצווה ממתינה
+   */
+  async loadBatch(indexId) {
+    const batchPath = this._batchPath(indexId);
+    
+    if (!await fs.pathExists(batchPath)) {
+      return null;
+    }
+    
+    return fs.readJson(batchPath);
+  }
+  
+  /**
+   * מחיקת מצב ה-Message Batch (אחרי שהתוצאות נאספו)
+   * @param {string} indexId - מזהה האינדקס
+   * @returns {Promise<void>}
+   */
+  async removeBatch(indexId) {
+    await fs.remove(this._batchPath(indexId));
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * הוספת פעולת כתיבה לתור של הקובץ
+   * @param {string} indexId - מזהה האינדקס
+   * @param {Function} write - async () => void
+   * @returns {Promise<void>}
+   * @private
+   */
+  _enqueue(indexId, write) {
+    const previous = this.writeQueues.get(indexId) || Promise.resolve();
+    const next = previous.then(write);
+    this.writeQueues.set(indexId, next.catch(() => {}));
+    return next;
+  }
+
+  /**
+   * נתיב קובץ נקודת השמירה של אינדקס
+   * @param {string} indexId - מזהה האינדקס
+   * @returns {string} - נתיב הקובץ
+   * @private
+   */
+  _checkpointPath(indexId) {
+    return path.join(this.indexesDir, `${indexId}.partial.jsonl`);
+  }
+
+  /**
+   * נתיב קובץ מצב ה-Message Batch של אינדקס
+   * @param {string} indexId - מזהה האינדקס
+   * @returns {string} - נתיב הקובץ
+   * @private
+   */
+  _batchPath(indexId) {
+    return path.join(this.indexesDir, `${indexId}.batch.json`);
+  }
+}
+
+module.exports = IndexCheckpoint;
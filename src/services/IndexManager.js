@@ -9,13 +9,21 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const configManager = require('../utils/ConfigManager');
 const logger = require('../utils/Logger');
+const { withCachedPrefix } = require('../utils/PromptBlocks');
 const ClaudeClient = require('./ClaudeClient'); // Import ClaudeClient for LLM-based retrieval
+const VectorStore = require('./VectorStore');
+const LexicalIndex = require('./LexicalIndex');
+const FileProcessor = require('./FileProcessor');
 
 class IndexManager {
   constructor() {
     this.config = configManager;
     this.indexesDir = path.join(process.cwd(), 'data', 'indexes');
     this.claudeClient = new ClaudeClient(); // Initialize Claude client for semantic search
+    this.vectorStore = new VectorStore(); // ווקטורים מקומיים לחיפוש לפי דמיון
+    this.lexicalIndex = new LexicalIndex(); // אינדקס הפוך לדירוג BM25
+    this.fileProcessor = new FileProcessor(); // חילוץ תוכן מקבצי מקור שאינם טקסט (PDF, Office)
+    this.sourceCache = new Map(); // תוכן מחולץ של קבצי מקור אחרונים, לפי נתיב וזמן שינוי
     
     // יצירת תיקיית האינדקסים אם לא קיימת
     fs.ensureDirSync(this.indexesDir);
@@ -27,12 +35,17 @@ class IndexManager {
    * יצירת אינדקס חדש מקטעים מועשרים
    * @param {Array} enrichedChunks - קטעים עם תקצירים ומילות מפתח
    * @param {Object} options - אפשרויות יצירת האינדקס
+   * @param {Object} [source] - מידע על מקור האינדקס (לעדכון מצטבר)
+   * @param {string} [source.sourcePath] - הנתיב שממנו נבנה האינדקס
+   * @param {Object} [source.files] - מניפסט הקבצים (גיבוב וזמן שינוי לכל קובץ)
+   * @param {boolean} [source.enriched] - האם הקטעים הועשרו בתקצירים ומילות מפתח
+   * @param {string} [indexId] - מזהה שהוקצה מראש (מ-createIndexId), למשל לבנייה עם נקודות שמירה
    * @returns {Promise<string>} - מזהה האינדקס החדש
    */
-  async createIndex(enrichedChunks, options = {}) {
+  async createIndex(enrichedChunks, options = {}, source = {}, indexId = null) {
     try {
       // יצירת מזהה אינדקס חדש
-      const indexId = options.name ? this._normalizeIndexName(options.name) : uuidv4();
+      indexId = indexId || this.createIndexId(options);
       logger.info(`Creating new index: ${indexId}`);
       
       // יצירת המבנה הבסיסי של האינדקס
@@ -45,43 +58,36 @@ class IndexManager {
         options: {
           ...options,
         },
+        // מקור האינדקס ומניפסט הקבצים - משמשים לעדכון מצטבר
+        sourcePath: source.sourcePath || null,
+        enriched: source.enriched !== undefined ? source.enriched : true,
+        files: source.files || {},
+        // גרסת החילוץ שלפיה חושבו מיקומי הקטעים בקבצי PDF ו-Office
+        extractorVersion: FileProcessor.EXTRACTOR_VERSION,
         // אינדקס מילות מפתח - ממפה מילת מפתח למערך של מזהי קטעים
         keywordsIndex: {},
         // אחסון הקטעים והתקצירים שלהם
         chunks: {}
       };
       
-      // בניית אינדקס המילים והקטעים
+      // שמירת הקטעים באינדקס
       for (const chunk of enrichedChunks) {
-        // שמירת הקטע באינדקס
-        index.chunks[chunk.id] = {
-          id: chunk.id,
-          filePath: chunk.filePath,
-          summary: chunk.summary,
-          keywords: chunk.keywords,
-          startPosition: chunk.startPosition,
-          endPosition: chunk.endPosition,
-          // שמירת תוכן הקטע רק אם הוגדר כך בהגדרות
-          content: options.storeContent ? chunk.content : null
-        };
-        
-        // הוספת מילות המפתח לאינדקס
-        for (const keyword of chunk.keywords) {
-          if (!index.keywordsIndex[keyword]) {
-            index.keywordsIndex[keyword] = [];
-          }
-          if (!index.keywordsIndex[keyword].includes(chunk.id)) {
-            index.keywordsIndex[keyword].push(chunk.id);
-          }
-        }
+        index.chunks[chunk.id] = this._toIndexedChunk(chunk, options.storeContent);
       }
       
+      // בניית אינדקס מילות המפתח
+      index.keywordsIndex = this._buildKeywordsIndex(Object.values(index.chunks));
+      
       // יצירת תקציר כללי למסמך
       index.overallSummary = await this._createOverallSummary(enrichedChunks);
       
       // שמירת האינדקס
       await this._saveIndex(indexId, index);
       
+      // בניית ווקטורים ואינדקס הפוך מקומיים לקטעים (ללא קריאות API)
+      await this.vectorStore.build(indexId, enrichedChunks);
+      await this.lexicalIndex.build(indexId, enrichedChunks);
+      
       logger.info(`Index created successfully: ${indexId}`);
       return indexId;
     } catch (error) {
@@ -90,6 +96,81 @@ class IndexManager {
     }
   }
 
+  /**
+   * בדיקה אם מיקומי הקטעים באינדקס חושבו בגרסת חילוץ אחרת מהנוכחית
+   * (באינדקסים כאלה אי אפשר לקרוא קטעי PDF ו-Office מקובץ המקור עד לעדכון)
+   * @param {Object} index - אובייקט אינדקס
+   * @returns {boolean} - האם גרסת החילוץ של האינדקס אינה עדכנית
+   */
+  isExtractorOutdated(index) {
+    return (index.extractorVersion || 1) !== FileProcessor.EXTRACTOR_VERSION;
+  }
+
+  /**
+   * הקצאת מזהה לאינדקס חדש - לפי השם אם ניתן, אחרת מזהה אקראי
+   * @param {Object} options - אפשרויות יצירת האינדקס
+   * @returns {string} - מזהה האינדקס
+   */
+  createIndexId(options = {}) {
+    return options.name ? this._normalizeIndexName(options.name) : uuidv4();
+  }
+
+  /**
+   * עדכון מצטבר של אינדקס קיים
+   * מסיר את הקטעים של קבצים שנמחקו או השתנו, מוסיף את הקטעים החדשים
+   * ובונה מחדש את אינדקס מילות המפתח והתקציר הכללי
+   * @param {Object} index - אובייקט האינדקס הקיים
+   * @param {Object} changes - השינויים לביצוע
+   * @param {Array} changes.newChunks - קטעים חדשים (של קבצים שנוספו או השתנו)
+   * @param {Array<string>} changes.removedFiles - קבצים שהקטעים שלהם יוסרו
+   * @param {Object} changes.files - מניפסט הקבצים המעודכן
+   *   (אם גרסת החילוץ של האינדקס ישנה, כל קבצי ה-PDF וה-Office צריכים להיות בין הקטעים החדשים)
+   * @returns {Promise<Object>} - האינדקס המעודכן
+   */
+  async updateIndex(index, { newChunks, removedFiles, files }) {
+    try {
+      logger.info(`Updating index: ${index.id}`, {
+        newChunks: newChunks.length,
+        removedFiles: removedFiles.length
+      });
+      
+      // הסרת הקטעים של קבצים שנמחקו או השתנו
+      const removedSet = new Set(removedFiles);
+      const removedChunkIds = [];
+      for (const [chunkId, chunk] of Object.entries(index.chunks)) {
+        if (removedSet.has(chunk.filePath)) {
+          delete index.chunks[chunkId];
+          removedChunkIds.push(chunkId);
+        }
+      }
+      
+      // הוספת הקטעים החדשים
+      for (const chunk of newChunks) {
+        index.chunks[chunk.id] = this._toIndexedChunk(chunk, index.options.storeContent);
+      }
+      
+      const allChunks = Object.values(index.chunks);
+      
+      // בנייה מחדש של אינדקס מילות המפתח והתקציר הכללי
+      index.keywordsIndex = this._buildKeywordsIndex(allChunks);
+      index.overallSummary = await this._createOverallSummary(allChunks);
+      index.chunkCount = allChunks.length;
+      index.files = files;
+      index.extractorVersion = FileProcessor.EXTRACTOR_VERSION;
+      index.updatedAt = new Date().toISOString();
+      
+      await this._saveIndex(index.id, index);
+      await this.vectorStore.update(index.id, removedChunkIds, newChunks);
+      await this.lexicalIndex.update(index.id, removedChunkIds, newChunks);
+      
+      logger.info(`Index updated successfully: ${index.id}`);
+      return index;
+    } catch (error) {
+      logger.error(`Error updating index: ${index.id}`, { error: error.message });
+      throw new Error(`Failed to update index: ${error.message}`);
+    }
+  }
+
   /**
    * טעינת אינדקס לפי מזהה
    * @param {string} indexId - מזהה אינדקס
@@ -122,7 +203,7 @@ class IndexManager {
       const indexes = [];
       
       for (const file of files) {
-        if (path.extname(file) === '.json') {
+        if (this._isIndexFile(file)) {
           try {
             const indexId = path.basename(file, '.json');
             const indexData = await this.loadIndex(indexId);
@@ -175,6 +256,14 @@ class IndexManager {
         chunks: Object.keys(index.chunks).map(chunkId => ({
           id: chunkId,
           filePath: index.chunks[chunkId].filePath,
+          headingPath: index.chunks[chunkId].headingPath,
+          symbolName: index.chunks[chunkId].symbolName,
+          symbolKind: index.chunks[chunkId].symbolKind,
+          startLine: index.chunks[chunkId].startLine,
+          endLine: index.chunks[chunkId].endLine,
+          pageStart: index.chunks[chunkId].pageStart,
+          pageEnd: index.chunks[chunkId].pageEnd,
+          location: index.chunks[chunkId].location,
           summary: index.chunks[chunkId].summary
         }))
       };
@@ -199,6 +288,8 @@ class IndexManager {
       }
       
       await fs.remove(indexPath);
+      await this.vectorStore.delete(indexId);
+      await this.lexicalIndex.delete(indexId);
       logger.info(`Deleted index: ${indexId}`);
       return true;
     } catch (error) {
@@ -211,15 +302,38 @@ class IndexManager {
    * מציאת קטעים רלוונטיים לשאלה באמצעות מודל השפה
    * @param {Object} index - אובייקט אינדקס
    * @param {string} question - שאלת המשתמש
+   * 
+   * כאשר מועבר options.events, ההתקדמות מדווחת כאירועים במקום הדפסות לקונסול:
+   * - 'retrieval:start' { strategy } - תחילת האחזור
+   * - 'retrieval:stage' { stage, count, chunkIds } - תוצאות שלב ('lexical', 'vector', 'fusion', 'rerank', 'llm' או 'fallback')
+   * - 'wait' { ms, reason } - המתנה למגבלת הקצב או לפני ניסיון חוזר בקריאות לקלוד
+   * 
+   * @param {Object} [options] - אפשרויות נוספות
+   * @param {Object} [options.models] - דריסת מודלים לפי משימה (models.retrieve לבחירת הקטעים)
+   * @param {EventEmitter} [options.events] - יעד לאירועי ההתקדמות
    * @returns {Promise<Array>} - מערך קטעים רלוונטיים
    */
-  async findRelevantChunks(index, question) {
+  async findRelevantChunks(index, question, options = {}) {
+    const strategy = this.config.get('query.retrievalStrategy') || 'llm';
+    const { events } = options;
+    
     try {
-      logger.info(`Finding relevant chunks for question using LLM approach`);
-      console.log(`Finding relevant chunks for question: "${question}"`);
+      this._emit(events, 'retrieval:start', { strategy });
       
-      // מגבלת מספר הקטעים המוחזרים
-      const maxChunksToReturn = this.config.get('query.maxChunksPerQuery') || 5;
+      if (strategy === 'vector') {
+        return await this._findRelevantChunksWithVectors(index, question, options);
+      }
+      
+      if (strategy === 'keyword') {
+        return await this._findRelevantChunksWithKeywords(index, question, options);
+      }
+      
+      if (strategy === 'hybrid') {
+        return await this._findRelevantChunksHybrid(index, question, options);
+      }
+      
+      logger.info(`Finding relevant chunks for question using LLM approach`);
+      this._report(events, `Finding relevant chunks for question: "${question}"`);
       
       // האם להשתמש באסטרטגיית פיצול אם יש הרבה קטעים
       const useChunking = this.config.get('query.useSplitStrategyForLargeIndices') || false;
@@ -230,59 +344,306 @@ class IndexManager {
       
       if (Object.keys(index.chunks).length > chunkSize && useChunking) {
         // במקרה של אינדקס גדול, נשתמש באסטרטגיית ביניים
-        relevantChunkIds = await this._findRelevantChunksWithSplitStrategy(index, question, chunkSize);
+        relevantChunkIds = await this._findRelevantChunksWithSplitStrategy(index, question, chunkSize, options);
       } else {
         // במקרה של אינדקס קטן, נשלח הכל במכה אחת
-        relevantChunkIds = await this._findRelevantChunksSimple(index, question);
+        relevantChunkIds = await this._findRelevantChunksSimple(index, question, options);
       }
       
-      console.log(`LLM identified ${relevantChunkIds.length} relevant chunks: ${relevantChunkIds.join(', ')}`);
-      
-      // יצירת מערך התוצאות
-      const relevantChunks = [];
-      
-      // הגבלת מספר הקטעים וטעינת התוכן שלהם
-      const limitedChunkIds = relevantChunkIds.slice(0, maxChunksToReturn);
-      
-      for (const chunkId of limitedChunkIds) {
-        if (index.chunks[chunkId]) {
-          // אם התוכן לא נשמר, צריך לקרוא אותו מהקובץ
-          let chunk = index.chunks[chunkId];
-          
-          if (!chunk.content) {
-            try {
-              // קריאת התוכן מהקובץ המקורי
-              chunk.content = await this._readChunkFromFile(chunk.filePath, chunk.startPosition, chunk.endPosition);
-            } catch (error) {
-              logger.error(`Error reading chunk content: ${chunkId}`, { error: error.message });
-              chunk.content = `[Error reading content: ${error.message}]`;
-            }
-          }
-          
-          // הוספת הקטע לתוצאות
-          relevantChunks.push({
-            ...chunk,
-            relevanceScore: relevantChunkIds.indexOf(chunkId) // דירוג לפי מיקום ברשימת החשיבות
-          });
-        } else {
-          logger.warn(`Chunk ID returned by LLM not found in index: ${chunkId}`);
-        }
-      }
+      this._report(events, `LLM identified ${relevantChunkIds.length} relevant chunks: ${relevantChunkIds.join(', ')}`);
+      this._emitStage(events, 'llm', relevantChunkIds);
       
-      // מיון לפי דירוג הרלוונטיות
-      relevantChunks.sort((a, b) => a.relevanceScore - b.relevanceScore);
+      const relevantChunks = await this._loadRankedChunks(index, relevantChunkIds.map(id => ({ id })));
       
       logger.info(`Returning ${relevantChunks.length} relevant chunks for question`);
-      console.log(`Final set of relevant chunks: ${relevantChunks.map(c => c.id).join(', ')}`);
+      this._report(events, `Final set of relevant chunks: ${relevantChunks.map(c => c.id).join(', ')}`);
       
       return relevantChunks;
     } catch (error) {
-      logger.error('Error finding relevant chunks with LLM', { error: error.message });
-      console.error(`Error in semantic search: ${error.message}`);
+      logger.error(`Error finding relevant chunks with ${strategy} strategy`, { error: error.message });
       
       // במקרה של שגיאה, נחזור לחיפוש קלאסי מבוסס מילות מפתח
-      console.log(`Falling back to keyword-based search`);
-      return this._findRelevantChunksWithKeywords(index, question);
+      this._emit(events, 'retrieval:stage', { stage: 'fallback', count: 0, chunkIds: [], reason: error.message });
+      if (!events) {
+        console.error(`Error in semantic search: ${error.message}`);
+        console.log(`Falling back to keyword-based search`);
+      }
+      return this._findRelevantChunksWithKeywords(index, question, options);
+    }
+  }
+
+  /**
+   * מציאת קטעים רלוונטיים לפי דמיון קוסינוס בין ווקטור השאלה לווקטורי הקטעים
+   * פועל באופן מקומי לחלוטין - ללא קריאות API
+   * @param {Object} index - אובייקט אינדקס
+   * @param {string} question - שאלת המשתמש
+   * @param {Object} [options] - אפשרויות נוספות (events)
+   * @returns {Promise<Array>} - מערך קטעים רלוונטיים
+   * @private
+   */
+  async _findRelevantChunksWithVectors(index, question, options = {}) {
+    logger.info(`Finding relevant chunks for question using vector similarity`);
+    this._report(options.events, `Finding relevant chunks for question (vector search): "${question}"`);
+    
+    const store = await this._getVectorStore(index, options.events);
+    const maxChunksToReturn = this.config.get('query.maxChunksPerQuery') || 5;
+    const minSimilarity = this.config.get('embedding.minSimilarity') || 0;
+    
+    const results = (await this.vectorStore.search(store, question, maxChunksToReturn))
+      .filter(result => result.score > minSimilarity);
+    
+    this._report(options.events, `Vector search results: ${results.map(r => `${r.id} (${r.score.toFixed(3)})`).join(', ')}`);
+    this._emitStage(options.events, 'vector', results.map(result => result.id));
+    
+    return this._loadRankedChunks(index, results.map(result => ({ id: result.id, similarity: result.score })));
+  }
+
+  /**
+   * אחזור היברידי - מחוללי מועמדים לקסיקלי (BM25) ווקטורי, מיזוג בשיטת
+   * Reciprocal Rank Fusion ודירוג מחדש אופציונלי של הרשימה הממוזגת בלבד על ידי קלוד
+   * כל קטע מוחזר עם הציונים של כל שלב בשדה retrieval
+   * @param {Object} index - אובייקט אינדקס
+   * @param {string} question - שאלת המשתמש
+   * @param {Object} [options] - אפשרויות נוספות (models, events)
+   * @returns {Promise<Array>} - מערך קטעים רלוונטיים
+   * @private
+   */
+  async _findRelevantChunksHybrid(index, question, options = {}) {
+    const { events } = options;
+    logger.info(`Finding relevant chunks for question using hybrid retrieval`);
+    this._report(events, `Finding relevant chunks for question (hybrid): "${question}"`);
+    
+    const hybridConfig = this.config.get('query.hybrid') || {};
+    const lexicalConfig = hybridConfig.lexical || {};
+    const vectorConfig = hybridConfig.vector || {};
+    const rerankConfig = hybridConfig.rerank || {};
+    
+    // שלב 1 - מחוללי מועמדים זולים
+    const candidateLists = {};
+    
+    if (lexicalConfig.enabled !== false) {
+      const lexicalStore = await this._getLexicalStore(index, events);
+      candidateLists.lexical = this.lexicalIndex.search(lexicalStore, question, lexicalConfig.topK || 20);
+      this._report(events, `Lexical candidates: ${candidateLists.lexical.length}`);
+      this._emitStage(events, 'lexical', candidateLists.lexical.map(result => result.id));
+    }
+    
+    if (vectorConfig.enabled !== false) {
+      const vectorStore = await this._getVectorStore(index, events);
+      candidateLists.vector = await this.vectorStore.search(vectorStore, question, vectorConfig.topK || 20);
+      this._report(events, `Vector candidates: ${candidateLists.vector.length}`);
+      this._emitStage(events, 'vector', candidateLists.vector.map(result => result.id));
+    }
+    
+    // שלב 2 - מיזוג לפי דירוג
+    let shortlist = this._reciprocalRankFusion(candidateLists, hybridConfig.rrfK || 60);
+    this._report(events, `Fused shortlist: ${shortlist.slice(0, 10).map(r => `${r.id} (${r.retrieval.fusion.score.toFixed(4)})`).join(', ')}`);
+    this._emitStage(events, 'fusion', shortlist.map(result => result.id));
+    
+    // שלב 3 - דירוג מחדש על ידי קלוד, רק לראש הרשימה הממוזגת
+    if (rerankConfig.enabled !== false && shortlist.length > 0) {
+      shortlist = await this._rerankWithLLM(index, question, shortlist.slice(0, rerankConfig.topK || 10), options);
+      this._emitStage(events, 'rerank', shortlist.map(result => result.id));
+    }
+    
+    return this._loadRankedChunks(index, shortlist);
+  }
+
+  /**
+   * מיזוג רשימות מדורגות בשיטת Reciprocal Rank Fusion
+   * ציון כל קטע הוא סכום 1/(k + דירוג) על פני כל הרשימות שבהן הוא מופיע
+   * @param {Object} candidateLists - מיפוי משם שלב למערך ממוין של { id, score }
+   * @param {number} k - קבוע ההחלקה של RRF
+   * @returns {Array<Object>} - מערך ממוין של { id, retrieval } עם ציוני כל שלב
+   * @private
+   */
+  _reciprocalRankFusion(candidateLists, k) {
+    const fused = {};
+    
+    for (const [stage, results] of Object.entries(candidateLists)) {
+      results.forEach((result, i) => {
+        if (!fused[result.id]) {
+          fused[result.id] = { id: result.id, retrieval: { fusion: { score: 0 } } };
+        }
+        
+        const rank = i + 1;
+        fused[result.id].retrieval[stage] = { rank, score: result.score };
+        fused[result.id].retrieval.fusion.score += 1 / (k + rank);
+      });
+    }
+    
+    const ranked = Object.values(fused).sort((a, b) => b.retrieval.fusion.score - a.retrieval.fusion.score);
+    ranked.forEach((result, i) => {
+      result.retrieval.fusion.rank = i + 1;
+    });
+    
+    return ranked;
+  }
+
+  /**
+   * דירוג מחדש של רשימה קצרה באמצעות קלוד
+   * קטעים שקלוד לא בחר נחשבים לא רלוונטיים; אם לא נבחר אף קטע, נשמר סדר המיזוג
+   * @param {Object} index - אובייקט אינדקס
+   * @param {string} question - שאלת המשתמש
+   * @param {Array<Object>} shortlist - הרשימה הממוזגת
+   * @param {Object} [options] - אפשרויות נוספות (models, events)
+   * @returns {Promise<Array<Object>>} - הרשימה בסדר החדש
+   * @private
+   */
+  async _rerankWithLLM(index, question, shortlist, options = {}) {
+    try {
+      this._report(options.events, `Reranking ${shortlist.length} fused candidates with LLM`);
+      
+      const chunkSummaries = [];
+      for (const result of shortlist) {
+        const chunk = index.chunks[result.id];
+        if (!chunk) {
+          continue;
+        }
+        
+        // לאינדקסים לא מועשרים אין תקציר - נשתמש בתחילת התוכן
+        const summary = chunk.summary || (await this._loadChunkContent(index, chunk)).substring(0, 500);
+        chunkSummaries.push({ id: result.id, summary });
+      }
+      
+      const prompt = this._buildChunkSelectionPrompt(index.overallSummary, chunkSummaries, question);
+      const response = await this.claudeClient.sendPrompt(prompt, {
+        temperature: 0.2,
+        system: "You are an expert retrieval system that identifies the most relevant document sections for a query.",
+        task: 'retrieve',
+        models: options.models,
+        onWait: this._onWait(options.events),
+        validate: text => this._isParsableChunkSelection(text)
+      });
+      
+      const byId = new Map(shortlist.map(result => [result.id, result]));
+      const rerankedIds = [...new Set(this._parseRelevantChunkIds(response))].filter(id => byId.has(id));
+      
+      if (rerankedIds.length === 0) {
+        logger.warn('LLM reranking selected no chunks, keeping fused order');
+        return shortlist;
+      }
+      
+      return rerankedIds.map((id, i) => {
+        const result = byId.get(id);
+        result.retrieval.rerank = { rank: i + 1 };
+        return result;
+      });
+    } catch (error) {
+      logger.warn('LLM reranking failed, keeping fused order', { error: error.message });
+      return shortlist;
+    }
+  }
+
+  /**
+   * טעינת הווקטורים של אינדקס, ובנייתם מחדש אם חסרים
+   * @param {Object} index - אובייקט אינדקס
+   * @param {EventEmitter} [events] - יעד לאירועי ההתקדמות (במקום הדפסה לקונסול)
+   * @returns {Promise<Object>} - מאגר הווקטורים
+   * @private
+   */
+  async _getVectorStore(index, events = null) {
+    const store = await this.vectorStore.load(index.id);
+    if (store) {
+      return store;
+    }
+    
+    // אינדקסים ישנים או כאלה שנבנו עם מטמיע אחר - בנייה מחדש מתוכן הקטעים
+    this._report(events, `No compatible vectors found for index ${index.id}, building them now...`);
+    await this.vectorStore.build(index.id, await this._loadAllChunksWithContent(index));
+    return this.vectorStore.load(index.id);
+  }
+
+  /**
+   * טעינת האינדקס ההפוך של אינדקס, ובנייתו מחדש אם חסר
+   * @param {Object} index - אובייקט אינדקס
+   * @param {EventEmitter} [events] - יעד לאירועי ההתקדמות (במקום הדפסה לקונסול)
+   * @returns {Promise<Object>} - האינדקס ההפוך
+   * @private
+   */
+  async _getLexicalStore(index, events = null) {
+    const store = await this.lexicalIndex.load(index.id);
+    if (store) {
+      return store;
+    }
+    
+    // אינדקסים ישנים ללא אינדקס הפוך - בנייה מתוכן הקטעים
+    this._report(events, `No lexical index found for index ${index.id}, building it now...`);
+    await this.lexicalIndex.build(index.id, await this._loadAllChunksWithContent(index));
+    return this.lexicalIndex.load(index.id);
+  }
+
+  /**
+   * טעינת קטעים לפי דירוג - הגבלת מספר הקטעים, טעינת התוכן והוספת ציון רלוונטיות
+   * @param {Object} index - אובייקט אינדקס
+   * @param {Array<Object>} rankedResults - מערך ממוין של { id, ...שדות נוספים לתוצאה }
+   * @returns {Promise<Array>} - מערך קטעים עם תוכן, ממוין לפי רלוונטיות
+   * @private
+   */
+  async _loadRankedChunks(index, rankedResults) {
+    // מגבלת מספר הקטעים המוחזרים
+    const maxChunksToReturn = this.config.get('query.maxChunksPerQuery') || 5;
+    
+    const relevantChunks = [];
+    
+    for (const result of rankedResults.slice(0, maxChunksToReturn)) {
+      const chunk = index.chunks[result.id];
+      
+      if (!chunk) {
+        logger.warn(`Chunk ID returned by retrieval not found in index: ${result.id}`);
+        continue;
+      }
+      
+      relevantChunks.push({
+        ...chunk,
+        ...result,
+        content: await this._loadChunkContent(index, chunk),
+        relevanceScore: relevantChunks.length // דירוג לפי מיקום ברשימת החשיבות
+      });
+    }
+    
+    return relevantChunks;
+  }
+
+  /**
+   * טעינת כל קטעי האינדקס עם התוכן שלהם (לבנייה מחדש של אינדקסים נלווים)
+   * @param {Object} index - אובייקט אינדקס
+   * @returns {Promise<Array>} - מערך קטעים עם תוכן
+   * @private
+   */
+  async _loadAllChunksWithContent(index) {
+    const chunks = [];
+    
+    for (const chunk of Object.values(index.chunks)) {
+      chunks.push({ ...chunk, content: await this._loadChunkContent(index, chunk) });
+    }
+    
+    return chunks;
+  }
+
+  /**
+   * קבלת תוכן קטע - מהאינדקס אם נשמר, אחרת מקובץ המקור
+   * @param {Object} index - אובייקט האינדקס של הקטע
+   * @param {Object} chunk - קטע מהאינדקס
+   * @returns {Promise<string>} - תוכן הקטע
+   * @private
+   */
+  async _loadChunkContent(index, chunk) {
+    if (chunk.content) {
+      return chunk.content;
+    }
+    
+    // המיקומים של קבצים מחולצים תקפים רק לגרסת החילוץ שבה נבנה האינדקס
+    if (this.isExtractorOutdated(index) && this.fileProcessor.isExtractedFormat(chunk.filePath)) {
+      logger.warn(`Chunk offsets were computed by an older extractor: ${chunk.id}`, { indexId: index.id });
+      return `[Content not available - ${chunk.filePath} was indexed with an older extractor. Run \`update ${index.id}\` to re-extract it]`;
+    }
+    
+    try {
+      return await this._readChunkFromFile(chunk.filePath, chunk.startPosition, chunk.endPosition);
+    } catch (error) {
+      logger.error(`Error reading chunk content: ${chunk.id}`, { error: error.message });
+      return `[Error reading content: ${error.message}]`;
     }
   }
 
@@ -290,12 +651,13 @@ class IndexManager {
    * מציאת קטעים רלוונטיים באופן פשוט (שליחת כל הקטעים בבת אחת למודל השפה)
    * @param {Object} index - אובייקט אינדקס
    * @param {string} question - שאלת המשתמש
+   * @param {Object} [options] - אפשרויות נוספות (models, events)
    * @returns {Promise<Array<string>>} - מערך של מזהי קטעים רלוונטיים
    * @private
    */
-  async _findRelevantChunksSimple(index, question) {
+  async _findRelevantChunksSimple(index, question, options = {}) {
     try {
-      console.log(`Using simple LLM relevance detection (all chunks at once)`);
+      this._report(options.events, `Using simple LLM relevance detection (all chunks at once)`);
       
       // הכנת הפרומפט עם סיכומי הקטעים
       const chunkSummaries = [];
@@ -312,11 +674,15 @@ class IndexManager {
       // שליחה לקלוד לקבלת מזהי הקטעים הרלוונטיים
       const response = await this.claudeClient.sendPrompt(prompt, {
         temperature: 0.2, // טמפרטורה נמוכה יותר לתוצאות יותר עקביות
-        system: "You are an expert retrieval system that identifies the most relevant document sections for a query."
+        system: "You are an expert retrieval system that identifies the most relevant document sections for a query.",
+        task: 'retrieve',
+        models: options.models,
+        onWait: this._onWait(options.events),
+        validate: text => this._isParsableChunkSelection(text)
       });
       
       // פענוח התשובה למערך של מזהי קטעים
-      console.log(`Raw LLM response: ${response}`);
+      this._report(options.events, `Raw LLM response: ${response}`);
       const chunkIds = this._parseRelevantChunkIds(response);
       
       return chunkIds;
@@ -331,12 +697,13 @@ class IndexManager {
    * @param {Object} index - אובייקט אינדקס
    * @param {string} question - שאלת המשתמש
    * @param {number} chunkSize - גודל הקבוצה לשליחה בכל פעם
+   * @param {Object} [options] - אפשרויות נוספות (models, events)
    * @returns {Promise<Array<string>>} - מערך של מזהי קטעים רלוונטיים
    * @private
    */
-  async _findRelevantChunksWithSplitStrategy(index, question, chunkSize) {
+  async _findRelevantChunksWithSplitStrategy(index, question, chunkSize, options = {}) {
     try {
-      console.log(`Using split strategy for large index (${Object.keys(index.chunks).length} chunks)`);
+      this._report(options.events, `Using split strategy for large index (${Object.keys(index.chunks).length} chunks)`);
       
       // יצירת מערך של כל הקטעים
       const allChunks = Object.entries(index.chunks).map(([id, chunk]) => ({
@@ -350,14 +717,14 @@ class IndexManager {
         groups.push(allChunks.slice(i, i + chunkSize));
       }
       
-      console.log(`Split chunks into ${groups.length} groups of ~${chunkSize} chunks each`);
+      this._report(options.events, `Split chunks into ${groups.length} groups of ~${chunkSize} chunks each`);
       
       // תוצאות מכל קבוצה
       const groupResults = [];
       
       // עיבוד כל קבוצה בנפרד
       for (let i = 0; i < groups.length; i++) {
-        console.log(`Processing group ${i+1}/${groups.length}`);
+        this._report(options.events, `Processing group ${i+1}/${groups.length}`);
         
         // בניית פרומפט לקבוצה זו
         const prompt = this._buildChunkSelectionPrompt(index.overallSummary, groups[i], question);
@@ -365,7 +732,10 @@ class IndexManager {
         // שליחה לקלוד
         const response = await this.claudeClient.sendPrompt(prompt, {
           temperature: 0.2,
-          system: "You are an expert retrieval system that identifies the most relevant document sections for a query."
+          system: "You are an expert retrieval system that identifies the most relevant document sections for a query.",
+          task: 'retrieve',
+          models: options.models,
+          onWait: this._onWait(options.events)
         });
         
         // פענוח התשובה למערך של מזהי קטעים
@@ -389,7 +759,7 @@ class IndexManager {
       // הסרת כפילויות
       const uniqueIds = [...new Set(finalIds)];
       
-      console.log(`After multi-group processing, identified ${uniqueIds.length} unique relevant chunks`);
+      this._report(options.events, `After multi-group processing, identified ${uniqueIds.length} unique relevant chunks`);
       
       return uniqueIds;
     } catch (error) {
@@ -399,75 +769,43 @@ class IndexManager {
   }
 
   /**
-   * מציאת קטעים רלוונטיים על בסיס מילות מפתח (גיבוי אם LLM נכשל)
+   * מציאת קטעים רלוונטיים לפי דירוג BM25 על תוכן הקטעים
+   * משמש כאסטרטגיה עצמאית וגם כגיבוי אם LLM נכשל
    * @param {Object} index - אובייקט אינדקס
    * @param {string} question - שאלת המשתמש
+   * @param {Object} [options] - אפשרויות נוספות (events)
    * @returns {Promise<Array>} - מערך קטעים רלוונטיים
    * @private
    */
-  async _findRelevantChunksWithKeywords(index, question) {
+  async _findRelevantChunksWithKeywords(index, question, options = {}) {
     try {
-      const relevantChunks = [];
-      const chunkScores = {};
-      
-      // מיצוי מילות מפתח מהשאלה
-      const questionKeywords = await this._extractKeywordsFromQuestion(question);
-      
-      // חישוב ציון רלוונטיות לכל קטע
-      for (const keyword of questionKeywords) {
-        const matchingChunkIds = index.keywordsIndex[keyword] || [];
-        
-        for (const chunkId of matchingChunkIds) {
-          if (!chunkScores[chunkId]) {
-            chunkScores[chunkId] = 0;
-          }
-          chunkScores[chunkId] += 1;
-        }
-      }
-      
-      // מיון הקטעים לפי ציון רלוונטיות
-      const sortedChunkIds = Object.keys(chunkScores).sort((a, b) => 
-        chunkScores[b] - chunkScores[a]
-      );
+      logger.info(`Finding relevant chunks for question using BM25`);
       
-      // מגבלת מספר הקטעים המוחזרים
-      const maxChunksToReturn = this.config.get('query.maxChunksPerQuery');
+      const store = await this._getLexicalStore(index, options.events);
+      const maxChunksToReturn = this.config.get('query.maxChunksPerQuery') || 5;
+      const results = this.lexicalIndex.search(store, question, maxChunksToReturn);
       
-      // החזרת הקטעים הרלוונטיים ביותר
-      for (let i = 0; i < Math.min(sortedChunkIds.length, maxChunksToReturn); i++) {
-        const chunkId = sortedChunkIds[i];
-        
-        // אם התוכן לא נשמר, צריך לקרוא אותו מהקובץ
-        let chunk = index.chunks[chunkId];
-        
-        if (!chunk.content) {
-          // קריאת התוכן מהקובץ המקורי
-          chunk.content = await this._readChunkFromFile(chunk.filePath, chunk.startPosition, chunk.endPosition);
-        }
-        
-        relevantChunks.push({
-          ...chunk,
-          relevanceScore: chunkScores[chunkId]
-        });
-      }
+      this._report(options.events, `BM25 results: ${results.map(r => `${r.id} (${r.score.toFixed(3)})`).join(', ')}`);
+      this._emitStage(options.events, 'lexical', results.map(result => result.id));
       
-      return relevantChunks;
+      return this._loadRankedChunks(index, results.map(result => ({ id: result.id, bm25Score: result.score })));
     } catch (error) {
-      logger.error('Error in keyword fallback search', { error: error.message });
+      logger.error('Error in BM25 keyword search', { error: error.message });
       throw error;
     }
   }
 
   /**
    * בניית פרומפט לבחירת קטעים רלוונטיים
+   * סקירת המסמך ורשימת הקטעים זהות בכל שאילתה על האינדקס, ולכן נשמרות במטמון; רק השאלה משתנה
    * @param {string} overallSummary - סיכום כללי של המסמך
    * @param {Array} chunkSummaries - מערך של סיכומי קטעים
    * @param {string} question - שאלת המשתמש
-   * @returns {string} - פרומפט מוכן למודל השפה
+   * @returns {Array<Object>} - בלוקי תוכן מוכנים למודל השפה
    * @private
    */
   _buildChunkSelectionPrompt(overallSummary, chunkSummaries, question) {
-    let prompt = `I need your help identifying the most relevant document sections to answer a user's question.
+    let prefix = `I need your help identifying the most relevant document sections to answer a user's question.
 
 Document Overview:
 ${overallSummary || "No overall summary available."}
@@ -477,13 +815,13 @@ Available Sections:
 
     // הוספת רשימת הקטעים וסיכומיהם
     for (let i = 0; i < chunkSummaries.length; i++) {
-      prompt += `${i+1}. ID: ${chunkSummaries[i].id}
+      prefix += `${i+1}. ID: ${chunkSummaries[i].id}
    Summary: ${chunkSummaries[i].summary}
 
 `;
     }
 
-    prompt += `User Question: ${question}
+    const rest = `User Question: ${question}
 
 Based on the section summaries above, return a JSON array containing ONLY the IDs of the most relevant sections that would help answer this question, ordered by relevance (most relevant first).
 
@@ -494,7 +832,7 @@ If no sections are relevant, return an empty array: []
 
 Your response (JSON array of IDs only):`;
 
-    return prompt;
+    return withCachedPrefix(prefix, rest);
   }
 
   /**
@@ -531,6 +869,26 @@ Your response (JSON array of IDs only):`;
     }
   }
 
+  /**
+   * האם תשובת בחירת הקטעים ניתנת לפענוח - מערך ריק ([]) הוא תשובה תקינה לפי הפרומפט,
+   * ורק תשובה שלא ניתן לקרוא ממנה מזהים נחשבת לתשובה בביטחון נמוך (ומועברת להסלמה)
+   * @param {string} response - תשובת קלוד
+   * @returns {boolean}
+   * @private
+   */
+  _isParsableChunkSelection(response) {
+    const jsonMatch = response.match(/\[.*\]/s);
+    if (!jsonMatch) {
+      return /"([^"]+)"/.test(response);
+    }
+    
+    try {
+      return Array.isArray(JSON.parse(jsonMatch[0]));
+    } catch (error) {
+      return false;
+    }
+  }
+
   // ------------------------ פונקציות עזר פנימיות ------------------------
 
   /**
@@ -551,6 +909,57 @@ Your response (JSON array of IDs only):`;
     }
   }
 
+  /**
+   * המרת קטע לייצוג השמור באינדקס
+   * @param {Object} chunk - קטע מועשר
+   * @param {boolean} storeContent - האם לשמור את תוכן הקטע
+   * @returns {Object} - הקטע כפי שיישמר באינדקס
+   * @private
+   */
+  _toIndexedChunk(chunk, storeContent) {
+    return {
+      id: chunk.id,
+      filePath: chunk.filePath,
+      headingPath: chunk.headingPath || '',
+      symbolName: chunk.symbolName || null,
+      symbolKind: chunk.symbolKind || null,
+      startLine: chunk.startLine || null,
+      endLine: chunk.endLine || null,
+      pageStart: chunk.pageStart || null,
+      pageEnd: chunk.pageEnd || null,
+      location: chunk.location || '',
+      summary: chunk.summary,
+      keywords: chunk.keywords || [],
+      startPosition: chunk.startPosition,
+      endPosition: chunk.endPosition,
+      // שמירת תוכן הקטע רק אם הוגדר כך בהגדרות
+      content: storeContent ? chunk.content : null
+    };
+  }
+
+  /**
+   * בניית אינדקס מילות מפתח - ממפה מילת מפתח למערך של מזהי קטעים
+   * @param {Array} chunks - קטעי האינדקס
+   * @returns {Object} - אינדקס מילות המפתח
+   * @private
+   */
+  _buildKeywordsIndex(chunks) {
+    const keywordsIndex = {};
+    
+    for (const chunk of chunks) {
+      for (const keyword of chunk.keywords || []) {
+        if (!keywordsIndex[keyword]) {
+          keywordsIndex[keyword] = [];
+        }
+        if (!keywordsIndex[keyword].includes(chunk.id)) {
+          keywordsIndex[keyword].push(chunk.id);
+        }
+      }
+    }
+    
+    return keywordsIndex;
+  }
+
   /**
    * יצירת תקציר כללי למסמך
    * @param {Array} chunks - קטעי המסמך
@@ -573,32 +982,6 @@ Your response (JSON array of IDs only):`;
     }
   }
 
-  /**
-   * חילוץ מילות מפתח משאלה
-   * @param {string} question - שאלת המשתמש
-   * @returns {Promise<Array<string>>} - מערך מילות מפתח
-   * @private 
-   */
-  async _extractKeywordsFromQuestion(question) {
-    // גרסה פשוטה - חילוץ מילים משמעותיות מהשאלה
-    
-    // הסרת מילות קישור נפוצות
-    const stopWords = this.config.get('query.stopWords') || ['a', 'an', 'the', 'and', 'or', 'but', 'is', 'are', 'of', 'to', 'in', 'on', 'by', 'with', 'about', 'for', 'from'];
-    
-    // הסרת סימני פיסוק
-    const cleanQuestion = question.toLowerCase().replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, '');
-    
-    // חלוקה למילים והסרת מילות קישור
-    const words = cleanQuestion.split(/\s+/).filter(word => 
-      word.length > 2 && !stopWords.includes(word.toLowerCase())
-    );
-    
-    // הסרת כפילויות
-    const uniqueWords = [...new Set(words)];
-    
-    return uniqueWords;
-  }
-
   /**
    * קריאת תוכן קטע מקובץ המקור
    * @param {string} filePath - נתיב לקובץ המקור
@@ -614,9 +997,8 @@ Your response (JSON array of IDs only):`;
         return `[Content not available - source file not found: ${filePath}]`;
       }
       
-      // קריאת כל הקובץ - לא אופטימלי לקבצים גדולים מאוד
-      // בגרסה עתידית נוכל להשתמש בקריאה חלקית
-      const content = await fs.readFile(filePath, 'utf8');
+      // המיקומים מתייחסים לתוכן המחולץ (ולא לבתים בקובץ), לכן קוראים דרך מעבד הקבצים
+      const content = await this._readSourceContent(filePath);
       
       // חילוץ החלק הרלוונטי
       return content.substring(startPosition, endPosition + 1);
@@ -626,6 +1008,42 @@ Your response (JSON array of IDs only):`;
     }
   }
 
+  /**
+   * קריאת התוכן המחולץ של קובץ מקור, עם מטמון קטן כדי שקטעים מאותו קובץ לא יחלצו אותו שוב
+   * @param {string} filePath - נתיב לקובץ המקור
+   * @returns {Promise<string>} - התוכן המחולץ
+   * @private
+   */
+  async _readSourceContent(filePath) {
+    const { mtimeMs } = await fs.stat(filePath);
+    const cached = this.sourceCache.get(filePath);
+    
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.content;
+    }
+    
+    const content = await this.fileProcessor.extractFileContent(filePath);
+    
+    this.sourceCache.delete(filePath);
+    this.sourceCache.set(filePath, { mtimeMs, content });
+    // שמירה על מספר קבצים מוגבל - הוותיק ביותר יוצא ראשון
+    if (this.sourceCache.size > 5) {
+      this.sourceCache.delete(this.sourceCache.keys().next().value);
+    }
+    
+    return content;
+  }
+
+  /**
+   * בדיקה אם קובץ בתיקיית האינדקסים הוא קובץ אינדקס (ולא קובץ נלווה כמו ווקטורים)
+   * @param {string} file - שם הקובץ
+   * @returns {boolean} - האם זה קובץ אינדקס
+   * @private
+   */
+  _isIndexFile(file) {
+    return path.extname(file) === '.json' && !path.basename(file, '.json').includes('.');
+  }
+
   /**
    * נרמול שם אינדקס למזהה תקין
    * @param {string} name - שם האינדקס
@@ -639,6 +1057,54 @@ Your response (JSON array of IDs only):`;
       .replace(/-+/g, '-')
       .replace(/^-|-$/g, '');
   }
+
+  /**
+   * שליחת אירוע התקדמות, אם הוגדר יעד לאירועים
+   * @param {EventEmitter} [events] - יעד האירועים
+   * @param {string} name - שם האירוע
+   * @param {Object} data - נתוני האירוע
+   * @private
+   */
+  _emit(events, name, data) {
+    if (events) {
+      events.emit(name, data);
+    }
+  }
+
+  /**
+   * אירוע תוצאות של שלב באחזור
+   * @param {EventEmitter} [events] - יעד האירועים
+   * @param {string} stage - שם השלב
+   * @param {Array<string>} chunkIds - מזהי הקטעים שהשלב החזיר, לפי הדירוג
+   * @private
+   */
+  _emitStage(events, stage, chunkIds) {
+    this._emit(events, 'retrieval:stage', { stage, count: chunkIds.length, chunkIds });
+  }
+
+  /**
+   * פונקציית onWait ל-ClaudeClient שמדווחת המתנות כאירועי 'wait'
+   * @param {EventEmitter} [events] - יעד האירועים
+   * @returns {Function|undefined}
+   * @private
+   */
+  _onWait(events) {
+    return events ? (ms, reason) => events.emit('wait', { ms, reason }) : undefined;
+  }
+
+  /**
+   * הודעת התקדמות טקסטואלית - ללוג כשההתקדמות מדווחת כאירועים, אחרת לקונסול
+   * @param {EventEmitter} [events] - יעד האירועים
+   * @param {string} message - ההודעה
+   * @private
+   */
+  _report(events, message) {
+    if (events) {
+      logger.debug(message);
+    } else {
+      console.log(message);
+    }
+  }
 }
 
 module.exports = IndexManager;
\ No newline at end of file
@@ -7,43 +7,59 @@
 const ClaudeClient = require('./ClaudeClient');
 const configManager = require('../utils/ConfigManager');
 const logger = require('../utils/Logger');
+const usageTracker = require('../utils/UsageTracker');
+const { mapWithConcurrency } = require('../utils/Concurrency');
+const { withCachedPrefix } = require('../utils/PromptBlocks');
+
+// אסטרטגיות מענה: 'refine' - שיפור תשובה אחת קטע אחר קטע, 'map-reduce' - ממצאים חלקיים במקביל ומיזוג
+const ANSWER_STRATEGIES = ['refine', 'map-reduce'];
+
+// תשובת שלב ה-map כשאין בקטע מידע רלוונטי
+const NO_FINDINGS = 'NO_RELEVANT_INFORMATION';
+
+// התשובה כשתקרת ההוצאה הושגה לפני שנבנתה תשובה חלקית כלשהי
+const BUDGET_NO_ANSWER = 'The spending limit was reached before an answer could be generated.';
 
 class IterativeAnswerer {
   constructor() {
     this.claudeClient = new ClaudeClient();
     this.config = configManager;
-    // טוקנים בדקה שקלוד יכול לעבד (ברירת מחדל: 50,000)
-    this.tokenRatePerMinute = this.config.get('claude.tokenRatePerMinute') || 50000;
-    logger.debug('IterativeAnswerer initialized with token rate: ' + this.tokenRatePerMinute + ' tokens/minute');
-  }
-
-  /**
-   * חישוב זמן המתנה בהתבסס על גודל הקלט
-   * @param {string} inputString - תוכן הקלט
-   * @returns {number} - זמן המתנה במילישניות
-   * @private
-   */
-  _calculateWaitTime(inputString) {
-    // הערכת מספר הטוקנים: כ-4 תווים לטוקן
-    const estimatedTokens = inputString.length / 4;
-    // חישוב זמן המתנה במילישניות
-    const waitTimeMs = Math.ceil((estimatedTokens / this.tokenRatePerMinute) * 60 * 1000);
-    
-    // לפחות 500 מילישניות בין בקשות
-    return Math.max(500, waitTimeMs);
+    logger.debug('IterativeAnswerer initialized');
   }
 
   /**
    * ייצור תשובה איטרטיבי - עיבוד קטע אחרי קטע ושיפור התשובה בהדרגה
+   * 
+   * כאשר מועבר options.events, ההתקדמות מדווחת כאירועים במקום הדפסות לקונסול:
+   * - 'chunk:start' { index, total, chunkId } - תחילת עיבוד קטע
+   * - 'chunk:done' { index, total, chunkId, answerLength } - סיום עיבוד קטע
+   * - 'wait' { ms, reason } - המתנה למגבלת הקצב ('rate-limit') או לפני ניסיון חוזר ('retry')
+   * - 'answer:start' {} - תחילת המעבר שהפלט שלו הוא התשובה (מוזרם)
+   * - 'token' { text } - חלק טקסט מהתשובה המוזרמת
+   * - 'budget' { processed, total } - תקרת ההוצאה הושגה: התשובה מבוססת רק על הקטעים שעובדו,
+   *   בלי שלב הסיכום או המיזוג (processed === total כשרק השלב הזה דולג)
+   * - 'done' { answer } - התשובה הסופית
+   * 
    * @param {string} question - שאלת המשתמש
-   * @param {Array} relevantChunks - מערך של קטעים רלוונטיים
+   * @param {Array} relevantChunks - מערך של קטעים רלוונטיים (קטעים עם citationMarker מפעילים מצב ציטוטים)
    * @param {string} conversationHistory - היסטוריית השיחה (אופציונלי)
+   * @param {Object} [options] - אפשרויות נוספות
+   * @param {EventEmitter} [options.events] - יעד לאירועי ההתקדמות וההזרמה
+   * @param {string} [options.strategy] - 'refine' או 'map-reduce' (ברירת מחדל: answer.strategy)
+   * @param {Object} [options.models] - דריסת מודלים לפי משימה (answer למעברים על הקטעים, finalize לסיכום ולמיזוג)
    * @returns {Promise<string>} - התשובה הסופית
    */
-  async generateAnswer(question, relevantChunks, conversationHistory = '') {
+  async generateAnswer(question, relevantChunks, conversationHistory = '', options = {}) {
+    const { events, models } = options;
+    const strategy = options.strategy || this.config.get('answer.strategy') || 'refine';
+    
     try {
-      logger.info(`Starting iterative answer generation with ${relevantChunks.length} chunks`);
-      console.log(`Starting iterative answer generation with ${relevantChunks.length} chunks...`);
+      if (!ANSWER_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown answer strategy: ${strategy} (expected ${ANSWER_STRATEGIES.join(' or ')})`);
+      }
+      
+      logger.info(`Starting iterative answer generation with ${relevantChunks.length} chunks`, { strategy });
+      this._report(events, `Starting iterative answer generation with ${relevantChunks.length} chunks...`);
       
       // מיון הקטעים לפי רלוונטיות (אם קיים שדה זה)
       const sortedChunks = [...relevantChunks].sort((a, b) => {
@@ -54,13 +70,37 @@ class IterativeAnswerer {
         return 0; // ללא שינוי בסדר אם אין ציון רלוונטיות
       });
       
+      // מצב map-reduce - ממצאים חלקיים מכל הקטעים במקביל, ואז שלב מיזוג אחד
+      if (strategy === 'map-reduce') {
+        const answer = await this._generateMapReduceAnswer(question, sortedChunks, conversationHistory, events, models);
+        
+        this._emit(events, 'done', { answer });
+        logger.info(`Completed map-reduce answer generation`);
+        this._report(events, `Answer generation complete. Final answer length: ${answer.length} chars`);
+        
+        return answer;
+      }
+      
+      // כשיש קטע אחד בלבד אין שלב סיכום, ולכן המעבר על הקטע הוא זה שמוזרם
+      const hasFinalSummary = sortedChunks.length > 1;
+      
       // תשובה התחלתית ריקה
       let currentAnswer = '';
+      let stoppedByBudget = false;
       
       // עיבוד כל קטע בנפרד
       for (let i = 0; i < sortedChunks.length; i++) {
         const chunk = sortedChunks[i];
-        console.log(`Processing chunk ${i+1}/${sortedChunks.length}: ${chunk.id}`);
+        
+        // תקרת ההוצאה של השאלה - מחזירים את התשובה שנבנתה מהקטעים שכבר עובדו
+        if (usageTracker.isBudgetExceeded()) {
+          currentAnswer = this._stopForBudget(events, i, sortedChunks.length, currentAnswer);
+          stoppedByBudget = true;
+          break;
+        }
+        
+        this._emit(events, 'chunk:start', { index: i, total: sortedChunks.length, chunkId: chunk.id });
+        this._report(events, `Processing chunk ${i+1}/${sortedChunks.length}: ${chunk.id}`);
         
         // בניית פרומפט לקטע הנוכחי
         const prompt = this._buildChunkPrompt(
@@ -72,36 +112,35 @@ class IterativeAnswerer {
           sortedChunks.length
         );
         
-        // חישוב זמן המתנה בהתבסס על גודל התוכן
-        const waitTime = this._calculateWaitTime(chunk.content);
-        console.log(`Waiting ${waitTime}ms before processing chunk to avoid rate limiting...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-        
-        // שליחה לקלוד
-        console.log(`Sending chunk to Claude (content length: ${chunk.content.length} chars, est. tokens: ${Math.round(chunk.content.length/4)})`);
-        const chunkResponse = await this.claudeClient.sendPrompt(prompt, {
+        // שליחה לקלוד (מגבלת הקצב נאכפת ב-ClaudeClient)
+        this._report(events, `Sending chunk to Claude (content length: ${chunk.content.length} chars, est. tokens: ${this.claudeClient.countTokens(chunk.content)})`);
+        const chunkResponse = await this._send(prompt, {
           temperature: 0.3, // טמפרטורה נמוכה יותר לעקביות
-          system: "You are a helpful assistant processing documents piece by piece to build a comprehensive answer."
-        });
+          system: "You are a helpful assistant processing documents piece by piece to build a comprehensive answer.",
+          task: 'answer',
+          models
+        }, events, !hasFinalSummary);
         
         // עדכון התשובה הנוכחית
         currentAnswer = chunkResponse;
-        console.log(`Updated answer after chunk ${i+1} (length: ${currentAnswer.length} chars)`);
+        this._emit(events, 'chunk:done', { index: i, total: sortedChunks.length, chunkId: chunk.id, answerLength: currentAnswer.length });
+        this._report(events, `Updated answer after chunk ${i+1} (length: ${currentAnswer.length} chars)`);
       }
       
-      // במידה ויש צורך, ניתן לבצע גם שלב סיכום סופי
-      if (sortedChunks.length > 1) {
-        // המתנה לפני הסיכום הסופי
-        const finalWaitTime = this._calculateWaitTime(currentAnswer);
-        console.log(`Waiting ${finalWaitTime}ms before generating final summary...`);
-        await new Promise(resolve => setTimeout(resolve, finalWaitTime));
-        
-        // יצירת סיכום סופי
-        currentAnswer = await this._generateFinalSummary(question, currentAnswer);
+      // במידה ויש צורך, ניתן לבצע גם שלב סיכום סופי - אלא אם המעבר האחרון הגיע לתקרת ההוצאה
+      if (hasFinalSummary && !stoppedByBudget) {
+        if (usageTracker.isBudgetExceeded()) {
+          currentAnswer = this._stopForBudget(events, sortedChunks.length, sortedChunks.length, currentAnswer);
+        } else {
+          // יצירת סיכום סופי
+          const cite = sortedChunks.some(chunk => chunk.citationMarker);
+          currentAnswer = await this._generateFinalSummary(question, currentAnswer, cite, events, models);
+        }
       }
       
+      this._emit(events, 'done', { answer: currentAnswer });
       logger.info(`Completed iterative answer generation`);
-      console.log(`Answer generation complete. Final answer length: ${currentAnswer.length} chars`);
+      this._report(events, `Answer generation complete. Final answer length: ${currentAnswer.length} chars`);
       
       return currentAnswer;
     } catch (error) {
@@ -110,6 +149,42 @@ class IterativeAnswerer {
     }
   }
 
+  /**
+   * מענה בקריאה אחת על פרומפט משולב שכבר מכיל את כל הקטעים (ראו ConversationManager.buildPrompt)
+   * מדווח את אותם אירועי הזרמה כמו generateAnswer ('answer:start', 'token', 'budget', 'done')
+   * @param {string} prompt - הפרומפט המשולב
+   * @param {Object} [options] - אפשרויות נוספות
+   * @param {EventEmitter} [options.events] - יעד לאירועי ההזרמה
+   * @param {Object} [options.models] - דריסת מודלים לפי משימה (answer)
+   * @param {number} [options.chunkCount] - מספר הקטעים בפרומפט (לאירוע 'budget')
+   * @returns {Promise<string>} - התשובה
+   */
+  async generateSingleShotAnswer(prompt, options = {}) {
+    const { events, models } = options;
+    
+    try {
+      // האחזור כבר הגיע לתקרת ההוצאה - אין קטעים שעובדו ואין תשובה חלקית
+      if (usageTracker.isBudgetExceeded()) {
+        const answer = this._stopForBudget(events, 0, options.chunkCount || 0, '');
+        this._emit(events, 'done', { answer });
+        return answer;
+      }
+      
+      logger.info(`Starting single-shot answer generation (est. tokens: ${this.claudeClient.countTokens(prompt)})`);
+      this._report(events, 'Answering from all relevant chunks in a single request...');
+      
+      const answer = await this._send(prompt, { temperature: 0.3, task: 'answer', models }, events, true);
+      
+      this._emit(events, 'done', { answer });
+      logger.info(`Completed single-shot answer generation`);
+      
+      return answer;
+    } catch (error) {
+      logger.error('Error generating single-shot answer', { error: error.message });
+      throw new Error(`Failed to generate single-shot answer: ${error.message}`);
+    }
+  }
+
   /**
    * בניית פרומפט לעיבוד קטע בודד
    * @param {string} question - שאלת המשתמש
@@ -118,23 +193,15 @@ class IterativeAnswerer {
    * @param {string} conversationHistory - היסטוריית השיחה
    * @param {number} chunkIndex - אינדקס הקטע הנוכחי
    * @param {number} totalChunks - מספר הקטעים הכולל
-   * @returns {string} - פרומפט מוכן
+   * @returns {Array<Object>} - בלוקי תוכן מוכנים (השאלה וההיסטוריה כקידומת במטמון)
    * @private
    */
   _buildChunkPrompt(question, chunk, currentAnswer, conversationHistory, chunkIndex, totalChunks) {
     let prompt = '';
     
-    // הוספת היסטוריית שיחה אם יש
-    if (conversationHistory && conversationHistory.trim() !== '') {
-      prompt += `Previous conversation:\n${conversationHistory}\n\n`;
-    }
-    
-    // הוספת שאלת המשתמש
-    prompt += `USER QUESTION: ${question}\n\n`;
-    
     // הוספת מידע על הקטע הנוכחי
     prompt += `Below is ${chunkIndex === 0 ? 'the first' : 'another'} section of information (${chunkIndex+1}/${totalChunks}):\n\n`;
-    prompt += `SECTION CONTENT:\n${chunk.content}\n\n`;
+    prompt += this._describeSection(chunk);
     
     // הוראות שונות לפי מצב הקטע והתשובה
     if (chunkIndex === 0) {
@@ -148,20 +215,204 @@ class IterativeAnswerer {
     
     // הנחיות נוספות
     prompt += `\n\nRemember to base your answer strictly on the provided information. If the information needed to answer the question is not available, say so clearly.`;
+    if (chunk.citationMarker) {
+      prompt += ` Every statement in your answer must end with the bracketed source marker of the section it comes from, e.g. [${chunk.citationMarker}]; a statement supported by several sections gets each marker, e.g. [S1][S2]. Keep all markers that are already in the current answer, and never invent markers.`;
+    } else if (chunk.location) {
+      prompt += ` When you use information from this section, reference its source location in parentheses, e.g. (${chunk.location}), and keep references that are already in the current answer.`;
+    }
+    
+    // היסטוריית השיחה והשאלה זהות בכל המעברים - נשמרות במטמון
+    return withCachedPrefix(this._buildQuestionPrefix(question, conversationHistory), prompt);
+  }
+
+  /**
+   * הקידומת המשותפת לכל המעברים על אותה שאלה - היסטוריית השיחה והשאלה עצמה
+   * @param {string} question - שאלת המשתמש
+   * @param {string} conversationHistory - היסטוריית השיחה
+   * @returns {string} - הקידומת
+   * @private
+   */
+  _buildQuestionPrefix(question, conversationHistory) {
+    let prefix = '';
+    
+    // הוספת היסטוריית שיחה אם יש
+    if (conversationHistory && conversationHistory.trim() !== '') {
+      prefix += `Previous conversation:\n${conversationHistory}\n\n`;
+    }
+    
+    // הוספת שאלת המשתמש
+    prefix += `USER QUESTION: ${question}\n\n`;
     
-    return prompt;
+    return prefix;
+  }
+
+  /**
+   * תיאור קטע לפרומפט - כותרת, מיקום במקור, מזהה ציטוט, סמל קוד ותוכן
+   * @param {Object} chunk - הקטע
+   * @returns {string} - תיאור הקטע
+   * @private
+   */
+  _describeSection(chunk) {
+    let description = '';
+    
+    if (chunk.headingPath) {
+      description += `SECTION HEADING: ${chunk.headingPath}\n`;
+    }
+    if (chunk.location) {
+      description += `SOURCE LOCATION: ${chunk.location}\n`;
+    }
+    if (chunk.citationMarker) {
+      description += `SOURCE MARKER: [${chunk.citationMarker}]\n`;
+    }
+    if (chunk.symbolName) {
+      description += `CODE SYMBOL: ${chunk.symbolKind} ${chunk.symbolName} (lines ${chunk.startLine}-${chunk.endLine})\n`;
+    }
+    description += `SECTION CONTENT:\n${chunk.content}\n\n`;
+    
+    return description;
+  }
+
+  /**
+   * מענה בשיטת map-reduce: כל קטע נשאל על ממצאים חלקיים במקביל (בכפוף למגבלת הקצב של ClaudeClient),
+   * ושלב מיזוג אחד מאחד את הממצאים לתשובה - כך שמידע מקטע מוקדם לא נדרס בקטעים מאוחרים
+   * @param {string} question - שאלת המשתמש
+   * @param {Array} sortedChunks - הקטעים ממוינים לפי רלוונטיות
+   * @param {string} conversationHistory - היסטוריית השיחה
+   * @param {EventEmitter} [events] - יעד לאירועי ההתקדמות וההזרמה
+   * @param {Object} [models] - דריסת מודלים לפי משימה (answer לשלב ה-map, finalize לשלב ה-reduce)
+   * @returns {Promise<string>} - התשובה הממוזגת
+   * @private
+   */
+  async _generateMapReduceAnswer(question, sortedChunks, conversationHistory, events, models) {
+    const concurrency = this.config.get('answer.mapReduce.concurrency') || 4;
+    this._report(events, `Extracting partial findings from ${sortedChunks.length} chunks (concurrency: ${concurrency})...`);
+    
+    // שלב ה-map - ממצאים חלקיים מכל קטע, לפי סדר הקטעים
+    // קטע שלא נשלח בגלל תקרת ההוצאה מקבל findings: null
+    const partials = await mapWithConcurrency(sortedChunks, concurrency, async (chunk, i) => {
+      if (usageTracker.isBudgetExceeded()) {
+        return { chunk, findings: null };
+      }
+      
+      this._emit(events, 'chunk:start', { index: i, total: sortedChunks.length, chunkId: chunk.id });
+      
+      const prompt = this._buildMapPrompt(question, chunk, conversationHistory, i, sortedChunks.length);
+      let findings;
+      try {
+        findings = (await this._send(prompt, {
+          temperature: 0.3,
+          system: "You are a careful assistant extracting facts from one document section at a time.",
+          task: 'answer',
+          models
+        }, events, false)).trim();
+      } catch (error) {
+        // בקשה מקבילה חצתה את התקרה בזמן שהבקשה הזו חיכתה
+        if (!usageTracker.isBudgetExceeded()) {
+          throw error;
+        }
+        return { chunk, findings: null };
+      }
+      
+      this._emit(events, 'chunk:done', { index: i, total: sortedChunks.length, chunkId: chunk.id, answerLength: findings.length });
+      this._report(events, `Extracted findings from chunk ${i+1}/${sortedChunks.length} (length: ${findings.length} chars)`);
+      
+      return { chunk, findings };
+    });
+    
+    const processed = partials.filter(partial => partial.findings !== null);
+    const relevant = processed.filter(partial => !partial.findings.includes(NO_FINDINGS));
+    logger.debug(`Map step found relevant information in ${relevant.length}/${partials.length} chunks`);
+    
+    // בלי שלב המיזוג, התשובה החלקית היא הממצאים עצמם לפי סדר הרלוונטיות
+    if (usageTracker.isBudgetExceeded()) {
+      return this._stopForBudget(events, processed.length, sortedChunks.length, relevant.map(partial => partial.findings).join('\n\n'));
+    }
+    
+    if (relevant.length === 0) {
+      return "I don't have information about that in the provided content.";
+    }
+    
+    // שלב ה-reduce - מיזוג הממצאים לתשובה אחת (מוזרם)
+    this._report(events, `Merging findings from ${relevant.length} chunks...`);
+    const reducePrompt = this._buildReducePrompt(question, relevant, conversationHistory);
+    
+    return this._send(reducePrompt, {
+      temperature: 0.3,
+      system: "You are a helpful assistant providing a final, polished answer based on information gathered from multiple document sections.",
+      task: 'finalize',
+      models
+    }, events, true);
+  }
+
+  /**
+   * בניית פרומפט לשלב ה-map - חילוץ ממצאים חלקיים מקטע בודד
+   * @param {string} question - שאלת המשתמש
+   * @param {Object} chunk - הקטע
+   * @param {string} conversationHistory - היסטוריית השיחה
+   * @param {number} chunkIndex - אינדקס הקטע
+   * @param {number} totalChunks - מספר הקטעים הכולל
+   * @returns {Array<Object>} - בלוקי תוכן מוכנים (השאלה וההיסטוריה כקידומת במטמון)
+   * @private
+   */
+  _buildMapPrompt(question, chunk, conversationHistory, chunkIndex, totalChunks) {
+    let prompt = `Below is one section (${chunkIndex+1}/${totalChunks}) of the information available for this question. Other sections are read separately.\n\n`;
+    prompt += this._describeSection(chunk);
+    
+    prompt += `List every fact in this section that helps answer the question, as short bullet points. Keep numbers, names and conditions exactly as written, and do not add anything that is not in the section. If the section contains nothing relevant to the question, reply with exactly ${NO_FINDINGS}.`;
+    if (chunk.citationMarker) {
+      prompt += ` End every bullet with the section's source marker, [${chunk.citationMarker}].`;
+    } else if (chunk.location) {
+      prompt += ` End every bullet with the section's source location in parentheses, (${chunk.location}).`;
+    }
+    
+    return withCachedPrefix(this._buildQuestionPrefix(question, conversationHistory), prompt);
+  }
+
+  /**
+   * בניית פרומפט לשלב ה-reduce - מיזוג הממצאים החלקיים לתשובה אחת
+   * @param {string} question - שאלת המשתמש
+   * @param {Array<Object>} partials - ממצאים חלקיים { chunk, findings } לפי סדר הרלוונטיות
+   * @param {string} conversationHistory - היסטוריית השיחה
+   * @returns {Array<Object>} - בלוקי תוכן מוכנים (השאלה וההיסטוריה כקידומת במטמון)
+   * @private
+   */
+  _buildReducePrompt(question, partials, conversationHistory) {
+    let prompt = `Below are findings extracted independently from ${partials.length} sections of information, most relevant first:\n\n`;
+    
+    partials.forEach((partial, i) => {
+      const source = [partial.chunk.headingPath, partial.chunk.location].filter(Boolean).join(', ');
+      prompt += `FINDINGS FROM SECTION ${i+1}${source ? ` (${source})` : ''}:\n${partial.findings}\n\n`;
+    });
+    
+    prompt += `Merge these findings into one clear, complete answer to the question. Keep every relevant fact, remove repetition, and if sections contradict each other, say so rather than picking one silently. Base the answer strictly on the findings above; if they do not answer the question, say so clearly.`;
+    
+    const cite = partials.some(partial => partial.chunk.citationMarker);
+    if (cite) {
+      prompt += ` Keep every bracketed source marker such as [S1] attached to the statements it supports, without adding new markers.`;
+    } else {
+      prompt += ` Keep every source reference such as (page 47) or (slide 12) next to the facts it supports.`;
+    }
+    
+    return withCachedPrefix(this._buildQuestionPrefix(question, conversationHistory), prompt);
   }
 
   /**
    * ייצור סיכום סופי של התשובה לאחר עיבוד כל הקטעים
    * @param {string} question - שאלת המשתמש
    * @param {string} compiledAnswer - התשובה המורכבת עד כה
+   * @param {boolean} [cite] - האם לשמור על מזהי המקור [S#] בתשובה
+   * @param {EventEmitter} [events] - יעד לאירועי ההזרמה (אם קיים, התשובה מוזרמת)
+   * @param {Object} [models] - דריסת מודלים לפי משימה (finalize)
    * @returns {Promise<string>} - תשובה סופית מלוטשת
    * @private
    */
-  async _generateFinalSummary(question, compiledAnswer) {
+  async _generateFinalSummary(question, compiledAnswer, cite = false, events = null, models = null) {
     logger.debug('Generating final summary');
-    console.log('Generating final summary and refinement...');
+    this._report(events, 'Generating final summary and refinement...');
+    
+    const citationRule = cite
+      ? '\n    7. Keeps every bracketed source marker such as [S1] attached to the statements it supports, without adding new markers'
+      : '';
     
     const finalPrompt = `
     USER QUESTION: ${question}
@@ -176,17 +427,92 @@ class IterativeAnswerer {
     3. Presents information in a clear, logical flow
     4. Maintains accuracy while improving readability
     5. Is concise but comprehensive
+    6. Keeps every source reference such as (page 47) or (slide 12) next to the facts it supports${citationRule}
     
     Your final, refined answer:
     `;
     
-    const finalAnswer = await this.claudeClient.sendPrompt(finalPrompt, {
+    const finalAnswer = await this._send(finalPrompt, {
       temperature: 0.3,
-      system: "You are a helpful assistant providing a final, polished answer based on information gathered from multiple document sections."
-    });
+      system: "You are a helpful assistant providing a final, polished answer based on information gathered from multiple document sections.",
+      task: 'finalize',
+      models
+    }, events, true);
     
     return finalAnswer;
   }
+
+  /**
+   * שליחת פרומפט לקלוד - בהזרמה כשזה המעבר האחרון ויש מאזין לאירועים
+   * המתנות למגבלת הקצב ולניסיונות חוזרים מדווחות כאירועי 'wait'
+   * @param {string} prompt - הפרומפט
+   * @param {Object} options - אפשרויות השליחה
+   * @param {EventEmitter} [events] - יעד לאירועי ההזרמה
+   * @param {boolean} isAnswerPass - האם הפלט של המעבר הזה הוא התשובה שמוצגת למשתמש
+   * @returns {Promise<string>} - תשובת קלוד
+   * @private
+   */
+  async _send(prompt, options, events, isAnswerPass) {
+    if (!events) {
+      return this.claudeClient.sendPrompt(prompt, options);
+    }
+    
+    const onWait = (ms, reason) => events.emit('wait', { ms, reason });
+    if (!isAnswerPass) {
+      return this.claudeClient.sendPrompt(prompt, { ...options, onWait });
+    }
+    
+    events.emit('answer:start', {});
+    return this.claudeClient.streamPrompt(prompt, {
+      ...options,
+      onWait,
+      onText: text => events.emit('token', { text })
+    });
+  }
+
+  /**
+   * עצירה בתקרת ההוצאה של השאלה - דיווח על העצירה והחזרת התשובה שנבנתה עד כה
+   * @param {EventEmitter} [events] - יעד האירועים
+   * @param {number} processed - מספר הקטעים שעובדו
+   * @param {number} total - מספר הקטעים הכולל
+   * @param {string} partialAnswer - התשובה מהקטעים שעובדו (ריקה אם לא עובד אף קטע)
+   * @returns {string} - התשובה החלקית
+   * @private
+   */
+  _stopForBudget(events, processed, total, partialAnswer) {
+    logger.warn(`Spending limit reached after ${processed}/${total} chunks, returning the partial answer`);
+    this._report(events, `Spending limit reached after ${processed}/${total} chunks; returning the answer built so far`);
+    this._emit(events, 'budget', { processed, total });
+    
+    return partialAnswer || BUDGET_NO_ANSWER;
+  }
+
+  /**
+   * שליחת אירוע התקדמות אם יש מאזין
+   * @param {EventEmitter} [events] - יעד האירועים
+   * @param {string} name - שם האירוע
+   * @param {Object} data - נתוני האירוע
+   * @private
+   */
+  _emit(events, name, data) {
+    if (events) {
+      events.emit(name, data);
+    }
+  }
+
+  /**
+   * הודעת התקדמות - לקונסול, או ללוג כשההתקדמות מדווחת כאירועים
+   * @param {EventEmitter} [events] - יעד האירועים
+   * @param {string} message - ההודעה
+   * @private
+   */
+  _report(events, message) {
+    if (events) {
+      logger.debug(message);
+    } else {
+      console.log(message);
+    }
+  }
 }
 
 module.exports = IterativeAnswerer;
\ No newline at end of file
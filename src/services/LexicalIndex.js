@@ -0,0 +1,220 @@
+// File: src/services/LexicalIndex.js
+// Location: /claude-context-extender/src/services/LexicalIndex.js
+// שירות לאינדקס הפוך על תוכן הקטעים ודירוג BM25 - חיפוש מילולי מקומי ללא קריאות API
+
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const configManager = require('../utils/ConfigManager');
+const logger = require('../utils/Logger');
+const textAnalyzer = require('../utils/TextAnalyzer');
+
+// מונחים כמו "constructor" קיימים גם על אב הטיפוס של אובייקטים רגילים
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+class LexicalIndex {
+  constructor() {
+    this.config = configManager;
+    this.indexesDir = path.join(process.cwd(), 'data', 'indexes');
+    
+    fs.ensureDirSync(this.indexesDir);
+    
+    logger.debug('LexicalIndex initialized');
+  }
+
+  /**
+   * בניית אינדקס הפוך לכל הקטעים ושמירתו ליד האינדקס
+   * @param {string} indexId - מזהה האינדקס
+   * @param {Array} chunks - קטעים עם תוכן
+   * @returns {Promise<void>}
+   */
+  async build(indexId, chunks) {
+    try {
+      logger.info(`Building lexical index for: ${indexId}`, { chunks: chunks.length });
+      
+      const store = {
+        // אורך כל מסמך (קטע) במונחים
+        docLengths: {},
+        // מונח -> { מזהה קטע: מספר הופעות }
+        postings: {}
+      };
+      
+      for (const chunk of chunks) {
+        this._addDocument(store, chunk);
+      }
+      
+      await this._save(indexId, store);
+    } catch (error) {
+      logger.error(`Error building lexical index for: ${indexId}`, { error: error.message });
+      throw new Error(`Failed to build lexical index: ${error.message}`);
+    }
+  }
+
+  /**
+   * עדכון מצטבר של האינדקס ההפוך - הסרת קטעים והוספת קטעים חדשים
+   * @param {string} indexId - מזהה האינדקס
+   * @param {Array<string>} removedChunkIds - מזהי קטעים להסרה
+   * @param {Array} newChunks - קטעים חדשים עם תוכן
+   * @returns {Promise<void>}
+   */
+  async update(indexId, removedChunkIds, newChunks) {
+    try {
+      const store = await this.load(indexId);
+      
+      // אם אין אינדקס הפוך, הוא ייבנה מחדש בשאילתה הבאה
+      if (!store) {
+        logger.debug(`No lexical index for ${indexId}, skipping incremental update`);
+        return;
+      }
+      
+      const removedSet = new Set(removedChunkIds);
+      for (const chunkId of removedChunkIds) {
+        delete store.docLengths[chunkId];
+      }
+      
+      for (const [term, docs] of Object.entries(store.postings)) {
+        for (const chunkId of Object.keys(docs)) {
+          if (removedSet.has(chunkId)) {
+            delete docs[chunkId];
+          }
+        }
+        if (Object.keys(docs).length === 0) {
+          delete store.postings[term];
+        }
+      }
+      
+      for (const chunk of newChunks) {
+        this._addDocument(store, chunk);
+      }
+      
+      await this._save(indexId, store);
+    } catch (error) {
+      logger.error(`Error updating lexical index for: ${indexId}`, { error: error.message });
+      throw new Error(`Failed to update lexical index: ${error.message}`);
+    }
+  }
+
+  /**
+   * טעינת האינדקס ההפוך של אינדקס
+   * @param {string} indexId - מזהה האינדקס
+   * @returns {Promise<Object|null>} - האינדקס ההפוך, או null אם לא קיים
+   */
+  async load(indexId) {
+    const lexicalPath = this._lexicalPath(indexId);
+    
+    if (!await fs.pathExists(lexicalPath)) {
+      return null;
+    }
+    
+    return fs.readJson(lexicalPath);
+  }
+
+  /**
+   * חיפוש הקטעים בעלי ציון BM25 הגבוה ביותר לשאלה
+   * @param {Object} store - האינדקס ההפוך (מ-load)
+   * @param {string} question - שאלת המשתמש
+   * @param {number} topK - מספר התוצאות המקסימלי
+   * @returns {Array<Object>} - מערך של { id, score } ממוין מהציון הגבוה ביותר
+   */
+  search(store, question, topK) {
+    const k1 = this.config.get('query.bm25.k1') || 1.2;
+    const b = this.config.get('query.bm25.b') !== undefined ? this.config.get('query.bm25.b') : 0.75;
+    
+    const docCount = Object.keys(store.docLengths).length;
+    if (docCount === 0) {
+      return [];
+    }
+    
+    const totalLength = Object.values(store.docLengths).reduce((sum, length) => sum + length, 0);
+    const avgDocLength = totalLength / docCount || 1;
+    
+    const scores = {};
+    const queryTerms = [...new Set(textAnalyzer.analyze(question))];
+    
+    for (const term of queryTerms) {
+      if (!hasOwn(store.postings, term)) {
+        continue;
+      }
+      
+      const docs = store.postings[term];
+      
+      const docFrequency = Object.keys(docs).length;
+      // IDF בגרסה החלקה של BM25 - תמיד חיובי
+      const idf = Math.log(1 + (docCount - docFrequency + 0.5) / (docFrequency + 0.5));
+      
+      for (const [chunkId, termFrequency] of Object.entries(docs)) {
+        const docLength = store.docLengths[chunkId];
+        const norm = termFrequency + k1 * (1 - b + b * (docLength / avgDocLength));
+        scores[chunkId] = (scores[chunkId] || 0) + idf * (termFrequency * (k1 + 1)) / norm;
+      }
+    }
+    
+    return Object.entries(scores)
+      .map(([id, score]) => ({ id, score }))
+      .sort((x, y) => y.score - x.score)
+      .slice(0, topK);
+  }
+
+  /**
+   * מחיקת האינדקס ההפוך של אינדקס
+   * @param {string} indexId - מזהה האינדקס
+   * @returns {Promise<void>}
+   */
+  async delete(indexId) {
+    await fs.remove(this._lexicalPath(indexId));
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * הוספת קטע לאינדקס ההפוך
+   * @param {Object} store - האינדקס ההפוך
+   * @param {Object} chunk - קטע עם תוכן
+   * @private
+   */
+  _addDocument(store, chunk) {
+    // נתיב הכותרות, שם הסמל, התקציר ומילות המפתח נוספים לתוכן כדי שגם הם יהיו ניתנים לחיפוש
+    const text = [
+      chunk.headingPath || '',
+      chunk.symbolName ? textAnalyzer.splitIdentifier(chunk.symbolName) : '',
+      chunk.summary || '',
+      (chunk.keywords || []).join(' '),
+      chunk.content || ''
+    ].join('\n');
+    
+    const terms = textAnalyzer.analyze(text);
+    store.docLengths[chunk.id] = terms.length;
+    
+    for (const term of terms) {
+      if (!hasOwn(store.postings, term)) {
+        store.postings[term] = {};
+      }
+      store.postings[term][chunk.id] = (store.postings[term][chunk.id] || 0) + 1;
+    }
+  }
+
+  /**
+   * שמירת האינדקס ההפוך לקובץ
+   * @param {string} indexId - מזהה האינדקס
+   * @param {Object} store - האינדקס ההפוך
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _save(indexId, store) {
+    await fs.writeJson(this._lexicalPath(indexId), store);
+    logger.debug(`Saved lexical index for ${indexId}`);
+  }
+
+  /**
+   * נתיב קובץ האינדקס ההפוך
+   * @param {string} indexId - מזהה האינדקס
+   * @returns {string} - נתיב הקובץ
+   * @private
+   */
+  _lexicalPath(indexId) {
+    return path.join(this.indexesDir, `${indexId}.bm25.json`);
+  }
+}
+
+module.exports = LexicalIndex;
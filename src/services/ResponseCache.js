@@ -0,0 +1,208 @@
+// File: src/services/ResponseCache.js
+// Location: /claude-context-extender/src/services/ResponseCache.js
+// מטמון תשובות על הדיסק - בקשה זהה (ספק וכתובתו, מודל, הנחיית מערכת, טמפרטורה, אורך תשובה ופרומפט) לא נשלחת שוב לקלוד
+
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const configManager = require('../utils/ConfigManager');
+const logger = require('../utils/Logger');
+const { withoutCacheControl } = require('../utils/PromptBlocks');
+
+// עקיפת המטמון לריצה הנוכחית בלבד (--no-cache) - משותפת לכל המופעים ולא נכתבת להגדרות
+let bypassed = false;
+
+class ResponseCache {
+  /**
+   * @param {Object} [options] - אפשרויות
+   * @param {string} [options.provider] - שם הספק ששולח את הבקשות (חלק ממפתח המטמון)
+   * @param {string} [options.endpoint] - כתובת ה-API של הספק (חלק ממפתח המטמון)
+   */
+  constructor(options = {}) {
+    this.config = configManager;
+    this.provider = options.provider || null;
+    this.endpoint = options.endpoint || null;
+    this.cacheDir = path.join(process.cwd(), 'data', 'cache', 'responses');
+    
+    // הערכת הגודל הכולל של המטמון - נטענת בכתיבה הראשונה ומתעדכנת בכל כתיבה
+    this.totalBytes = null;
+    
+    fs.ensureDirSync(this.cacheDir);
+    
+    logger.debug('ResponseCache initialized');
+  }
+
+  /**
+   * עקיפת המטמון בכל המופעים עד סוף הריצה, בלי לשנות את cache.enabled (--no-cache)
+   * @param {boolean} [bypass] - האם לעקוף את המטמון (ברירת מחדל: true)
+   */
+  static bypass(bypass = true) {
+    bypassed = bypass;
+  }
+
+  /**
+   * האם המטמון פעיל (cache.enabled, ולא נעקף לריצה הנוכחית)
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return !bypassed && this.config.get('cache.enabled') !== false;
+  }
+
+  /**
+   * חיפוש תשובה שמורה לבקשה
+   * @param {Object} request - פרמטרי הבקשה (כמו שנשלחים ל-API)
+   * @returns {Promise<string|null>} - התשובה השמורה, או null אם אין או שפג תוקפה
+   */
+  async get(request) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+    
+    const key = this._keyFor(request);
+    const entryPath = this._entryPath(key);
+    
+    try {
+      if (!await fs.pathExists(entryPath)) {
+        return null;
+      }
+      
+      const entry = await fs.readJson(entryPath);
+      const ttlHours = this.config.get('cache.ttlHours', 168);
+      
+      // ttlHours של 0 - התשובות לא פגות לעולם (שימושי להרצה חוזרת של תשובות מוקלטות)
+      if (ttlHours > 0 && Date.now() - Date.parse(entry.createdAt) > ttlHours * 60 * 60 * 1000) {
+        logger.debug(`Response cache entry expired: ${key}`);
+        return null;
+      }
+      
+      logger.debug(`Response cache hit: ${key}`, { model: entry.model });
+      return entry.response;
+    } catch (error) {
+      logger.warn(`Could not read response cache entry: ${key}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * שמירת תשובה במטמון, ופינוי הרשומות הישנות ביותר אם המטמון חורג מהגודל המותר
+   * @param {Object} request - פרמטרי הבקשה
+   * @param {string} response - תשובת קלוד
+   * @returns {Promise<void>}
+   */
+  async set(request, response) {
+    if (!this.isEnabled()) {
+      return;
+    }
+    
+    const key = this._keyFor(request);
+    
+    try {
+      const data = JSON.stringify({ key, model: request.model, createdAt: new Date().toISOString(), response });
+      await fs.writeFile(this._entryPath(key), data);
+      
+      if (this.totalBytes === null) {
+        this.totalBytes = (await this._listEntries()).reduce((sum, entry) => sum + entry.size, 0);
+      } else {
+        this.totalBytes += Buffer.byteLength(data);
+      }
+      
+      const maxBytes = this.config.get('cache.maxSizeMb', 100) * 1024 * 1024;
+      if (maxBytes > 0 && this.totalBytes > maxBytes) {
+        await this._prune(maxBytes);
+      }
+    } catch (error) {
+      logger.warn(`Could not write response cache entry: ${key}`, { error: error.message });
+    }
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * מפתח המטמון - hash של הספק וכתובת ה-API שלו, המודל, הנחיית המערכת, הטמפרטורה, max_tokens והפרומפט
+   * (תשובה שנחתכה במגבלת אורך נמוכה לא משמשת לבקשה עם מגבלה גבוהה יותר,
+   * ושני שרתים מקומיים עם אותו שם מודל, למשל local-model, לא חולקים רשומות)
+   * נקודות המטמון של prompt caching לא משנות את התשובה, ולכן לא נכללות במפתח
+   * @param {Object} request - פרמטרי הבקשה
+   * @returns {string} - מפתח הקסדצימלי
+   * @private
+   */
+  _keyFor(request) {
+    const keyData = JSON.stringify({
+      provider: this.provider,
+      endpoint: this.endpoint,
+      model: request.model,
+      system: withoutCacheControl(request.system),
+      temperature: request.temperature,
+      maxTokens: request.max_tokens,
+      messages: request.messages.map(message => ({ role: message.role, content: withoutCacheControl(message.content) }))
+    });
+    
+    return crypto.createHash('sha256').update(keyData).digest('hex');
+  }
+
+  /**
+   * פינוי הרשומות הישנות ביותר עד שהמטמון יורד אל מתחת ל-90% מהגודל המותר
+   * @param {number} maxBytes - הגודל המותר בבתים
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _prune(maxBytes) {
+    const entries = await this._listEntries();
+    entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    
+    let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+    let removed = 0;
+    
+    for (const entry of entries) {
+      if (totalBytes <= maxBytes * 0.9) {
+        break;
+      }
+      
+      await fs.remove(entry.path);
+      totalBytes -= entry.size;
+      removed++;
+    }
+    
+    this.totalBytes = totalBytes;
+    logger.debug(`Pruned ${removed} response cache entries`, { totalBytes, maxBytes });
+  }
+
+  /**
+   * כל רשומות המטמון עם גודלן וזמן הכתיבה שלהן
+   * @returns {Promise<Array<Object>>} - [{ path, size, mtimeMs }]
+   * @private
+   */
+  async _listEntries() {
+    const entries = [];
+    
+    for (const file of await fs.readdir(this.cacheDir)) {
+      if (path.extname(file) !== '.json') {
+        continue;
+      }
+      
+      const entryPath = path.join(this.cacheDir, file);
+      try {
+        const stats = await fs.stat(entryPath);
+        entries.push({ path: entryPath, size: stats.size, mtimeMs: stats.mtimeMs });
+      } catch (error) {
+        // הרשומה נמחקה בינתיים (למשל על ידי מופע אחר)
+      }
+    }
+    
+    return entries;
+  }
+
+  /**
+   * נתיב קובץ של רשומה במטמון
+   * @param {string} key - מפתח הרשומה
+   * @returns {string} - נתיב הקובץ
+   * @private
+   */
+  _entryPath(key) {
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+}
+
+module.exports = ResponseCache;
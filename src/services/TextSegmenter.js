@@ -0,0 +1,228 @@
+// File: src/services/TextSegmenter.js
+// Location: /claude-context-extender/src/services/TextSegmenter.js
+// פירוק מסמך ליחידות מבניות - כותרות, פסקאות, בלוקי קוד ואלמנטי בלוק של HTML
+
+'use strict';
+
+const logger = require('../utils/Logger');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+const HTML_EXTENSIONS = ['.html', '.htm'];
+
+// אלמנטים שמתחילים יחידה חדשה במסמך HTML
+const HTML_BLOCK_TAGS = [
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'div', 'section', 'article', 'header',
+  'footer', 'nav', 'main', 'aside', 'blockquote', 'ul', 'ol', 'li', 'dl', 'figure',
+  'pre', 'table', 'form', 'hr', 'script', 'style'
+];
+
+// אלמנטים שאסור לפצל - תוכנם נשמר כיחידה אחת עד תגית הסגירה
+const HTML_ATOMIC_TAGS = ['pre', 'table', 'script', 'style'];
+
+class TextSegmenter {
+  /**
+   * פירוק תוכן ליחידות מבניות לפי סוג הקובץ
+   * כל יחידה מכילה מיקום התחלה (כולל) וסיום (לא כולל) בתוכן, סוג ונתיב כותרות
+   * @param {string} content - תוכן המסמך
+   * @param {string} ext - סיומת הקובץ (באותיות קטנות)
+   * @returns {Array<Object>} - מערך של { start, end, type, headingPath }
+   */
+  segment(content, ext) {
+    let segments;
+    
+    if (MARKDOWN_EXTENSIONS.includes(ext)) {
+      segments = this._segmentMarkdown(content);
+    } else if (HTML_EXTENSIONS.includes(ext)) {
+      segments = this._segmentHtml(content);
+    } else {
+      segments = this._segmentParagraphs(content);
+    }
+    
+    logger.debug(`Segmented content into ${segments.length} structural units`, { ext });
+    return segments;
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * פירוק Markdown - כותרות #, בלוקי קוד מגודרים ופסקאות מופרדות בשורה ריקה
+   * @param {string} content - תוכן המסמך
+   * @returns {Array<Object>} - יחידות מבניות
+   * @private
+   */
+  _segmentMarkdown(content) {
+    const segments = [];
+    const headingStack = [];
+    let current = null;
+    let fence = null;
+    
+    const closeCurrent = (end) => {
+      if (current) {
+        current.end = end;
+        segments.push(current);
+        current = null;
+      }
+    };
+    
+    for (const line of this._lines(content)) {
+      const text = line.text;
+      
+      // בתוך בלוק קוד - ממשיכים עד סגירת הגדר
+      if (fence) {
+        if (text.trim().startsWith(fence)) {
+          closeCurrent(line.end);
+          fence = null;
+        }
+        continue;
+      }
+      
+      const fenceMatch = text.match(/^\s*(```+|~~~+)/);
+      if (fenceMatch) {
+        closeCurrent(line.start);
+        fence = fenceMatch[1];
+        current = { start: line.start, type: 'code', headingPath: [...headingStack] };
+        continue;
+      }
+      
+      const headingMatch = text.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (headingMatch) {
+        closeCurrent(line.start);
+        const level = headingMatch[1].length;
+        headingStack.length = Math.min(headingStack.length, level - 1);
+        headingStack.push(headingMatch[2]);
+        segments.push({ start: line.start, end: line.end, type: 'heading', level, headingPath: [...headingStack] });
+        continue;
+      }
+      
+      if (text.trim() === '') {
+        closeCurrent(line.start);
+        continue;
+      }
+      
+      if (!current) {
+        current = { start: line.start, type: 'paragraph', headingPath: [...headingStack] };
+      }
+    }
+    
+    closeCurrent(content.length);
+    return segments;
+  }
+
+  /**
+   * פירוק HTML - גבולות באלמנטי בלוק, כותרות h1-h6 מעדכנות את נתיב הכותרות
+   * ואלמנטים כמו pre ו-table נשמרים שלמים
+   * @param {string} content - תוכן המסמך
+   * @returns {Array<Object>} - יחידות מבניות
+   * @private
+   */
+  _segmentHtml(content) {
+    const boundaries = [];
+    const lowerContent = content.toLowerCase();
+    const tagPattern = new RegExp(`<(${HTML_BLOCK_TAGS.join('|')})\\b[^>]*>`, 'gi');
+    let atomicEnd = 0;
+    let match;
+    
+    while ((match = tagPattern.exec(content)) !== null) {
+      // תגיות בתוך אלמנט שלם לא יוצרות גבול
+      if (match.index < atomicEnd) {
+        continue;
+      }
+      
+      const tag = match[1].toLowerCase();
+      boundaries.push({ start: match.index, tag });
+      
+      if (HTML_ATOMIC_TAGS.includes(tag)) {
+        const closeIndex = lowerContent.indexOf(`</${tag}>`, tagPattern.lastIndex);
+        atomicEnd = closeIndex === -1 ? content.length : closeIndex + tag.length + 3;
+        tagPattern.lastIndex = atomicEnd;
+      }
+    }
+    
+    const segments = [];
+    const headingStack = [];
+    
+    // טקסט לפני אלמנט הבלוק הראשון
+    if (boundaries.length === 0 || boundaries[0].start > 0) {
+      const end = boundaries.length > 0 ? boundaries[0].start : content.length;
+      if (content.substring(0, end).trim() !== '') {
+        segments.push({ start: 0, end, type: 'paragraph', headingPath: [] });
+      }
+    }
+    
+    boundaries.forEach((boundary, i) => {
+      const end = i + 1 < boundaries.length ? boundaries[i + 1].start : content.length;
+      const text = content.substring(boundary.start, end);
+      
+      if (text.trim() === '') {
+        return;
+      }
+      
+      const headingMatch = boundary.tag.match(/^h([1-6])$/);
+      if (headingMatch) {
+        const level = Number(headingMatch[1]);
+        const title = text.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+        headingStack.length = Math.min(headingStack.length, level - 1);
+        headingStack.push(title);
+        segments.push({ start: boundary.start, end, type: 'heading', level, headingPath: [...headingStack] });
+        return;
+      }
+      
+      const type = HTML_ATOMIC_TAGS.includes(boundary.tag) ? 'code' : 'paragraph';
+      segments.push({ start: boundary.start, end, type, headingPath: [...headingStack] });
+    });
+    
+    return segments;
+  }
+
+  /**
+   * פירוק טקסט רגיל לפסקאות מופרדות בשורה ריקה
+   * @param {string} content - תוכן המסמך
+   * @returns {Array<Object>} - יחידות מבניות
+   * @private
+   */
+  _segmentParagraphs(content) {
+    const segments = [];
+    let current = null;
+    
+    for (const line of this._lines(content)) {
+      if (line.text.trim() === '') {
+        if (current) {
+          current.end = line.start;
+          segments.push(current);
+          current = null;
+        }
+      } else if (!current) {
+        current = { start: line.start, type: 'paragraph', headingPath: [] };
+      }
+    }
+    
+    if (current) {
+      current.end = content.length;
+      segments.push(current);
+    }
+    
+    return segments;
+  }
+
+  /**
+   * פירוק תוכן לשורות עם מיקומים
+   * @param {string} content - תוכן המסמך
+   * @returns {Array<Object>} - מערך של { text, start, end } (end כולל את תו השורה החדשה)
+   * @private
+   */
+  _lines(content) {
+    const lines = [];
+    let start = 0;
+    
+    while (start < content.length) {
+      const newline = content.indexOf('\n', start);
+      const end = newline === -1 ? content.length : newline + 1;
+      lines.push({ text: content.substring(start, newline === -1 ? end : newline).replace(/\r$/, ''), start, end });
+      start = end;
+    }
+    
+    return lines;
+  }
+}
+
+module.exports = TextSegmenter;
@@ -0,0 +1,211 @@
+// File: src/services/VectorStore.js
+// Location: /claude-context-extender/src/services/VectorStore.js
+// שירות לאחסון ווקטורי קטעים וחיפוש לפי דמיון קוסינוס - עובד באופן מקומי ללא קריאות API
+
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const configManager = require('../utils/ConfigManager');
+const logger = require('../utils/Logger');
+const textAnalyzer = require('../utils/TextAnalyzer');
+const { createEmbedder } = require('./embedders');
+
+class VectorStore {
+  constructor() {
+    this.config = configManager;
+    this.indexesDir = path.join(process.cwd(), 'data', 'indexes');
+    this.embedder = createEmbedder(this.config.get('embedding') || {});
+    
+    fs.ensureDirSync(this.indexesDir);
+    
+    logger.debug(`VectorStore initialized with embedder: ${this.embedder.name}`);
+  }
+
+  /**
+   * בניית ווקטורים לכל הקטעים ושמירתם ליד האינדקס
+   * @param {string} indexId - מזהה האינדקס
+   * @param {Array} chunks - קטעים עם תוכן
+   * @returns {Promise<void>}
+   */
+  async build(indexId, chunks) {
+    try {
+      logger.info(`Building vectors for index: ${indexId}`, { chunks: chunks.length });
+      
+      const store = {
+        embedder: this.embedder.name,
+        vectors: {}
+      };
+      
+      await this._embedChunks(store, chunks);
+      await this._save(indexId, store);
+    } catch (error) {
+      logger.error(`Error building vectors for index: ${indexId}`, { error: error.message });
+      throw new Error(`Failed to build vectors: ${error.message}`);
+    }
+  }
+
+  /**
+   * עדכון מצטבר של הווקטורים - הסרת קטעים והוספת קטעים חדשים
+   * @param {string} indexId - מזהה האינדקס
+   * @param {Array<string>} removedChunkIds - מזהי קטעים להסרה
+   * @param {Array} newChunks - קטעים חדשים עם תוכן
+   * @returns {Promise<void>}
+   */
+  async update(indexId, removedChunkIds, newChunks) {
+    try {
+      const store = await this.load(indexId);
+      
+      // אם אין ווקטורים תואמים, אין טעם לעדכן - הם ייבנו מחדש בשאילתה הבאה
+      if (!store) {
+        logger.debug(`No compatible vectors for index ${indexId}, skipping incremental update`);
+        return;
+      }
+      
+      for (const chunkId of removedChunkIds) {
+        delete store.vectors[chunkId];
+      }
+      
+      await this._embedChunks(store, newChunks);
+      await this._save(indexId, store);
+    } catch (error) {
+      logger.error(`Error updating vectors for index: ${indexId}`, { error: error.message });
+      throw new Error(`Failed to update vectors: ${error.message}`);
+    }
+  }
+
+  /**
+   * טעינת הווקטורים של אינדקס
+   * @param {string} indexId - מזהה האינדקס
+   * @returns {Promise<Object|null>} - הווקטורים, או null אם לא קיימים או נבנו עם מטמיע אחר
+   */
+  async load(indexId) {
+    const vectorsPath = this._vectorsPath(indexId);
+    
+    if (!await fs.pathExists(vectorsPath)) {
+      return null;
+    }
+    
+    const store = await fs.readJson(vectorsPath);
+    
+    if (store.embedder !== this.embedder.name) {
+      logger.warn(`Vectors for index ${indexId} were built with ${store.embedder}, current embedder is ${this.embedder.name}`);
+      return null;
+    }
+    
+    return store;
+  }
+
+  /**
+   * חיפוש הקטעים הדומים ביותר לשאלה
+   * @param {Object} store - הווקטורים של האינדקס (מ-load)
+   * @param {string} question - שאלת המשתמש
+   * @param {number} topK - מספר התוצאות המקסימלי
+   * @returns {Promise<Array<Object>>} - מערך של { id, score } ממוין מהדומה ביותר
+   */
+  async search(store, question, topK) {
+    const [queryVector] = await this.embedder.embed([question]);
+    
+    const results = Object.entries(store.vectors).map(([id, vector]) => ({
+      id,
+      score: this._cosineSimilarity(queryVector, vector)
+    }));
+    
+    results.sort((a, b) => b.score - a.score);
+    
+    return results.slice(0, topK);
+  }
+
+  /**
+   * מחיקת הווקטורים של אינדקס
+   * @param {string} indexId - מזהה האינדקס
+   * @returns {Promise<void>}
+   */
+  async delete(indexId) {
+    await fs.remove(this._vectorsPath(indexId));
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * הטמעת קטעים והוספתם למאגר
+   * @param {Object} store - מאגר הווקטורים
+   * @param {Array} chunks - קטעים עם תוכן
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _embedChunks(store, chunks) {
+    if (chunks.length === 0) {
+      return;
+    }
+    
+    const texts = chunks.map(chunk => this._chunkText(chunk));
+    const vectors = await this.embedder.embed(texts);
+    
+    chunks.forEach((chunk, i) => {
+      // עיגול לצמצום גודל הקובץ
+      store.vectors[chunk.id] = vectors[i].map(value => Math.round(value * 10000) / 10000);
+    });
+  }
+
+  /**
+   * הטקסט שמייצג קטע לצורך הטמעה - נתיב כותרות, שם הסמל, תקציר, מילות מפתח ותוכן
+   * @param {Object} chunk - הקטע
+   * @returns {string} - טקסט להטמעה
+   * @private
+   */
+  _chunkText(chunk) {
+    return [
+      chunk.headingPath || '',
+      chunk.symbolName ? textAnalyzer.splitIdentifier(chunk.symbolName) : '',
+      chunk.summary || '',
+      (chunk.keywords || []).join(' '),
+      chunk.content || ''
+    ].join('\n');
+  }
+
+  /**
+   * חישוב דמיון קוסינוס בין שני ווקטורים
+   * @param {Array<number>} a - ווקטור ראשון
+   * @param {Array<number>} b - ווקטור שני
+   * @returns {number} - ציון דמיון בין -1 ל-1
+   * @private
+   */
+  _cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    
+    return normA > 0 && normB > 0 ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+  }
+
+  /**
+   * שמירת הווקטורים לקובץ
+   * @param {string} indexId - מזהה האינדקס
+   * @param {Object} store - מאגר הווקטורים
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _save(indexId, store) {
+    await fs.writeJson(this._vectorsPath(indexId), store);
+    logger.debug(`Saved vectors for index ${indexId}`);
+  }
+
+  /**
+   * נתיב קובץ הווקטורים של אינדקס
+   * @param {string} indexId - מזהה האינדקס
+   * @returns {string} - נתיב הקובץ
+   * @private
+   */
+  _vectorsPath(indexId) {
+    return path.join(this.indexesDir, `${indexId}.vectors.json`);
+  }
+}
+
+module.exports = VectorStore;
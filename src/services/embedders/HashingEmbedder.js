@@ -0,0 +1,81 @@
+// File: src/services/embedders/HashingEmbedder.js
+// Location: /claude-context-extender/src/services/embedders/HashingEmbedder.js
+// מטמיע מקומי מבוסס גיבוב תכונות - מילים ותת-מחרוזות של תווים מוטלות לווקטור בגודל קבוע
+
+'use strict';
+
+const textAnalyzer = require('../../utils/TextAnalyzer');
+
+class HashingEmbedder {
+  /**
+   * @param {Object} [options] - אפשרויות המטמיע
+   * @param {number} [options.dimensions] - מספר הממדים בווקטור
+   */
+  constructor({ dimensions = 512 } = {}) {
+    this.dimensions = dimensions;
+    this.name = `hashing-${dimensions}`;
+  }
+
+  /**
+   * הטמעת מערך טקסטים לווקטורים מנורמלים
+   * @param {Array<string>} texts - הטקסטים להטמעה
+   * @returns {Promise<Array<Array<number>>>} - מערך ווקטורים
+   */
+  async embed(texts) {
+    return texts.map(text => this._embedText(text));
+  }
+
+  /**
+   * הטמעת טקסט בודד
+   * @param {string} text - הטקסט להטמעה
+   * @returns {Array<number>} - ווקטור מנורמל (L2)
+   * @private
+   */
+  _embedText(text) {
+    const counts = new Map();
+    const addFeature = (feature, weight) => {
+      counts.set(feature, (counts.get(feature) || 0) + weight);
+    };
+    
+    for (const word of textAnalyzer.extractTerms(text)) {
+      addFeature(`w:${word}`, 1);
+      
+      // תת-מחרוזות של 3 תווים - מקרבות בין צורות שונות של אותה מילה
+      const padded = `<${word}>`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        addFeature(`c:${padded.substring(i, i + 3)}`, 0.5);
+      }
+    }
+    
+    const vector = new Array(this.dimensions).fill(0);
+    
+    for (const [feature, count] of counts) {
+      const hash = this._hash(feature);
+      const bucket = hash % this.dimensions;
+      // סימן לפי ביט נפרד של הגיבוב - מקטין הטיה מהתנגשויות
+      const sign = (hash >>> 31) === 0 ? 1 : -1;
+      // משקל תת-לינארי למניעת שליטה של מילים שחוזרות הרבה
+      vector[bucket] += sign * (1 + Math.log(count));
+    }
+    
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  /**
+   * גיבוב FNV-1a של 32 ביט
+   * @param {string} str - המחרוזת לגיבוב
+   * @returns {number} - ערך גיבוב חיובי
+   * @private
+   */
+  _hash(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+module.exports = HashingEmbedder;
@@ -0,0 +1,29 @@
+// File: src/services/embedders/index.js
+// Location: /claude-context-extender/src/services/embedders/index.js
+// יצירת מטמיע לפי ההגדרות - מטמיע מובנה או מודול מקומי שסופק על ידי המשתמש
+
+'use strict';
+
+const path = require('path');
+const HashingEmbedder = require('./HashingEmbedder');
+
+/**
+ * יצירת מטמיע לפי הגדרות embedding
+ * מודול חיצוני (למשל עטיפה למודל ONNX מקומי) צריך לייצא מחלקה עם
+ * שדה name ומתודה embed(texts) שמחזירה מערך של ווקטורים
+ * @param {Object} embeddingConfig - הגדרות ההטמעה
+ * @returns {Object} - מופע מטמיע
+ */
+function createEmbedder(embeddingConfig = {}) {
+  const provider = embeddingConfig.provider || 'hashing';
+
+  if (provider === 'hashing') {
+    return new HashingEmbedder({ dimensions: embeddingConfig.dimensions });
+  }
+
+  // כל ערך אחר מתפרש כנתיב למודול מטמיע מקומי
+  const EmbedderClass = require(path.resolve(process.cwd(), provider));
+  return new EmbedderClass(embeddingConfig.options || {});
+}
+
+module.exports = { createEmbedder };
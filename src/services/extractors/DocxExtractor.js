@@ -0,0 +1,132 @@
+// File: src/services/extractors/DocxExtractor.js
+// Location: /claude-context-extender/src/services/extractors/DocxExtractor.js
+// חילוץ טקסט ממסמכי Word (DOCX) - כותרות הופכות לכותרות Markdown וטבלאות לשורות
+
+'use strict';
+
+const { ATTRIBUTES, openArchive, readEntry, textOf, attribute } = require('./xml');
+
+// פסקאות, גבולות טבלה, שורות ותאים - לפי סדר הופעתם בגוף המסמך
+const BODY_PATTERN = new RegExp(`<w:tbl>|</w:tbl>|</w:tr>|</w:tc>|<w:p${ATTRIBUTES}(?:/>|>[\\s\\S]*?</w:p>)`, 'g');
+
+class DocxExtractor {
+  /**
+   * חילוץ טקסט ממסמך DOCX
+   * @param {Buffer} buffer - תוכן הקובץ
+   * @returns {Promise<Object>} - { content, format: 'markdown', regions }
+   */
+  async extract(buffer) {
+    const archive = await openArchive(buffer);
+    const documentXml = await readEntry(archive, 'word/document.xml');
+    
+    if (!documentXml) {
+      throw new Error('Not a Word document: word/document.xml is missing');
+    }
+    
+    const lines = [];
+    let tableDepth = 0;
+    let row = [];
+    let cell = [];
+    let match;
+    
+    BODY_PATTERN.lastIndex = 0;
+    while ((match = BODY_PATTERN.exec(documentXml)) !== null) {
+      const token = match[0];
+      
+      if (token === '<w:tbl>') {
+        tableDepth++;
+      } else if (token === '</w:tbl>') {
+        tableDepth = Math.max(0, tableDepth - 1);
+        lines.push('');
+      } else if (token === '</w:tc>') {
+        row.push(cell.join(' ').trim());
+        cell = [];
+      } else if (token === '</w:tr>') {
+        lines.push(`| ${row.join(' | ')} |`);
+        row = [];
+      } else if (tableDepth > 0) {
+        cell.push(this._paragraphText(token));
+      } else {
+        const paragraph = this._formatParagraph(token);
+        if (paragraph !== null) {
+          lines.push(paragraph);
+        }
+      }
+    }
+    
+    return {
+      content: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n',
+      format: 'markdown',
+      regions: []
+    };
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * עיצוב פסקה - כותרת, פריט רשימה או פסקה רגילה (מופרדת בשורה ריקה)
+   * @param {string} paragraphXml - ה-XML של הפסקה
+   * @returns {string|null} - הטקסט המעוצב, או null לפסקה ריקה
+   * @private
+   */
+  _formatParagraph(paragraphXml) {
+    const text = this._paragraphText(paragraphXml).trim();
+    if (text === '') {
+      return null;
+    }
+    
+    const level = this._headingLevel(paragraphXml);
+    if (level) {
+      return `\n${'#'.repeat(level)} ${text.replace(/\s+/g, ' ')}\n`;
+    }
+    
+    if (/<w:numPr[\s/>]/.test(paragraphXml)) {
+      return `- ${text}`;
+    }
+    
+    return `${text}\n`;
+  }
+
+  /**
+   * הטקסט של פסקה, כולל טאבים ושבירות שורה
+   * @param {string} paragraphXml - ה-XML של הפסקה
+   * @returns {string} - הטקסט
+   * @private
+   */
+  _paragraphText(paragraphXml) {
+    const normalized = paragraphXml
+      .replace(/<w:tab\/>/g, '<w:t>\t</w:t>')
+      .replace(/<w:(?:br|cr)(?:\s[^>]*)?\/>/g, '<w:t>\n</w:t>');
+    
+    return textOf(normalized, 'w:t');
+  }
+
+  /**
+   * רמת הכותרת של פסקה לפי הסגנון שלה (Title, Heading1..Heading6) או רמת המתאר
+   * @param {string} paragraphXml - ה-XML של הפסקה
+   * @returns {number|null} - רמת הכותרת, או null אם אינה כותרת
+   * @private
+   */
+  _headingLevel(paragraphXml) {
+    const styleTag = paragraphXml.match(/<w:pStyle\s[^>]*\/>/);
+    const style = styleTag ? attribute(styleTag[0], 'w:val') || '' : '';
+    
+    if (/^title$/i.test(style)) {
+      return 1;
+    }
+    
+    const styleLevel = style.match(/heading\s*(\d)/i);
+    if (styleLevel) {
+      return Math.min(6, Number(styleLevel[1]));
+    }
+    
+    const outlineTag = paragraphXml.match(/<w:outlineLvl\s[^>]*\/>/);
+    if (outlineTag) {
+      return Math.min(6, Number(attribute(outlineTag[0], 'w:val')) + 1);
+    }
+    
+    return null;
+  }
+}
+
+module.exports = DocxExtractor;
@@ -0,0 +1,89 @@
+// File: src/services/extractors/OdtExtractor.js
+// Location: /claude-context-extender/src/services/extractors/OdtExtractor.js
+// חילוץ טקסט ממסמכי OpenDocument Text (ODT) - כותרות לפי רמת מתאר וטבלאות לשורות
+
+'use strict';
+
+const { ATTRIBUTES, openArchive, readEntry, decodeEntities, attribute } = require('./xml');
+
+// כותרות, פסקאות, גבולות טבלה, שורות ותאים - לפי סדר הופעתם בגוף המסמך
+const BODY_PATTERN = new RegExp(`<table:table${ATTRIBUTES}>|</table:table>|</table:table-row>|</table:table-cell>|<text:(h|p)${ATTRIBUTES}(?:/>|>[\\s\\S]*?</text:\\1>)`, 'g');
+
+class OdtExtractor {
+  /**
+   * חילוץ טקסט ממסמך ODT
+   * @param {Buffer} buffer - תוכן הקובץ
+   * @returns {Promise<Object>} - { content, format: 'markdown', regions }
+   */
+  async extract(buffer) {
+    const archive = await openArchive(buffer);
+    const contentXml = await readEntry(archive, 'content.xml');
+    
+    if (!contentXml) {
+      throw new Error('Not an OpenDocument file: content.xml is missing');
+    }
+    
+    // הערות שוליים ותגובות אינן חלק מרצף הטקסט (והפסקאות שבתוכן היו נחתכות באמצע)
+    const bodyXml = contentXml.replace(new RegExp(`<(text:note|office:annotation)${ATTRIBUTES}>[\\s\\S]*?</\\1>`, 'g'), '');
+    
+    const lines = [];
+    let tableDepth = 0;
+    let row = [];
+    let cell = [];
+    let match;
+    
+    BODY_PATTERN.lastIndex = 0;
+    while ((match = BODY_PATTERN.exec(bodyXml)) !== null) {
+      const token = match[0];
+      
+      if (token.startsWith('<table:table') && !token.startsWith('<table:table-')) {
+        tableDepth++;
+      } else if (token === '</table:table>') {
+        tableDepth = Math.max(0, tableDepth - 1);
+        lines.push('');
+      } else if (token === '</table:table-cell>') {
+        row.push(cell.join(' ').trim());
+        cell = [];
+      } else if (token === '</table:table-row>') {
+        lines.push(`| ${row.join(' | ')} |`);
+        row = [];
+      } else {
+        const text = this._elementText(token).trim();
+        if (tableDepth > 0) {
+          cell.push(text);
+        } else if (text !== '' && match[1] === 'h') {
+          const level = Math.min(6, Number(attribute(token, 'text:outline-level')) || 1);
+          lines.push(`\n${'#'.repeat(level)} ${text.replace(/\s+/g, ' ')}\n`);
+        } else if (text !== '') {
+          lines.push(`${text}\n`);
+        }
+      }
+    }
+    
+    return {
+      content: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n',
+      format: 'markdown',
+      regions: []
+    };
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * הטקסט של כותרת או פסקה, כולל רווחים מרובים, טאבים ושבירות שורה
+   * @param {string} elementXml - ה-XML של האלמנט
+   * @returns {string} - הטקסט
+   * @private
+   */
+  _elementText(elementXml) {
+    const text = elementXml
+      .replace(/<text:s(?:\s[^>]*)?\/>/g, (tag) => ' '.repeat(Number(attribute(tag, 'text:c')) || 1))
+      .replace(/<text:tab(?:\s[^>]*)?\/>/g, '\t')
+      .replace(/<text:line-break(?:\s[^>]*)?\/>/g, '\n')
+      .replace(/<[^>]+>/g, '');
+    
+    return decodeEntities(text);
+  }
+}
+
+module.exports = OdtExtractor;
@@ -0,0 +1,134 @@
+// File: src/services/extractors/PptxExtractor.js
+// Location: /claude-context-extender/src/services/extractors/PptxExtractor.js
+// חילוץ טקסט ממצגות PowerPoint (PPTX) - שקף אחר שקף, כולל הערות הדובר
+
+'use strict';
+
+const path = require('path');
+const { openArchive, readEntry, textOf, elements, attribute, parseRelationships } = require('./xml');
+
+class PptxExtractor {
+  /**
+   * חילוץ טקסט ממצגת PPTX
+   * כל שקף מתחיל בכותרת "Slide N" ומסומן באזור משלו לצורך ציטוט
+   * @param {Buffer} buffer - תוכן הקובץ
+   * @returns {Promise<Object>} - { content, format: 'markdown', regions }
+   */
+  async extract(buffer) {
+    const archive = await openArchive(buffer);
+    const slidePaths = await this._slidePaths(archive);
+    
+    let content = '';
+    const regions = [];
+    
+    for (let i = 0; i < slidePaths.length; i++) {
+      const slideXml = await readEntry(archive, slidePaths[i]);
+      if (!slideXml) {
+        continue;
+      }
+      
+      const slideNumber = i + 1;
+      const title = this._slideTitle(slideXml);
+      const paragraphs = this._paragraphs(slideXml);
+      // הכותרת כבר מופיעה בשורת הכותרת של השקף
+      if (title && paragraphs[0] === title) {
+        paragraphs.shift();
+      }
+      
+      const notes = await this._slideNotes(archive, slidePaths[i]);
+      
+      let slideText = `# Slide ${slideNumber}${title ? `: ${title}` : ''}\n\n`;
+      if (paragraphs.length > 0) {
+        slideText += `${paragraphs.join('\n')}\n\n`;
+      }
+      if (notes.length > 0) {
+        slideText += `Speaker notes:\n${notes.join('\n')}\n\n`;
+      }
+      
+      regions.push({ start: content.length, end: content.length + slideText.length, slide: slideNumber });
+      content += slideText;
+    }
+    
+    return { content, format: 'markdown', regions };
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * נתיבי קבצי השקפים לפי סדר ההצגה במצגת
+   * @param {JSZip} archive - הארכיון
+   * @returns {Promise<Array<string>>} - נתיבי השקפים בארכיון
+   * @private
+   */
+  async _slidePaths(archive) {
+    const presentationXml = await readEntry(archive, 'ppt/presentation.xml');
+    const relationships = parseRelationships(await readEntry(archive, 'ppt/_rels/presentation.xml.rels'));
+    
+    const ordered = elements(presentationXml || '', 'p:sldId')
+      .map(slideId => relationships[attribute(slideId, 'r:id')])
+      .filter(Boolean)
+      .map(target => target.startsWith('/') ? target.slice(1) : path.posix.join('ppt', target));
+    
+    if (ordered.length > 0) {
+      return ordered;
+    }
+    
+    // ללא רשימת שקפים - מיון לפי מספר הקובץ
+    return Object.keys(archive.files)
+      .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+      .sort((a, b) => Number(a.match(/(\d+)\.xml$/)[1]) - Number(b.match(/(\d+)\.xml$/)[1]));
+  }
+
+  /**
+   * כותרת השקף - הטקסט של צורת ה-title (או ctrTitle)
+   * @param {string} slideXml - ה-XML של השקף
+   * @returns {string} - הכותרת, או מחרוזת ריקה
+   * @private
+   */
+  _slideTitle(slideXml) {
+    const titleShape = elements(slideXml, 'p:sp').find(shape => /<p:ph\s[^>]*type="(?:title|ctrTitle)"/.test(shape));
+    return titleShape ? this._paragraphs(titleShape).join(' ') : '';
+  }
+
+  /**
+   * הפסקאות הלא-ריקות בקטע XML של שקף או הערות
+   * @param {string} xml - ה-XML
+   * @returns {Array<string>} - טקסט כל פסקה
+   * @private
+   */
+  _paragraphs(xml) {
+    return elements(xml, 'a:p')
+      .map(paragraph => textOf(paragraph.replace(/<a:br(?:\s[^>]*)?\/>/g, '<a:t> </a:t>'), 'a:t').trim())
+      .filter(text => text !== '');
+  }
+
+  /**
+   * הערות הדובר של שקף
+   * @param {JSZip} archive - הארכיון
+   * @param {string} slidePath - נתיב השקף בארכיון
+   * @returns {Promise<Array<string>>} - פסקאות ההערות
+   * @private
+   */
+  async _slideNotes(archive, slidePath) {
+    const relsPath = path.posix.join(path.posix.dirname(slidePath), '_rels', `${path.posix.basename(slidePath)}.rels`);
+    const relsXml = await readEntry(archive, relsPath);
+    const notesTarget = elements(relsXml || '', 'Relationship')
+      .filter(rel => /\/notesSlide$/.test(attribute(rel, 'Type') || ''))
+      .map(rel => attribute(rel, 'Target'))[0];
+    
+    if (!notesTarget) {
+      return [];
+    }
+    
+    const notesXml = await readEntry(archive, path.posix.join(path.posix.dirname(slidePath), notesTarget));
+    if (!notesXml) {
+      return [];
+    }
+    
+    // רק גוף ההערות - בלי מספר השקף ושדות אחרים של תבנית ההערות
+    const bodyShapes = elements(notesXml, 'p:sp').filter(shape => /<p:ph\s[^>]*type="body"/.test(shape));
+    return bodyShapes.flatMap(shape => this._paragraphs(shape));
+  }
+}
+
+module.exports = PptxExtractor;
@@ -0,0 +1,127 @@
+// File: src/services/extractors/XlsxExtractor.js
+// Location: /claude-context-extender/src/services/extractors/XlsxExtractor.js
+// חילוץ תוכן מגיליונות Excel (XLSX) - שורה אחר שורה, כל ערך עם כתובת התא שלו
+
+'use strict';
+
+const path = require('path');
+const { openArchive, readEntry, textOf, elements, attribute, parseRelationships } = require('./xml');
+
+class XlsxExtractor {
+  /**
+   * חילוץ תוכן מחוברת עבודה XLSX
+   * כל שורה בגיליון הופכת לשורת טקסט בסגנון "B4: Revenue | C4: 1200"
+   * ומסומנת באזור עם שם הגיליון וטווח התאים שלה
+   * @param {Buffer} buffer - תוכן הקובץ
+   * @returns {Promise<Object>} - { content, format: 'markdown', regions }
+   */
+  async extract(buffer) {
+    const archive = await openArchive(buffer);
+    const sharedStrings = await this._sharedStrings(archive);
+    const sheets = await this._sheets(archive);
+    
+    let content = '';
+    const regions = [];
+    
+    for (const sheet of sheets) {
+      const sheetXml = await readEntry(archive, sheet.path);
+      if (!sheetXml) {
+        continue;
+      }
+      
+      content += `# Sheet: ${sheet.name}\n\n`;
+      
+      for (const rowXml of elements(sheetXml, 'row')) {
+        const cells = elements(rowXml, 'c')
+          .map(cellXml => ({ ref: attribute(cellXml, 'r'), value: this._cellValue(cellXml, sharedStrings) }))
+          .filter(cell => cell.ref && cell.value !== '');
+        
+        if (cells.length === 0) {
+          continue;
+        }
+        
+        const line = cells.map(cell => `${cell.ref}: ${cell.value.replace(/\s+/g, ' ')}`).join(' | ') + '\n';
+        regions.push({
+          start: content.length,
+          end: content.length + line.length,
+          sheet: sheet.name,
+          firstCell: cells[0].ref,
+          lastCell: cells[cells.length - 1].ref
+        });
+        // שורה ריקה אחרי כל שורת גיליון - כך החלוקה לקטעים לא תפצל שורה באמצע
+        content += `${line}\n`;
+      }
+    
+    }
+    
+    return { content, format: 'markdown', regions };
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * רשימת הגיליונות לפי הסדר בחוברת העבודה
+   * @param {JSZip} archive - הארכיון
+   * @returns {Promise<Array<Object>>} - מערך של { name, path }
+   * @private
+   */
+  async _sheets(archive) {
+    const workbookXml = await readEntry(archive, 'xl/workbook.xml');
+    if (!workbookXml) {
+      throw new Error('Not an Excel workbook: xl/workbook.xml is missing');
+    }
+    
+    const relationships = parseRelationships(await readEntry(archive, 'xl/_rels/workbook.xml.rels'));
+    
+    return elements(workbookXml, 'sheet')
+      .map(sheetXml => {
+        const target = relationships[attribute(sheetXml, 'r:id')];
+        return target ? {
+          name: attribute(sheetXml, 'name'),
+          path: target.startsWith('/') ? target.slice(1) : path.posix.join('xl', target)
+        } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * טבלת המחרוזות המשותפות של חוברת העבודה
+   * @param {JSZip} archive - הארכיון
+   * @returns {Promise<Array<string>>} - המחרוזות לפי אינדקס
+   * @private
+   */
+  async _sharedStrings(archive) {
+    const xml = await readEntry(archive, 'xl/sharedStrings.xml');
+    if (!xml) {
+      return [];
+    }
+    
+    // rPh - הגייה פונטית (ביפנית) שאינה חלק מהערך
+    return elements(xml, 'si').map(si => textOf(si.replace(/<rPh[\s\S]*?<\/rPh>/g, ''), 't'));
+  }
+
+  /**
+   * הערך המוצג של תא לפי סוג התא
+   * @param {string} cellXml - ה-XML של התא
+   * @param {Array<string>} sharedStrings - טבלת המחרוזות המשותפות
+   * @returns {string} - ערך התא, או מחרוזת ריקה לתא ריק
+   * @private
+   */
+  _cellValue(cellXml, sharedStrings) {
+    const type = attribute(cellXml, 't');
+    const value = textOf(cellXml, 'v');
+    
+    switch (type) {
+      case 's':
+        return sharedStrings[Number(value)] || '';
+      case 'inlineStr':
+        return textOf(cellXml, 't');
+      case 'b':
+        return value === '1' ? 'TRUE' : 'FALSE';
+      default:
+        return value;
+    }
+  }
+}
+
+module.exports = XlsxExtractor;
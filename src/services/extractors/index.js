@@ -0,0 +1,31 @@
+// File: src/services/extractors/index.js
+// Location: /claude-context-extender/src/services/extractors/index.js
+// בחירת מחלץ מסמכים לפי סיומת הקובץ - Word, PowerPoint, Excel ו-OpenDocument
+
+'use strict';
+
+const DocxExtractor = require('./DocxExtractor');
+const PptxExtractor = require('./PptxExtractor');
+const XlsxExtractor = require('./XlsxExtractor');
+const OdtExtractor = require('./OdtExtractor');
+
+const EXTRACTORS = {
+  '.docx': DocxExtractor,
+  '.pptx': PptxExtractor,
+  '.xlsx': XlsxExtractor,
+  '.odt': OdtExtractor
+};
+
+/**
+ * יצירת מחלץ לסוג מסמך
+ * כל מחלץ חושף extract(buffer) שמחזיר { content, format, regions }, כאשר regions
+ * מסמנים טווחים בתוכן עם מיקום במסמך המקורי (מספר שקף, גיליון וטווח תאים)
+ * @param {string} ext - סיומת הקובץ (באותיות קטנות)
+ * @returns {Object|null} - מופע מחלץ, או null אם אין מחלץ לסיומת
+ */
+function createExtractor(ext) {
+  const ExtractorClass = EXTRACTORS[ext];
+  return ExtractorClass ? new ExtractorClass() : null;
+}
+
+module.exports = { createExtractor };
@@ -0,0 +1,122 @@
+// File: src/services/extractors/xml.js
+// Location: /claude-context-extender/src/services/extractors/xml.js
+// פונקציות עזר לקריאת XML של מסמכי Office ו-OpenDocument - ללא פרסר מלא
+
+'use strict';
+
+const JSZip = require('jszip');
+
+// מאפייני תגית פותחת: כל תו מלבד >, ו-/ רק אם אינו חלק מסיום תגית סוגרת-עצמה (<c r="A4"/>)
+// אחרת ה-/ נבלע במאפיינים, התגית נראית פתוחה והאלמנט נמשך עד התגית הסוגרת הבאה
+const ATTRIBUTES = '(?:\\s[^>/]*(?:/(?!>)[^>/]*)*)?';
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\''
+};
+
+/**
+ * פתיחת קובץ ZIP (כל מסמכי Office ו-OpenDocument הם ארכיוני ZIP)
+ * @param {Buffer} buffer - תוכן הקובץ
+ * @returns {Promise<JSZip>} - הארכיון
+ */
+function openArchive(buffer) {
+  return JSZip.loadAsync(buffer);
+}
+
+/**
+ * קריאת קובץ XML מתוך הארכיון
+ * @param {JSZip} archive - הארכיון
+ * @param {string} name - נתיב הקובץ בארכיון
+ * @returns {Promise<string|null>} - תוכן ה-XML, או null אם הקובץ לא קיים
+ */
+async function readEntry(archive, name) {
+  const entry = archive.file(name);
+  return entry ? entry.async('string') : null;
+}
+
+/**
+ * פענוח ישויות XML (&amp;, &#123;, &#x7B;)
+ * @param {string} text - טקסט מקודד
+ * @returns {string} - טקסט מפוענח
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity] !== undefined ? NAMED_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * הטקסט של כל הצמתים עם תגית נתונה בתוך קטע XML, מחוברים ברצף
+ * @param {string} xml - קטע XML
+ * @param {string} tag - שם התגית, למשל w:t
+ * @returns {string} - הטקסט המפוענח
+ */
+function textOf(xml, tag) {
+  const pattern = new RegExp(`<${tag}${ATTRIBUTES}>([\\s\\S]*?)</${tag}>`, 'g');
+  let text = '';
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    text += decodeEntities(match[1]);
+  }
+
+  return text;
+}
+
+/**
+ * כל המופעים של אלמנט (כולל תוכנו) בתוך קטע XML
+ * @param {string} xml - קטע XML
+ * @param {string} tag - שם התגית, למשל p:sp
+ * @returns {Array<string>} - מערך של קטעי XML
+ */
+function elements(xml, tag) {
+  const pattern = new RegExp(`<${tag}${ATTRIBUTES}(?:/>|>[\\s\\S]*?</${tag}>)`, 'g');
+  return xml.match(pattern) || [];
+}
+
+/**
+ * ערך של מאפיין בתגית הפותחת הראשונה בקטע
+ * @param {string} xml - קטע XML
+ * @param {string} name - שם המאפיין, למשל w:val
+ * @returns {string|null} - ערך המאפיין
+ */
+function attribute(xml, name) {
+  const match = xml.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeEntities(match[1]) : null;
+}
+
+/**
+ * קריאת קובץ קשרים (.rels) למיפוי ממזהה קשר ליעד
+ * @param {string|null} xml - תוכן קובץ הקשרים
+ * @returns {Object} - מיפוי מ-Id ל-Target
+ */
+function parseRelationships(xml) {
+  const relationships = {};
+
+  for (const rel of elements(xml || '', 'Relationship')) {
+    relationships[attribute(rel, 'Id')] = attribute(rel, 'Target');
+  }
+
+  return relationships;
+}
+
+module.exports = {
+  ATTRIBUTES,
+  openArchive,
+  readEntry,
+  decodeEntities,
+  textOf,
+  elements,
+  attribute,
+  parseRelationships
+};
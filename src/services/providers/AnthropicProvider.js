@@ -0,0 +1,89 @@
+// File: src/services/providers/AnthropicProvider.js
+// Location: /claude-context-extender/src/services/providers/AnthropicProvider.js
+// ספק מודל שפה מבוסס Anthropic API (ברירת המחדל)
+
+'use strict';
+
+const Anthropic = require('@anthropic-ai/sdk');
+const configManager = require('../../utils/ConfigManager');
+const tokenCounter = require('../../utils/TokenCounter');
+
+class AnthropicProvider {
+  constructor() {
+    this.config = configManager;
+    this.name = 'anthropic';
+    this.baseUrl = (this.config.get('claude.baseUrl') || 'https://api.anthropic.com').replace(/\/+$/, '');
+    
+    // הניסיונות החוזרים מנוהלים ב-ClaudeClient ולא ב-SDK
+    this.anthropic = new Anthropic({
+      apiKey: process.env.CLAUDE_API_KEY,
+      baseURL: this.baseUrl,
+      maxRetries: 0
+    });
+    
+    this.defaultModel = this.config.get('claude.model') || 'claude-3-5-haiku-20241022';
+    
+    // הבקשות עוברות דרך מגביל הקצב המשותף (claude.rateLimits)
+    this.rateLimited = true;
+  }
+
+  /**
+   * שליחת בקשה וקבלת התשובה המלאה
+   * @param {Object} request - פרמטרי הבקשה (model, max_tokens, temperature, system, messages)
+   * @returns {Promise<Object>} - { text, usage }
+   */
+  async send(request) {
+    const response = await this.anthropic.messages.create(request);
+    
+    return { text: response.content[0].text, usage: response.usage };
+  }
+
+  /**
+   * שליחת בקשה וקבלת התשובה בהזרמה
+   * @param {Object} request - פרמטרי הבקשה
+   * @param {Function} onText - נקרא עם כל חלק טקסט שמגיע מהמודל
+   * @returns {Promise<Object>} - { text, usage } בסיום ההזרמה
+   */
+  async stream(request, onText) {
+    const stream = this.anthropic.messages.stream(request);
+    let outputTokens;
+    
+    stream.on('text', onText);
+    
+    // טוקני הפלט מדווחים רק באירוע message_delta
+    stream.on('streamEvent', event => {
+      if (event.type === 'message_delta' && event.usage) {
+        outputTokens = event.usage.output_tokens;
+      }
+    });
+    
+    const message = await stream.finalMessage();
+    const usage = outputTokens !== undefined ? { ...message.usage, output_tokens: outputTokens } : message.usage;
+    
+    return { text: message.content[0].text, usage };
+  }
+
+  /**
+   * הערכת מספר הטוקנים בטקסט
+   * @param {string} text - הטקסט
+   * @returns {number} - מספר הטוקנים המשוער
+   */
+  countTokens(text) {
+    return tokenCounter.countTokens(text);
+  }
+
+  /**
+   * האם שגיאה זמנית שכדאי לנסות שוב (הגבלת קצב, עומס, שגיאת שרת או ניתוק)
+   * @param {Error} error - השגיאה
+   * @returns {boolean}
+   */
+  isRetryable(error) {
+    if (error instanceof Anthropic.APIConnectionError) {
+      return true;
+    }
+    
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,191 @@
+// File: src/services/providers/OpenAICompatibleProvider.js
+// Location: /claude-context-extender/src/services/providers/OpenAICompatibleProvider.js
+// ספק מודל שפה לשרתים תואמי OpenAI (llama.cpp, Ollama, vLLM) - מאפשר עבודה מקומית ללא שליחת תוכן החוצה
+
+'use strict';
+
+const tokenCounter = require('../../utils/TokenCounter');
+const { toPlainText } = require('../../utils/PromptBlocks');
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} [options] - הגדרות llm.openaiCompatible
+   * @param {string} [options.baseUrl] - כתובת ה-API, כולל /v1 (למשל http://localhost:11434/v1 ל-Ollama)
+   * @param {string} [options.model] - שם המודל בשרת
+   * @param {string} [options.apiKeyEnv] - משתנה הסביבה שמכיל מפתח API (לא חובה בשרת מקומי)
+   * @param {boolean} [options.rateLimited] - האם להחיל את claude.rateLimits על הבקשות
+   */
+  constructor({ baseUrl = 'http://localhost:8080/v1', model = 'local-model', apiKeyEnv = 'OPENAI_API_KEY', rateLimited = false } = {}) {
+    this.name = 'openai-compatible';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.defaultModel = model;
+    this.apiKey = process.env[apiKeyEnv];
+    this.rateLimited = rateLimited;
+  }
+
+  /**
+   * שליחת בקשה וקבלת התשובה המלאה
+   * @param {Object} request - פרמטרי הבקשה בפורמט של Anthropic (model, max_tokens, temperature, system, messages)
+   * @returns {Promise<Object>} - { text, usage } עם usage בשמות השדות של Anthropic
+   */
+  async send(request) {
+    const response = await this._post(this._toChatRequest(request, false));
+    const body = await response.json();
+    
+    return {
+      text: body.choices[0].message.content || '',
+      usage: this._toUsage(body.usage)
+    };
+  }
+
+  /**
+   * שליחת בקשה וקבלת התשובה בהזרמה (Server-Sent Events)
+   * @param {Object} request - פרמטרי הבקשה
+   * @param {Function} onText - נקרא עם כל חלק טקסט שמגיע מהמודל
+   * @returns {Promise<Object>} - { text, usage } בסיום ההזרמה
+   */
+  async stream(request, onText) {
+    const response = await this._post(this._toChatRequest(request, true));
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let usage;
+    
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      
+      // כל אירוע הוא שורת "data: {...}"; השורה האחרונה עשויה להיות חלקית
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      
+      for (const line of lines) {
+        const data = line.trim().replace(/^data:\s*/, '');
+        if (!line.trim().startsWith('data:') || data === '[DONE]') {
+          continue;
+        }
+        
+        const event = JSON.parse(data);
+        const delta = event.choices && event.choices[0] && event.choices[0].delta;
+        if (delta && delta.content) {
+          text += delta.content;
+          onText(delta.content);
+        }
+        if (event.usage) {
+          usage = this._toUsage(event.usage);
+        }
+      }
+    }
+    
+    return { text, usage };
+  }
+
+  /**
+   * הערכת מספר הטוקנים בטקסט
+   * @param {string} text - הטקסט
+   * @returns {number} - מספר הטוקנים המשוער
+   */
+  countTokens(text) {
+    return tokenCounter.countTokens(text);
+  }
+
+  /**
+   * האם שגיאה זמנית שכדאי לנסות שוב (הגבלת קצב, עומס, שגיאת שרת או ניתוק)
+   * @param {Error} error - השגיאה
+   * @returns {boolean}
+   */
+  isRetryable(error) {
+    if (error.connectionError) {
+      return true;
+    }
+    
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * המרת בקשה בפורמט Anthropic לבקשת chat completions
+   * בלוקי תוכן (עם נקודות מטמון) מאוחדים לטקסט - לשרתים אלה אין prompt caching
+   * @param {Object} request - פרמטרי הבקשה
+   * @param {boolean} stream - האם לבקש הזרמה
+   * @returns {Object} - גוף הבקשה
+   * @private
+   */
+  _toChatRequest(request, stream) {
+    const messages = [];
+    
+    if (request.system) {
+      messages.push({ role: 'system', content: toPlainText(request.system) });
+    }
+    for (const message of request.messages) {
+      messages.push({ role: message.role, content: toPlainText(message.content) });
+    }
+    
+    const chatRequest = {
+      model: request.model,
+      max_tokens: request.max_tokens,
+      temperature: request.temperature,
+      messages,
+      stream
+    };
+    
+    // בקשת נתוני שימוש בסוף ההזרמה (שרתים שלא מכירים את השדה מתעלמים ממנו)
+    if (stream) {
+      chatRequest.stream_options = { include_usage: true };
+    }
+    
+    return chatRequest;
+  }
+
+  /**
+   * שליחת בקשת POST ל-chat/completions
+   * שגיאות HTTP נזרקות עם status ו-headers, כמו ב-SDK של Anthropic, כדי שמנגנון הניסיונות החוזרים יעבוד זהה
+   * @param {Object} body - גוף הבקשה
+   * @returns {Promise<Response>} - התשובה
+   * @private
+   */
+  async _post(body) {
+    const headers = { 'content-type': 'application/json' };
+    if (this.apiKey) {
+      headers.authorization = `Bearer ${this.apiKey}`;
+    }
+    
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      const connectionError = new Error(`Connection to ${this.baseUrl} failed: ${error.message}`);
+      connectionError.connectionError = true;
+      throw connectionError;
+    }
+    
+    if (!response.ok) {
+      const error = new Error(`${response.status} ${(await response.text()).slice(0, 500)}`);
+      error.status = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+    
+    return response;
+  }
+
+  /**
+   * המרת נתוני שימוש לשמות השדות של Anthropic
+   * @param {Object} [usage] - { prompt_tokens, completion_tokens }
+   * @returns {Object|undefined} - { input_tokens, output_tokens }
+   * @private
+   */
+  _toUsage(usage) {
+    if (!usage) {
+      return undefined;
+    }
+    
+    return { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,34 @@
+// File: src/services/providers/index.js
+// Location: /claude-context-extender/src/services/providers/index.js
+// יצירת ספק מודל שפה לפי ההגדרות - ספק מובנה או מודול מקומי שסופק על ידי המשתמש
+
+'use strict';
+
+const path = require('path');
+const AnthropicProvider = require('./AnthropicProvider');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+
+/**
+ * יצירת ספק לפי הגדרות llm
+ * מודול חיצוני (למשל ספק מדומה לבדיקות) צריך לייצא מחלקה עם השדות name, defaultModel ו-rateLimited
+ * והמתודות send(request), stream(request, onText), countTokens(text) ו-isRetryable(error)
+ * @param {Object} llmConfig - הגדרות ספק מודל השפה
+ * @returns {Object} - מופע ספק
+ */
+function createProvider(llmConfig = {}) {
+  const provider = llmConfig.provider || 'anthropic';
+
+  if (provider === 'anthropic') {
+    return new AnthropicProvider();
+  }
+
+  if (provider === 'openai-compatible') {
+    return new OpenAICompatibleProvider(llmConfig.openaiCompatible || {});
+  }
+
+  // כל ערך אחר מתפרש כנתיב למודול ספק מקומי
+  const ProviderClass = require(path.resolve(process.cwd(), provider));
+  return new ProviderClass(llmConfig.options || {});
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,33 @@
+// File: src/utils/Concurrency.js
+// Location: /claude-context-extender/src/utils/Concurrency.js
+// הרצת פעולות אסינכרוניות במקביל עם מגבלת מקביליות
+
+'use strict';
+
+/**
+ * הפעלת פונקציה אסינכרונית על כל הפריטים, עם לכל היותר limit קריאות פעילות בו-זמנית
+ * התוצאות מוחזרות לפי סדר הפריטים המקורי, ללא תלות בסדר הסיום
+ * @param {Array} items - הפריטים לעיבוד
+ * @param {number} limit - מספר הקריאות המקסימלי במקביל
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} - התוצאות לפי סדר הפריטים
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  // כל "עובד" לוקח את הפריט הבא בתור עד שהתור מתרוקן
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
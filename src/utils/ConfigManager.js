@@ -105,7 +105,7 @@ class ConfigManager {
     try {
       if (fs.existsSync(this.userConfigPath)) {
         console.log(`[ConfigManager] User config exists at ${this.userConfigPath}`);
-        const userConfig = this._loadConfigFile(this.userConfigPath);
+        const userConfig = this._migrateLegacyConfig(this._loadConfigFile(this.userConfigPath));
         // מיזוג עם הגדרות ברירת מחדל
         this.config = _.merge({}, this.config, userConfig);
         console.log('[ConfigManager] User config merged successfully');
@@ -119,6 +119,23 @@ class ConfigManager {
     console.log(`[ConfigManager] Configuration loaded with ${Object.keys(this.config).length} top-level keys`);
   }
 
+  /**
+   * העברת מפתחות ישנים בהגדרות המשתמש למקומם החדש, כדי שערכי ברירת המחדל לא יסתירו אותם במיזוג
+   * claude.tokenRatePerMinute הוחלף ב-claude.rateLimits.inputTokensPerMinute
+   * @param {Object} userConfig - הגדרות המשתמש מהקובץ
+   * @returns {Object} - ההגדרות אחרי ההעברה
+   * @private
+   */
+  _migrateLegacyConfig(userConfig) {
+    const tokenRate = _.get(userConfig, 'claude.tokenRatePerMinute');
+    if (tokenRate !== undefined && _.get(userConfig, 'claude.rateLimits.inputTokensPerMinute') === undefined) {
+      _.set(userConfig, 'claude.rateLimits.inputTokensPerMinute', tokenRate);
+      console.log('[ConfigManager] Using claude.tokenRatePerMinute as claude.rateLimits.inputTokensPerMinute');
+    }
+    
+    return userConfig;
+  }
+
   /**
    * הדפסת סטטוס האתחול
    * @private
@@ -194,18 +211,62 @@ class ConfigManager {
     console.log('[ConfigManager] Building initial config object');
     
     return {
+      // ספק מודל השפה: 'anthropic', 'openai-compatible' (llama.cpp, Ollama) או נתיב למודול ספק מקומי
+      llm: {
+        provider: 'anthropic',
+        openaiCompatible: {
+          baseUrl: 'http://localhost:8080/v1',
+          model: 'local-model',
+          apiKeyEnv: 'OPENAI_API_KEY', // לא חובה בשרת מקומי
+          rateLimited: false // האם להחיל את claude.rateLimits
+        }
+      },
+      
       // הגדרות קלוד
       claude: {
         model: 'claude-3-opus-20240229',
+        baseUrl: 'https://api.anthropic.com', // ניתן להפנות לשרת מדומה או לפרוקסי
         maxTokens: 100000,
         responseMaxTokens: 4000,
-        defaultSystemPrompt: 'You are a helpful AI assistant with access to a large document. Answer questions based only on the content provided.'
+        defaultSystemPrompt: 'You are a helpful AI assistant with access to a large document. Answer questions based only on the content provided.',
+        // מגבלות קצב משותפות לכל הקריאות (0 - ללא מגבלה)
+        rateLimits: {
+          requestsPerMinute: 50,
+          inputTokensPerMinute: 50000,
+          outputTokensPerMinute: 10000
+        },
+        // ניסיונות חוזרים על 429 ו-5xx - המתנה אקספוננציאלית עם רעש, או לפי retry-after
+        retry: {
+          maxRetries: 5,
+          baseDelayMs: 1000,
+          maxDelayMs: 60000
+        },
+        // נקודות מטמון על קידומות יציבות (סקירת המסמך ורשימת הקטעים, היסטוריית השיחה)
+        promptCaching: {
+          enabled: true
+        }
+      },
+      
+      // מודל לכל משימה (null - claude.model / המודל של הספק)
+      models: {
+        enrich: null, // סיכום ומילות מפתח לקטעים בזמן אינדוקס
+        retrieve: null, // בחירת קטעים רלוונטיים
+        answer: null, // מעברי התשובה על הקטעים
+        finalize: null, // מיזוג וסיכום התשובה הסופית
+        historyMerge: null, // סיכום היסטוריית השיחה
+        // מעבר למודל חזק יותר כשהתשובה לא תקינה או שהבקשה נכשלה
+        escalation: {
+          enabled: false,
+          model: 'claude-3-5-sonnet-20241022',
+          tasks: ['enrich', 'retrieve']
+        }
       },
       
       // הגדרות עיבוד קבצים
       fileProcessing: {
         supportedTextExtensions: ['.txt', '.md', '.json', '.js', '.py', '.html', '.css', '.csv', '.xml', '.yaml', '.yml'],
         supportedPdfExtensions: ['.pdf'],
+        supportedOfficeExtensions: ['.docx', '.pptx', '.xlsx', '.odt'],
         maxFileSizeInMemoryMb: 50
       },
       
@@ -213,13 +274,33 @@ class ConfigManager {
       chunking: {
         chunkSizePercentage: 40,
         overlapPercentage: 10,
-        preserveParagraphs: true
+        preserveParagraphs: true,
+        codeAware: true // חלוקת קוד מקור לפי פונקציות, מחלקות ומתודות
+      },
+      
+      // כיול ספירת הטוקנים - תווים בממוצע לטוקן לפי סוג כתב
+      tokenizer: {
+        charsPerToken: {
+          latin: 4,
+          digit: 3,
+          hebrew: 2,
+          arabic: 2,
+          cyrillic: 3,
+          cjk: 1,
+          symbol: 1,
+          other: 2
+        }
       },
       
       // הגדרות אינדוקס
       indexing: {
         noIndexThresholdPercentage: 30, // אחוז מחלון ההקשר שמתחתיו לא ניצור אינדקס מלא
-        maxOverallSummaryLength: 2000
+        maxOverallSummaryLength: 2000,
+        concurrency: 4, // מספר קריאות ההעשרה (תקציר ומילות מפתח) במקביל
+        maxCostUsd: 0, // תקרת הוצאה בדולרים לבנייה או לעדכון (0 - ללא תקרה)
+        batch: {
+          pollIntervalMs: 30000 // זמן בין בדיקות מצב של Message Batch (index --batch)
+        }
       },
       
       // הגדרות שאילתה
@@ -228,7 +309,39 @@ class ConfigManager {
         stopWords: ['a', 'an', 'the', 'and', 'or', 'but', 'is', 'are', 'of', 'to', 'in', 'on', 'by', 'with', 'about', 'for', 'from'],
         // הגדרות לגישת חיפוש סמנטי באמצעות LLM
         useSplitStrategyForLargeIndices: true,
-        llmChunkSize: 50
+        llmChunkSize: 50,
+        // אסטרטגיית אחזור: 'llm' (בחירה על ידי קלוד), 'vector' (דמיון ווקטורי), 'keyword' (BM25) או 'hybrid'
+        retrievalStrategy: 'llm',
+        // פרמטרים לדירוג BM25
+        bm25: {
+          k1: 1.2,
+          b: 0.75
+        },
+        // אחזור היברידי: מחוללי מועמדים, מיזוג RRF ודירוג מחדש על ידי קלוד
+        hybrid: {
+          lexical: { enabled: true, topK: 20 },
+          vector: { enabled: true, topK: 20 },
+          rrfK: 60,
+          rerank: { enabled: true, topK: 10 }
+        }
+      },
+      
+      // הגדרות יצירת תשובה
+      answer: {
+        // 'auto' (פרומפט יחיד אם הקטעים נכנסים בחלון, אחרת 'refine'), 'stuff' (תמיד פרומפט יחיד),
+        // 'refine' (שיפור תשובה אחת קטע אחר קטע) או 'map-reduce' (ממצאים חלקיים במקביל ומיזוג)
+        strategy: 'auto',
+        maxCostUsd: 0, // תקרת הוצאה בדולרים לשאלה (0 - ללא תקרה)
+        mapReduce: {
+          concurrency: 4 // מספר קריאות ה-map המקסימלי במקביל
+        }
+      },
+      
+      // הגדרות הטמעה מקומית לחיפוש ווקטורי
+      embedding: {
+        provider: 'hashing', // 'hashing' או נתיב למודול מטמיע מקומי
+        dimensions: 512,
+        minSimilarity: 0
       },
       
       // הגדרות שיחה
@@ -238,6 +351,33 @@ class ConfigManager {
         mergeFrequency: 3
       },
       
+      // מטמון תשובות על הדיסק (data/cache/responses)
+      cache: {
+        enabled: true,
+        ttlHours: 168, // 0 - ללא תפוגה
+        maxSizeMb: 100 // הרשומות הישנות ביותר מפונות מעבר לגודל זה
+      },
+      
+      // תמחור השימוש ביומן (data/usage/ledger.jsonl) - דולרים למיליון טוקנים לכל מודל
+      usage: {
+        batchDiscount: 0.5, // מכפיל המחיר לבקשות שנשלחו כ-Message Batch
+        prices: {
+          'claude-3-5-haiku-20241022': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+          'claude-3-5-sonnet-20241022': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+          'claude-3-haiku-20240307': { input: 0.25, output: 1.25, cacheWrite: 0.3, cacheRead: 0.03 },
+          'claude-3-opus-20240229': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 }
+        }
+      },
+      
+      // שרת ה-HTTP של פקודת serve
+      server: {
+        host: '127.0.0.1', // האזנה מקומית בלבד כברירת מחדל
+        port: 3000,
+        apiKeyEnv: 'CONTEXT_EXTENDER_API_KEY', // משתנה הסביבה שמכיל את מפתח ה-API (חובה)
+        maxBodyKb: 1024,
+        allowedRoots: ['.'] // התיקיות ש-POST /indexes רשאי לקרוא מהן (יחסית לתיקיית העבודה)
+      },
+      
       // תבניות פרומפט
       prompts: {
         summarizeTemplate: `
@@ -0,0 +1,31 @@
+// File: src/utils/EventForwarder.js
+// Location: /claude-context-extender/src/utils/EventForwarder.js
+// העברת כל האירועים של EventEmitter ליעד אחד - לצרכנים שלא מכירים מראש את שמות האירועים (SSE, JSON lines)
+
+'use strict';
+
+/**
+ * העברת כל אירוע שנשלח מה-emitter לפונקציה אחת, בנוסף למאזינים הרגילים שלו
+ * @param {EventEmitter} emitter - מקור האירועים
+ * @param {Function} onEvent - (name, data) => void
+ * @returns {Function} - ביטול ההעברה
+ */
+function forwardEvents(emitter, onEvent) {
+  const originalEmit = emitter.emit;
+
+  emitter.emit = function (name, ...args) {
+    // כשל ביעד (למשל לקוח שהתנתק) לא מפיל את הפעולה שמדווחת
+    try {
+      onEvent(name, args[0]);
+    } catch (error) {
+      // מתעלמים - היעד אחראי לדווח על כשלים משלו
+    }
+    return originalEmit.call(this, name, ...args);
+  };
+
+  return () => {
+    emitter.emit = originalEmit;
+  };
+}
+
+module.exports = { forwardEvents };
@@ -71,6 +71,15 @@ class Logger {
     this.logger.debug(message, meta);
   }
 
+  // הפניית הלוגים של הקונסול ל-stderr - כש-stdout שמור לפלט מובנה (למשל --json-events)
+  useStderr() {
+    this.logger.transports
+      .filter(transport => transport instanceof winston.transports.Console)
+      .forEach(transport => {
+        transport.stderrLevels = Object.fromEntries(Object.keys(this.logger.levels).map(level => [level, true]));
+      });
+  }
+
   // תיעוד ביצועים
   logPerformance(operation, timeInMs, meta = {}) {
     this.info(`Performance: ${operation} took ${timeInMs}ms`, { 
@@ -0,0 +1,47 @@
+// File: src/utils/PromptBlocks.js
+// Location: /claude-context-extender/src/utils/PromptBlocks.js
+// בניית פרומפטים מבלוקי תוכן עם נקודות מטמון (prompt caching) - החלק היציב נשמר במטמון בצד ה-API
+
+'use strict';
+
+/**
+ * פרומפט משני חלקים: קידומת יציבה שמסומנת לשמירה במטמון, והמשך שמשתנה בין קריאות
+ * כל מה שלפני נקודת המטמון (כולל הנחיית המערכת) נקרא מהמטמון בקריאה הבאה עם אותה קידומת
+ * @param {string} prefix - החלק שחוזר זהה בין קריאות (סקירת מסמך, רשימת קטעים, היסטוריית שיחה)
+ * @param {string} rest - החלק המשתנה
+ * @returns {Array<Object>} - בלוקי תוכן לשליחה כפרומפט
+ */
+function withCachedPrefix(prefix, rest) {
+  return [
+    { type: 'text', text: prefix, cache_control: { type: 'ephemeral' } },
+    { type: 'text', text: rest }
+  ];
+}
+
+/**
+ * הטקסט המלא של פרומפט - מחרוזת או בלוקי תוכן (להערכת טוקנים ולוגים)
+ * @param {string|Array<Object>} prompt - הפרומפט
+ * @returns {string} - הטקסט המלא
+ */
+function toPlainText(prompt) {
+  if (!Array.isArray(prompt)) {
+    return prompt || '';
+  }
+
+  return prompt.map(block => block.text || '').join('');
+}
+
+/**
+ * הסרת נקודות המטמון מבלוקי תוכן (כשהמטמון מבוטל בהגדרות)
+ * @param {string|Array<Object>} prompt - הפרומפט
+ * @returns {string|Array<Object>} - הפרומפט ללא cache_control
+ */
+function withoutCacheControl(prompt) {
+  if (!Array.isArray(prompt)) {
+    return prompt;
+  }
+
+  return prompt.map(({ cache_control: cacheControl, ...block }) => block);
+}
+
+module.exports = { withCachedPrefix, toPlainText, withoutCacheControl };
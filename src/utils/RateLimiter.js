@@ -0,0 +1,173 @@
+// File: src/utils/RateLimiter.js
+// Location: /claude-context-extender/src/utils/RateLimiter.js
+// מגביל קצב משותף לכל הקריאות ל-API - דליי טוקנים לבקשות, טוקני קלט וטוקני פלט בדקה
+
+'use strict';
+
+const configManager = require('./ConfigManager');
+const logger = require('./Logger');
+
+const MINUTE_MS = 60 * 1000;
+
+class RateLimiter {
+  constructor() {
+    this.config = configManager;
+    
+    // דלי לכל מגבלה: כמה יחידות זמינות כרגע ומתי עודכן לאחרונה
+    this.buckets = {
+      requests: { available: null, updatedAt: Date.now() },
+      inputTokens: { available: null, updatedAt: Date.now() },
+      outputTokens: { available: null, updatedAt: Date.now() }
+    };
+    
+    // השהיה כללית אחרי 429 עם retry-after - חלה על כל הקוראים
+    this.blockedUntil = 0;
+    
+    // תור הממתינים - הבקשות מקבלות מקום לפי סדר הגעתן
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * המתנה עד שיש מקום לבקשה בכל המגבלות, ושריון המקום
+   * @param {number} inputTokens - הערכת טוקני הקלט של הבקשה
+   * @param {Function} [onWait] - נקרא עם משך ההמתנה במילישניות כשהבקשה צריכה לחכות
+   * @returns {Promise<Object>} - השריון, להעברה ל-record אחרי קבלת התשובה
+   */
+  acquire(inputTokens, onWait) {
+    const turn = this.queue.then(() => this._waitForCapacity(inputTokens, onWait));
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * עדכון המגבלות לפי השימוש בפועל שדווח בתשובה
+   * טוקני הפלט ידועים רק בסוף, ולכן נגבים כאן - דלי במינוס מעכב את הבקשות הבאות
+   * @param {Object} reservation - השריון מ-acquire
+   * @param {Object} [usage] - { input_tokens, output_tokens, cache_creation_input_tokens } מתשובת ה-API
+   */
+  record(reservation, usage) {
+    if (!usage) {
+      return;
+    }
+    
+    const limits = this._getLimits();
+    
+    // טוקנים שנקראו מהמטמון לא נספרים במגבלת הקלט, אבל כתיבה למטמון כן
+    if (limits.inputTokens && usage.input_tokens !== undefined) {
+      const inputTokens = usage.input_tokens + (usage.cache_creation_input_tokens || 0);
+      this._refill('inputTokens', limits.inputTokens);
+      this.buckets.inputTokens.available -= inputTokens - reservation.inputTokens;
+    }
+    
+    if (limits.outputTokens && usage.output_tokens !== undefined) {
+      this._refill('outputTokens', limits.outputTokens);
+      this.buckets.outputTokens.available -= usage.output_tokens;
+    }
+  }
+
+  /**
+   * השהיית כל הבקשות לזמן נתון (למשל לפי כותרת retry-after)
+   * @param {number} ms - משך ההשהיה במילישניות
+   */
+  pause(ms) {
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * לולאת ההמתנה של בקשה בודדת
+   * @param {number} inputTokens - הערכת טוקני הקלט
+   * @param {Function} [onWait] - דיווח על המתנה
+   * @returns {Promise<Object>} - השריון
+   * @private
+   */
+  async _waitForCapacity(inputTokens, onWait) {
+    for (;;) {
+      const limits = this._getLimits();
+      const now = Date.now();
+      let waitTime = Math.max(0, this.blockedUntil - now);
+      
+      if (limits.requests) {
+        waitTime = Math.max(waitTime, this._timeUntilAvailable('requests', limits.requests, 1));
+      }
+      
+      // בקשה גדולה מהמגבלה כולה ממתינה לדלי מלא, אחרת לא הייתה עוברת לעולם
+      const inputNeeded = limits.inputTokens ? Math.min(inputTokens, limits.inputTokens) : 0;
+      if (limits.inputTokens) {
+        waitTime = Math.max(waitTime, this._timeUntilAvailable('inputTokens', limits.inputTokens, inputNeeded));
+      }
+      
+      // טוקני הפלט נגבים בדיעבד - ממתינים רק כשהדלי במינוס
+      if (limits.outputTokens) {
+        waitTime = Math.max(waitTime, this._timeUntilAvailable('outputTokens', limits.outputTokens, 0));
+      }
+      
+      if (waitTime <= 0) {
+        if (limits.requests) {
+          this.buckets.requests.available -= 1;
+        }
+        if (limits.inputTokens) {
+          this.buckets.inputTokens.available -= inputNeeded;
+        }
+        return { inputTokens: inputNeeded };
+      }
+      
+      logger.debug(`Rate limit reached, waiting ${waitTime}ms`, { inputTokens });
+      if (onWait) {
+        onWait(waitTime);
+      }
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    }
+  }
+
+  /**
+   * הזמן עד שבדלי יהיו לפחות needed יחידות
+   * @param {string} name - שם הדלי
+   * @param {number} perMinute - קצב המילוי (וגם הקיבולת)
+   * @param {number} needed - היחידות הנדרשות
+   * @returns {number} - מילישניות (0 אם זמין כבר עכשיו)
+   * @private
+   */
+  _timeUntilAvailable(name, perMinute, needed) {
+    this._refill(name, perMinute);
+    const deficit = needed - this.buckets[name].available;
+    
+    return deficit > 0 ? Math.ceil(deficit * MINUTE_MS / perMinute) : 0;
+  }
+
+  /**
+   * מילוי דלי לפי הזמן שעבר מאז העדכון האחרון
+   * @param {string} name - שם הדלי
+   * @param {number} perMinute - קצב המילוי (וגם הקיבולת)
+   * @private
+   */
+  _refill(name, perMinute) {
+    const bucket = this.buckets[name];
+    const now = Date.now();
+    
+    if (bucket.available === null) {
+      bucket.available = perMinute;
+    } else {
+      bucket.available = Math.min(perMinute, bucket.available + (now - bucket.updatedAt) * perMinute / MINUTE_MS);
+    }
+    bucket.updatedAt = now;
+  }
+
+  /**
+   * המגבלות הנוכחיות מההגדרות (0 או null - ללא מגבלה)
+   * @returns {Object} - { requests, inputTokens, outputTokens }
+   * @private
+   */
+  _getLimits() {
+    return {
+      requests: this.config.get('claude.rateLimits.requestsPerMinute'),
+      inputTokens: this.config.get('claude.rateLimits.inputTokensPerMinute'),
+      outputTokens: this.config.get('claude.rateLimits.outputTokensPerMinute')
+    };
+  }
+}
+
+// סינגלטון אחד לכל האפליקציה - כל מופעי ClaudeClient חולקים את אותן מגבלות
+const rateLimiter = new RateLimiter();
+module.exports = rateLimiter;
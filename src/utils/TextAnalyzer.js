@@ -0,0 +1,278 @@
+// File: src/utils/TextAnalyzer.js
+// Location: /claude-context-extender/src/utils/TextAnalyzer.js
+// כלי עזר לניתוח טקסט - פירוק למילים, סינון מילות קישור וגיזום (stemming)
+
+'use strict';
+
+const configManager = require('./ConfigManager');
+
+// סיומות לשלבי הגיזום של אלגוריתם Porter
+const STEP2_SUFFIXES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'],
+  ['izer', 'ize'], ['abli', 'able'], ['alli', 'al'], ['entli', 'ent'],
+  ['eli', 'e'], ['ousli', 'ous'], ['ization', 'ize'], ['ation', 'ate'],
+  ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'],
+  ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble']
+].sort((a, b) => b[0].length - a[0].length);
+
+const STEP3_SUFFIXES = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'],
+  ['ical', 'ic'], ['ful', ''], ['ness', '']
+].sort((a, b) => b[0].length - a[0].length);
+
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment',
+  'ent', 'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+].sort((a, b) => b.length - a.length);
+
+class TextAnalyzer {
+  constructor() {
+    this.config = configManager;
+  }
+
+  /**
+   * פירוק טקסט למילים (אותיות וספרות בכל שפה), באותיות קטנות
+   * @param {string} text - הטקסט לפירוק
+   * @returns {Array<string>} - מערך מילים
+   */
+  tokenize(text) {
+    if (!text) {
+      return [];
+    }
+    
+    return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  /**
+   * פירוק טקסט למילים משמעותיות - ללא מילות קישור ומילים קצרות מדי
+   * @param {string} text - הטקסט לפירוק
+   * @returns {Array<string>} - מערך מילים משמעותיות
+   */
+  extractTerms(text) {
+    const stopWords = new Set(this.config.get('query.stopWords') || []);
+    
+    return this.tokenize(text).filter(word => word.length > 1 && !stopWords.has(word));
+  }
+
+  /**
+   * ניתוח טקסט לאינדקס לקסיקלי - מילים משמעותיות לאחר גיזום
+   * @param {string} text - הטקסט לניתוח
+   * @returns {Array<string>} - מערך מונחים מגוזמים
+   */
+  analyze(text) {
+    return this.extractTerms(text).map(word => this.stem(word));
+  }
+
+  /**
+   * פירוק שם מזהה מקוד למילים, למשל "handleHttpRequest" ל-"handle Http Request"
+   * @param {string} identifier - שם המזהה (יכול לכלול נקודות, למשל Class.method)
+   * @returns {string} - השם המקורי ואחריו המילים המפורקות
+   */
+  splitIdentifier(identifier) {
+    const words = identifier
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .replace(/[_.$#]+/g, ' ')
+      .trim();
+    
+    return `${identifier} ${words}`;
+  }
+
+  /**
+   * גיזום מילה באנגלית לשורשה לפי אלגוריתם Porter
+   * מילים שאינן באותיות לטיניות (למשל עברית) מוחזרות כפי שהן
+   * @param {string} word - מילה באותיות קטנות
+   * @returns {string} - המילה המגוזמת
+   */
+  stem(word) {
+    if (word.length <= 2 || !/^[a-z]+$/.test(word)) {
+      return word;
+    }
+    
+    let w = word;
+    
+    // שלב 1א - צורות רבים
+    if (w.endsWith('sses')) {
+      w = w.slice(0, -2);
+    } else if (w.endsWith('ies')) {
+      w = w.slice(0, -2);
+    } else if (!w.endsWith('ss') && w.endsWith('s')) {
+      w = w.slice(0, -1);
+    }
+    
+    // שלב 1ב - סיומות -ed ו- -ing
+    let step1bExtra = false;
+    if (w.endsWith('eed')) {
+      if (this._measure(w.slice(0, -3)) > 0) {
+        w = w.slice(0, -1);
+      }
+    } else if (w.endsWith('ed') && this._hasVowel(w.slice(0, -2))) {
+      w = w.slice(0, -2);
+      step1bExtra = true;
+    } else if (w.endsWith('ing') && this._hasVowel(w.slice(0, -3))) {
+      w = w.slice(0, -3);
+      step1bExtra = true;
+    }
+    
+    if (step1bExtra) {
+      if (w.endsWith('at') || w.endsWith('bl') || w.endsWith('iz')) {
+        w += 'e';
+      } else if (this._endsWithDoubleConsonant(w) && !/[lsz]$/.test(w)) {
+        w = w.slice(0, -1);
+      } else if (this._measure(w) === 1 && this._endsWithCvc(w)) {
+        w += 'e';
+      }
+    }
+    
+    // שלב 1ג - y בסוף מילה עם תנועה
+    if (w.endsWith('y') && this._hasVowel(w.slice(0, -1))) {
+      w = w.slice(0, -1) + 'i';
+    }
+    
+    // שלבים 2-4 - סיומות גזירה
+    w = this._replaceSuffix(w, STEP2_SUFFIXES, 0);
+    w = this._replaceSuffix(w, STEP3_SUFFIXES, 0);
+    w = this._removeStep4Suffix(w);
+    
+    // שלב 5 - e ו-ll בסוף המילה
+    if (w.endsWith('e')) {
+      const stemPart = w.slice(0, -1);
+      const m = this._measure(stemPart);
+      if (m > 1 || (m === 1 && !this._endsWithCvc(stemPart))) {
+        w = stemPart;
+      }
+    }
+    if (this._measure(w) > 1 && w.endsWith('ll')) {
+      w = w.slice(0, -1);
+    }
+    
+    return w;
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * החלפת הסיומת הארוכה ביותר שמתאימה, אם מידת השורש גדולה מהסף
+   * @param {string} w - המילה
+   * @param {Array<Array<string>>} suffixes - זוגות [סיומת, תחליף]
+   * @param {number} minMeasure - המידה המינימלית (לא כולל) של השורש
+   * @returns {string} - המילה לאחר ההחלפה
+   * @private
+   */
+  _replaceSuffix(w, suffixes, minMeasure) {
+    for (const [suffix, replacement] of suffixes) {
+      if (w.endsWith(suffix)) {
+        const stemPart = w.slice(0, -suffix.length);
+        return this._measure(stemPart) > minMeasure ? stemPart + replacement : w;
+      }
+    }
+    return w;
+  }
+
+  /**
+   * הסרת סיומות שלב 4 כאשר מידת השורש גדולה מ-1
+   * @param {string} w - המילה
+   * @returns {string} - המילה לאחר ההסרה
+   * @private
+   */
+  _removeStep4Suffix(w) {
+    for (const suffix of STEP4_SUFFIXES) {
+      if (w.endsWith(suffix)) {
+        const stemPart = w.slice(0, -suffix.length);
+        if (this._measure(stemPart) <= 1) {
+          return w;
+        }
+        if (suffix === 'ion' && !/[st]$/.test(stemPart)) {
+          return w;
+        }
+        return stemPart;
+      }
+    }
+    return w;
+  }
+
+  /**
+   * האם התו במיקום נתון הוא עיצור (y נחשב עיצור אחרי תנועה)
+   * @param {string} w - המילה
+   * @param {number} i - המיקום
+   * @returns {boolean}
+   * @private
+   */
+  _isConsonant(w, i) {
+    const ch = w[i];
+    if ('aeiou'.includes(ch)) {
+      return false;
+    }
+    if (ch === 'y') {
+      return i === 0 || !this._isConsonant(w, i - 1);
+    }
+    return true;
+  }
+
+  /**
+   * מידת המילה - מספר רצפי תנועה-עיצור
+   * @param {string} w - המילה
+   * @returns {number}
+   * @private
+   */
+  _measure(w) {
+    let m = 0;
+    let i = 0;
+    
+    while (i < w.length && this._isConsonant(w, i)) i++;
+    
+    while (i < w.length) {
+      while (i < w.length && !this._isConsonant(w, i)) i++;
+      if (i >= w.length) break;
+      while (i < w.length && this._isConsonant(w, i)) i++;
+      m++;
+    }
+    
+    return m;
+  }
+
+  /**
+   * האם יש במילה תנועה
+   * @param {string} w - המילה
+   * @returns {boolean}
+   * @private
+   */
+  _hasVowel(w) {
+    for (let i = 0; i < w.length; i++) {
+      if (!this._isConsonant(w, i)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * האם המילה מסתיימת בעיצור כפול
+   * @param {string} w - המילה
+   * @returns {boolean}
+   * @private
+   */
+  _endsWithDoubleConsonant(w) {
+    const n = w.length;
+    return n >= 2 && w[n - 1] === w[n - 2] && this._isConsonant(w, n - 1);
+  }
+
+  /**
+   * האם המילה מסתיימת בעיצור-תנועה-עיצור (כשהעיצור האחרון אינו w, x או y)
+   * @param {string} w - המילה
+   * @returns {boolean}
+   * @private
+   */
+  _endsWithCvc(w) {
+    const n = w.length;
+    return n >= 3 &&
+      this._isConsonant(w, n - 3) &&
+      !this._isConsonant(w, n - 2) &&
+      this._isConsonant(w, n - 1) &&
+      !'wxy'.includes(w[n - 1]);
+  }
+}
+
+// סינגלטון אחד לכל האפליקציה
+const textAnalyzer = new TextAnalyzer();
+module.exports = textAnalyzer;
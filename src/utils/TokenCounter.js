@@ -0,0 +1,121 @@
+// File: src/utils/TokenCounter.js
+// Location: /claude-context-extender/src/utils/TokenCounter.js
+// ספירת טוקנים מכוילת לפי סוג הכתב - במקום ההנחה של 4 תווים לטוקן
+
+'use strict';
+
+const configManager = require('./ConfigManager');
+
+// כיול ברירת מחדל: כמה תווים בממוצע בטוקן אחד לכל סוג כתב
+const DEFAULT_CHARS_PER_TOKEN = {
+  latin: 4,
+  digit: 3,
+  hebrew: 2,
+  arabic: 2,
+  cyrillic: 3,
+  cjk: 1,
+  symbol: 1,
+  other: 2
+};
+
+// רצף של תווים מאותו סוג כתב, או תו סימן/רווח בודד
+const RUN_PATTERN = /([A-Za-z\u00C0-\u024F]+)|(\p{Nd}+)|([\u0590-\u05FF\uFB1D-\uFB4F]+)|([\u0600-\u06FF\u0750-\u077F]+)|([\u0400-\u04FF]+)|([\u3040-\u30FF\u3400-\u9FFF\uAC00-\uD7AF]+)|(\s+)|([\p{P}\p{S}])|(.)/gsu;
+
+class TokenCounter {
+  constructor() {
+    this.config = configManager;
+  }
+
+  /**
+   * הערכת מספר הטוקנים בטקסט
+   * @param {string} text - הטקסט
+   * @returns {number} - מספר הטוקנים המשוער
+   */
+  countTokens(text) {
+    if (!text) {
+      return 0;
+    }
+    
+    let tokens = 0;
+    this._forEachRun(text, (runTokens) => {
+      tokens += runTokens;
+    });
+    
+    return Math.ceil(tokens);
+  }
+
+  /**
+   * מספר התווים מתחילת הטקסט שנכנסים במספר טוקנים נתון
+   * משמש לחיתוך טקסט לפי תקציב טוקנים
+   * @param {string} text - הטקסט
+   * @param {number} maxTokens - תקציב הטוקנים
+   * @returns {number} - מספר התווים (לפחות 1 אם הטקסט לא ריק)
+   */
+  charsWithinTokens(text, maxTokens) {
+    let tokens = 0;
+    let chars = 0;
+    
+    this._forEachRun(text, (runTokens, runText) => {
+      if (tokens + runTokens <= maxTokens) {
+        tokens += runTokens;
+        chars += runText.length;
+        return true;
+      }
+      
+      // רצף ארוך שחורג מהתקציב - לוקחים ממנו חלק יחסי
+      const remaining = maxTokens - tokens;
+      chars += Math.floor(runText.length * (remaining / runTokens));
+      return false;
+    });
+    
+    return text.length > 0 ? Math.max(1, chars) : 0;
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * מעבר על רצפי התווים בטקסט עם הערכת הטוקנים של כל רצף
+   * @param {string} text - הטקסט
+   * @param {Function} callback - (runTokens, runText) => false לעצירה
+   * @private
+   */
+  _forEachRun(text, callback) {
+    const ratios = { ...DEFAULT_CHARS_PER_TOKEN, ...(this.config.get('tokenizer.charsPerToken') || {}) };
+    const pattern = new RegExp(RUN_PATTERN.source, RUN_PATTERN.flags);
+    let match;
+    
+    while ((match = pattern.exec(text)) !== null) {
+      const runText = match[0];
+      let runTokens;
+      
+      if (match[1]) {
+        runTokens = Math.ceil(runText.length / ratios.latin);
+      } else if (match[2]) {
+        runTokens = Math.ceil(runText.length / ratios.digit);
+      } else if (match[3]) {
+        runTokens = Math.ceil(runText.length / ratios.hebrew);
+      } else if (match[4]) {
+        runTokens = Math.ceil(runText.length / ratios.arabic);
+      } else if (match[5]) {
+        runTokens = Math.ceil(runText.length / ratios.cyrillic);
+      } else if (match[6]) {
+        runTokens = Math.ceil(runText.length / ratios.cjk);
+      } else if (match[7]) {
+        // רווח בודד מתחבר למילה שאחריו; שורות חדשות והזחות נספרות כטוקן
+        runTokens = runText === ' ' ? 0 : 1;
+      } else if (match[8]) {
+        runTokens = 1 / ratios.symbol;
+      } else {
+        runTokens = 1 / ratios.other;
+      }
+      
+      if (callback(runTokens, runText) === false) {
+        return;
+      }
+    }
+  }
+}
+
+// סינגלטון אחד לכל האפליקציה
+const tokenCounter = new TokenCounter();
+module.exports = tokenCounter;
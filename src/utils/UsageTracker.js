@@ -0,0 +1,338 @@
+// File: src/utils/UsageTracker.js
+// Location: /claude-context-extender/src/utils/UsageTracker.js
+// מעקב שימוש ועלות - כל קריאה ל-API נרשמת ביומן (data/usage/ledger.jsonl) תחת הפעולה שבמסגרתה בוצעה
+
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const configManager = require('./ConfigManager');
+const logger = require('./Logger');
+
+const MILLION = 1000000;
+
+// קיבוצים נתמכים בדוח השימוש
+const GROUP_BY = ['index', 'conversation', 'day', 'model', 'task'];
+
+class UsageTracker {
+  constructor() {
+    this.config = configManager;
+    this.ledgerPath = path.join(process.cwd(), 'data', 'usage', 'ledger.jsonl');
+    
+    // הקשר הפעולה הנוכחית (אינדקס, שיחה) והסיכום שלה - עובר אוטומטית דרך קריאות אסינכרוניות
+    this.storage = new AsyncLocalStorage();
+    
+    // מודלים שכבר הוזהרנו שאין להם מחיר בטבלה
+    this.unpricedModels = new Set();
+  }
+
+  /**
+   * הרצת פעולה בהקשר שימוש משלה - כל קריאה ל-API בתוכה נזקפת להקשר ולסיכום שלו
+   * @param {Object} context - { operation, indexId, conversationId, maxCostUsd }
+   * @param {Function} fn - async () => תוצאת הפעולה
+   * @returns {Promise<*>} - תוצאת הפעולה
+   */
+  run(context, fn) {
+    const parent = this.storage.getStore();
+    
+    // פעולה מקוננת (למשל חידוש בנייה מתוך אצווה) ממשיכה את ההקשר והסיכום של הפעולה החיצונית
+    if (parent) {
+      Object.assign(parent.context, context);
+      return fn();
+    }
+    
+    return this.storage.run({ context: { ...context }, summary: this._emptyTotals() }, fn);
+  }
+
+  /**
+   * השלמת פרטים בהקשר הנוכחי שנודעו רק במהלך הפעולה (למשל מזהה שיחה חדשה)
+   * @param {Object} fields - השדות להוספה
+   */
+  setContext(fields) {
+    const store = this.storage.getStore();
+    if (store) {
+      Object.assign(store.context, fields);
+    }
+  }
+
+  /**
+   * האם הפעולה הנוכחית הגיעה לתקרת ההוצאה שלה (maxCostUsd בהקשר)
+   * @returns {boolean}
+   */
+  isBudgetExceeded() {
+    const store = this.storage.getStore();
+    if (!store || !store.context.maxCostUsd) {
+      return false;
+    }
+    
+    return store.summary.costUsd >= store.context.maxCostUsd;
+  }
+
+  /**
+   * עצירה לפני קריאה נוספת ל-API אם הפעולה הגיעה לתקרת ההוצאה
+   * הקריאה שחצתה את התקרה כבר הושלמה ונשמרה - רק הקריאות שאחריה נחסמות
+   * @throws {Error} - עם budgetExceeded, כדי שלא יוסלם למודל אחר או יתבצע ניסיון חוזר
+   */
+  checkBudget() {
+    if (!this.isBudgetExceeded()) {
+      return;
+    }
+    
+    const store = this.storage.getStore();
+    const error = new Error(`Spending limit of $${store.context.maxCostUsd} reached ($${store.summary.costUsd.toFixed(4)} spent)`);
+    error.budgetExceeded = true;
+    throw error;
+  }
+
+  /**
+   * רישום קריאה ל-API ביומן ובסיכום של הפעולה הנוכחית
+   * @param {Object} call - פרטי הקריאה
+   * @param {string} call.model - המודל שענה
+   * @param {string} [call.provider] - שם הספק
+   * @param {string} [call.task] - שלב העבודה (enrich, retrieve, answer, finalize, historyMerge)
+   * @param {Object} [call.usage] - usage מתשובת ה-API
+   * @param {boolean} [call.batch] - האם הקריאה בוצעה דרך Message Batch (מחיר מוזל)
+   * @returns {Promise<Object>} - רשומת היומן
+   */
+  async record({ model, provider, task, usage, batch = false }) {
+    const store = this.storage.getStore();
+    const context = store ? store.context : {};
+    
+    const tokens = {
+      inputTokens: (usage && usage.input_tokens) || 0,
+      outputTokens: (usage && usage.output_tokens) || 0,
+      cacheWriteTokens: (usage && usage.cache_creation_input_tokens) || 0,
+      cacheReadTokens: (usage && usage.cache_read_input_tokens) || 0
+    };
+    
+    const entry = {
+      timestamp: new Date().toISOString(),
+      operation: context.operation || null,
+      indexId: context.indexId || null,
+      conversationId: context.conversationId || null,
+      task: task || null,
+      provider: provider || null,
+      model,
+      batch,
+      ...tokens,
+      costUsd: this.costFor(model, tokens, batch)
+    };
+    
+    if (store) {
+      this._addToTotals(store.summary, entry);
+    }
+    
+    // כשל בכתיבת היומן לא מפיל את הפעולה עצמה
+    try {
+      await fs.ensureDir(path.dirname(this.ledgerPath));
+      await fs.appendFile(this.ledgerPath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      logger.warn('Could not write usage ledger entry', { error: error.message });
+    }
+    
+    return entry;
+  }
+
+  /**
+   * סיכום השימוש של הפעולה הנוכחית
+   * @returns {Object|null} - { requests, inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens, costUsd, unpricedRequests, budgetExceeded }
+   */
+  getSummary() {
+    const store = this.storage.getStore();
+    return store ? { ...store.summary, budgetExceeded: this.isBudgetExceeded() } : null;
+  }
+
+  /**
+   * האם יש למודל מחיר בטבלת המחירים (usage.prices) - בלעדיו תקרת הוצאה לא נאכפת עליו
+   * @param {string} model - המודל
+   * @returns {boolean}
+   */
+  hasPrice(model) {
+    return Boolean((this.config.get('usage.prices') || {})[model]);
+  }
+
+  /**
+   * עלות קריאה לפי טבלת המחירים (usage.prices, בדולרים למיליון טוקנים)
+   * משמשת גם להערכת עלות לפני בנייה, ללא קריאות ל-API
+   * @param {string} model - המודל
+   * @param {Object} tokens - { inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens }
+   * @param {boolean} [batch] - האם להחיל את הנחת ה-Message Batches
+   * @returns {number|null} - העלות בדולרים, או null אם אין מחיר למודל
+   */
+  costFor(model, tokens, batch = false) {
+    const prices = (this.config.get('usage.prices') || {})[model];
+    
+    if (!prices) {
+      if (!this.unpricedModels.has(model)) {
+        this.unpricedModels.add(model);
+        logger.warn(`No price configured for model ${model} - its usage is recorded without cost (see usage.prices)`);
+      }
+      return null;
+    }
+    
+    // כתיבה למטמון וקריאה ממנו מתומחרות ביחס למחיר הקלט אם לא הוגדר להן מחיר משלהן
+    const cacheWritePrice = prices.cacheWrite !== undefined ? prices.cacheWrite : prices.input * 1.25;
+    const cacheReadPrice = prices.cacheRead !== undefined ? prices.cacheRead : prices.input * 0.1;
+    
+    const cost = ((tokens.inputTokens || 0) * prices.input +
+      (tokens.outputTokens || 0) * prices.output +
+      (tokens.cacheWriteTokens || 0) * cacheWritePrice +
+      (tokens.cacheReadTokens || 0) * cacheReadPrice) / MILLION;
+    
+    return batch ? cost * this.config.get('usage.batchDiscount', 0.5) : cost;
+  }
+
+  /**
+   * שורת סיכום קריאה לתצוגה
+   * @param {Object} summary - סיכום מ-getSummary או שורת דוח
+   * @returns {string}
+   */
+  formatSummary(summary) {
+    const cache = summary.cacheReadTokens || summary.cacheWriteTokens
+      ? ` (${summary.cacheReadTokens.toLocaleString()} cache read, ${summary.cacheWriteTokens.toLocaleString()} cache write)`
+      : '';
+    const unpriced = summary.unpricedRequests ? `, ${summary.unpricedRequests} unpriced` : '';
+    
+    return `${summary.requests} requests, ${summary.inputTokens.toLocaleString()} input${cache}, ` +
+      `${summary.outputTokens.toLocaleString()} output tokens, $${summary.costUsd.toFixed(4)}${unpriced}`;
+  }
+
+  /**
+   * דוח שימוש מצטבר מהיומן
+   * @param {Object} [options] - אפשרויות הדוח
+   * @param {string} [options.groupBy] - 'index', 'conversation', 'day', 'model' או 'task' (ברירת מחדל: 'day')
+   * @param {string} [options.indexId] - רק קריאות של אינדקס זה
+   * @param {string} [options.since] - רק קריאות מתאריך זה (YYYY-MM-DD או ISO)
+   * @returns {Promise<Object>} - { groupBy, rows: [{ key, ...totals }], total }
+   */
+  async report({ groupBy = 'day', indexId, since } = {}) {
+    if (!GROUP_BY.includes(groupBy)) {
+      throw new Error(`Unknown usage grouping: ${groupBy} (expected one of: ${GROUP_BY.join(', ')})`);
+    }
+    
+    const sinceTime = since ? Date.parse(since) : null;
+    if (since && isNaN(sinceTime)) {
+      throw new Error(`Invalid date: ${since}`);
+    }
+    
+    const groups = new Map();
+    const total = this._emptyTotals();
+    
+    for (const entry of await this._readLedger()) {
+      if (indexId && entry.indexId !== indexId) {
+        continue;
+      }
+      if (sinceTime !== null && Date.parse(entry.timestamp) < sinceTime) {
+        continue;
+      }
+      
+      const key = this._groupKey(entry, groupBy);
+      if (!groups.has(key)) {
+        groups.set(key, this._emptyTotals());
+      }
+      
+      this._addToTotals(groups.get(key), entry);
+      this._addToTotals(total, entry);
+    }
+    
+    const rows = [...groups.entries()]
+      .map(([key, totals]) => ({ key, ...totals }))
+      .sort((a, b) => a.key.localeCompare(b.key));
+    
+    return { groupBy, rows, total };
+  }
+
+  // ------------------------ פונקציות עזר פנימיות ------------------------
+
+  /**
+   * סיכום ריק
+   * @returns {Object}
+   * @private
+   */
+  _emptyTotals() {
+    return {
+      requests: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheWriteTokens: 0,
+      cacheReadTokens: 0,
+      costUsd: 0,
+      unpricedRequests: 0
+    };
+  }
+
+  /**
+   * הוספת רשומת יומן לסיכום
+   * @param {Object} totals - הסיכום
+   * @param {Object} entry - רשומת היומן
+   * @private
+   */
+  _addToTotals(totals, entry) {
+    totals.requests++;
+    totals.inputTokens += entry.inputTokens;
+    totals.outputTokens += entry.outputTokens;
+    totals.cacheWriteTokens += entry.cacheWriteTokens;
+    totals.cacheReadTokens += entry.cacheReadTokens;
+    
+    if (entry.costUsd === null) {
+      totals.unpricedRequests++;
+    } else {
+      totals.costUsd += entry.costUsd;
+    }
+  }
+
+  /**
+   * מפתח הקיבוץ של רשומה
+   * @param {Object} entry - רשומת היומן
+   * @param {string} groupBy - סוג הקיבוץ
+   * @returns {string}
+   * @private
+   */
+  _groupKey(entry, groupBy) {
+    switch (groupBy) {
+      case 'index':
+        return entry.indexId || '(none)';
+      case 'conversation':
+        return entry.conversationId || '(none)';
+      case 'model':
+        return entry.model || '(unknown)';
+      case 'task':
+        return entry.task || '(other)';
+      default:
+        return entry.timestamp.slice(0, 10);
+    }
+  }
+
+  /**
+   * קריאת כל רשומות היומן (שורות פגומות, למשל מכתיבה שנקטעה, מדולגות)
+   * @returns {Promise<Array<Object>>}
+   * @private
+   */
+  async _readLedger() {
+    if (!await fs.pathExists(this.ledgerPath)) {
+      return [];
+    }
+    
+    const entries = [];
+    const lines = (await fs.readFile(this.ledgerPath, 'utf8')).split('\n');
+    
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        logger.debug('Skipping malformed usage ledger line');
+      }
+    }
+    
+    return entries;
+  }
+}
+
+// סינגלטון אחד לכל האפליקציה - כל מופעי ClaudeClient רושמים לאותו יומן ולאותו הקשר
+const usageTracker = new UsageTracker();
+module.exports = usageTracker;